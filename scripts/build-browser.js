@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * MasalaScript Browser Bundle Builder
+ * Generates src/browser-bundle.js from the ES module sources, so the
+ * playground runs exactly the same compiler as the CLI and tests.
+ *
+ * Usage:
+ *   node scripts/build-browser.js          Write src/browser-bundle.js
+ *   node scripts/build-browser.js --check  Fail if the bundle is out of date
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const SRC_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../src');
+const ENTRY = 'masalascript.js';
+export const BUNDLE_PATH = resolve(SRC_DIR, 'browser-bundle.js');
+
+const IMPORT = /^import\s*\{([^}]*)\}\s*from\s*'([^']+)';\s*$/;
+const REEXPORT = /^export\s*\{([^}]*)\}\s*from\s*'([^']+)';\s*$/;
+const EXPORT_LIST = /^export\s*\{([^}]*)\};\s*$/;
+const EXPORT_DEFAULT = /^export\s+default\s+(\w+);\s*$/;
+const EXPORT_DECLARATION = /^export\s+((?:class|function|const|let)\s+(\w+).*)$/;
+
+/**
+ * Split "a, b as c" into [{ name: 'a', alias: 'a' }, { name: 'b', alias: 'c' }]
+ */
+function parseNames(list) {
+    return list.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [name, alias] = part.split(/\s+as\s+/);
+            return { name, alias: alias || name };
+        });
+}
+
+/**
+ * Get the module id ('lexer.js') of a relative import
+ */
+function moduleId(specifier, file) {
+    if (!specifier.startsWith('./')) {
+        throw new Error(`${file} imports '${specifier}', which is not available in the browser`);
+    }
+    return specifier.slice(2);
+}
+
+/**
+ * Turn one ES module into a function body that returns its exports
+ * @returns {Object} { id, imports: [ids], code }
+ */
+function transformModule(id) {
+    const source = readFileSync(resolve(SRC_DIR, id), 'utf-8');
+    const imports = [];
+    const exported = [];
+    const body = [];
+
+    for (const line of source.split('\n')) {
+        let match;
+
+        if ((match = line.match(IMPORT))) {
+            const from = moduleId(match[2], id);
+            imports.push(from);
+            const names = parseNames(match[1])
+                .map(({ name, alias }) => name === alias ? name : `${name}: ${alias}`);
+            body.push(`const { ${names.join(', ')} } = bundledModules['${from}'];`);
+        } else if ((match = line.match(REEXPORT))) {
+            const from = moduleId(match[2], id);
+            imports.push(from);
+            for (const { name, alias } of parseNames(match[1])) {
+                exported.push(`${alias}: bundledModules['${from}'].${name}`);
+            }
+        } else if ((match = line.match(EXPORT_LIST))) {
+            for (const { name, alias } of parseNames(match[1])) {
+                exported.push(name === alias ? name : `${alias}: ${name}`);
+            }
+        } else if ((match = line.match(EXPORT_DEFAULT))) {
+            exported.push(`default: ${match[1]}`);
+        } else if ((match = line.match(EXPORT_DECLARATION))) {
+            exported.push(match[2]);
+            body.push(match[1]);
+        } else if (/^\s*(import|export)\b/.test(line)) {
+            throw new Error(`${id}: unsupported module syntax: ${line.trim()}`);
+        } else {
+            body.push(line);
+        }
+    }
+
+    const code = [
+        `    // ==================== ${id} ====================`,
+        '',
+        `    bundledModules['${id}'] = (function () {`,
+        body.join('\n').trimEnd(),
+        '',
+        `return { ${exported.join(', ')} };`,
+        '    })();',
+    ].join('\n');
+
+    return { id, imports, code };
+}
+
+/**
+ * Collect modules reachable from the entry, dependencies first
+ */
+function collectModules(entry) {
+    const ordered = [];
+    const visiting = new Set();
+    const done = new Set();
+
+    function visit(id) {
+        if (done.has(id)) return;
+        if (visiting.has(id)) {
+            throw new Error(`Circular import involving ${id} can't be bundled`);
+        }
+
+        visiting.add(id);
+        const module = transformModule(id);
+        module.imports.forEach(visit);
+        visiting.delete(id);
+
+        done.add(id);
+        ordered.push(module);
+    }
+
+    visit(entry);
+    return ordered;
+}
+
+/**
+ * Build the browser bundle source
+ * @returns {string}
+ */
+export function buildBrowserBundle() {
+    const modules = collectModules(ENTRY);
+
+    return [
+        '/**',
+        ' * MasalaScript Browser Bundle',
+        ' * GENERATED by scripts/build-browser.js from the modules in src/ - do not edit by hand.',
+        ' * Run `npm run build:browser` after changing the compiler.',
+        ' */',
+        '',
+        '(function (global) {',
+        "    'use strict';",
+        '',
+        '    const bundledModules = {};',
+        '',
+        modules.map(module => module.code).join('\n\n'),
+        '',
+        '    // Export to global scope',
+        `    global.MasalaScript = bundledModules['${ENTRY}'].default;`,
+        '',
+        "})(typeof window !== 'undefined' ? window : globalThis);",
+        '',
+    ].join('\n');
+}
+
+// Run as a script
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const bundle = buildBrowserBundle();
+
+    if (process.argv.includes('--check')) {
+        const current = readFileSync(BUNDLE_PATH, 'utf-8');
+        if (current !== bundle) {
+            console.error('src/browser-bundle.js is out of date - run `npm run build:browser`');
+            process.exit(1);
+        }
+        console.log('src/browser-bundle.js is up to date');
+    } else {
+        writeFileSync(BUNDLE_PATH, bundle);
+        console.log(`Wrote ${BUNDLE_PATH}`);
+    }
+}
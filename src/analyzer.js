@@ -4,18 +4,32 @@
  */
 
 import { NodeType } from './ast.js';
-import { SemanticError, ErrorMessages } from './errors.js';
+import { MasalaError, SemanticError, ErrorMessages } from './errors.js';
+import { Builtins, isBuiltin } from './builtins.js';
 
 export class Analyzer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Resolves 'le aao' imports
+     * @param {string} options.file - Id of the file being analyzed
+     * @param {Map} options.host - Names defined by the host: name → arity (null if unknown)
+     */
+    constructor(options = {}) {
+        this.loader = options.loader || null;
+        this.file = options.file || null;
+        this.host = options.host || new Map();
         this.scopes = [new Map()]; // Stack of scopes
         this.functions = new Map(); // Function definitions
         this.currentFunction = null; // Track if inside a function
+        this.loopDepth = 0; // Track if inside a loop
+        this.reassigned = new Set(); // Names assigned to anywhere in the program
         this.errors = [];
     }
 
     /**
-     * Analyze the AST for semantic errors
+     * Analyze the AST for semantic errors.
+     * Analysis goes on after an error, so this.errors holds all of them;
+     * the first one is thrown at the end.
      * @param {Object} ast - The program AST
      * @returns {Object} The analyzed AST with any annotations
      */
@@ -24,12 +38,9 @@ export class Analyzer {
         this.scopes = [new Map()];
         this.functions = new Map();
         this.currentFunction = null;
+        this.loopDepth = 0;
 
-        try {
-            this.visitProgram(ast);
-        } catch (error) {
-            this.errors.push(error);
-        }
+        this.visitProgram(ast);
 
         if (this.errors.length > 0) {
             throw this.errors[0]; // Throw first error
@@ -38,14 +49,101 @@ export class Analyzer {
         return ast;
     }
 
+    /**
+     * Analyze REPL input on top of the declarations from earlier inputs.
+     * If the input has an error, none of its declarations are kept.
+     * @param {Object} ast - Program AST of the new input
+     * @returns {Object} The analyzed AST
+     */
+    analyzeIncremental(ast) {
+        const snapshot = this.snapshot();
+
+        this.errors = [];
+        this.scopes = [this.scopes[0]];
+        this.currentFunction = null;
+        this.loopDepth = 0;
+
+        this.visitProgram(ast);
+
+        if (this.errors.length > 0) {
+            this.restore(snapshot);
+            throw this.errors[0];
+        }
+
+        return ast;
+    }
+
+    /**
+     * Copy the global declarations, so a REPL input can be undone
+     * (entries are copied too, as assignments change them in place)
+     * @returns {Object} Snapshot for restore()
+     */
+    snapshot() {
+        const copy = (map) => new Map([...map].map(([name, info]) => [name, { ...info }]));
+        return { globals: copy(this.scopes[0]), functions: copy(this.functions) };
+    }
+
+    /**
+     * Go back to the declarations saved by snapshot()
+     */
+    restore(snapshot) {
+        this.scopes = [snapshot.globals];
+        this.functions = snapshot.functions;
+    }
+
+    /**
+     * Undo a REPL input that passed analysis but failed while running.
+     * Declarations the run got to are kept and the rest are forgotten, so a
+     * name whose initializer failed can be declared again; arities the input
+     * changed are no longer trusted, as the change may or may not have run.
+     * @param {Object} snapshot - Taken with snapshot() before the input
+     * @param {Function} isDefined - (name) → whether the run defined the name
+     */
+    rollback(snapshot, isDefined) {
+        const analyzed = { globals: this.scopes[0], functions: this.functions };
+        this.restore(snapshot);
+
+        for (const key of ['globals', 'functions']) {
+            const table = key === 'globals' ? this.scopes[0] : this.functions;
+            for (const [name, info] of analyzed[key]) {
+                const before = table.get(name);
+                if (!before) {
+                    if (isDefined(name)) {
+                        table.set(name, info);
+                    }
+                } else if (before.paramCount !== info.paramCount) {
+                    before.paramCount = null;
+                }
+            }
+        }
+    }
+
     /**
      * Visit a program node
      */
     visitProgram(node) {
+        // An assignment anywhere - even in a function declared further down and
+        // called before the assignment is reached - can swap a function for one
+        // with a different arity, so only names never assigned keep theirs
+        this.reassigned = collectAssignedNames(node);
+        for (const name of this.reassigned) {
+            const info = this.lookupVariable(name);
+            if (info && !info.builtin) {
+                info.paramCount = null;
+            }
+            if (this.functions.has(name)) {
+                this.functions.get(name).paramCount = null;
+            }
+        }
+
         // First pass: collect function declarations
         for (const stmt of node.body) {
             if (stmt.type === NodeType.FUNCTION_DECLARATION) {
-                this.declareFunction(stmt);
+                try {
+                    this.declareFunction(stmt);
+                } catch (error) {
+                    this.report(error);
+                }
             }
         }
 
@@ -56,9 +154,45 @@ export class Analyzer {
     }
 
     /**
-     * Visit a statement node
+     * Record an error and carry on with the next statement
+     */
+    report(error) {
+        if (!(error instanceof MasalaError)) {
+            throw error;
+        }
+        // A module that fails to compile brings along all of its errors,
+        // which already name their own file
+        for (const each of error.moduleErrors ?? [error]) {
+            if (each.file === null) {
+                each.file = this.file;
+            }
+            this.errors.push(each);
+        }
+    }
+
+    /**
+     * Visit a statement node. An error is recorded and analysis goes on
+     * with the next statement, with scopes put back as they were.
      */
     visitStatement(node) {
+        const scopeDepth = this.scopes.length;
+        const currentFunction = this.currentFunction;
+        const loopDepth = this.loopDepth;
+
+        try {
+            this.checkStatement(node);
+        } catch (error) {
+            this.scopes.length = scopeDepth;
+            this.currentFunction = currentFunction;
+            this.loopDepth = loopDepth;
+            this.report(error);
+        }
+    }
+
+    /**
+     * Check one statement (errors propagate to visitStatement)
+     */
+    checkStatement(node) {
         switch (node.type) {
             case NodeType.VARIABLE_DECLARATION:
                 this.visitVariableDeclaration(node);
@@ -75,12 +209,30 @@ export class Analyzer {
             case NodeType.WHILE_STATEMENT:
                 this.visitWhileStatement(node);
                 break;
+            case NodeType.FOR_STATEMENT:
+                this.visitForStatement(node);
+                break;
+            case NodeType.BREAK_STATEMENT:
+                this.visitBreakStatement(node);
+                break;
+            case NodeType.CONTINUE_STATEMENT:
+                this.visitContinueStatement(node);
+                break;
             case NodeType.FUNCTION_DECLARATION:
                 this.visitFunctionDeclaration(node);
                 break;
             case NodeType.RETURN_STATEMENT:
                 this.visitReturnStatement(node);
                 break;
+            case NodeType.TRY_STATEMENT:
+                this.visitTryStatement(node);
+                break;
+            case NodeType.IMPORT_STATEMENT:
+                this.visitImportStatement(node);
+                break;
+            case NodeType.THROW_STATEMENT:
+                this.visitExpression(node.value);
+                break;
             case NodeType.EXPRESSION_STATEMENT:
                 this.visitExpressionStatement(node);
                 break;
@@ -105,15 +257,22 @@ export class Analyzer {
             throw new SemanticError(
                 ErrorMessages.ALREADY_DEFINED(node.name),
                 node.line,
-                null
+                node.column
             );
         }
 
-        // Analyze the initializer
-        this.visitExpression(node.value);
-
-        // Declare the variable
-        currentScope.set(node.name, { type: 'variable', line: node.line });
+        // Analyze the initializer; the variable is declared even if it has
+        // an error, so later uses don't get reported as undefined too
+        try {
+            this.visitExpression(node.value);
+        } finally {
+            // Declare the variable, remembering the arity of function values
+            currentScope.set(node.name, {
+                type: 'variable',
+                line: node.line,
+                paramCount: this.knownArity(node.name, this.staticParamCount(node.value))
+            });
+        }
     }
 
     /**
@@ -121,14 +280,25 @@ export class Analyzer {
      */
     visitAssignment(node) {
         // Check if variable is defined
-        if (!this.lookupVariable(node.name)) {
+        const info = this.lookupVariable(node.name);
+        if (!info) {
             throw new SemanticError(
                 ErrorMessages.UNDEFINED_VARIABLE(node.name),
                 node.line,
-                null
+                node.column
+            );
+        }
+        if (info.builtin) {
+            throw new SemanticError(
+                ErrorMessages.BUILTIN_ASSIGNMENT(node.name),
+                node.line,
+                node.column
             );
         }
 
+        // Once reassigned, the variable's arity is no longer known statically
+        info.paramCount = null;
+
         // Analyze the value
         this.visitExpression(node.value);
     }
@@ -167,7 +337,58 @@ export class Analyzer {
      */
     visitWhileStatement(node) {
         this.visitExpression(node.condition);
+
+        this.loopDepth++;
         this.visitBlock(node.body, true);
+        this.loopDepth--;
+    }
+
+    /**
+     * Visit a counted loop
+     */
+    visitForStatement(node) {
+        this.visitExpression(node.start);
+        this.visitExpression(node.end);
+        if (node.step) {
+            this.visitExpression(node.step);
+        }
+
+        // Loop variable lives in its own scope around the body
+        this.pushScope();
+        const loopScope = this.scopes[this.scopes.length - 1];
+        loopScope.set(node.variable, { type: 'variable', line: node.line });
+
+        this.loopDepth++;
+        this.visitBlock(node.body, false);
+        this.loopDepth--;
+
+        this.popScope();
+    }
+
+    /**
+     * Visit a break statement
+     */
+    visitBreakStatement(node) {
+        if (this.loopDepth === 0) {
+            throw new SemanticError(
+                ErrorMessages.BREAK_OUTSIDE_LOOP(),
+                node.line,
+                node.column
+            );
+        }
+    }
+
+    /**
+     * Visit a continue statement
+     */
+    visitContinueStatement(node) {
+        if (this.loopDepth === 0) {
+            throw new SemanticError(
+                ErrorMessages.CONTINUE_OUTSIDE_LOOP(),
+                node.line,
+                node.column
+            );
+        }
     }
 
     /**
@@ -178,27 +399,67 @@ export class Analyzer {
             throw new SemanticError(
                 ErrorMessages.ALREADY_DEFINED(node.name),
                 node.line,
-                null
+                node.column
             );
         }
 
         this.functions.set(node.name, {
             params: node.params,
-            paramCount: node.params.length,
+            paramCount: this.knownArity(node.name, node.params.length),
             line: node.line
         });
 
         // Also declare in current scope
         const currentScope = this.scopes[this.scopes.length - 1];
-        currentScope.set(node.name, { type: 'function', line: node.line });
+        currentScope.set(node.name, {
+            type: 'function',
+            line: node.line,
+            paramCount: this.knownArity(node.name, node.params.length),
+            declaration: node
+        });
     }
 
     /**
      * Visit a function declaration (second pass)
      */
     visitFunctionDeclaration(node) {
+        // Functions nested in blocks are declared when reached, not hoisted
+        const currentScope = this.scopes[this.scopes.length - 1];
+        const existing = currentScope.get(node.name);
+        if (!existing || existing.declaration !== node) {
+            if (existing) {
+                throw new SemanticError(
+                    ErrorMessages.ALREADY_DEFINED(node.name),
+                    node.line,
+                    node.column
+                );
+            }
+            currentScope.set(node.name, {
+                type: 'function',
+                line: node.line,
+                paramCount: this.knownArity(node.name, node.params.length),
+                declaration: node
+            });
+        }
+
+        this.visitFunctionBody(node, node.name);
+    }
+
+    /**
+     * Visit an anonymous function expression
+     */
+    visitFunctionExpression(node) {
+        this.visitFunctionBody(node, '<anonymous>');
+    }
+
+    /**
+     * Visit the parameters and body of a named or anonymous function
+     */
+    visitFunctionBody(node, name) {
         const previousFunction = this.currentFunction;
-        this.currentFunction = node.name;
+        const previousLoopDepth = this.loopDepth;
+        this.currentFunction = name;
+        this.loopDepth = 0; // Loops outside the function don't count
 
         // Create new scope for function body
         this.pushScope();
@@ -210,7 +471,7 @@ export class Analyzer {
                 throw new SemanticError(
                     ErrorMessages.ALREADY_DEFINED(param),
                     node.line,
-                    null
+                    node.column
                 );
             }
             currentScope.set(param, { type: 'parameter', line: node.line });
@@ -221,6 +482,7 @@ export class Analyzer {
 
         this.popScope();
         this.currentFunction = previousFunction;
+        this.loopDepth = previousLoopDepth;
     }
 
     /**
@@ -231,7 +493,7 @@ export class Analyzer {
             throw new SemanticError(
                 ErrorMessages.RETURN_OUTSIDE_FUNCTION(),
                 node.line,
-                null
+                node.column
             );
         }
 
@@ -240,6 +502,82 @@ export class Analyzer {
         }
     }
 
+    /**
+     * Visit a try statement
+     */
+    visitTryStatement(node) {
+        this.visitBlock(node.block, true);
+
+        if (node.handler) {
+            // The caught error is only visible inside the handler
+            this.pushScope();
+            if (node.param) {
+                const handlerScope = this.scopes[this.scopes.length - 1];
+                handlerScope.set(node.param, { type: 'variable', line: node.line });
+            }
+            this.visitBlock(node.handler, false);
+            this.popScope();
+        }
+
+        if (node.finalizer) {
+            this.visitBlock(node.finalizer, true);
+        }
+    }
+
+    /**
+     * Visit an import statement - compiles the module and declares its functions
+     */
+    visitImportStatement(node) {
+        const currentScope = this.scopes[this.scopes.length - 1];
+        let module = null;
+        let failure = null;
+
+        try {
+            if (!this.loader) {
+                throw new SemanticError(
+                    ErrorMessages.NO_MODULE_RESOLVER(),
+                    node.line,
+                    node.column
+                );
+            }
+            module = this.loader.load(node.source, this.file, node.line, node.column);
+        } catch (error) {
+            failure = error;
+        }
+
+        // The names are declared even if the import fails, so later calls
+        // don't get reported as undefined too
+        for (const name of node.names) {
+            const info = module ? module.exports.get(name) : null;
+            if (module && !info) {
+                failure ??= new SemanticError(
+                    ErrorMessages.NOT_EXPORTED(name, module.id),
+                    node.line,
+                    node.column
+                );
+            }
+
+            if (currentScope.has(name)) {
+                failure ??= new SemanticError(
+                    ErrorMessages.ALREADY_DEFINED(name),
+                    node.line,
+                    node.column
+                );
+                continue;
+            }
+
+            currentScope.set(name, {
+                type: 'function',
+                line: node.line,
+                paramCount: info ? this.knownArity(name, info.paramCount) : null
+            });
+        }
+
+        if (failure) {
+            throw failure;
+        }
+    }
+
     /**
      * Visit an expression statement
      */
@@ -280,9 +618,19 @@ export class Analyzer {
             case NodeType.CALL_EXPRESSION:
                 this.visitCallExpression(node);
                 break;
+            case NodeType.FUNCTION_EXPRESSION:
+                this.visitFunctionExpression(node);
+                break;
             case NodeType.LITERAL:
                 // Literals are always valid
                 break;
+            case NodeType.INTERPOLATED_STRING:
+                for (const part of node.parts) {
+                    if (typeof part !== 'string') {
+                        this.visitExpression(part);
+                    }
+                }
+                break;
             case NodeType.IDENTIFIER:
                 this.visitIdentifier(node);
                 break;
@@ -292,6 +640,32 @@ export class Analyzer {
             case NodeType.ASSIGNMENT:
                 this.visitAssignment(node);
                 break;
+            case NodeType.INDEX_EXPRESSION:
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                break;
+            case NodeType.INDEX_ASSIGNMENT:
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                this.visitExpression(node.value);
+                break;
+            case NodeType.MEMBER_EXPRESSION:
+                this.visitExpression(node.object);
+                break;
+            case NodeType.MEMBER_ASSIGNMENT:
+                this.visitExpression(node.object);
+                this.visitExpression(node.value);
+                break;
+            case NodeType.ARRAY_LITERAL:
+                for (const element of node.elements) {
+                    this.visitExpression(element);
+                }
+                break;
+            case NodeType.DICT_LITERAL:
+                for (const entry of node.entries) {
+                    this.visitExpression(entry.value);
+                }
+                break;
         }
     }
 
@@ -314,31 +688,39 @@ export class Analyzer {
      * Visit a function call
      */
     visitCallExpression(node) {
-        // Check if function is defined
-        const funcInfo = this.functions.get(node.callee);
-
-        if (!funcInfo) {
-            // Check if it's a variable (could be passed function)
-            if (!this.lookupVariable(node.callee)) {
+        let paramCount = null;
+        let name = null;
+
+        if (node.callee.type === NodeType.IDENTIFIER) {
+            // Check if function (or a variable holding one) is defined
+            name = node.callee.name;
+            const info = this.lookupVariable(name) || this.functions.get(name);
+            if (!info) {
                 throw new SemanticError(
-                    ErrorMessages.UNDEFINED_FUNCTION(node.callee),
+                    ErrorMessages.UNDEFINED_FUNCTION(name),
                     node.line,
-                    null
+                    node.column
                 );
             }
+            paramCount = info.paramCount ?? null;
         } else {
-            // Check argument count
-            if (node.arguments.length !== funcInfo.paramCount) {
-                throw new SemanticError(
-                    ErrorMessages.WRONG_ARG_COUNT(
-                        node.callee,
-                        funcInfo.paramCount,
-                        node.arguments.length
-                    ),
-                    node.line,
-                    null
-                );
-            }
+            // Any other expression can be called, e.g. makeAdder(2)(3)
+            this.visitExpression(node.callee);
+            paramCount = this.staticParamCount(node.callee);
+            name = '<anonymous>';
+        }
+
+        // Check argument count when the callee's arity is known
+        if (paramCount !== null && node.arguments.length !== paramCount) {
+            throw new SemanticError(
+                ErrorMessages.WRONG_ARG_COUNT(
+                    name,
+                    paramCount,
+                    node.arguments.length
+                ),
+                node.line,
+                node.column
+            );
         }
 
         // Analyze arguments
@@ -355,11 +737,32 @@ export class Analyzer {
             throw new SemanticError(
                 ErrorMessages.UNDEFINED_VARIABLE(node.name),
                 node.line,
-                null
+                node.column
             );
         }
     }
 
+    /**
+     * The arity to record for a name: unknown if the program assigns to it
+     */
+    knownArity(name, paramCount) {
+        return this.reassigned.has(name) ? null : paramCount;
+    }
+
+    /**
+     * Get the parameter count of an expression if it is a function literal
+     * @returns {number|null} Null when the arity is not known statically
+     */
+    staticParamCount(node) {
+        while (node && node.type === NodeType.GROUPING) {
+            node = node.expression;
+        }
+        if (node && node.type === NodeType.FUNCTION_EXPRESSION) {
+            return node.params.length;
+        }
+        return null;
+    }
+
     // ==================== Scope Management ====================
 
     /**
@@ -377,7 +780,7 @@ export class Analyzer {
     }
 
     /**
-     * Look up a variable in all scopes
+     * Look up a variable in all scopes, then in host names and built-ins
      */
     lookupVariable(name) {
         for (let i = this.scopes.length - 1; i >= 0; i--) {
@@ -385,14 +788,37 @@ export class Analyzer {
                 return this.scopes[i].get(name);
             }
         }
+        if (this.host.has(name)) {
+            return { paramCount: this.host.get(name), builtin: true };
+        }
+        if (isBuiltin(name)) {
+            return { paramCount: Builtins[name].arity, builtin: true };
+        }
         return null;
     }
 }
 
+/**
+ * Collect the names of all variables assigned to (x = ...) anywhere in a tree
+ */
+function collectAssignedNames(node, names = new Set()) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectAssignedNames(child, names));
+    } else if (node && typeof node === 'object') {
+        if (node.type === NodeType.ASSIGNMENT) {
+            names.add(node.name);
+        }
+        for (const value of Object.values(node)) {
+            collectAssignedNames(value, names);
+        }
+    }
+    return names;
+}
+
 /**
  * Convenience function to analyze an AST
  */
-export function analyze(ast) {
-    const analyzer = new Analyzer();
+export function analyze(ast, options = {}) {
+    const analyzer = new Analyzer(options);
     return analyzer.analyze(ast);
 }
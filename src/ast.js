@@ -11,12 +11,19 @@ export const NodeType = {
     // Statements
     VARIABLE_DECLARATION: 'VariableDeclaration',
     ASSIGNMENT: 'Assignment',
+    INDEX_ASSIGNMENT: 'IndexAssignment',
+    MEMBER_ASSIGNMENT: 'MemberAssignment',
     PRINT_STATEMENT: 'PrintStatement',
     IF_STATEMENT: 'IfStatement',
     WHILE_STATEMENT: 'WhileStatement',
+    FOR_STATEMENT: 'ForStatement',
     BREAK_STATEMENT: 'BreakStatement',
+    CONTINUE_STATEMENT: 'ContinueStatement',
     FUNCTION_DECLARATION: 'FunctionDeclaration',
     RETURN_STATEMENT: 'ReturnStatement',
+    TRY_STATEMENT: 'TryStatement',
+    THROW_STATEMENT: 'ThrowStatement',
+    IMPORT_STATEMENT: 'ImportStatement',
     EXPRESSION_STATEMENT: 'ExpressionStatement',
     BLOCK: 'Block',
 
@@ -24,7 +31,13 @@ export const NodeType = {
     BINARY_EXPRESSION: 'BinaryExpression',
     UNARY_EXPRESSION: 'UnaryExpression',
     CALL_EXPRESSION: 'CallExpression',
+    FUNCTION_EXPRESSION: 'FunctionExpression',
+    INDEX_EXPRESSION: 'IndexExpression',
+    MEMBER_EXPRESSION: 'MemberExpression',
+    ARRAY_LITERAL: 'ArrayLiteral',
+    DICT_LITERAL: 'DictLiteral',
     LITERAL: 'Literal',
+    INTERPOLATED_STRING: 'InterpolatedString',
     IDENTIFIER: 'Identifier',
     GROUPING: 'Grouping',
 };
@@ -44,95 +57,210 @@ export const AST = {
     /**
      * Create a Variable Declaration node
      */
-    VariableDeclaration(name, value, line) {
+    VariableDeclaration(name, value, line, column = null) {
         return {
             type: NodeType.VARIABLE_DECLARATION,
             name,
             value,
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create an Assignment node
      */
-    Assignment(name, value, line) {
+    Assignment(name, value, line, column = null) {
         return {
             type: NodeType.ASSIGNMENT,
             name,
             value,
-            line
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Index Assignment node (xs[i] = value)
+     */
+    IndexAssignment(object, index, value, line, column = null) {
+        return {
+            type: NodeType.INDEX_ASSIGNMENT,
+            object,
+            index,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Member Assignment node (obj.key = value)
+     */
+    MemberAssignment(object, property, value, line, column = null) {
+        return {
+            type: NodeType.MEMBER_ASSIGNMENT,
+            object,
+            property,
+            value,
+            line,
+            column
         };
     },
 
     /**
      * Create a Print Statement node
      */
-    PrintStatement(expressions, line) {
+    PrintStatement(expressions, line, column = null) {
         return {
             type: NodeType.PRINT_STATEMENT,
             expressions,
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create an If Statement node
      */
-    IfStatement(conditions, consequents, alternate, line) {
+    IfStatement(conditions, consequents, alternate, line, column = null) {
         return {
             type: NodeType.IF_STATEMENT,
             conditions,      // Array of conditions (for if and else-if)
             consequents,     // Array of blocks (corresponding to conditions)
             alternate,       // Optional else block
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create a While Statement node
      */
-    WhileStatement(condition, body, line) {
+    WhileStatement(condition, body, line, column = null) {
         return {
             type: NodeType.WHILE_STATEMENT,
             condition,
             body,
-            line
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a For Statement node (counted loop)
+     */
+    ForStatement(variable, start, end, step, body, line, column = null) {
+        return {
+            type: NodeType.FOR_STATEMENT,
+            variable,        // Loop counter name
+            start,
+            end,             // Inclusive upper/lower bound
+            step,            // Optional step expression
+            body,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Break Statement node
+     */
+    BreakStatement(line, column = null) {
+        return {
+            type: NodeType.BREAK_STATEMENT,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Continue Statement node
+     */
+    ContinueStatement(line, column = null) {
+        return {
+            type: NodeType.CONTINUE_STATEMENT,
+            line,
+            column
         };
     },
 
     /**
      * Create a Function Declaration node
      */
-    FunctionDeclaration(name, params, body, line) {
+    FunctionDeclaration(name, params, body, line, column = null, exported = false) {
         return {
             type: NodeType.FUNCTION_DECLARATION,
             name,
             params,
             body,
-            line
+            exported,        // Marked with 'bahar bhejo'
+            line,
+            column
         };
     },
 
     /**
      * Create a Return Statement node
      */
-    ReturnStatement(value, line) {
+    ReturnStatement(value, line, column = null) {
         return {
             type: NodeType.RETURN_STATEMENT,
             value,
-            line
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Try Statement node
+     */
+    TryStatement(block, param, handler, finalizer, line, column = null) {
+        return {
+            type: NodeType.TRY_STATEMENT,
+            block,
+            param,           // Optional name bound to the caught error
+            handler,         // Optional 'pakda gaya' block
+            finalizer,       // Optional 'aakhir mein' block
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Throw Statement node
+     */
+    ThrowStatement(value, line, column = null) {
+        return {
+            type: NodeType.THROW_STATEMENT,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Import Statement node
+     */
+    ImportStatement(source, names, line, column = null) {
+        return {
+            type: NodeType.IMPORT_STATEMENT,
+            source,          // Module path as written
+            names,           // Imported function names
+            line,
+            column
         };
     },
 
     /**
      * Create an Expression Statement node
      */
-    ExpressionStatement(expression, line) {
+    ExpressionStatement(expression, line, column = null) {
         return {
             type: NodeType.EXPRESSION_STATEMENT,
             expression,
-            line
+            line,
+            column
         };
     },
 
@@ -149,70 +277,152 @@ export const AST = {
     /**
      * Create a Binary Expression node
      */
-    BinaryExpression(operator, left, right, line) {
+    BinaryExpression(operator, left, right, line, column = null) {
         return {
             type: NodeType.BINARY_EXPRESSION,
             operator,
             left,
             right,
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create a Unary Expression node
      */
-    UnaryExpression(operator, operand, line) {
+    UnaryExpression(operator, operand, line, column = null) {
         return {
             type: NodeType.UNARY_EXPRESSION,
             operator,
             operand,
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create a Call Expression node
      */
-    CallExpression(callee, args, line) {
+    CallExpression(callee, args, line, column = null) {
         return {
             type: NodeType.CALL_EXPRESSION,
-            callee,
+            callee,          // Expression node that evaluates to a function
             arguments: args,
-            line
+            line,
+            column           // Where the call expression starts
+        };
+    },
+
+    /**
+     * Create a Function Expression node (anonymous climax)
+     */
+    FunctionExpression(params, body, line, column = null) {
+        return {
+            type: NodeType.FUNCTION_EXPRESSION,
+            name: null,
+            params,
+            body,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Index Expression node (xs[i])
+     */
+    IndexExpression(object, index, line, column = null) {
+        return {
+            type: NodeType.INDEX_EXPRESSION,
+            object,
+            index,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Member Expression node (obj.key)
+     */
+    MemberExpression(object, property, line, column = null) {
+        return {
+            type: NodeType.MEMBER_EXPRESSION,
+            object,
+            property,        // Key name as a string
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Array Literal node
+     */
+    ArrayLiteral(elements, line, column = null) {
+        return {
+            type: NodeType.ARRAY_LITERAL,
+            elements,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Dict Literal node
+     */
+    DictLiteral(entries, line, column = null) {
+        return {
+            type: NodeType.DICT_LITERAL,
+            entries,         // Array of { key, value }
+            line,
+            column
         };
     },
 
     /**
      * Create a Literal node
      */
-    Literal(value, line) {
+    Literal(value, line, column = null) {
         return {
             type: NodeType.LITERAL,
             value,
-            line
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Interpolated String node ("Naam: {name}")
+     */
+    InterpolatedString(parts, line, column = null) {
+        return {
+            type: NodeType.INTERPOLATED_STRING,
+            parts,           // Array of strings and expression nodes
+            line,
+            column
         };
     },
 
     /**
      * Create an Identifier node
      */
-    Identifier(name, line) {
+    Identifier(name, line, column = null) {
         return {
             type: NodeType.IDENTIFIER,
             name,
-            line
+            line,
+            column
         };
     },
 
     /**
      * Create a Grouping node (parenthesized expression)
      */
-    Grouping(expression, line) {
+    Grouping(expression, line, column = null) {
         return {
             type: NodeType.GROUPING,
             expression,
-            line
+            line,
+            column
         };
     }
 };
@@ -241,6 +451,12 @@ export function printAST(node, indent = 0) {
         case NodeType.ASSIGNMENT:
             return `${pad}Assign: ${node.name}\n${printAST(node.value, indent + 1)}`;
 
+        case NodeType.INDEX_ASSIGNMENT:
+            return `${pad}IndexAssign:\n${printAST(node.object, indent + 1)}\n${printAST(node.index, indent + 1)}\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.MEMBER_ASSIGNMENT:
+            return `${pad}MemberAssign: .${node.property}\n${printAST(node.object, indent + 1)}\n${printAST(node.value, indent + 1)}`;
+
         case NodeType.PRINT_STATEMENT:
             return `${pad}Print:\n${node.expressions.map(e => printAST(e, indent + 1)).join('\n')}`;
 
@@ -258,12 +474,45 @@ export function printAST(node, indent = 0) {
         case NodeType.WHILE_STATEMENT:
             return `${pad}While:\n${pad}  Condition:\n${printAST(node.condition, indent + 2)}\n${pad}  Body:\n${printAST(node.body, indent + 2)}`;
 
+        case NodeType.FOR_STATEMENT: {
+            let result = `${pad}For: ${node.variable}\n`;
+            result += `${pad}  From:\n${printAST(node.start, indent + 2)}\n`;
+            result += `${pad}  To:\n${printAST(node.end, indent + 2)}\n`;
+            if (node.step) {
+                result += `${pad}  Step:\n${printAST(node.step, indent + 2)}\n`;
+            }
+            return result + `${pad}  Body:\n${printAST(node.body, indent + 2)}`;
+        }
+
+        case NodeType.BREAK_STATEMENT:
+            return `${pad}Break`;
+
+        case NodeType.CONTINUE_STATEMENT:
+            return `${pad}Continue`;
+
         case NodeType.FUNCTION_DECLARATION:
-            return `${pad}Function: ${node.name}(${node.params.join(', ')})\n${printAST(node.body, indent + 1)}`;
+            return `${pad}${node.exported ? 'Exported ' : ''}Function: ${node.name}(${node.params.join(', ')})\n${printAST(node.body, indent + 1)}`;
 
         case NodeType.RETURN_STATEMENT:
             return `${pad}Return:\n${printAST(node.value, indent + 1)}`;
 
+        case NodeType.TRY_STATEMENT: {
+            let result = `${pad}Try:\n${printAST(node.block, indent + 1)}`;
+            if (node.handler) {
+                result += `\n${pad}  Catch: ${node.param || ''}\n${printAST(node.handler, indent + 2)}`;
+            }
+            if (node.finalizer) {
+                result += `\n${pad}  Finally:\n${printAST(node.finalizer, indent + 2)}`;
+            }
+            return result;
+        }
+
+        case NodeType.THROW_STATEMENT:
+            return `${pad}Throw:\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.IMPORT_STATEMENT:
+            return `${pad}Import: ${node.names.join(', ')} from ${JSON.stringify(node.source)}`;
+
         case NodeType.EXPRESSION_STATEMENT:
             return `${pad}ExprStmt:\n${printAST(node.expression, indent + 1)}`;
 
@@ -277,11 +526,29 @@ export function printAST(node, indent = 0) {
             return `${pad}UnaryExpr: ${node.operator}\n${printAST(node.operand, indent + 1)}`;
 
         case NodeType.CALL_EXPRESSION:
-            return `${pad}Call: ${node.callee}\n${node.arguments.map(a => printAST(a, indent + 1)).join('\n')}`;
+            return `${pad}Call:\n${pad}  Callee:\n${printAST(node.callee, indent + 2)}\n${pad}  Args:\n${node.arguments.map(a => printAST(a, indent + 2)).join('\n')}`;
+
+        case NodeType.FUNCTION_EXPRESSION:
+            return `${pad}FunctionExpr: (${node.params.join(', ')})\n${printAST(node.body, indent + 1)}`;
+
+        case NodeType.INDEX_EXPRESSION:
+            return `${pad}Index:\n${printAST(node.object, indent + 1)}\n${printAST(node.index, indent + 1)}`;
+
+        case NodeType.ARRAY_LITERAL:
+            return `${pad}Array:\n${node.elements.map(e => printAST(e, indent + 1)).join('\n')}`;
+
+        case NodeType.MEMBER_EXPRESSION:
+            return `${pad}Member: .${node.property}\n${printAST(node.object, indent + 1)}`;
+
+        case NodeType.DICT_LITERAL:
+            return `${pad}Dict:\n${node.entries.map(e => `${pad}  ${e.key}:\n${printAST(e.value, indent + 2)}`).join('\n')}`;
 
         case NodeType.LITERAL:
             return `${pad}Literal: ${JSON.stringify(node.value)}`;
 
+        case NodeType.INTERPOLATED_STRING:
+            return `${pad}InterpolatedString:\n${node.parts.map(p => typeof p === 'string' ? `${pad}  Text: ${JSON.stringify(p)}` : printAST(p, indent + 1)).join('\n')}`;
+
         case NodeType.IDENTIFIER:
             return `${pad}Identifier: ${node.name}`;
 
@@ -1,896 +1,6466 @@
 /**
  * MasalaScript Browser Bundle
- * Self-contained version for browser usage
+ * GENERATED by scripts/build-browser.js from the modules in src/ - do not edit by hand.
+ * Run `npm run build:browser` after changing the compiler.
  */
 
 (function (global) {
     'use strict';
 
-    // ==================== ERRORS ====================
+    const bundledModules = {};
 
-    class MasalaError extends Error {
-        constructor(message, line = null, column = null, type = 'Error') {
-            super(message);
-            this.name = 'MasalaError';
-            this.line = line;
-            this.column = column;
-            this.type = type;
+    // ==================== tokens.js ====================
+
+    bundledModules['tokens.js'] = (function () {
+/**
+ * MasalaScript Token Types
+ * Defines all tokens used in the language
+ */
+
+const TokenType = {
+    // Program boundaries
+    ACTION: 'ACTION',                     // Chal bhai suru kar
+    PAISA_VASOOL: 'PAISA_VASOOL',         // bas khatam karo
+
+    // Variable declaration
+    MAAN_LO: 'MAAN_LO',                   // maan lo
+
+    // Control flow - conditionals
+    AGAR_KISMAT_RAHI: 'AGAR_KISMAT_RAHI', // agar kismat rahi
+    NAHI_TO: 'NAHI_TO',                   // nahi to
+    WARNA: 'WARNA',                       // warna
+
+    // Control flow - loops
+    JAB_TAK_HAI_JAAN: 'JAB_TAK_HAI_JAAN', // jab tak hai jaan
+    BREAK: 'BREAK',                       // me bahar ja raha hu
+    CONTINUE: 'CONTINUE',                 // agla dekho
+    HAR: 'HAR',                           // har (contextual)
+    KE_LIYE: 'KE_LIYE',                   // ke liye
+    SE: 'SE',                             // se (contextual)
+    TAK: 'TAK',                           // tak (contextual)
+    STEP: 'STEP',                         // step (contextual)
+
+    // Error handling
+    KOSHISH_KARO: 'KOSHISH_KARO',         // koshish karo
+    PAKDA_GAYA: 'PAKDA_GAYA',             // pakda gaya
+    AAKHIR_MEIN: 'AAKHIR_MEIN',           // aakhir mein
+    FENK_DO: 'FENK_DO',                   // fenk do
+
+    // Functions
+    CLIMAX: 'CLIMAX',                     // climax
+    DIALOGUE_WAPAS_DO: 'DIALOGUE_WAPAS_DO', // dialogue wapas do
+
+    // Modules
+    LE_AAO: 'LE_AAO',                     // le aao
+    BAHAR_BHEJO: 'BAHAR_BHEJO',           // bahar bhejo
+
+    // I/O
+    EK_BAAT_BATAUN: 'EK_BAAT_BATAUN',     // ek baat bataun:
+
+    // Literals
+    NUMBER: 'NUMBER',                     // 10, 3.14
+    STRING: 'STRING',                     // "hello"
+    INTERPOLATED_STRING: 'INTERPOLATED_STRING', // "Naam: {name}"
+    SACH: 'SACH',                         // true
+    GALAT: 'GALAT',                       // false
+    KHAALI: 'KHAALI',                     // null
+
+    // Identifier
+    IDENTIFIER: 'IDENTIFIER',             // variable/function names
+
+    // Operators - Arithmetic
+    PLUS: 'PLUS',                         // +
+    MINUS: 'MINUS',                       // -
+    STAR: 'STAR',                         // *
+    SLASH: 'SLASH',                       // /
+    PERCENT: 'PERCENT',                   // %
+
+    // Operators - Comparison
+    EQUAL_EQUAL: 'EQUAL_EQUAL',           // ==
+    BANG_EQUAL: 'BANG_EQUAL',             // !=
+    LESS: 'LESS',                         // <
+    GREATER: 'GREATER',                   // >
+    LESS_EQUAL: 'LESS_EQUAL',             // <=
+    GREATER_EQUAL: 'GREATER_EQUAL',       // >=
+
+    // Operators - Logical
+    AND: 'AND',                           // &&
+    OR: 'OR',                             // ||
+    BANG: 'BANG',                         // !
+
+    // Assignment
+    EQUAL: 'EQUAL',                       // =
+
+    // Punctuation
+    LPAREN: 'LPAREN',                     // (
+    RPAREN: 'RPAREN',                     // )
+    LBRACE: 'LBRACE',                     // {
+    RBRACE: 'RBRACE',                     // }
+    LBRACKET: 'LBRACKET',                 // [
+    RBRACKET: 'RBRACKET',                 // ]
+    COMMA: 'COMMA',                       // ,
+    COLON: 'COLON',                       // :
+    DOT: 'DOT',                           // .
+
+    // Special
+    EOF: 'EOF',                           // End of file
+    NEWLINE: 'NEWLINE',                   // Line break (optional, for tracking)
+};
+
+// Multi-word keywords mapping (order matters - longer phrases first)
+const Keywords = {
+    'Chal bhai suru kar': TokenType.ACTION,
+    'bas khatam karo': TokenType.PAISA_VASOOL,
+    'maan lo': TokenType.MAAN_LO,
+    'agar kismat rahi': TokenType.AGAR_KISMAT_RAHI,
+    'nahi to': TokenType.NAHI_TO,
+    'warna': TokenType.WARNA,
+    'jab tak hai jaan': TokenType.JAB_TAK_HAI_JAAN,
+    'me bahar ja raha hu': TokenType.BREAK,
+    'agla dekho': TokenType.CONTINUE,
+    'har': TokenType.HAR,
+    'ke liye': TokenType.KE_LIYE,
+    'se': TokenType.SE,
+    'tak': TokenType.TAK,
+    'step': TokenType.STEP,
+    'koshish karo': TokenType.KOSHISH_KARO,
+    'pakda gaya': TokenType.PAKDA_GAYA,
+    'aakhir mein': TokenType.AAKHIR_MEIN,
+    'fenk do': TokenType.FENK_DO,
+    'climax': TokenType.CLIMAX,
+    'dialogue wapas do': TokenType.DIALOGUE_WAPAS_DO,
+    'le aao': TokenType.LE_AAO,
+    'bahar bhejo': TokenType.BAHAR_BHEJO,
+    'ek baat bataun:': TokenType.EK_BAAT_BATAUN,
+    'sach': TokenType.SACH,
+    'galat': TokenType.GALAT,
+    'khaali': TokenType.KHAALI,
+};
+
+// Program delimiters from the first release, still accepted by default
+const LegacyDelimiters = {
+    'action!': TokenType.ACTION,
+    'paisa vasool': TokenType.PAISA_VASOOL,
+};
+
+// Other common spellings of the same keywords, accepted by default
+const KeywordAliases = {
+    'maanlo': TokenType.MAAN_LO,
+    'man lo': TokenType.MAAN_LO,
+    'agar': TokenType.AGAR_KISMAT_RAHI,
+    'nahi toh': TokenType.NAHI_TO,
+};
+
+// The same keywords written in Devanagari
+const DevanagariKeywords = {
+    'चल भाई शुरू कर': TokenType.ACTION,
+    'बस खतम करो': TokenType.PAISA_VASOOL,
+    'मान लो': TokenType.MAAN_LO,
+    'अगर किस्मत रही': TokenType.AGAR_KISMAT_RAHI,
+    'नहीं तो': TokenType.NAHI_TO,
+    'वरना': TokenType.WARNA,
+    'जब तक है जान': TokenType.JAB_TAK_HAI_JAAN,
+    'मैं बाहर जा रहा हूँ': TokenType.BREAK,
+    'अगला देखो': TokenType.CONTINUE,
+    'हर': TokenType.HAR,
+    'के लिए': TokenType.KE_LIYE,
+    'से': TokenType.SE,
+    'तक': TokenType.TAK,
+    'स्टेप': TokenType.STEP,
+    'कोशिश करो': TokenType.KOSHISH_KARO,
+    'पकड़ा गया': TokenType.PAKDA_GAYA,
+    'आखिर में': TokenType.AAKHIR_MEIN,
+    'फेंक दो': TokenType.FENK_DO,
+    'क्लाइमेक्स': TokenType.CLIMAX,
+    'डायलॉग वापस दो': TokenType.DIALOGUE_WAPAS_DO,
+    'ले आओ': TokenType.LE_AAO,
+    'बाहर भेजो': TokenType.BAHAR_BHEJO,
+    'एक बात बताऊँ:': TokenType.EK_BAAT_BATAUN,
+    'सच': TokenType.SACH,
+    'गलत': TokenType.GALAT,
+    'खाली': TokenType.KHAALI,
+    'अगर': TokenType.AGAR_KISMAT_RAHI,
+};
+
+// Built-in keyword dialects - spelling → token type.
+// The first spelling of a token type is the one error messages use.
+const Dialects = {
+    // Canonical keywords, the legacy delimiters, the common aliases and Devanagari
+    default: { ...Keywords, ...LegacyDelimiters, ...KeywordAliases, ...DevanagariKeywords },
+    // Only the canonical spellings
+    strict: Keywords,
+    // Only 'action!' / 'paisa vasool' as delimiters
+    legacy: {
+        ...LegacyDelimiters,
+        ...Object.fromEntries(Object.entries(Keywords).filter(
+            ([, type]) => type !== TokenType.ACTION && type !== TokenType.PAISA_VASOOL
+        )),
+    },
+    // Only the Devanagari keywords
+    devanagari: DevanagariKeywords,
+    // English keywords for people who don't speak Hinglish (yet)
+    english: {
+        'begin': TokenType.ACTION,
+        'end': TokenType.PAISA_VASOOL,
+        'let': TokenType.MAAN_LO,
+        'if': TokenType.AGAR_KISMAT_RAHI,
+        'else if': TokenType.NAHI_TO,
+        'else': TokenType.WARNA,
+        'while': TokenType.JAB_TAK_HAI_JAAN,
+        'break': TokenType.BREAK,
+        'continue': TokenType.CONTINUE,
+        'for': TokenType.HAR,
+        'in': TokenType.KE_LIYE,
+        'to': TokenType.SE,
+        'do': TokenType.TAK,
+        'step': TokenType.STEP,
+        'try': TokenType.KOSHISH_KARO,
+        'catch': TokenType.PAKDA_GAYA,
+        'finally': TokenType.AAKHIR_MEIN,
+        'throw': TokenType.FENK_DO,
+        'function': TokenType.CLIMAX,
+        'return': TokenType.DIALOGUE_WAPAS_DO,
+        'from': TokenType.LE_AAO,
+        'import': TokenType.SE,
+        'export': TokenType.BAHAR_BHEJO,
+        'print': TokenType.EK_BAAT_BATAUN,
+        'true': TokenType.SACH,
+        'false': TokenType.GALAT,
+        'null': TokenType.KHAALI,
+    },
+};
+
+// Keywords that only mean something where a loop or import needs them.
+// Elsewhere they are plain identifiers, so 'maan lo step = 1' still works.
+const ContextualKeywords = new Set([TokenType.HAR, TokenType.SE, TokenType.TAK, TokenType.STEP]);
+
+// Single character operators
+const SingleCharTokens = {
+    '+': TokenType.PLUS,
+    '-': TokenType.MINUS,
+    '*': TokenType.STAR,
+    '/': TokenType.SLASH,
+    '%': TokenType.PERCENT,
+    '(': TokenType.LPAREN,
+    ')': TokenType.RPAREN,
+    '{': TokenType.LBRACE,
+    '}': TokenType.RBRACE,
+    '[': TokenType.LBRACKET,
+    ']': TokenType.RBRACKET,
+    ',': TokenType.COMMA,
+    ':': TokenType.COLON,
+    '.': TokenType.DOT,
+};
+
+// Token class
+class Token {
+    constructor(type, lexeme, literal, line, column, offset = null) {
+        this.type = type;
+        this.lexeme = lexeme;
+        this.literal = literal;
+        this.line = line;
+        this.column = column;   // In characters (code points)
+        this.offset = offset;   // Index into the source string (UTF-16 code units)
+        this.keyword = null; // For an identifier spelled like a contextual keyword
+    }
+
+    toString() {
+        return `Token(${this.type}, '${this.lexeme}', ${this.literal}, L${this.line}:C${this.column})`;
+    }
+}
+
+return { TokenType, Keywords, LegacyDelimiters, KeywordAliases, DevanagariKeywords, Dialects, ContextualKeywords, SingleCharTokens, Token };
+    })();
+
+    // ==================== errors.js ====================
+
+    bundledModules['errors.js'] = (function () {
+/**
+ * MasalaScript Error Classes
+ * Custom error types with Hinglish-style error messages
+ */
+
+const { TokenType, Keywords } = bundledModules['tokens.js'];
+
+// Base error class for all MasalaScript errors
+class MasalaError extends Error {
+    constructor(message, line = null, column = null, type = 'Error') {
+        super(message);
+        this.name = 'MasalaError';
+        this.line = line;
+        this.column = column;
+        this.type = type;
+        this.file = null; // Set when the error comes from a named file/module
+        this.callStack = []; // Runtime only: calls that led here, oldest first (see Interpreter)
+    }
+
+    toString() {
+        const parts = [];
+        if (this.file) {
+            parts.push(this.file);
+        }
+        if (this.line !== null) {
+            let location = `Line ${this.line}`;
+            if (this.column !== null) {
+                location += `, Column ${this.column}`;
+            }
+            parts.push(location);
+        }
+        const location = parts.length > 0 ? ` (${parts.join(', ')})` : '';
+        return `${this.type}${location}: ${this.message}`;
+    }
+}
+
+// Lexer errors - tokenization problems
+class LexerError extends MasalaError {
+    constructor(message, line, column) {
+        super(message, line, column, 'Galti ho gayi! Lexer Error');
+        this.name = 'LexerError';
+    }
+}
+
+// Parser errors - syntax problems
+class ParserError extends MasalaError {
+    constructor(message, line, column) {
+        super(message, line, column, 'Arrey bhai! Parser Error');
+        this.name = 'ParserError';
+    }
+}
+
+// Semantic errors - meaning/validation problems
+class SemanticError extends MasalaError {
+    constructor(message, line, column) {
+        super(message, line, column, 'Kya kar rahe ho! Semantic Error');
+        this.name = 'SemanticError';
+    }
+}
+
+// Runtime errors - execution problems
+class RuntimeError extends MasalaError {
+    constructor(message, line = null) {
+        super(message, line, null, 'Dhoom machale! Runtime Error');
+        this.name = 'RuntimeError';
+    }
+}
+
+// Limit errors - the program used up its step or time budget.
+// 'koshish karo' can't catch these, so a runaway program can't swallow them and carry on
+class LimitError extends RuntimeError {
+    constructor(message, line = null) {
+        super(message, line);
+        this.name = 'LimitError';
+    }
+}
+
+// Cancellation - the host stopped the run through its AbortSignal. Not a bug in
+// the program, and like LimitError it can't be caught with 'koshish karo'
+class CancelledError extends MasalaError {
+    constructor(message, line = null) {
+        super(message, line, null, 'Bas! Program roka gaya');
+        this.name = 'CancelledError';
+    }
+}
+
+// Thrown errors - raised by the program itself with 'fenk do'
+class ThrowError extends MasalaError {
+    constructor(message, line = null, value = null) {
+        super(message, line, null, 'Bawaal ho gaya! Thrown Error');
+        this.name = 'ThrowError';
+        this.value = value;
+    }
+}
+
+// Error messages in Hinglish style
+const ErrorMessages = {
+    // Lexer errors
+    UNEXPECTED_CHARACTER: (char) => `Yeh character kya hai bhai? '${char}' samajh nahi aaya`,
+    UNTERMINATED_STRING: () => `String khatam nahi hui - closing quote lagao!`,
+    INVALID_NUMBER: (num) => `Yeh number galat hai: '${num}'`,
+    UNTERMINATED_INTERPOLATION: () => `String ke andar '{' khula hai - closing '}' lagao!`,
+    EMPTY_INTERPOLATION: () => `'{ }' khaali hai - andar koi expression likho`,
+
+    // Dialect errors
+    UNKNOWN_DIALECT: (name, known) => `Dialect '${name}' nahi pata - inme se chuno: ${known.join(', ')} (ya apni keyword mapping do)`,
+    INVALID_DIALECT: () => `Dialect mapping mein 'keywords' object chahiye, jaise { "keywords": { "maanlo": "MAAN_LO" } }`,
+    INVALID_KEYWORD_SPELLING: (spelling) => `Keyword '${spelling}' nahi chalega - khaali ya space se shuru/khatam nahi ho sakta`,
+    UNKNOWN_KEYWORD_TYPE: (spelling, type) => `Keyword '${spelling}' ke liye '${type}' koi keyword token nahi hai`,
+
+    // Parser errors
+    EXPECTED_ACTION: () => `Program start karo 'Chal bhai suru kar' se - yeh toh basic hai!`,
+    EXPECTED_PAISA_VASOOL: () => `Program end karo 'bas khatam karo' se - ending toh chahiye!`,
+    EXPECTED_IDENTIFIER: () => `Yahan variable ka naam chahiye`,
+    EXPECTED_EXPRESSION: () => `Yahan koi expression chahiye`,
+    EXPECTED_LPAREN: () => `'(' lagana bhool gaye kya?`,
+    EXPECTED_RPAREN: () => `')' lagana bhool gaye kya?`,
+    EXPECTED_LBRACE: () => `'{' lagana bhool gaye kya?`,
+    EXPECTED_RBRACE: () => `'}' lagana bhool gaye kya?`,
+    EXPECTED_RBRACKET: () => `']' lagana bhool gaye kya?`,
+    EXPECTED_COLON: () => `':' lagana bhool gaye kya?`,
+    EXPECTED_KEY: () => `Yahan dict ki key ka naam chahiye`,
+    EXPECTED_MODULE_PATH: () => `'le aao' ke baad module ka path string mein likho, jaise "./utils.ms"`,
+    EXPECTED_CATCH_OR_FINALLY: () => `'koshish karo' ke baad 'pakda gaya' ya 'aakhir mein' chahiye`,
+    EXPECTED_EQUALS: () => `'=' lagana bhool gaye kya?`,
+    EXPECTED_KEYWORD: (keyword) => `Yahan '${keyword}' likhna bhool gaye kya?`,
+    UNEXPECTED_TOKEN: (token) => `Yeh token yahan nahi aana chahiye: '${token}'`,
+    INVALID_ASSIGNMENT_TARGET: () => `Assignment ka target galat hai - sirf variables, list items ya dict keys mein assign kar sakte ho`,
+
+    // Semantic errors
+    UNDEFINED_VARIABLE: (name) => `Variable '${name}' define nahi hua hai - pehle 'maan lo' karo`,
+    UNDEFINED_FUNCTION: (name) => `Function '${name}' define nahi hua hai`,
+    ALREADY_DEFINED: (name) => `'${name}' toh pehle se define hai - duplicate mat karo!`,
+    WRONG_ARG_COUNT: (name, expected, got) =>
+        `Function '${name}' ko ${expected} arguments chahiye, tumne ${got} diye`,
+    IMPORT_NOT_TOP_LEVEL: () => `'le aao' sirf program ke top level pe use karo`,
+    EXPORT_NOT_TOP_LEVEL: () => `'bahar bhejo' sirf top level 'climax' functions pe laga sakte ho`,
+    MODULE_NOT_FOUND: (path) => `Module '${path}' nahi mila - path check karo`,
+    IMPORT_CYCLE: (chain) => `Modules gol gol ek dusre ko import kar rahe hain: ${chain.join(' -> ')}`,
+    NOT_EXPORTED: (name, file) => `'${name}' module '${file}' se export nahi hua - 'bahar bhejo' lagao`,
+    NO_MODULE_RESOLVER: () => `Modules load karne ka koi resolver set nahi hai`,
+    BUILTIN_ASSIGNMENT: (name) => `'${name}' built-in hai - isko badal nahi sakte, 'maan lo' se naya naam banao`,
+    RETURN_OUTSIDE_FUNCTION: () => `'dialogue wapas do' sirf function ke andar use karo`,
+    BREAK_OUTSIDE_LOOP: () => `'me bahar ja raha hu' sirf loop ke andar use karo`,
+    CONTINUE_OUTSIDE_LOOP: () => `'agla dekho' sirf loop ke andar use karo`,
+
+    // Runtime errors
+    DIVISION_BY_ZERO: () => `Zero se divide? Yeh toh impossible hai bhai!`,
+    NOT_A_FUNCTION: (name) => `'${name}' function nahi hai - call mat karo`,
+    NOT_A_NUMBER: (op) => `'${op}' operation ke liye numbers chahiye`,
+    TYPE_ERROR: (expected, got) => `${expected} chahiye tha, ${got} mil gaya`,
+    INVALID_OPERAND: (op) => `'${op}' ke saath yeh operands use nahi kar sakte`,
+    NOT_INDEXABLE: (type) => `${type} mein [index] nahi laga sakte - sirf list, dict ya string mein`,
+    STRING_IMMUTABLE: () => `String ke andar kuch badal nahi sakte - naya string banao`,
+    INVALID_INDEX: (index) => `Index ${index} galat hai - 0 ya usse bada poora number chahiye`,
+    INDEX_OUT_OF_RANGE: (index, length) =>
+        `Index ${index} list ke bahar hai - list mein sirf ${length} items hain`,
+    NOT_A_DICT: (type) => `${type} mein '.' se key nahi nikal sakte - sirf dict mein`,
+    INVALID_KEY: (key) => `Dict ki key string honi chahiye, ${key} nahi chalega`,
+    KEY_NOT_FOUND: (key) => `Key '${key}' dict mein hai hi nahi`,
+    WRONG_ARG_TYPE: (name, expected, got) => `'${name}' ko ${expected} chahiye, ${got} mil gaya`,
+    NOT_NUMERIC: (value) => `"${value}" ko number nahi bana sakte`,
+    EMPTY_LIST: (name) => `Khaali list pe '${name}' nahi chala sakte`,
+    HOST_ERROR: (name, message) => `Host function '${name}' fail ho gaya: ${message}`,
+    HOST_ASYNC: (name) => `Host function '${name}' ne Promise diya - sirf sync functions chalte hain`,
+    NO_INPUT: () => `'poocho' ke liye koi input source set nahi hai`,
+    INPUT_EXHAUSTED: () => `Input khatam ho gaya - 'poocho' ko jawab nahi mila`,
+    ZERO_STEP: () => `Loop ka step zero nahi ho sakta - loop kabhi khatam nahi hoga!`,
+    LOOP_LIMIT_EXCEEDED: (limit) => `Loop limit exceeded - ${limit} baar chal chuka, possible infinite loop detected!`,
+    STEP_LIMIT_EXCEEDED: (limit) => `Program ${limit} steps ke baad bhi khatam nahi hua - kahin infinite loop toh nahi?`,
+    TIMEOUT_EXCEEDED: (ms) => `Time khatam! Program ${ms}ms se zyada chal gaya - kahin infinite loop toh nahi?`,
+    PROGRAM_CANCELLED: (reason) => reason
+        ? `Program roka gaya: ${reason}`
+        : `Program roka gaya - run beech mein hi cancel kar diya`,
+    CALL_DEPTH_EXCEEDED: (depth) => `Function calls ${depth} level gehre chale gaye - recursion ka base case bhool gaye kya?`,
+};
+
+/**
+ * Rewrite the keywords quoted in an error message the way the active
+ * dialect spells them, e.g. 'maan lo' → 'let' in the English dialect.
+ * Messages are written with the canonical spellings; program delimiters
+ * list every accepted spelling since old files often use the legacy ones.
+ * @param {string} message - Error message
+ * @param {Object} dialect - Resolved dialect ({ name, keywords })
+ * @returns {string}
+ */
+function localizeMessage(message, dialect) {
+    const spellings = {};
+    for (const [spelling, type] of Object.entries(dialect.keywords)) {
+        (spellings[type] = spellings[type] || []).push(spelling);
+    }
+
+    return message.replace(/'([^'\n]+)'/g, (quoted, text) => {
+        const type = Keywords[text];
+        if (!type || !spellings[type]) {
+            return quoted;
+        }
+
+        const delimiter = type === TokenType.ACTION || type === TokenType.PAISA_VASOOL;
+        const shown = delimiter ? spellings[type] : spellings[type].slice(0, 1);
+        return shown.map(spelling => `'${spelling}'`).join(' ya ');
+    });
+}
+
+/**
+ * Whitespace that lines a caret up under the given column (counted in
+ * characters, as the lexer does). Tabs are kept, and combining marks such
+ * as Devanagari vowel signs take no space since they join the letter before.
+ */
+function caretPadding(line, column) {
+    return Array.from(line)
+        .slice(0, column - 1)
+        .map(char => char === '\t' ? '\t' : /^[\p{Mn}\p{Me}\p{Cf}]$/u.test(char) ? '' : ' ')
+        .join('');
+}
+
+// Tracebacks longer than this keep only their newest and oldest lines
+const MAX_TRACE_LINES = 20;
+
+/**
+ * Format a runtime error's call stack as a traceback, newest call first:
+ * where the error happened, then every call site that led there.
+ * Repeats (as in deep recursion) are folded into one line.
+ */
+function formatCallStack(error) {
+    const frames = error.callStack;
+    const mainFile = frames[0].file;
+    const functionName = (frame) => `'${frame.name || '<anonymous>'}'`;
+    const place = (file, line, column) => [
+        file && file !== mainFile ? file : null,
+        `line ${line}`,
+        column !== null ? `column ${column}` : null
+    ].filter(Boolean).join(', ');
+
+    const entries = [
+        `${functionName(frames[frames.length - 1])} ke andar, ${place(error.file, error.line, error.column)} - yahan gadbad hui`
+    ];
+    for (let i = frames.length - 1; i >= 0; i--) {
+        const frame = frames[i];
+        if (frame.line === null) {
+            entries.push(`JavaScript ne ${functionName(frame)} ko bulaya`);
+            continue;
+        }
+        const caller = i > 0 ? `${functionName(frames[i - 1])} ke andar` : 'main program mein';
+        entries.push(`${caller}, ${place(frame.file, frame.line, frame.column)} - yahan se ${functionName(frame)} ko bulaya`);
+    }
+
+    // Fold repeated lines
+    const folded = [];
+    for (let i = 0; i < entries.length; i++) {
+        let repeats = 0;
+        while (entries[i + 1] === entries[i]) {
+            repeats++;
+            i++;
+        }
+        folded.push(entries[i]);
+        if (repeats > 0) {
+            folded.push(`... upar wali line ${repeats} baar aur`);
+        }
+    }
+
+    let shown = folded;
+    if (folded.length > MAX_TRACE_LINES) {
+        const half = MAX_TRACE_LINES / 2;
+        shown = [
+            ...folded.slice(0, half),
+            `... ${folded.length - MAX_TRACE_LINES} lines chhod di`,
+            ...folded.slice(-half)
+        ];
+    }
+
+    return '🎞️  Flashback - kisne kisko bulaya (sabse naya upar):\n'
+        + shown.map(entry => `    ${entry}\n`).join('');
+}
+
+// Format error with source code context
+function formatErrorWithContext(error, sourceCode, contextLines = 2, dialect = null) {
+    const lines = sourceCode.split('\n');
+    const header = error.toString();
+    let output = (dialect ? localizeMessage(header, dialect) : header) + '\n\n';
+
+    if (error.line !== null && error.line <= lines.length) {
+        const startLine = Math.max(1, error.line - contextLines);
+        const endLine = Math.min(lines.length, error.line + contextLines);
+
+        for (let i = startLine; i <= endLine; i++) {
+            const lineNum = String(i).padStart(4, ' ');
+            const marker = i === error.line ? ' >> ' : '    ';
+            output += `${lineNum}${marker}${lines[i - 1]}\n`;
+
+            // Add column pointer
+            if (i === error.line && error.column !== null) {
+                const pointer = ' '.repeat(4 + 4) + caretPadding(lines[i - 1], error.column) + '^';
+                output += pointer + '\n';
+            }
+        }
+    }
+
+    if (error.callStack.length > 0) {
+        output += '\n' + formatCallStack(error);
+    }
+
+    return output;
+}
+
+return { MasalaError, LexerError, ParserError, SemanticError, RuntimeError, LimitError, CancelledError, ThrowError, ErrorMessages, localizeMessage, formatErrorWithContext };
+    })();
+
+    // ==================== dialects.js ====================
+
+    bundledModules['dialects.js'] = (function () {
+/**
+ * MasalaScript Keyword Dialects
+ * Turns a dialect name or a user-supplied keyword mapping into the
+ * spelling → token type table the Lexer uses
+ */
+
+const { Dialects } = bundledModules['tokens.js'];
+const { LexerError, ErrorMessages } = bundledModules['errors.js'];
+
+// Token types a keyword spelling may map to
+const KeywordTypes = new Set(Object.values(Dialects.default));
+
+/**
+ * Resolve a dialect.
+ *
+ * Accepts a built-in dialect name ('default', 'strict', 'legacy', 'english')
+ * or a mapping object such as:
+ *
+ *   {
+ *     "name": "meri-boli",
+ *     "extends": "default",
+ *     "keywords": { "bolo:": "EK_BAAT_BATAUN", "jab tak": "JAB_TAK_HAI_JAAN" }
+ *   }
+ *
+ * Without "extends" the mapping must list every keyword the programs use.
+ * Spellings from the mapping come first, so error messages use them.
+ *
+ * @param {string|Object} dialect - Dialect name or mapping ('default' if not given)
+ * @returns {Object} { name, keywords: { spelling: TokenType } }
+ */
+function resolveDialect(dialect = 'default') {
+    if (dialect === null || dialect === undefined) {
+        dialect = 'default';
+    }
+
+    if (typeof dialect === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(Dialects, dialect)) {
+            throw new LexerError(ErrorMessages.UNKNOWN_DIALECT(dialect, Object.keys(Dialects)), null, null);
+        }
+        return { name: dialect, keywords: Dialects[dialect] };
+    }
+
+    if (typeof dialect !== 'object' || typeof dialect.keywords !== 'object' || dialect.keywords === null) {
+        throw new LexerError(ErrorMessages.INVALID_DIALECT(), null, null);
+    }
+
+    const keywords = {};
+    for (const [spelling, type] of Object.entries(dialect.keywords)) {
+        if (!spelling || spelling !== spelling.trim() || spelling.includes('\n')) {
+            throw new LexerError(ErrorMessages.INVALID_KEYWORD_SPELLING(spelling), null, null);
+        }
+        if (!KeywordTypes.has(type)) {
+            throw new LexerError(ErrorMessages.UNKNOWN_KEYWORD_TYPE(spelling, type), null, null);
+        }
+        keywords[spelling] = type;
+    }
+
+    if (dialect.extends) {
+        for (const [spelling, type] of Object.entries(resolveDialect(dialect.extends).keywords)) {
+            if (!(spelling in keywords)) {
+                keywords[spelling] = type;
+            }
+        }
+    }
+
+    return { name: dialect.name || 'custom', keywords };
+}
+
+return { resolveDialect };
+    })();
+
+    // ==================== lexer.js ====================
+
+    bundledModules['lexer.js'] = (function () {
+/**
+ * MasalaScript Lexer (Tokenizer)
+ * Converts source code into a stream of tokens
+ */
+
+const { Token, TokenType, SingleCharTokens, ContextualKeywords } = bundledModules['tokens.js'];
+const { LexerError, ErrorMessages } = bundledModules['errors.js'];
+const { resolveDialect } = bundledModules['dialects.js'];
+
+class Lexer {
+    /**
+     * @param {string} source - Source code
+     * @param {Object} options
+     * @param {string|Object} options.dialect - Dialect name or keyword mapping ('default' if not given)
+     */
+    constructor(source, options = {}) {
+        this.source = source;
+        this.dialect = resolveDialect(options.dialect);
+        // Keywords are case-insensitive, so look them up in lowercase
+        this.keywords = {};
+        for (const [spelling, type] of Object.entries(this.dialect.keywords)) {
+            this.keywords[spelling.toLowerCase()] = type;
+        }
+        // Longest first, so keywords match greedily
+        this.sortedKeywords = Object.keys(this.keywords).sort((a, b) => b.length - a.length);
+        this.tokens = [];
+        this.errors = []; // Every error found, in source order
+        this.start = 0;
+        this.current = 0;
+        this.line = 1;
+        this.column = 1;
+        this.startColumn = 1;
+        this.offset = 0; // Where this.source starts in the file (for interpolations)
+    }
+
+    /**
+     * Tokenize the entire source code.
+     * After an error the rest of that line is skipped and scanning goes on,
+     * so this.errors holds every error; the first one is thrown at the end.
+     * @returns {Token[]} Array of tokens
+     */
+    tokenize() {
+        while (!this.isAtEnd()) {
+            this.start = this.current;
+            this.startColumn = this.column;
+
+            try {
+                this.scanToken();
+            } catch (error) {
+                if (!(error instanceof LexerError)) {
+                    throw error;
+                }
+                this.errors.push(error);
+                this.skipRestOfLine();
+            }
+        }
+
+        this.tokens.push(new Token(TokenType.EOF, '', null, this.line, this.column, this.offset + this.current));
+
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+        return this.tokens;
+    }
+
+    /**
+     * Skip to the end of the current line (the newline itself is left for
+     * the whitespace scanner, which keeps the line count)
+     */
+    skipRestOfLine() {
+        while (this.peek() !== '\n' && !this.isAtEnd()) {
+            this.advance();
+        }
+    }
+
+    /**
+     * Scan a single token
+     */
+    scanToken() {
+        // Skip whitespace and comments
+        if (this.skipWhitespaceAndComments()) {
+            return;
+        }
+
+        // Try to match multi-word keywords first
+        if (this.matchKeyword()) {
+            return;
+        }
+
+        const char = this.advance();
+
+        // Single character tokens
+        if (SingleCharTokens[char]) {
+            this.addToken(SingleCharTokens[char]);
+            return;
+        }
+
+        // Two-character operators
+        switch (char) {
+            case '=':
+                if (this.match('=')) {
+                    this.addToken(TokenType.EQUAL_EQUAL);
+                } else {
+                    this.addToken(TokenType.EQUAL);
+                }
+                return;
+            case '!':
+                if (this.match('=')) {
+                    this.addToken(TokenType.BANG_EQUAL);
+                } else {
+                    this.addToken(TokenType.BANG);
+                }
+                return;
+            case '<':
+                if (this.match('=')) {
+                    this.addToken(TokenType.LESS_EQUAL);
+                } else {
+                    this.addToken(TokenType.LESS);
+                }
+                return;
+            case '>':
+                if (this.match('=')) {
+                    this.addToken(TokenType.GREATER_EQUAL);
+                } else {
+                    this.addToken(TokenType.GREATER);
+                }
+                return;
+            case '&':
+                if (this.match('&')) {
+                    this.addToken(TokenType.AND);
+                } else {
+                    throw new LexerError(
+                        ErrorMessages.UNEXPECTED_CHARACTER(char),
+                        this.line,
+                        this.startColumn
+                    );
+                }
+                return;
+            case '|':
+                if (this.match('|')) {
+                    this.addToken(TokenType.OR);
+                } else {
+                    throw new LexerError(
+                        ErrorMessages.UNEXPECTED_CHARACTER(char),
+                        this.line,
+                        this.startColumn
+                    );
+                }
+                return;
+        }
+
+        // String literals
+        if (char === '"') {
+            this.string();
+            return;
+        }
+
+        // Number literals
+        if (this.isDigit(char)) {
+            this.number();
+            return;
+        }
+
+        // Identifiers
+        if (this.isAlpha(char)) {
+            this.identifier();
+            return;
+        }
+
+        throw new LexerError(
+            ErrorMessages.UNEXPECTED_CHARACTER(char),
+            this.line,
+            this.startColumn
+        );
+    }
+
+    /**
+     * Skip whitespace and comments
+     * @returns {boolean} True if something was skipped
+     */
+    skipWhitespaceAndComments() {
+        const startPos = this.current;
+
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+
+            switch (char) {
+                case ' ':
+                case '\t':
+                case '\r':
+                    this.advance();
+                    break;
+                case '\n':
+                    this.line++;
+                    this.column = 0;
+                    this.advance();
+                    break;
+                case '/':
+                    if (this.peekNext() === '/') {
+                        // Comment - skip until end of line
+                        while (this.peek() !== '\n' && !this.isAtEnd()) {
+                            this.advance();
+                        }
+                    } else {
+                        return this.current !== startPos;
+                    }
+                    break;
+                default:
+                    return this.current !== startPos;
+            }
+        }
+
+        return this.current !== startPos;
+    }
+
+    /**
+     * Try to match a multi-word keyword
+     * @returns {boolean} True if a keyword was matched
+     */
+    matchKeyword() {
+        for (const keyword of this.sortedKeywords) {
+            const remaining = this.source.slice(this.current);
+
+            if (remaining.toLowerCase().startsWith(keyword.toLowerCase())) {
+                // Check if it's a complete word (not part of a larger identifier)
+                const endPos = this.current + keyword.length;
+                const nextChar = endPos < this.source.length ? this.charAt(endPos) : null;
+
+                // For keywords ending with special chars like 'action!' or 'ek baat bataun:'
+                // we don't need to check for word boundary
+                const endsWithSpecial = /[!:]$/.test(keyword);
+
+                if (endsWithSpecial || !nextChar || !this.isAlphaNumeric(nextChar)) {
+                    // Consume the keyword
+                    while (this.current < endPos) {
+                        this.advance();
+                    }
+                    this.addKeyword(this.keywords[keyword]);
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Parse a string literal
+     * "{expr}" inside the string is interpolated; "\{" gives a literal brace
+     */
+    string() {
+        const startLine = this.line;
+        const startCol = this.startColumn;
+        const parts = [];
+        let text = '';
+
+        while (this.peek() !== '"' && !this.isAtEnd()) {
+            // Keep escape sequences raw until the chunk is complete
+            if (this.peek() === '\\' && this.peekNext() !== '\0') {
+                text += this.advance(); // backslash
+                if (this.peek() === '\n') {
+                    this.line++;
+                    this.column = 0;
+                }
+                text += this.advance();
+                continue;
+            }
+
+            if (this.peek() === '{') {
+                if (text) {
+                    parts.push(this.unescape(text));
+                    text = '';
+                }
+                parts.push(this.interpolation());
+                continue;
+            }
+
+            if (this.peek() === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            text += this.advance();
+        }
+
+        if (this.isAtEnd()) {
+            throw new LexerError(
+                ErrorMessages.UNTERMINATED_STRING(),
+                startLine,
+                startCol
+            );
+        }
+
+        // Consume closing quote
+        this.advance();
+
+        if (parts.length === 0) {
+            this.addToken(TokenType.STRING, this.unescape(text));
+            return;
+        }
+
+        if (text) {
+            parts.push(this.unescape(text));
+        }
+        this.addToken(TokenType.INTERPOLATED_STRING, parts);
+    }
+
+    /**
+     * Scan an embedded "{expr}" and tokenize the expression inside it
+     * @returns {Object} { tokens, line, column } of the embedded expression
+     */
+    interpolation() {
+        const braceLine = this.line;
+        const braceColumn = this.column;
+        this.advance(); // consume '{'
+
+        const exprStart = this.current;
+        const exprLine = this.line;
+        const exprColumn = this.column;
+        let depth = 0;
+
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+
+            if (char === '}' && depth === 0) {
+                break;
+            }
+
+            if (char === '"') {
+                this.skipNestedString();
+                continue;
+            }
+
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            if (char === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            this.advance();
+        }
+
+        if (this.isAtEnd()) {
+            throw new LexerError(
+                ErrorMessages.UNTERMINATED_INTERPOLATION(),
+                braceLine,
+                braceColumn
+            );
+        }
+
+        const source = this.source.slice(exprStart, this.current);
+        this.advance(); // consume '}'
+
+        if (source.trim() === '') {
+            throw new LexerError(
+                ErrorMessages.EMPTY_INTERPOLATION(),
+                braceLine,
+                braceColumn
+            );
+        }
+
+        // Tokenize the expression with positions relative to the whole file
+        const lexer = new Lexer(source, { dialect: this.dialect });
+        lexer.line = exprLine;
+        lexer.column = exprColumn;
+        lexer.offset = this.offset + exprStart;
+
+        return { tokens: lexer.tokenize(), line: exprLine, column: exprColumn };
+    }
+
+    /**
+     * Skip over a string literal nested inside an interpolation
+     */
+    skipNestedString() {
+        this.advance(); // consume opening quote
+
+        while (this.peek() !== '"' && !this.isAtEnd()) {
+            if (this.peek() === '\\' && this.peekNext() !== '\0') {
+                this.advance();
+            }
+            if (this.peek() === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            this.advance();
+        }
+
+        if (!this.isAtEnd()) {
+            this.advance(); // consume closing quote
+        }
+    }
+
+    /**
+     * Process escape sequences in a chunk of string text
+     */
+    unescape(text) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '{': '{', '}': '}' };
+        return text.replace(/\\([\s\S])/g, (sequence, char) =>
+            char in escapes ? escapes[char] : sequence
+        );
+    }
+
+    /**
+     * Parse a number literal
+     */
+    number() {
+        while (this.isDigit(this.peek())) {
+            this.advance();
+        }
+
+        // Look for decimal part
+        if (this.peek() === '.' && this.isDigit(this.peekNext())) {
+            this.advance(); // consume '.'
+
+            while (this.isDigit(this.peek())) {
+                this.advance();
+            }
+        }
+
+        const lexeme = this.source.slice(this.start, this.current);
+        const value = parseFloat(lexeme);
+
+        if (isNaN(value)) {
+            throw new LexerError(
+                ErrorMessages.INVALID_NUMBER(lexeme),
+                this.line,
+                this.startColumn
+            );
+        }
+
+        this.addToken(TokenType.NUMBER, value);
+    }
+
+    /**
+     * Parse an identifier
+     */
+    identifier() {
+        while (this.isAlphaNumeric(this.peek())) {
+            this.advance();
+        }
+
+        const text = this.source.slice(this.start, this.current);
+
+        // Check if it's a single-word keyword
+        const tokenType = this.keywords[text.toLowerCase()];
+        if (tokenType) {
+            this.addKeyword(tokenType);
+        } else {
+            this.addToken(TokenType.IDENTIFIER, text);
+        }
+    }
+
+    /**
+     * Check if at end of source
+     */
+    isAtEnd() {
+        return this.current >= this.source.length;
+    }
+
+    /**
+     * Get the whole character (code point) starting at a source index.
+     * Characters outside the BMP take two string indexes but one column.
+     */
+    charAt(index) {
+        return String.fromCodePoint(this.source.codePointAt(index));
+    }
+
+    /**
+     * Advance to next character
+     */
+    advance() {
+        const char = this.charAt(this.current);
+        this.current += char.length;
+        this.column++;
+        return char;
+    }
+
+    /**
+     * Peek at current character without consuming
+     */
+    peek() {
+        if (this.isAtEnd()) return '\0';
+        return this.charAt(this.current);
+    }
+
+    /**
+     * Peek at next character
+     */
+    peekNext() {
+        const next = this.current + this.peek().length;
+        if (next >= this.source.length) return '\0';
+        return this.charAt(next);
+    }
+
+    /**
+     * Match and consume a character if it matches
+     */
+    match(expected) {
+        if (this.isAtEnd()) return false;
+        if (this.source[this.current] !== expected) return false;
+
+        this.current++;
+        this.column++;
+        return true;
+    }
+
+    /**
+     * Check if character is a digit
+     */
+    isDigit(char) {
+        return char >= '0' && char <= '9';
+    }
+
+    /**
+     * Check if character can start an identifier: any Unicode letter
+     * (ID_Start, so Devanagari and other scripts work) or underscore
+     */
+    isAlpha(char) {
+        return char === '_' || /^\p{ID_Start}$/u.test(char);
+    }
+
+    /**
+     * Check if character can continue an identifier (ID_Continue adds
+     * digits and combining marks such as Devanagari vowel signs)
+     */
+    isAlphaNumeric(char) {
+        return char === '_' || /^\p{ID_Continue}$/u.test(char);
+    }
+
+    /**
+     * Add a token to the list
+     */
+    addToken(type, literal = null) {
+        const lexeme = this.source.slice(this.start, this.current);
+        this.tokens.push(new Token(type, lexeme, literal, this.line, this.startColumn, this.offset + this.start));
+    }
+
+    /**
+     * Add a keyword token. A one-word contextual keyword ('har', 'se', 'tak', 'step')
+     * becomes an identifier that remembers which keyword it spells; the
+     * parser treats it as the keyword only where that keyword can go.
+     */
+    addKeyword(type) {
+        const text = this.source.slice(this.start, this.current);
+        if (ContextualKeywords.has(type) && !/\s/.test(text)) {
+            this.addToken(TokenType.IDENTIFIER, text);
+            this.tokens[this.tokens.length - 1].keyword = type;
+        } else {
+            this.addToken(type);
+        }
+    }
+}
+
+/**
+ * Convenience function to tokenize source code
+ */
+function tokenize(source, options = {}) {
+    const lexer = new Lexer(source, options);
+    return lexer.tokenize();
+}
+
+return { Lexer, tokenize };
+    })();
+
+    // ==================== ast.js ====================
+
+    bundledModules['ast.js'] = (function () {
+/**
+ * MasalaScript AST Node Types
+ * Defines all Abstract Syntax Tree node structures
+ */
+
+// AST Node Types
+const NodeType = {
+    // Program
+    PROGRAM: 'Program',
+
+    // Statements
+    VARIABLE_DECLARATION: 'VariableDeclaration',
+    ASSIGNMENT: 'Assignment',
+    INDEX_ASSIGNMENT: 'IndexAssignment',
+    MEMBER_ASSIGNMENT: 'MemberAssignment',
+    PRINT_STATEMENT: 'PrintStatement',
+    IF_STATEMENT: 'IfStatement',
+    WHILE_STATEMENT: 'WhileStatement',
+    FOR_STATEMENT: 'ForStatement',
+    BREAK_STATEMENT: 'BreakStatement',
+    CONTINUE_STATEMENT: 'ContinueStatement',
+    FUNCTION_DECLARATION: 'FunctionDeclaration',
+    RETURN_STATEMENT: 'ReturnStatement',
+    TRY_STATEMENT: 'TryStatement',
+    THROW_STATEMENT: 'ThrowStatement',
+    IMPORT_STATEMENT: 'ImportStatement',
+    EXPRESSION_STATEMENT: 'ExpressionStatement',
+    BLOCK: 'Block',
+
+    // Expressions
+    BINARY_EXPRESSION: 'BinaryExpression',
+    UNARY_EXPRESSION: 'UnaryExpression',
+    CALL_EXPRESSION: 'CallExpression',
+    FUNCTION_EXPRESSION: 'FunctionExpression',
+    INDEX_EXPRESSION: 'IndexExpression',
+    MEMBER_EXPRESSION: 'MemberExpression',
+    ARRAY_LITERAL: 'ArrayLiteral',
+    DICT_LITERAL: 'DictLiteral',
+    LITERAL: 'Literal',
+    INTERPOLATED_STRING: 'InterpolatedString',
+    IDENTIFIER: 'Identifier',
+    GROUPING: 'Grouping',
+};
+
+// AST Node factory functions
+const AST = {
+    /**
+     * Create a Program node
+     */
+    Program(body) {
+        return {
+            type: NodeType.PROGRAM,
+            body
+        };
+    },
+
+    /**
+     * Create a Variable Declaration node
+     */
+    VariableDeclaration(name, value, line, column = null) {
+        return {
+            type: NodeType.VARIABLE_DECLARATION,
+            name,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Assignment node
+     */
+    Assignment(name, value, line, column = null) {
+        return {
+            type: NodeType.ASSIGNMENT,
+            name,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Index Assignment node (xs[i] = value)
+     */
+    IndexAssignment(object, index, value, line, column = null) {
+        return {
+            type: NodeType.INDEX_ASSIGNMENT,
+            object,
+            index,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Member Assignment node (obj.key = value)
+     */
+    MemberAssignment(object, property, value, line, column = null) {
+        return {
+            type: NodeType.MEMBER_ASSIGNMENT,
+            object,
+            property,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Print Statement node
+     */
+    PrintStatement(expressions, line, column = null) {
+        return {
+            type: NodeType.PRINT_STATEMENT,
+            expressions,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an If Statement node
+     */
+    IfStatement(conditions, consequents, alternate, line, column = null) {
+        return {
+            type: NodeType.IF_STATEMENT,
+            conditions,      // Array of conditions (for if and else-if)
+            consequents,     // Array of blocks (corresponding to conditions)
+            alternate,       // Optional else block
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a While Statement node
+     */
+    WhileStatement(condition, body, line, column = null) {
+        return {
+            type: NodeType.WHILE_STATEMENT,
+            condition,
+            body,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a For Statement node (counted loop)
+     */
+    ForStatement(variable, start, end, step, body, line, column = null) {
+        return {
+            type: NodeType.FOR_STATEMENT,
+            variable,        // Loop counter name
+            start,
+            end,             // Inclusive upper/lower bound
+            step,            // Optional step expression
+            body,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Break Statement node
+     */
+    BreakStatement(line, column = null) {
+        return {
+            type: NodeType.BREAK_STATEMENT,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Continue Statement node
+     */
+    ContinueStatement(line, column = null) {
+        return {
+            type: NodeType.CONTINUE_STATEMENT,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Function Declaration node
+     */
+    FunctionDeclaration(name, params, body, line, column = null, exported = false) {
+        return {
+            type: NodeType.FUNCTION_DECLARATION,
+            name,
+            params,
+            body,
+            exported,        // Marked with 'bahar bhejo'
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Return Statement node
+     */
+    ReturnStatement(value, line, column = null) {
+        return {
+            type: NodeType.RETURN_STATEMENT,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Try Statement node
+     */
+    TryStatement(block, param, handler, finalizer, line, column = null) {
+        return {
+            type: NodeType.TRY_STATEMENT,
+            block,
+            param,           // Optional name bound to the caught error
+            handler,         // Optional 'pakda gaya' block
+            finalizer,       // Optional 'aakhir mein' block
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Throw Statement node
+     */
+    ThrowStatement(value, line, column = null) {
+        return {
+            type: NodeType.THROW_STATEMENT,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Import Statement node
+     */
+    ImportStatement(source, names, line, column = null) {
+        return {
+            type: NodeType.IMPORT_STATEMENT,
+            source,          // Module path as written
+            names,           // Imported function names
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Expression Statement node
+     */
+    ExpressionStatement(expression, line, column = null) {
+        return {
+            type: NodeType.EXPRESSION_STATEMENT,
+            expression,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Block node
+     */
+    Block(statements) {
+        return {
+            type: NodeType.BLOCK,
+            statements
+        };
+    },
+
+    /**
+     * Create a Binary Expression node
+     */
+    BinaryExpression(operator, left, right, line, column = null) {
+        return {
+            type: NodeType.BINARY_EXPRESSION,
+            operator,
+            left,
+            right,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Unary Expression node
+     */
+    UnaryExpression(operator, operand, line, column = null) {
+        return {
+            type: NodeType.UNARY_EXPRESSION,
+            operator,
+            operand,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Call Expression node
+     */
+    CallExpression(callee, args, line, column = null) {
+        return {
+            type: NodeType.CALL_EXPRESSION,
+            callee,          // Expression node that evaluates to a function
+            arguments: args,
+            line,
+            column           // Where the call expression starts
+        };
+    },
+
+    /**
+     * Create a Function Expression node (anonymous climax)
+     */
+    FunctionExpression(params, body, line, column = null) {
+        return {
+            type: NodeType.FUNCTION_EXPRESSION,
+            name: null,
+            params,
+            body,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Index Expression node (xs[i])
+     */
+    IndexExpression(object, index, line, column = null) {
+        return {
+            type: NodeType.INDEX_EXPRESSION,
+            object,
+            index,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Member Expression node (obj.key)
+     */
+    MemberExpression(object, property, line, column = null) {
+        return {
+            type: NodeType.MEMBER_EXPRESSION,
+            object,
+            property,        // Key name as a string
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Array Literal node
+     */
+    ArrayLiteral(elements, line, column = null) {
+        return {
+            type: NodeType.ARRAY_LITERAL,
+            elements,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Dict Literal node
+     */
+    DictLiteral(entries, line, column = null) {
+        return {
+            type: NodeType.DICT_LITERAL,
+            entries,         // Array of { key, value }
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Literal node
+     */
+    Literal(value, line, column = null) {
+        return {
+            type: NodeType.LITERAL,
+            value,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Interpolated String node ("Naam: {name}")
+     */
+    InterpolatedString(parts, line, column = null) {
+        return {
+            type: NodeType.INTERPOLATED_STRING,
+            parts,           // Array of strings and expression nodes
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create an Identifier node
+     */
+    Identifier(name, line, column = null) {
+        return {
+            type: NodeType.IDENTIFIER,
+            name,
+            line,
+            column
+        };
+    },
+
+    /**
+     * Create a Grouping node (parenthesized expression)
+     */
+    Grouping(expression, line, column = null) {
+        return {
+            type: NodeType.GROUPING,
+            expression,
+            line,
+            column
+        };
+    }
+};
+
+/**
+ * Pretty print an AST
+ */
+function printAST(node, indent = 0) {
+    const pad = '  '.repeat(indent);
+
+    if (node === null || node === undefined) {
+        return `${pad}null`;
+    }
+
+    if (Array.isArray(node)) {
+        return node.map(n => printAST(n, indent)).join('\n');
+    }
+
+    switch (node.type) {
+        case NodeType.PROGRAM:
+            return `${pad}Program:\n${node.body.map(n => printAST(n, indent + 1)).join('\n')}`;
+
+        case NodeType.VARIABLE_DECLARATION:
+            return `${pad}VarDecl: ${node.name}\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.ASSIGNMENT:
+            return `${pad}Assign: ${node.name}\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.INDEX_ASSIGNMENT:
+            return `${pad}IndexAssign:\n${printAST(node.object, indent + 1)}\n${printAST(node.index, indent + 1)}\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.MEMBER_ASSIGNMENT:
+            return `${pad}MemberAssign: .${node.property}\n${printAST(node.object, indent + 1)}\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.PRINT_STATEMENT:
+            return `${pad}Print:\n${node.expressions.map(e => printAST(e, indent + 1)).join('\n')}`;
+
+        case NodeType.IF_STATEMENT:
+            let result = `${pad}If:\n`;
+            for (let i = 0; i < node.conditions.length; i++) {
+                result += `${pad}  Condition:\n${printAST(node.conditions[i], indent + 2)}\n`;
+                result += `${pad}  Then:\n${printAST(node.consequents[i], indent + 2)}\n`;
+            }
+            if (node.alternate) {
+                result += `${pad}  Else:\n${printAST(node.alternate, indent + 2)}`;
+            }
+            return result;
+
+        case NodeType.WHILE_STATEMENT:
+            return `${pad}While:\n${pad}  Condition:\n${printAST(node.condition, indent + 2)}\n${pad}  Body:\n${printAST(node.body, indent + 2)}`;
+
+        case NodeType.FOR_STATEMENT: {
+            let result = `${pad}For: ${node.variable}\n`;
+            result += `${pad}  From:\n${printAST(node.start, indent + 2)}\n`;
+            result += `${pad}  To:\n${printAST(node.end, indent + 2)}\n`;
+            if (node.step) {
+                result += `${pad}  Step:\n${printAST(node.step, indent + 2)}\n`;
+            }
+            return result + `${pad}  Body:\n${printAST(node.body, indent + 2)}`;
+        }
+
+        case NodeType.BREAK_STATEMENT:
+            return `${pad}Break`;
+
+        case NodeType.CONTINUE_STATEMENT:
+            return `${pad}Continue`;
+
+        case NodeType.FUNCTION_DECLARATION:
+            return `${pad}${node.exported ? 'Exported ' : ''}Function: ${node.name}(${node.params.join(', ')})\n${printAST(node.body, indent + 1)}`;
+
+        case NodeType.RETURN_STATEMENT:
+            return `${pad}Return:\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.TRY_STATEMENT: {
+            let result = `${pad}Try:\n${printAST(node.block, indent + 1)}`;
+            if (node.handler) {
+                result += `\n${pad}  Catch: ${node.param || ''}\n${printAST(node.handler, indent + 2)}`;
+            }
+            if (node.finalizer) {
+                result += `\n${pad}  Finally:\n${printAST(node.finalizer, indent + 2)}`;
+            }
+            return result;
+        }
+
+        case NodeType.THROW_STATEMENT:
+            return `${pad}Throw:\n${printAST(node.value, indent + 1)}`;
+
+        case NodeType.IMPORT_STATEMENT:
+            return `${pad}Import: ${node.names.join(', ')} from ${JSON.stringify(node.source)}`;
+
+        case NodeType.EXPRESSION_STATEMENT:
+            return `${pad}ExprStmt:\n${printAST(node.expression, indent + 1)}`;
+
+        case NodeType.BLOCK:
+            return `${pad}Block:\n${node.statements.map(s => printAST(s, indent + 1)).join('\n')}`;
+
+        case NodeType.BINARY_EXPRESSION:
+            return `${pad}BinExpr: ${node.operator}\n${printAST(node.left, indent + 1)}\n${printAST(node.right, indent + 1)}`;
+
+        case NodeType.UNARY_EXPRESSION:
+            return `${pad}UnaryExpr: ${node.operator}\n${printAST(node.operand, indent + 1)}`;
+
+        case NodeType.CALL_EXPRESSION:
+            return `${pad}Call:\n${pad}  Callee:\n${printAST(node.callee, indent + 2)}\n${pad}  Args:\n${node.arguments.map(a => printAST(a, indent + 2)).join('\n')}`;
+
+        case NodeType.FUNCTION_EXPRESSION:
+            return `${pad}FunctionExpr: (${node.params.join(', ')})\n${printAST(node.body, indent + 1)}`;
+
+        case NodeType.INDEX_EXPRESSION:
+            return `${pad}Index:\n${printAST(node.object, indent + 1)}\n${printAST(node.index, indent + 1)}`;
+
+        case NodeType.ARRAY_LITERAL:
+            return `${pad}Array:\n${node.elements.map(e => printAST(e, indent + 1)).join('\n')}`;
+
+        case NodeType.MEMBER_EXPRESSION:
+            return `${pad}Member: .${node.property}\n${printAST(node.object, indent + 1)}`;
+
+        case NodeType.DICT_LITERAL:
+            return `${pad}Dict:\n${node.entries.map(e => `${pad}  ${e.key}:\n${printAST(e.value, indent + 2)}`).join('\n')}`;
+
+        case NodeType.LITERAL:
+            return `${pad}Literal: ${JSON.stringify(node.value)}`;
+
+        case NodeType.INTERPOLATED_STRING:
+            return `${pad}InterpolatedString:\n${node.parts.map(p => typeof p === 'string' ? `${pad}  Text: ${JSON.stringify(p)}` : printAST(p, indent + 1)).join('\n')}`;
+
+        case NodeType.IDENTIFIER:
+            return `${pad}Identifier: ${node.name}`;
+
+        case NodeType.GROUPING:
+            return `${pad}Grouping:\n${printAST(node.expression, indent + 1)}`;
+
+        default:
+            return `${pad}Unknown: ${JSON.stringify(node)}`;
+    }
+}
+
+return { NodeType, AST, printAST };
+    })();
+
+    // ==================== parser.js ====================
+
+    bundledModules['parser.js'] = (function () {
+/**
+ * MasalaScript Parser
+ * Recursive descent parser that builds an AST from tokens
+ */
+
+const { TokenType } = bundledModules['tokens.js'];
+const { AST, NodeType } = bundledModules['ast.js'];
+const { ParserError, ErrorMessages } = bundledModules['errors.js'];
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.current = 0;
+        this.errors = []; // Every syntax error found, in source order
+    }
+
+    /**
+     * Parse the token stream into an AST.
+     * Parsing recovers from syntax errors so that all of them end up in
+     * this.errors; the first one is thrown once the whole input is parsed.
+     * @returns {Object} Program AST node
+     */
+    parse() {
+        const program = this.program();
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+        return program;
+    }
+
+    /**
+     * Parse a complete program
+     * program → "action!" statement* "paisa vasool"
+     */
+    program() {
+        // Expect 'action!' at the start (keep parsing without it to find more errors)
+        if (this.check(TokenType.ACTION)) {
+            this.advance(); // consume 'action!'
+        } else {
+            this.errors.push(new ParserError(
+                ErrorMessages.EXPECTED_ACTION(),
+                this.peek().line,
+                this.peek().column
+            ));
+        }
+
+        const statements = [];
+
+        // Parse statements until 'paisa vasool' or EOF
+        while (!this.check(TokenType.PAISA_VASOOL) && !this.isAtEnd()) {
+            const stmt = this.topLevelDeclaration();
+            if (stmt) {
+                statements.push(stmt);
+            }
+        }
+
+        // Expect 'paisa vasool' at the end
+        if (this.check(TokenType.PAISA_VASOOL)) {
+            this.advance(); // consume 'paisa vasool'
+        } else {
+            this.errors.push(new ParserError(
+                ErrorMessages.EXPECTED_PAISA_VASOOL(),
+                this.peek().line,
+                this.peek().column
+            ));
+        }
+
+        return AST.Program(statements);
+    }
+
+    /**
+     * Parse bare statements without the program wrapper (used by the REPL)
+     * statements → statement* EOF
+     */
+    parseStatements() {
+        const statements = [];
+
+        while (!this.isAtEnd()) {
+            const stmt = this.topLevelDeclaration();
+            if (stmt) {
+                statements.push(stmt);
+            }
+        }
+
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+        return AST.Program(statements);
+    }
+
+    /**
+     * Parse a declaration that may only appear at the top level
+     * (imports and exported functions)
+     */
+    topLevelDeclaration() {
+        const start = this.current;
+
+        try {
+            if (this.check(TokenType.LE_AAO)) {
+                return this.importStatement();
+            }
+
+            if (this.check(TokenType.BAHAR_BHEJO)) {
+                this.advance(); // consume 'bahar bhejo'
+                if (!this.check(TokenType.CLIMAX) || this.peekNext().type !== TokenType.IDENTIFIER) {
+                    throw new ParserError(
+                        ErrorMessages.EXPORT_NOT_TOP_LEVEL(),
+                        this.previous().line,
+                        this.previous().column
+                    );
+                }
+                const func = this.functionDeclaration();
+                func.exported = true;
+                return func;
+            }
+        } catch (error) {
+            return this.recover(error, start);
+        }
+
+        return this.declaration();
+    }
+
+    /**
+     * Parse an import statement
+     * importStmt → "le aao" STRING "se" IDENTIFIER ("," IDENTIFIER)*
+     */
+    importStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'le aao'
+
+        const source = this.consume(TokenType.STRING, ErrorMessages.EXPECTED_MODULE_PATH()).literal;
+        this.consume(TokenType.SE, ErrorMessages.EXPECTED_KEYWORD('se'));
+
+        const names = [];
+        do {
+            names.push(this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_IDENTIFIER()).lexeme);
+        } while (this.match(TokenType.COMMA));
+
+        return AST.ImportStatement(source, names, line, column);
+    }
+
+    /**
+     * Parse a declaration (function or statement)
+     */
+    declaration() {
+        const start = this.current;
+
+        try {
+            // Function declaration (anonymous 'climax (...)' is an expression)
+            if (this.check(TokenType.CLIMAX) && this.peekNext().type === TokenType.IDENTIFIER) {
+                return this.functionDeclaration();
+            }
+
+            // Variable declaration
+            if (this.check(TokenType.MAAN_LO)) {
+                return this.variableDeclaration();
+            }
+
+            return this.statement();
+        } catch (error) {
+            return this.recover(error, start);
+        }
+    }
+
+    /**
+     * Parse a function declaration
+     * funcDecl → "climax" IDENTIFIER "(" params? ")" block
+     */
+    functionDeclaration() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'climax'
+
+        // Function name
+        if (!this.check(TokenType.IDENTIFIER)) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_IDENTIFIER(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        const name = this.advance().lexeme;
+
+        // Parameters
+        const params = this.parameters();
+
+        // Function body
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.FunctionDeclaration(name, params, body, line, column);
+    }
+
+    /**
+     * Parse an anonymous function (after 'climax')
+     * funcExpr → "climax" "(" params? ")" block
+     */
+    functionExpression(line, column) {
+        const params = this.parameters();
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.FunctionExpression(params, body, line, column);
+    }
+
+    /**
+     * Parse a parameter list
+     * params → "(" (IDENTIFIER ("," IDENTIFIER)*)? ")"
+     */
+    parameters() {
+        this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
+
+        const params = [];
+        if (!this.check(TokenType.RPAREN)) {
+            do {
+                if (!this.check(TokenType.IDENTIFIER)) {
+                    throw new ParserError(
+                        ErrorMessages.EXPECTED_IDENTIFIER(),
+                        this.peek().line,
+                        this.peek().column
+                    );
+                }
+                params.push(this.advance().lexeme);
+            } while (this.match(TokenType.COMMA));
+        }
+
+        this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        return params;
+    }
+
+    /**
+     * Parse a variable declaration
+     * varDecl → "maan lo" IDENTIFIER "=" expression
+     */
+    variableDeclaration() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'maan lo'
+
+        // Variable name
+        if (!this.check(TokenType.IDENTIFIER)) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_IDENTIFIER(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        const name = this.advance().lexeme;
+
+        // Assignment
+        this.consume(TokenType.EQUAL, ErrorMessages.EXPECTED_EQUALS());
+        const value = this.expression();
+
+        return AST.VariableDeclaration(name, value, line, column);
+    }
+
+    /**
+     * Parse a statement
+     */
+    statement() {
+        // If statement
+        if (this.check(TokenType.AGAR_KISMAT_RAHI)) {
+            return this.ifStatement();
+        }
+
+        // While loop
+        if (this.check(TokenType.JAB_TAK_HAI_JAAN)) {
+            return this.whileStatement();
+        }
+
+        // Counted loop; 'har' followed by anything but the loop variable is a name
+        if (this.check(TokenType.HAR)
+            && (this.peek().type === TokenType.HAR || this.peekNext().type === TokenType.IDENTIFIER)) {
+            return this.forStatement();
+        }
+
+        // Break statement
+        if (this.check(TokenType.BREAK)) {
+            return this.breakStatement();
+        }
+
+        // Continue statement
+        if (this.check(TokenType.CONTINUE)) {
+            return this.continueStatement();
+        }
+
+        // Imports and exports are only allowed at the top level
+        if (this.check(TokenType.LE_AAO)) {
+            throw new ParserError(
+                ErrorMessages.IMPORT_NOT_TOP_LEVEL(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        if (this.check(TokenType.BAHAR_BHEJO)) {
+            throw new ParserError(
+                ErrorMessages.EXPORT_NOT_TOP_LEVEL(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+
+        // Try/catch/finally
+        if (this.check(TokenType.KOSHISH_KARO)) {
+            return this.tryStatement();
+        }
+
+        // Throw statement
+        if (this.check(TokenType.FENK_DO)) {
+            return this.throwStatement();
+        }
+
+        // Return statement
+        if (this.check(TokenType.DIALOGUE_WAPAS_DO)) {
+            return this.returnStatement();
+        }
+
+        // Print statement
+        if (this.check(TokenType.EK_BAAT_BATAUN)) {
+            return this.printStatement();
+        }
+
+        // Block
+        if (this.check(TokenType.LBRACE)) {
+            this.advance();
+            return this.block();
+        }
+
+        // Expression statement (including assignments)
+        return this.expressionStatement();
+    }
+
+    /**
+     * Parse an if statement
+     * ifStmt → "agar kismat rahi" "(" expression ")" block 
+     *          ("nahi to" "(" expression ")" block)*
+     *          ("warna" block)?
+     */
+    ifStatement() {
+        const { line, column } = this.peek();
+        const conditions = [];
+        const consequents = [];
+        let alternate = null;
+
+        // First condition (agar kismat rahi)
+        this.advance(); // consume 'agar kismat rahi'
+        this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
+        conditions.push(this.expression());
+        this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        consequents.push(this.block());
+
+        // Else-if clauses (nahi to)
+        while (this.check(TokenType.NAHI_TO)) {
+            this.advance(); // consume 'nahi to'
+            this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
+            conditions.push(this.expression());
+            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            consequents.push(this.block());
+        }
+
+        // Else clause (warna)
+        if (this.check(TokenType.WARNA)) {
+            this.advance(); // consume 'warna'
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            alternate = this.block();
+        }
+
+        return AST.IfStatement(conditions, consequents, alternate, line, column);
+    }
+
+    /**
+     * Parse a while loop
+     * whileStmt → "jab tak hai jaan" "(" expression ")" block
+     */
+    whileStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'jab tak hai jaan'
+
+        this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
+        const condition = this.expression();
+        this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.WhileStatement(condition, body, line, column);
+    }
+
+    /**
+     * Parse a counted loop
+     * forStmt → "har" IDENTIFIER "ke liye" expression "se" expression "tak"
+     *           ("step" expression)? block
+     */
+    forStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'har'
+
+        // Loop variable
+        if (!this.check(TokenType.IDENTIFIER)) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_IDENTIFIER(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        const variable = this.advance().lexeme;
+
+        this.consume(TokenType.KE_LIYE, ErrorMessages.EXPECTED_KEYWORD('ke liye'));
+        const start = this.expression();
+        this.consume(TokenType.SE, ErrorMessages.EXPECTED_KEYWORD('se'));
+        const end = this.expression();
+        this.consume(TokenType.TAK, ErrorMessages.EXPECTED_KEYWORD('tak'));
+
+        // Optional step, with or without parentheses: step 2 / (step 2)
+        let step = null;
+        if (this.check(TokenType.LPAREN) && isType(this.peekNext(), TokenType.STEP)) {
+            this.advance(); // consume '('
+            this.advance(); // consume 'step'
+            step = this.expression();
+            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        } else if (this.match(TokenType.STEP)) {
+            step = this.expression();
+        }
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.ForStatement(variable, start, end, step, body, line, column);
+    }
+
+    /**
+     * Parse a break statement
+     * breakStmt → "me bahar ja raha hu"
+     */
+    breakStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'me bahar ja raha hu'
+
+        return AST.BreakStatement(line, column);
+    }
+
+    /**
+     * Parse a continue statement
+     * continueStmt → "agla dekho"
+     */
+    continueStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'agla dekho'
+
+        return AST.ContinueStatement(line, column);
+    }
+
+    /**
+     * Parse a try statement
+     * tryStmt → "koshish karo" block
+     *           ("pakda gaya" ("(" IDENTIFIER ")")? block)?
+     *           ("aakhir mein" block)?
+     */
+    tryStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'koshish karo'
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const block = this.block();
+
+        let param = null;
+        let handler = null;
+        if (this.match(TokenType.PAKDA_GAYA)) {
+            if (this.match(TokenType.LPAREN)) {
+                param = this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_IDENTIFIER()).lexeme;
+                this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+            }
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            handler = this.block();
+        }
+
+        let finalizer = null;
+        if (this.match(TokenType.AAKHIR_MEIN)) {
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            finalizer = this.block();
+        }
+
+        if (!handler && !finalizer) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_CATCH_OR_FINALLY(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+
+        return AST.TryStatement(block, param, handler, finalizer, line, column);
+    }
+
+    /**
+     * Parse a throw statement
+     * throwStmt → "fenk do" expression
+     */
+    throwStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'fenk do'
+
+        const value = this.expression();
+        return AST.ThrowStatement(value, line, column);
+    }
+
+    /**
+     * Parse a return statement
+     * returnStmt → "dialogue wapas do" expression?
+     */
+    returnStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'dialogue wapas do'
+
+        let value = null;
+        // Check if there's an expression to return
+        if (!this.check(TokenType.RBRACE) &&
+            !this.check(TokenType.PAISA_VASOOL) &&
+            !this.isAtEnd()) {
+            value = this.expression();
+        }
+
+        return AST.ReturnStatement(value, line, column);
+    }
+
+    /**
+     * Parse a print statement
+     * printStmt → "ek baat bataun:" expression ("," expression)*
+     */
+    printStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'ek baat bataun:'
+
+        const expressions = [];
+        expressions.push(this.expression());
+
+        while (this.match(TokenType.COMMA)) {
+            expressions.push(this.expression());
+        }
+
+        return AST.PrintStatement(expressions, line, column);
+    }
+
+    /**
+     * Parse a block of statements
+     * block → "{" statement* "}"
+     */
+    block() {
+        const statements = [];
+
+        while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
+            const stmt = this.declaration();
+            if (stmt) {
+                statements.push(stmt);
+            }
+        }
+
+        this.consume(TokenType.RBRACE, ErrorMessages.EXPECTED_RBRACE());
+        return AST.Block(statements);
+    }
+
+    /**
+     * Parse an expression statement
+     */
+    expressionStatement() {
+        const { line, column } = this.peek();
+        const expr = this.expression();
+        return AST.ExpressionStatement(expr, line, column);
+    }
+
+    /**
+     * Parse an expression
+     * expression → assignment
+     */
+    expression() {
+        return this.assignment();
+    }
+
+    /**
+     * Parse an assignment
+     * assignment → ( IDENTIFIER | call "[" expression "]" | call "." IDENTIFIER )
+     *              "=" assignment
+     *            | logicOr
+     */
+    assignment() {
+        const expr = this.logicOr();
+
+        if (this.match(TokenType.EQUAL)) {
+            const value = this.assignment();
+
+            if (expr.type === NodeType.IDENTIFIER) {
+                return AST.Assignment(expr.name, value, expr.line, expr.column);
+            }
+
+            if (expr.type === NodeType.INDEX_EXPRESSION) {
+                return AST.IndexAssignment(expr.object, expr.index, value, expr.line, expr.column);
+            }
+
+            if (expr.type === NodeType.MEMBER_EXPRESSION) {
+                return AST.MemberAssignment(expr.object, expr.property, value, expr.line, expr.column);
+            }
+
+            throw new ParserError(
+                ErrorMessages.INVALID_ASSIGNMENT_TARGET(),
+                this.previous().line,
+                this.previous().column
+            );
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse logical OR
+     * logicOr → logicAnd ("||" logicAnd)*
+     */
+    logicOr() {
+        let expr = this.logicAnd();
+
+        while (this.match(TokenType.OR)) {
+            const operator = this.previous().lexeme;
+            const right = this.logicAnd();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse logical AND
+     * logicAnd → equality ("&&" equality)*
+     */
+    logicAnd() {
+        let expr = this.equality();
+
+        while (this.match(TokenType.AND)) {
+            const operator = this.previous().lexeme;
+            const right = this.equality();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse equality
+     * equality → comparison (("==" | "!=") comparison)*
+     */
+    equality() {
+        let expr = this.comparison();
+
+        while (this.match(TokenType.EQUAL_EQUAL, TokenType.BANG_EQUAL)) {
+            const operator = this.previous().lexeme;
+            const right = this.comparison();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse comparison
+     * comparison → term (("<" | ">" | "<=" | ">=") term)*
+     */
+    comparison() {
+        let expr = this.term();
+
+        while (this.match(TokenType.LESS, TokenType.GREATER,
+            TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL)) {
+            const operator = this.previous().lexeme;
+            const right = this.term();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse term (addition/subtraction)
+     * term → factor (("+" | "-") factor)*
+     */
+    term() {
+        let expr = this.factor();
+
+        while (this.match(TokenType.PLUS, TokenType.MINUS)) {
+            const operator = this.previous().lexeme;
+            const right = this.factor();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse factor (multiplication/division/modulo)
+     * factor → unary (("*" | "/" | "%") unary)*
+     */
+    factor() {
+        let expr = this.unary();
+
+        while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.PERCENT)) {
+            const operator = this.previous().lexeme;
+            const right = this.unary();
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
+        }
+
+        return expr;
+    }
+
+    /**
+     * Parse unary expressions
+     * unary → ("!" | "-") unary | call
+     */
+    unary() {
+        if (this.match(TokenType.BANG, TokenType.MINUS)) {
+            const { lexeme: operator, line, column } = this.previous();
+            const operand = this.unary();
+            return AST.UnaryExpression(operator, operand, line, column);
+        }
+
+        return this.call();
+    }
+
+    /**
+     * Parse function calls and indexing
+     * call → primary ("(" arguments? ")" | "[" expression "]" | "." IDENTIFIER)*
+     */
+    call() {
+        const start = this.peek();
+        let expr = this.primary();
+
+        while (true) {
+            if (this.match(TokenType.LPAREN)) {
+                expr = this.finishCall(expr, start);
+            } else if (this.match(TokenType.LBRACKET)) {
+                const index = this.expression();
+                this.consume(TokenType.RBRACKET, ErrorMessages.EXPECTED_RBRACKET());
+                expr = AST.IndexExpression(expr, index, start.line, start.column);
+            } else if (this.match(TokenType.DOT)) {
+                const name = this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_KEY());
+                expr = AST.MemberExpression(expr, name.lexeme, start.line, start.column);
+            } else {
+                break;
+            }
+        }
+
+        return expr;
+    }
+
+    /**
+     * Finish parsing a function call
+     * @param {Object} callee - Callee expression
+     * @param {Token} start - First token of the call expression
+     */
+    finishCall(callee, start) {
+        const args = [];
+
+        if (!this.check(TokenType.RPAREN)) {
+            do {
+                args.push(this.expression());
+            } while (this.match(TokenType.COMMA));
+        }
+
+        this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+
+        return AST.CallExpression(callee, args, start.line, start.column);
+    }
+
+    /**
+     * Parse primary expressions
+     * primary → NUMBER | STRING | INTERPOLATED_STRING | "sach" | "galat" | "khaali" 
+     *         | IDENTIFIER | "(" expression ")" | "[" elements? "]"
+     *         | "{" entries? "}" | funcExpr
+     */
+    primary() {
+        const { line, column } = this.peek();
+
+        // Boolean true
+        if (this.match(TokenType.SACH)) {
+            return AST.Literal(true, line, column);
+        }
+
+        // Boolean false
+        if (this.match(TokenType.GALAT)) {
+            return AST.Literal(false, line, column);
+        }
+
+        // Null
+        if (this.match(TokenType.KHAALI)) {
+            return AST.Literal(null, line, column);
+        }
+
+        // Number
+        if (this.match(TokenType.NUMBER)) {
+            return AST.Literal(this.previous().literal, line, column);
+        }
+
+        // String
+        if (this.match(TokenType.STRING)) {
+            return AST.Literal(this.previous().literal, line, column);
+        }
+
+        // String with embedded {expressions}
+        if (this.match(TokenType.INTERPOLATED_STRING)) {
+            return this.interpolatedString(this.previous().literal, line, column);
+        }
+
+        // Identifier
+        if (this.match(TokenType.IDENTIFIER)) {
+            return AST.Identifier(this.previous().lexeme, line, column);
+        }
+
+        // Grouping
+        if (this.match(TokenType.LPAREN)) {
+            const expr = this.expression();
+            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+            return AST.Grouping(expr, line, column);
+        }
+
+        // List literal
+        if (this.match(TokenType.LBRACKET)) {
+            return this.arrayLiteral(line, column);
+        }
+
+        // Dict literal
+        if (this.match(TokenType.LBRACE)) {
+            return this.dictLiteral(line, column);
+        }
+
+        // Anonymous function
+        if (this.match(TokenType.CLIMAX)) {
+            return this.functionExpression(line, column);
+        }
+
+        throw new ParserError(
+            ErrorMessages.EXPECTED_EXPRESSION(),
+            this.peek().line,
+            this.peek().column
+        );
+    }
+
+    /**
+     * Parse the embedded expressions of an interpolated string
+     */
+    interpolatedString(parts, line, column) {
+        const nodes = parts.map(part => {
+            if (typeof part === 'string') {
+                return part;
+            }
+
+            // Each embedded expression was tokenized on its own by the lexer
+            const parser = new Parser(part.tokens);
+            const expr = parser.expression();
+            if (!parser.isAtEnd()) {
+                const token = parser.peek();
+                throw new ParserError(
+                    ErrorMessages.UNEXPECTED_TOKEN(token.lexeme),
+                    token.line,
+                    token.column
+                );
+            }
+            return expr;
+        });
+
+        return AST.InterpolatedString(nodes, line, column);
+    }
+
+    /**
+     * Finish parsing a list literal
+     * elements → expression ("," expression)* ","?
+     */
+    arrayLiteral(line, column) {
+        const elements = [];
+
+        while (!this.check(TokenType.RBRACKET) && !this.isAtEnd()) {
+            elements.push(this.expression());
+            if (!this.match(TokenType.COMMA)) {
+                break;
+            }
+        }
+
+        this.consume(TokenType.RBRACKET, ErrorMessages.EXPECTED_RBRACKET());
+        return AST.ArrayLiteral(elements, line, column);
+    }
+
+    /**
+     * Finish parsing a dict literal
+     * entries → (IDENTIFIER | STRING) ":" expression ("," ...)* ","?
+     */
+    dictLiteral(line, column) {
+        const entries = [];
+
+        while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
+            let key;
+            if (this.match(TokenType.IDENTIFIER)) {
+                key = this.previous().lexeme;
+            } else if (this.match(TokenType.STRING)) {
+                key = this.previous().literal;
+            } else {
+                throw new ParserError(
+                    ErrorMessages.EXPECTED_KEY(),
+                    this.peek().line,
+                    this.peek().column
+                );
+            }
+
+            this.consume(TokenType.COLON, ErrorMessages.EXPECTED_COLON());
+            entries.push({ key, value: this.expression() });
+
+            if (!this.match(TokenType.COMMA)) {
+                break;
+            }
+        }
+
+        this.consume(TokenType.RBRACE, ErrorMessages.EXPECTED_RBRACE());
+        return AST.DictLiteral(entries, line, column);
+    }
+
+    // ==================== Helper Methods ====================
+
+    /**
+     * Check if at end of tokens
+     */
+    isAtEnd() {
+        return this.peek().type === TokenType.EOF;
+    }
+
+    /**
+     * Get current token without consuming
+     */
+    peek() {
+        return this.tokens[this.current];
+    }
+
+    /**
+     * Get the token after the current one without consuming
+     */
+    peekNext() {
+        if (this.isAtEnd()) return this.peek();
+        return this.tokens[this.current + 1];
+    }
+
+    /**
+     * Get previous token
+     */
+    previous() {
+        return this.tokens[this.current - 1];
+    }
+
+    /**
+     * Advance to next token and return current
+     */
+    advance() {
+        if (!this.isAtEnd()) {
+            this.current++;
+        }
+        return this.previous();
+    }
+
+    /**
+     * Check if current token matches a type
+     */
+    check(type) {
+        if (this.isAtEnd()) return false;
+        return isType(this.peek(), type);
+    }
+
+    /**
+     * Match and consume if current token matches any of the given types
+     */
+    match(...types) {
+        for (const type of types) {
+            if (this.check(type)) {
+                this.advance();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Consume a token of expected type or throw error
+     */
+    consume(type, errorMessage) {
+        if (this.check(type)) {
+            return this.advance();
+        }
+
+        throw new ParserError(
+            errorMessage,
+            this.peek().line,
+            this.peek().column
+        );
+    }
+
+    /**
+     * Record a syntax error and skip to the next statement, so parsing can
+     * go on and report the errors after it too
+     * @param {Error} error - The error thrown while parsing a statement
+     * @param {number} start - Index of the statement's first token
+     * @returns {null}
+     */
+    recover(error, start) {
+        if (!(error instanceof ParserError)) {
+            throw error;
+        }
+
+        this.errors.push(error);
+        this.synchronize(start);
+        return null;
+    }
+
+    /**
+     * Synchronize parser state after an error: skip tokens until a statement
+     * keyword, a new line outside brackets, or a '}' that may close the
+     * enclosing block. Skipped '{ ... }' blocks are skipped as a whole.
+     * @param {number} start - Index of the failed statement's first token
+     */
+    synchronize(start) {
+        const errorLine = this.peek().line;
+        let depth = 0;
+
+        // Always make progress, even if the statement failed on its first token
+        if (this.current === start) {
+            this.advance();
+        }
+
+        while (!this.isAtEnd()) {
+            const token = this.peek();
+
+            if (depth === 0) {
+                // Synchronize at statement boundaries
+                switch (token.type) {
+                    case TokenType.MAAN_LO:
+                    case TokenType.CLIMAX:
+                    case TokenType.LE_AAO:
+                    case TokenType.BAHAR_BHEJO:
+                    case TokenType.AGAR_KISMAT_RAHI:
+                    case TokenType.JAB_TAK_HAI_JAAN:
+                    case TokenType.HAR:
+                    case TokenType.BREAK:
+                    case TokenType.CONTINUE:
+                    case TokenType.EK_BAAT_BATAUN:
+                    case TokenType.KOSHISH_KARO:
+                    case TokenType.FENK_DO:
+                    case TokenType.DIALOGUE_WAPAS_DO:
+                    case TokenType.PAISA_VASOOL:
+                    case TokenType.RBRACE:
+                        return;
+                }
+
+                if (token.line > errorLine) {
+                    return;
+                }
+            }
+
+            switch (token.type) {
+                case TokenType.LPAREN:
+                case TokenType.LBRACKET:
+                case TokenType.LBRACE:
+                    depth++;
+                    break;
+                case TokenType.RPAREN:
+                case TokenType.RBRACKET:
+                case TokenType.RBRACE:
+                    depth = Math.max(0, depth - 1);
+                    break;
+            }
+
+            this.advance();
+        }
+    }
+}
+
+/**
+ * Check a token's type. An identifier spelled like a contextual keyword
+ * ('har', 'se', 'tak', 'step') also counts as that keyword.
+ */
+function isType(token, type) {
+    return token.type === type
+        || (token.type === TokenType.IDENTIFIER && token.keyword === type);
+}
+
+/**
+ * Convenience function to parse tokens
+ */
+function parse(tokens) {
+    const parser = new Parser(tokens);
+    return parser.parse();
+}
+
+return { Parser, parse };
+    })();
+
+    // ==================== builtins.js ====================
+
+    bundledModules['builtins.js'] = (function () {
+/**
+ * MasalaScript Built-in Functions
+ * Native functions available in every program without 'maan lo' or 'le aao'
+ */
+
+const { RuntimeError, ErrorMessages } = bundledModules['errors.js'];
+
+/**
+ * Built-in function table: name → { arity, call(interpreter, args) }.
+ * The Analyzer reads the arity for its checks; the Interpreter wraps each
+ * entry in a NativeFunction.
+ */
+const Builtins = {
+    // Length of a string, list or dict
+    lambai: {
+        arity: 1,
+        call(interpreter, [value]) {
+            if (typeof value === 'string' || Array.isArray(value)) {
+                return value.length;
+            }
+            if (value instanceof Map) {
+                return value.size;
+            }
+            throw argumentError(interpreter, 'lambai', 'string, list ya dict', value);
+        }
+    },
+
+    // Round to the nearest whole number
+    gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'gol', value);
+            return Math.round(value);
+        }
+    },
+
+    // Round down
+    neeche_gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'neeche_gol', value);
+            return Math.floor(value);
+        }
+    },
+
+    // Round up
+    upar_gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'upar_gol', value);
+            return Math.ceil(value);
+        }
+    },
+
+    // Turn a string like "42" or "3.5" into a number
+    number_banao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            if (typeof value === 'number') {
+                return value;
+            }
+            if (typeof value !== 'string') {
+                throw argumentError(interpreter, 'number_banao', 'string ya number', value);
+            }
+
+            const number = Number(value.trim());
+            if (value.trim() === '' || Number.isNaN(number)) {
+                throw new RuntimeError(ErrorMessages.NOT_NUMERIC(value), null);
+            }
+            return number;
+        }
+    },
+
+    // Turn any value into its printed text
+    text_banao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            return interpreter.stringify(value);
+        }
+    },
+
+    // Name of a value's type: number, string, boolean, khaali, list, dict or function
+    type_batao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            return interpreter.typeName(value);
+        }
+    },
+
+    // Ask the user for a line of input (always gives back a string)
+    poocho: {
+        arity: 1,
+        call(interpreter, [question]) {
+            return interpreter.readInput(interpreter.stringify(question));
+        }
+    },
+
+    // Add an item to the end of a list
+    jodo: {
+        arity: 2,
+        call(interpreter, [list, item]) {
+            expectList(interpreter, 'jodo', list);
+            list.push(item);
+            return null;
+        }
+    },
+
+    // Remove and return the last item of a list
+    nikalo: {
+        arity: 1,
+        call(interpreter, [list]) {
+            expectList(interpreter, 'nikalo', list);
+            if (list.length === 0) {
+                throw new RuntimeError(ErrorMessages.EMPTY_LIST('nikalo'), null);
+            }
+            return list.pop();
+        }
+    },
+
+    // List of a dict's keys
+    chaabiyan: {
+        arity: 1,
+        call(interpreter, [dict]) {
+            expectDict(interpreter, 'chaabiyan', dict);
+            return [...dict.keys()];
+        }
+    },
+
+    // Check whether a dict has a key
+    hai_kya: {
+        arity: 2,
+        call(interpreter, [dict, key]) {
+            expectDict(interpreter, 'hai_kya', dict);
+            return dict.has(key);
+        }
+    },
+};
+
+/**
+ * Check whether a name is a built-in function
+ */
+function isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(Builtins, name);
+}
+
+function argumentError(interpreter, name, expected, value) {
+    return new RuntimeError(
+        ErrorMessages.WRONG_ARG_TYPE(name, expected, interpreter.typeName(value)),
+        null
+    );
+}
+
+function expectNumber(interpreter, name, value) {
+    if (typeof value !== 'number') {
+        throw argumentError(interpreter, name, 'number', value);
+    }
+}
+
+function expectList(interpreter, name, value) {
+    if (!Array.isArray(value)) {
+        throw argumentError(interpreter, name, 'list', value);
+    }
+}
+
+function expectDict(interpreter, name, value) {
+    if (!(value instanceof Map)) {
+        throw argumentError(interpreter, name, 'dict', value);
+    }
+}
+
+return { Builtins, isBuiltin };
+    })();
+
+    // ==================== analyzer.js ====================
+
+    bundledModules['analyzer.js'] = (function () {
+/**
+ * MasalaScript Semantic Analyzer
+ * Validates program semantics before execution
+ */
+
+const { NodeType } = bundledModules['ast.js'];
+const { MasalaError, SemanticError, ErrorMessages } = bundledModules['errors.js'];
+const { Builtins, isBuiltin } = bundledModules['builtins.js'];
+
+class Analyzer {
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Resolves 'le aao' imports
+     * @param {string} options.file - Id of the file being analyzed
+     * @param {Map} options.host - Names defined by the host: name → arity (null if unknown)
+     */
+    constructor(options = {}) {
+        this.loader = options.loader || null;
+        this.file = options.file || null;
+        this.host = options.host || new Map();
+        this.scopes = [new Map()]; // Stack of scopes
+        this.functions = new Map(); // Function definitions
+        this.currentFunction = null; // Track if inside a function
+        this.loopDepth = 0; // Track if inside a loop
+        this.reassigned = new Set(); // Names assigned to anywhere in the program
+        this.errors = [];
+    }
+
+    /**
+     * Analyze the AST for semantic errors.
+     * Analysis goes on after an error, so this.errors holds all of them;
+     * the first one is thrown at the end.
+     * @param {Object} ast - The program AST
+     * @returns {Object} The analyzed AST with any annotations
+     */
+    analyze(ast) {
+        this.errors = [];
+        this.scopes = [new Map()];
+        this.functions = new Map();
+        this.currentFunction = null;
+        this.loopDepth = 0;
+
+        this.visitProgram(ast);
+
+        if (this.errors.length > 0) {
+            throw this.errors[0]; // Throw first error
+        }
+
+        return ast;
+    }
+
+    /**
+     * Analyze REPL input on top of the declarations from earlier inputs.
+     * If the input has an error, none of its declarations are kept.
+     * @param {Object} ast - Program AST of the new input
+     * @returns {Object} The analyzed AST
+     */
+    analyzeIncremental(ast) {
+        const snapshot = this.snapshot();
+
+        this.errors = [];
+        this.scopes = [this.scopes[0]];
+        this.currentFunction = null;
+        this.loopDepth = 0;
+
+        this.visitProgram(ast);
+
+        if (this.errors.length > 0) {
+            this.restore(snapshot);
+            throw this.errors[0];
+        }
+
+        return ast;
+    }
+
+    /**
+     * Copy the global declarations, so a REPL input can be undone
+     * (entries are copied too, as assignments change them in place)
+     * @returns {Object} Snapshot for restore()
+     */
+    snapshot() {
+        const copy = (map) => new Map([...map].map(([name, info]) => [name, { ...info }]));
+        return { globals: copy(this.scopes[0]), functions: copy(this.functions) };
+    }
+
+    /**
+     * Go back to the declarations saved by snapshot()
+     */
+    restore(snapshot) {
+        this.scopes = [snapshot.globals];
+        this.functions = snapshot.functions;
+    }
+
+    /**
+     * Undo a REPL input that passed analysis but failed while running.
+     * Declarations the run got to are kept and the rest are forgotten, so a
+     * name whose initializer failed can be declared again; arities the input
+     * changed are no longer trusted, as the change may or may not have run.
+     * @param {Object} snapshot - Taken with snapshot() before the input
+     * @param {Function} isDefined - (name) → whether the run defined the name
+     */
+    rollback(snapshot, isDefined) {
+        const analyzed = { globals: this.scopes[0], functions: this.functions };
+        this.restore(snapshot);
+
+        for (const key of ['globals', 'functions']) {
+            const table = key === 'globals' ? this.scopes[0] : this.functions;
+            for (const [name, info] of analyzed[key]) {
+                const before = table.get(name);
+                if (!before) {
+                    if (isDefined(name)) {
+                        table.set(name, info);
+                    }
+                } else if (before.paramCount !== info.paramCount) {
+                    before.paramCount = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Visit a program node
+     */
+    visitProgram(node) {
+        // An assignment anywhere - even in a function declared further down and
+        // called before the assignment is reached - can swap a function for one
+        // with a different arity, so only names never assigned keep theirs
+        this.reassigned = collectAssignedNames(node);
+        for (const name of this.reassigned) {
+            const info = this.lookupVariable(name);
+            if (info && !info.builtin) {
+                info.paramCount = null;
+            }
+            if (this.functions.has(name)) {
+                this.functions.get(name).paramCount = null;
+            }
+        }
+
+        // First pass: collect function declarations
+        for (const stmt of node.body) {
+            if (stmt.type === NodeType.FUNCTION_DECLARATION) {
+                try {
+                    this.declareFunction(stmt);
+                } catch (error) {
+                    this.report(error);
+                }
+            }
+        }
+
+        // Second pass: analyze all statements
+        for (const stmt of node.body) {
+            this.visitStatement(stmt);
+        }
+    }
+
+    /**
+     * Record an error and carry on with the next statement
+     */
+    report(error) {
+        if (!(error instanceof MasalaError)) {
+            throw error;
+        }
+        // A module that fails to compile brings along all of its errors,
+        // which already name their own file
+        for (const each of error.moduleErrors ?? [error]) {
+            if (each.file === null) {
+                each.file = this.file;
+            }
+            this.errors.push(each);
+        }
+    }
+
+    /**
+     * Visit a statement node. An error is recorded and analysis goes on
+     * with the next statement, with scopes put back as they were.
+     */
+    visitStatement(node) {
+        const scopeDepth = this.scopes.length;
+        const currentFunction = this.currentFunction;
+        const loopDepth = this.loopDepth;
+
+        try {
+            this.checkStatement(node);
+        } catch (error) {
+            this.scopes.length = scopeDepth;
+            this.currentFunction = currentFunction;
+            this.loopDepth = loopDepth;
+            this.report(error);
+        }
+    }
+
+    /**
+     * Check one statement (errors propagate to visitStatement)
+     */
+    checkStatement(node) {
+        switch (node.type) {
+            case NodeType.VARIABLE_DECLARATION:
+                this.visitVariableDeclaration(node);
+                break;
+            case NodeType.ASSIGNMENT:
+                this.visitAssignment(node);
+                break;
+            case NodeType.PRINT_STATEMENT:
+                this.visitPrintStatement(node);
+                break;
+            case NodeType.IF_STATEMENT:
+                this.visitIfStatement(node);
+                break;
+            case NodeType.WHILE_STATEMENT:
+                this.visitWhileStatement(node);
+                break;
+            case NodeType.FOR_STATEMENT:
+                this.visitForStatement(node);
+                break;
+            case NodeType.BREAK_STATEMENT:
+                this.visitBreakStatement(node);
+                break;
+            case NodeType.CONTINUE_STATEMENT:
+                this.visitContinueStatement(node);
+                break;
+            case NodeType.FUNCTION_DECLARATION:
+                this.visitFunctionDeclaration(node);
+                break;
+            case NodeType.RETURN_STATEMENT:
+                this.visitReturnStatement(node);
+                break;
+            case NodeType.TRY_STATEMENT:
+                this.visitTryStatement(node);
+                break;
+            case NodeType.IMPORT_STATEMENT:
+                this.visitImportStatement(node);
+                break;
+            case NodeType.THROW_STATEMENT:
+                this.visitExpression(node.value);
+                break;
+            case NodeType.EXPRESSION_STATEMENT:
+                this.visitExpressionStatement(node);
+                break;
+            case NodeType.BLOCK:
+                this.visitBlock(node, false);
+                break;
+            default:
+                // Unknown statement type - might be an expression
+                if (node.type) {
+                    this.visitExpression(node);
+                }
+        }
+    }
+
+    /**
+     * Visit a variable declaration
+     */
+    visitVariableDeclaration(node) {
+        // Check if already declared in current scope
+        const currentScope = this.scopes[this.scopes.length - 1];
+        if (currentScope.has(node.name)) {
+            throw new SemanticError(
+                ErrorMessages.ALREADY_DEFINED(node.name),
+                node.line,
+                node.column
+            );
+        }
+
+        // Analyze the initializer; the variable is declared even if it has
+        // an error, so later uses don't get reported as undefined too
+        try {
+            this.visitExpression(node.value);
+        } finally {
+            // Declare the variable, remembering the arity of function values
+            currentScope.set(node.name, {
+                type: 'variable',
+                line: node.line,
+                paramCount: this.knownArity(node.name, this.staticParamCount(node.value))
+            });
+        }
+    }
+
+    /**
+     * Visit an assignment
+     */
+    visitAssignment(node) {
+        // Check if variable is defined
+        const info = this.lookupVariable(node.name);
+        if (!info) {
+            throw new SemanticError(
+                ErrorMessages.UNDEFINED_VARIABLE(node.name),
+                node.line,
+                node.column
+            );
+        }
+        if (info.builtin) {
+            throw new SemanticError(
+                ErrorMessages.BUILTIN_ASSIGNMENT(node.name),
+                node.line,
+                node.column
+            );
+        }
+
+        // Once reassigned, the variable's arity is no longer known statically
+        info.paramCount = null;
+
+        // Analyze the value
+        this.visitExpression(node.value);
+    }
+
+    /**
+     * Visit a print statement
+     */
+    visitPrintStatement(node) {
+        for (const expr of node.expressions) {
+            this.visitExpression(expr);
+        }
+    }
+
+    /**
+     * Visit an if statement
+     */
+    visitIfStatement(node) {
+        // Check all conditions
+        for (const condition of node.conditions) {
+            this.visitExpression(condition);
+        }
+
+        // Check all consequent blocks
+        for (const consequent of node.consequents) {
+            this.visitBlock(consequent, true);
+        }
+
+        // Check alternate block if present
+        if (node.alternate) {
+            this.visitBlock(node.alternate, true);
+        }
+    }
+
+    /**
+     * Visit a while statement
+     */
+    visitWhileStatement(node) {
+        this.visitExpression(node.condition);
+
+        this.loopDepth++;
+        this.visitBlock(node.body, true);
+        this.loopDepth--;
+    }
+
+    /**
+     * Visit a counted loop
+     */
+    visitForStatement(node) {
+        this.visitExpression(node.start);
+        this.visitExpression(node.end);
+        if (node.step) {
+            this.visitExpression(node.step);
+        }
+
+        // Loop variable lives in its own scope around the body
+        this.pushScope();
+        const loopScope = this.scopes[this.scopes.length - 1];
+        loopScope.set(node.variable, { type: 'variable', line: node.line });
+
+        this.loopDepth++;
+        this.visitBlock(node.body, false);
+        this.loopDepth--;
+
+        this.popScope();
+    }
+
+    /**
+     * Visit a break statement
+     */
+    visitBreakStatement(node) {
+        if (this.loopDepth === 0) {
+            throw new SemanticError(
+                ErrorMessages.BREAK_OUTSIDE_LOOP(),
+                node.line,
+                node.column
+            );
+        }
+    }
+
+    /**
+     * Visit a continue statement
+     */
+    visitContinueStatement(node) {
+        if (this.loopDepth === 0) {
+            throw new SemanticError(
+                ErrorMessages.CONTINUE_OUTSIDE_LOOP(),
+                node.line,
+                node.column
+            );
+        }
+    }
+
+    /**
+     * Declare a function (first pass)
+     */
+    declareFunction(node) {
+        if (this.functions.has(node.name)) {
+            throw new SemanticError(
+                ErrorMessages.ALREADY_DEFINED(node.name),
+                node.line,
+                node.column
+            );
+        }
+
+        this.functions.set(node.name, {
+            params: node.params,
+            paramCount: this.knownArity(node.name, node.params.length),
+            line: node.line
+        });
+
+        // Also declare in current scope
+        const currentScope = this.scopes[this.scopes.length - 1];
+        currentScope.set(node.name, {
+            type: 'function',
+            line: node.line,
+            paramCount: this.knownArity(node.name, node.params.length),
+            declaration: node
+        });
+    }
+
+    /**
+     * Visit a function declaration (second pass)
+     */
+    visitFunctionDeclaration(node) {
+        // Functions nested in blocks are declared when reached, not hoisted
+        const currentScope = this.scopes[this.scopes.length - 1];
+        const existing = currentScope.get(node.name);
+        if (!existing || existing.declaration !== node) {
+            if (existing) {
+                throw new SemanticError(
+                    ErrorMessages.ALREADY_DEFINED(node.name),
+                    node.line,
+                    node.column
+                );
+            }
+            currentScope.set(node.name, {
+                type: 'function',
+                line: node.line,
+                paramCount: this.knownArity(node.name, node.params.length),
+                declaration: node
+            });
+        }
+
+        this.visitFunctionBody(node, node.name);
+    }
+
+    /**
+     * Visit an anonymous function expression
+     */
+    visitFunctionExpression(node) {
+        this.visitFunctionBody(node, '<anonymous>');
+    }
+
+    /**
+     * Visit the parameters and body of a named or anonymous function
+     */
+    visitFunctionBody(node, name) {
+        const previousFunction = this.currentFunction;
+        const previousLoopDepth = this.loopDepth;
+        this.currentFunction = name;
+        this.loopDepth = 0; // Loops outside the function don't count
+
+        // Create new scope for function body
+        this.pushScope();
+
+        // Declare parameters in function scope
+        for (const param of node.params) {
+            const currentScope = this.scopes[this.scopes.length - 1];
+            if (currentScope.has(param)) {
+                throw new SemanticError(
+                    ErrorMessages.ALREADY_DEFINED(param),
+                    node.line,
+                    node.column
+                );
+            }
+            currentScope.set(param, { type: 'parameter', line: node.line });
+        }
+
+        // Analyze function body
+        this.visitBlock(node.body, false);
+
+        this.popScope();
+        this.currentFunction = previousFunction;
+        this.loopDepth = previousLoopDepth;
+    }
+
+    /**
+     * Visit a return statement
+     */
+    visitReturnStatement(node) {
+        if (this.currentFunction === null) {
+            throw new SemanticError(
+                ErrorMessages.RETURN_OUTSIDE_FUNCTION(),
+                node.line,
+                node.column
+            );
+        }
+
+        if (node.value) {
+            this.visitExpression(node.value);
+        }
+    }
+
+    /**
+     * Visit a try statement
+     */
+    visitTryStatement(node) {
+        this.visitBlock(node.block, true);
+
+        if (node.handler) {
+            // The caught error is only visible inside the handler
+            this.pushScope();
+            if (node.param) {
+                const handlerScope = this.scopes[this.scopes.length - 1];
+                handlerScope.set(node.param, { type: 'variable', line: node.line });
+            }
+            this.visitBlock(node.handler, false);
+            this.popScope();
+        }
+
+        if (node.finalizer) {
+            this.visitBlock(node.finalizer, true);
+        }
+    }
+
+    /**
+     * Visit an import statement - compiles the module and declares its functions
+     */
+    visitImportStatement(node) {
+        const currentScope = this.scopes[this.scopes.length - 1];
+        let module = null;
+        let failure = null;
+
+        try {
+            if (!this.loader) {
+                throw new SemanticError(
+                    ErrorMessages.NO_MODULE_RESOLVER(),
+                    node.line,
+                    node.column
+                );
+            }
+            module = this.loader.load(node.source, this.file, node.line, node.column);
+        } catch (error) {
+            failure = error;
+        }
+
+        // The names are declared even if the import fails, so later calls
+        // don't get reported as undefined too
+        for (const name of node.names) {
+            const info = module ? module.exports.get(name) : null;
+            if (module && !info) {
+                failure ??= new SemanticError(
+                    ErrorMessages.NOT_EXPORTED(name, module.id),
+                    node.line,
+                    node.column
+                );
+            }
+
+            if (currentScope.has(name)) {
+                failure ??= new SemanticError(
+                    ErrorMessages.ALREADY_DEFINED(name),
+                    node.line,
+                    node.column
+                );
+                continue;
+            }
+
+            currentScope.set(name, {
+                type: 'function',
+                line: node.line,
+                paramCount: info ? this.knownArity(name, info.paramCount) : null
+            });
+        }
+
+        if (failure) {
+            throw failure;
+        }
+    }
+
+    /**
+     * Visit an expression statement
+     */
+    visitExpressionStatement(node) {
+        this.visitExpression(node.expression);
+    }
+
+    /**
+     * Visit a block
+     */
+    visitBlock(node, createNewScope = true) {
+        if (createNewScope) {
+            this.pushScope();
+        }
+
+        for (const stmt of node.statements) {
+            this.visitStatement(stmt);
+        }
+
+        if (createNewScope) {
+            this.popScope();
+        }
+    }
+
+    /**
+     * Visit an expression
+     */
+    visitExpression(node) {
+        if (!node) return;
+
+        switch (node.type) {
+            case NodeType.BINARY_EXPRESSION:
+                this.visitBinaryExpression(node);
+                break;
+            case NodeType.UNARY_EXPRESSION:
+                this.visitUnaryExpression(node);
+                break;
+            case NodeType.CALL_EXPRESSION:
+                this.visitCallExpression(node);
+                break;
+            case NodeType.FUNCTION_EXPRESSION:
+                this.visitFunctionExpression(node);
+                break;
+            case NodeType.LITERAL:
+                // Literals are always valid
+                break;
+            case NodeType.INTERPOLATED_STRING:
+                for (const part of node.parts) {
+                    if (typeof part !== 'string') {
+                        this.visitExpression(part);
+                    }
+                }
+                break;
+            case NodeType.IDENTIFIER:
+                this.visitIdentifier(node);
+                break;
+            case NodeType.GROUPING:
+                this.visitExpression(node.expression);
+                break;
+            case NodeType.ASSIGNMENT:
+                this.visitAssignment(node);
+                break;
+            case NodeType.INDEX_EXPRESSION:
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                break;
+            case NodeType.INDEX_ASSIGNMENT:
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                this.visitExpression(node.value);
+                break;
+            case NodeType.MEMBER_EXPRESSION:
+                this.visitExpression(node.object);
+                break;
+            case NodeType.MEMBER_ASSIGNMENT:
+                this.visitExpression(node.object);
+                this.visitExpression(node.value);
+                break;
+            case NodeType.ARRAY_LITERAL:
+                for (const element of node.elements) {
+                    this.visitExpression(element);
+                }
+                break;
+            case NodeType.DICT_LITERAL:
+                for (const entry of node.entries) {
+                    this.visitExpression(entry.value);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Visit a binary expression
+     */
+    visitBinaryExpression(node) {
+        this.visitExpression(node.left);
+        this.visitExpression(node.right);
+    }
+
+    /**
+     * Visit a unary expression
+     */
+    visitUnaryExpression(node) {
+        this.visitExpression(node.operand);
+    }
+
+    /**
+     * Visit a function call
+     */
+    visitCallExpression(node) {
+        let paramCount = null;
+        let name = null;
+
+        if (node.callee.type === NodeType.IDENTIFIER) {
+            // Check if function (or a variable holding one) is defined
+            name = node.callee.name;
+            const info = this.lookupVariable(name) || this.functions.get(name);
+            if (!info) {
+                throw new SemanticError(
+                    ErrorMessages.UNDEFINED_FUNCTION(name),
+                    node.line,
+                    node.column
+                );
+            }
+            paramCount = info.paramCount ?? null;
+        } else {
+            // Any other expression can be called, e.g. makeAdder(2)(3)
+            this.visitExpression(node.callee);
+            paramCount = this.staticParamCount(node.callee);
+            name = '<anonymous>';
+        }
+
+        // Check argument count when the callee's arity is known
+        if (paramCount !== null && node.arguments.length !== paramCount) {
+            throw new SemanticError(
+                ErrorMessages.WRONG_ARG_COUNT(
+                    name,
+                    paramCount,
+                    node.arguments.length
+                ),
+                node.line,
+                node.column
+            );
+        }
+
+        // Analyze arguments
+        for (const arg of node.arguments) {
+            this.visitExpression(arg);
+        }
+    }
+
+    /**
+     * Visit an identifier
+     */
+    visitIdentifier(node) {
+        if (!this.lookupVariable(node.name) && !this.functions.has(node.name)) {
+            throw new SemanticError(
+                ErrorMessages.UNDEFINED_VARIABLE(node.name),
+                node.line,
+                node.column
+            );
+        }
+    }
+
+    /**
+     * The arity to record for a name: unknown if the program assigns to it
+     */
+    knownArity(name, paramCount) {
+        return this.reassigned.has(name) ? null : paramCount;
+    }
+
+    /**
+     * Get the parameter count of an expression if it is a function literal
+     * @returns {number|null} Null when the arity is not known statically
+     */
+    staticParamCount(node) {
+        while (node && node.type === NodeType.GROUPING) {
+            node = node.expression;
+        }
+        if (node && node.type === NodeType.FUNCTION_EXPRESSION) {
+            return node.params.length;
+        }
+        return null;
+    }
+
+    // ==================== Scope Management ====================
+
+    /**
+     * Push a new scope
+     */
+    pushScope() {
+        this.scopes.push(new Map());
+    }
+
+    /**
+     * Pop the current scope
+     */
+    popScope() {
+        this.scopes.pop();
+    }
+
+    /**
+     * Look up a variable in all scopes, then in host names and built-ins
+     */
+    lookupVariable(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) {
+                return this.scopes[i].get(name);
+            }
+        }
+        if (this.host.has(name)) {
+            return { paramCount: this.host.get(name), builtin: true };
+        }
+        if (isBuiltin(name)) {
+            return { paramCount: Builtins[name].arity, builtin: true };
+        }
+        return null;
+    }
+}
+
+/**
+ * Collect the names of all variables assigned to (x = ...) anywhere in a tree
+ */
+function collectAssignedNames(node, names = new Set()) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectAssignedNames(child, names));
+    } else if (node && typeof node === 'object') {
+        if (node.type === NodeType.ASSIGNMENT) {
+            names.add(node.name);
+        }
+        for (const value of Object.values(node)) {
+            collectAssignedNames(value, names);
+        }
+    }
+    return names;
+}
+
+/**
+ * Convenience function to analyze an AST
+ */
+function analyze(ast, options = {}) {
+    const analyzer = new Analyzer(options);
+    return analyzer.analyze(ast);
+}
+
+return { Analyzer, analyze };
+    })();
+
+    // ==================== output.js ====================
+
+    bundledModules['output.js'] = (function () {
+/**
+ * MasalaScript Output Sinks
+ * Decides where 'ek baat bataun' output goes
+ */
+
+/**
+ * Turn an output target into a sink function (text, line, file) → void.
+ *
+ * Supported targets:
+ *   undefined       → console.log (the default)
+ *   null            → silent
+ *   function        → called as fn(text, { text, line, file })
+ *   stream          → anything with write(chunk), e.g. process.stdout; gets text + '\n'
+ *   array           → collector; each print is pushed as { text, line, file }
+ *
+ * @param {*} target - Where output should go
+ * @returns {Function} Sink
+ */
+function createOutputSink(target) {
+    if (target === undefined) {
+        return (text) => console.log(text);
+    }
+    if (target === null) {
+        return () => {};
+    }
+    if (typeof target === 'function') {
+        return (text, line, file) => target(text, { text, line, file });
+    }
+    if (Array.isArray(target)) {
+        return (text, line, file) => target.push({ text, line, file });
+    }
+    if (typeof target.write === 'function') {
+        return (text) => target.write(`${text}\n`);
+    }
+
+    throw new TypeError('output must be a function, a stream with write(), an array or null');
+}
+
+return { createOutputSink };
+    })();
+
+    // ==================== interpreter.js ====================
+
+    bundledModules['interpreter.js'] = (function () {
+/**
+ * MasalaScript Interpreter
+ * Tree-walking interpreter that executes the AST
+ */
+
+const { NodeType } = bundledModules['ast.js'];
+const { MasalaError, RuntimeError, LimitError, CancelledError, ThrowError, ErrorMessages } = bundledModules['errors.js'];
+const { Builtins } = bundledModules['builtins.js'];
+const { createOutputSink } = bundledModules['output.js'];
+
+// Default number of statements and expressions a program may evaluate per run
+const DEFAULT_MAX_STEPS = 10000000;
+
+// Reading the clock on every step is slow; check the deadline this often instead
+const DEADLINE_CHECK_INTERVAL = 1000;
+
+// Default limit on nested function calls. With Node's default stack the JavaScript
+// stack usually runs out first (at roughly 800 calls), which gives the same error.
+const DEFAULT_MAX_CALL_DEPTH = 1000;
+
+/**
+ * Check whether a JavaScript error means the engine's own stack ran out
+ * (RangeError in V8 and JavaScriptCore, InternalError in SpiderMonkey)
+ */
+function isStackOverflow(error) {
+    // Plain string checks - a regex may not even compile with the stack this low
+    return (error instanceof RangeError && error.message.includes('call stack'))
+        || (error?.name === 'InternalError' && error.message.includes('recursion'));
+}
+
+/**
+ * Reject limit options that aren't a positive integer (or Infinity)
+ */
+function checkLimit(name, value) {
+    if (!(Number.isInteger(value) || value === Infinity) || value < 1) {
+        throw new TypeError(`${name} must be a positive integer (or Infinity)`);
+    }
+}
+
+/**
+ * Environment class for managing variable scopes
+ */
+class Environment {
+    constructor(parent = null) {
+        this.values = new Map();
+        this.parent = parent;
+    }
+
+    /**
+     * Define a new variable
+     */
+    define(name, value) {
+        this.values.set(name, value);
+    }
+
+    /**
+     * Get a variable value
+     */
+    get(name, line = null) {
+        if (this.values.has(name)) {
+            return this.values.get(name);
+        }
+
+        if (this.parent) {
+            return this.parent.get(name, line);
+        }
+
+        throw new RuntimeError(
+            ErrorMessages.UNDEFINED_VARIABLE(name),
+            line
+        );
+    }
+
+    /**
+     * Assign a value to an existing variable
+     */
+    assign(name, value, line = null) {
+        if (this.values.has(name)) {
+            this.values.set(name, value);
+            return;
+        }
+
+        if (this.parent) {
+            this.parent.assign(name, value, line);
+            return;
+        }
+
+        throw new RuntimeError(
+            ErrorMessages.UNDEFINED_VARIABLE(name),
+            line
+        );
+    }
+}
+
+/**
+ * MasalaFunction class for user-defined functions
+ */
+class MasalaFunction {
+    constructor(declaration, closure, file = null) {
+        this.declaration = declaration;
+        this.closure = closure;
+        this.file = file; // File/module the function was defined in
+    }
+
+    call(interpreter, args) {
+        if (interpreter.callDepth >= interpreter.maxCallDepth) {
+            // Point at the call that crossed the limit, not inside the function
+            const error = interpreter.callDepthError();
+            error.callStack = interpreter.callStack.slice(0, -1);
+            throw error;
+        }
+
+        const previousFile = interpreter.file;
+        interpreter.file = this.file;
+        interpreter.callDepth++;
+
+        try {
+            return this.invoke(interpreter, args);
+        } catch (error) {
+            // Deeply nested code can exhaust the JavaScript stack before the limit
+            if (isStackOverflow(error)) {
+                error = interpreter.callDepthError();
+            }
+            interpreter.attributeError(error);
+            throw error;
+        } finally {
+            interpreter.callDepth--;
+            interpreter.file = previousFile;
+        }
+    }
+
+    invoke(interpreter, args) {
+        // Create new environment for function execution
+        const environment = new Environment(this.closure);
+
+        // Bind parameters to arguments
+        for (let i = 0; i < this.declaration.params.length; i++) {
+            environment.define(
+                this.declaration.params[i],
+                args[i] !== undefined ? args[i] : null
+            );
+        }
+
+        try {
+            interpreter.executeBlock(this.declaration.body, environment);
+        } catch (returnValue) {
+            if (returnValue instanceof ReturnValue) {
+                return returnValue.value;
+            }
+            throw returnValue;
+        }
+
+        return null;
+    }
+
+    get name() {
+        return this.declaration.name;
+    }
+
+    get arity() {
+        return this.declaration.params.length;
+    }
+
+    toString() {
+        return `<function ${this.declaration.name || 'anonymous'}>`;
+    }
+}
+
+/**
+ * NativeFunction class for built-in functions written in JavaScript.
+ * Shares the callable protocol of MasalaFunction: name, arity and call().
+ */
+class NativeFunction {
+    /**
+     * @param {string} name - Name the function is called by
+     * @param {number|null} arity - Number of arguments, or null for any number
+     * @param {Function} implementation - (interpreter, args) → value
+     */
+    constructor(name, arity, implementation) {
+        this.name = name;
+        this.arity = arity;
+        this.implementation = implementation;
+    }
+
+    call(interpreter, args) {
+        return this.implementation(interpreter, args);
+    }
+
+    toString() {
+        return `<native function ${this.name}>`;
+    }
+}
+
+/**
+ * Create the environment holding the built-in functions
+ */
+function createBuiltinEnvironment() {
+    const environment = new Environment();
+    for (const [name, builtin] of Object.entries(Builtins)) {
+        environment.define(name, new NativeFunction(name, builtin.arity, builtin.call));
+    }
+    return environment;
+}
+
+/**
+ * ReturnValue class for handling function returns
+ */
+class ReturnValue {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * BreakSignal class for leaving a loop early
+ */
+class BreakSignal {
+    constructor(line) {
+        this.line = line;
+    }
+}
+
+/**
+ * ContinueSignal class for skipping to the next loop iteration
+ */
+class ContinueSignal {
+    constructor(line) {
+        this.line = line;
+    }
+}
+
+/**
+ * Main Interpreter class
+ */
+class Interpreter {
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Runs 'le aao' imports
+     * @param {string} options.file - Id of the main program file
+     * @param {Function} options.input - Answers 'poocho': (question) → string, or null when out of input
+     * @param {*} options.output - Where prints go (see createOutputSink); console by default
+     * @param {number} options.maxCallDepth - Deepest allowed nesting of function calls
+     * @param {number} options.maxSteps - Statements and expressions allowed per run
+     * @param {number|null} options.timeout - Milliseconds allowed per run (null for no limit)
+     * @param {number|null} options.maxLoopIterations - Iterations allowed per loop (null for no limit)
+     */
+    constructor(options = {}) {
+        this.builtins = createBuiltinEnvironment();
+        this.globals = new Environment(this.builtins);
+        this.environment = this.globals;
+        this.output = [];
+        this.loader = options.loader || null;
+        this.mainFile = options.file || null;
+        this.file = this.mainFile; // File whose code is currently running
+        this.input = options.input || null;
+        this.sink = createOutputSink(options.output);
+        // MasalaScript functions being run, oldest call first: { name, line, column, file }
+        // of each call site (line is null for calls made from JavaScript)
+        this.callStack = [];
+        this.callDepth = 0;
+        this.maxCallDepth = options.maxCallDepth ?? DEFAULT_MAX_CALL_DEPTH;
+
+        // Execution budget, renewed for every program, REPL input or call from JavaScript
+        this.maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+        this.timeout = options.timeout ?? null;
+        this.maxLoopIterations = options.maxLoopIterations ?? null;
+        this.steps = 0;
+        this.deadline = null;
+        this.budgetActive = false;
+        // AbortSignal (or { aborted } token) of the current run, checked at loop iterations and calls
+        this.signal = null;
+
+        checkLimit('maxCallDepth', this.maxCallDepth);
+        checkLimit('maxSteps', this.maxSteps);
+        if (this.timeout !== null) checkLimit('timeout', this.timeout);
+        if (this.maxLoopIterations !== null) checkLimit('maxLoopIterations', this.maxLoopIterations);
+    }
+
+    /**
+     * Change where prints go
+     * @param {*} target - Function, stream, array collector, or null for silent
+     */
+    setOutput(target) {
+        this.sink = createOutputSink(target);
+    }
+
+    /**
+     * Define a name visible to every program and module run by this interpreter
+     * (used for values and functions provided by the host)
+     */
+    defineGlobal(name, value) {
+        this.builtins.define(name, value);
+    }
+
+    /**
+     * Read one answer for 'poocho' from the input provider
+     * @param {string} question - Text shown to the user
+     * @returns {string}
+     */
+    readInput(question) {
+        if (!this.input) {
+            throw new RuntimeError(ErrorMessages.NO_INPUT(), null);
+        }
+
+        // Time spent waiting for an answer doesn't count against the timeout
+        const waitStarted = Date.now();
+        let answer;
+        try {
+            answer = this.input(question);
+        } finally {
+            if (this.deadline !== null) {
+                this.deadline += Date.now() - waitStarted;
+            }
+        }
+        if (answer === null || answer === undefined) {
+            throw new RuntimeError(ErrorMessages.INPUT_EXHAUSTED(), null);
+        }
+
+        return String(answer);
+    }
+
+    /**
+     * Execute the program AST
+     * @param {Object} ast - The program AST
+     * @param {Object} options
+     * @param {AbortSignal|Object} options.signal - Stops the run once signal.aborted is true
+     * @returns {Array} Array of output strings
+     */
+    execute(ast, { signal = null } = {}) {
+        this.output = [];
+        this.environment = this.globals;
+        this.file = this.mainFile;
+        this.signal = signal;
+
+        try {
+            this.checkCancelled(null);
+            this.withBudget(() => this.visitProgram(ast));
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        } finally {
+            this.signal = null;
+        }
+
+        return this.output;
+    }
+
+    /**
+     * Execute REPL input in the global environment left by earlier inputs
+     * @param {Object} ast - Program AST of the new input
+     * @returns {*} Value of the last statement if it is a plain expression, else undefined
+     */
+    executeIncremental(ast) {
+        this.output = [];
+        this.environment = this.globals;
+        this.file = this.mainFile;
+
+        let value;
+        try {
+            this.withBudget(() => {
+                for (const stmt of ast.body) {
+                    const result = this.executeStatement(stmt);
+                    value = this.isEchoable(stmt) ? result : undefined;
+                }
+            });
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether the REPL should echo a statement's value
+     * (expressions, but not assignments)
+     */
+    isEchoable(stmt) {
+        if (stmt.type !== NodeType.EXPRESSION_STATEMENT) {
+            return false;
+        }
+
+        return ![
+            NodeType.ASSIGNMENT,
+            NodeType.INDEX_ASSIGNMENT,
+            NodeType.MEMBER_ASSIGNMENT
+        ].includes(stmt.expression.type);
+    }
+
+    /**
+     * Execute an imported module in its own top-level environment
+     * @param {Object} ast - The module's program AST
+     * @param {string} file - Module id
+     * @returns {Environment} The module's environment
+     */
+    executeModule(ast, file) {
+        const environment = new Environment(this.builtins);
+        const previousEnvironment = this.environment;
+        const previousFile = this.file;
+
+        try {
+            this.environment = environment;
+            this.file = file;
+            this.visitProgram(ast);
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        } finally {
+            this.environment = previousEnvironment;
+            this.file = previousFile;
+        }
+
+        return environment;
+    }
+
+    /**
+     * Run top-level work (a program, a REPL input or a call from JavaScript)
+     * with a fresh step and time budget. Work started while another run is
+     * going on, such as a host function calling back in, shares its budget.
+     */
+    withBudget(work) {
+        if (this.budgetActive) {
+            return work();
+        }
+
+        this.steps = 0;
+        this.deadline = this.timeout === null ? null : Date.now() + this.timeout;
+        this.budgetActive = true;
+        try {
+            return work();
+        } finally {
+            this.budgetActive = false;
+        }
+    }
+
+    /**
+     * Count one step of the budget, stopping the program once it runs out
+     */
+    tick(node) {
+        this.steps++;
+
+        if (this.steps > this.maxSteps) {
+            throw new LimitError(ErrorMessages.STEP_LIMIT_EXCEEDED(this.maxSteps), node.line ?? null);
+        }
+        if (this.deadline !== null && this.steps % DEADLINE_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+            throw new LimitError(ErrorMessages.TIMEOUT_EXCEEDED(this.timeout), node.line ?? null);
+        }
+    }
+
+    /**
+     * Stop the run if its signal has been aborted
+     */
+    checkCancelled(line) {
+        if (this.signal && this.signal.aborted) {
+            const reason = typeof this.signal.reason === 'string' ? this.signal.reason : null;
+            throw new CancelledError(ErrorMessages.PROGRAM_CANCELLED(reason), line);
+        }
+    }
+
+    /**
+     * Record which file a runtime error happened in, if not yet known
+     */
+    attributeError(error) {
+        if (error instanceof MasalaError && error.file === null) {
+            error.file = this.file;
+        }
+    }
+
+    /**
+     * Visit a program node
+     */
+    visitProgram(node) {
+        for (const stmt of node.body) {
+            this.executeStatement(stmt);
+        }
+    }
+
+    /**
+     * Execute a statement
+     */
+    executeStatement(node) {
+        this.tick(node);
+
+        switch (node.type) {
+            case NodeType.VARIABLE_DECLARATION:
+                return this.executeVariableDeclaration(node);
+            case NodeType.ASSIGNMENT:
+                return this.executeAssignment(node);
+            case NodeType.PRINT_STATEMENT:
+                return this.executePrintStatement(node);
+            case NodeType.IF_STATEMENT:
+                return this.executeIfStatement(node);
+            case NodeType.WHILE_STATEMENT:
+                return this.executeWhileStatement(node);
+            case NodeType.FOR_STATEMENT:
+                return this.executeForStatement(node);
+            case NodeType.BREAK_STATEMENT:
+                throw new BreakSignal(node.line);
+            case NodeType.CONTINUE_STATEMENT:
+                throw new ContinueSignal(node.line);
+            case NodeType.FUNCTION_DECLARATION:
+                return this.executeFunctionDeclaration(node);
+            case NodeType.RETURN_STATEMENT:
+                return this.executeReturnStatement(node);
+            case NodeType.TRY_STATEMENT:
+                return this.executeTryStatement(node);
+            case NodeType.IMPORT_STATEMENT:
+                return this.executeImportStatement(node);
+            case NodeType.THROW_STATEMENT:
+                return this.executeThrowStatement(node);
+            case NodeType.EXPRESSION_STATEMENT:
+                return this.executeExpressionStatement(node);
+            case NodeType.BLOCK:
+                return this.executeBlock(node, new Environment(this.environment));
+            default:
+                throw new RuntimeError(
+                    `Unknown statement type: ${node.type}`,
+                    node.line
+                );
+        }
+    }
+
+    /**
+     * Execute a variable declaration
+     */
+    executeVariableDeclaration(node) {
+        const value = this.evaluate(node.value);
+        this.environment.define(node.name, value);
+        return value;
+    }
+
+    /**
+     * Execute an assignment
+     */
+    executeAssignment(node) {
+        const value = this.evaluate(node.value);
+        this.environment.assign(node.name, value, node.line);
+        return value;
+    }
+
+    /**
+     * Execute a print statement
+     */
+    executePrintStatement(node) {
+        const values = node.expressions.map(expr => this.evaluate(expr));
+        const output = values.map(v => this.stringify(v)).join(' ');
+        this.output.push(output);
+        this.sink(output, node.line, this.file);
+        return null;
+    }
+
+    /**
+     * Execute an if statement
+     */
+    executeIfStatement(node) {
+        // Check each condition in order
+        for (let i = 0; i < node.conditions.length; i++) {
+            if (this.isTruthy(this.evaluate(node.conditions[i]))) {
+                return this.executeBlock(
+                    node.consequents[i],
+                    new Environment(this.environment)
+                );
+            }
+        }
+
+        // Execute else block if present and no condition matched
+        if (node.alternate) {
+            return this.executeBlock(
+                node.alternate,
+                new Environment(this.environment)
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a while statement
+     */
+    executeWhileStatement(node) {
+        let iterations = 0;
+
+        while (this.isTruthy(this.evaluate(node.condition))) {
+            iterations++;
+            this.checkIteration(iterations, node);
+
+            if (!this.executeLoopBody(node.body, new Environment(this.environment))) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a counted loop (both bounds inclusive)
+     */
+    executeForStatement(node) {
+        const start = this.evaluate(node.start);
+        const end = this.evaluate(node.end);
+        this.checkNumberOperands('har', start, end, node.line);
+
+        // Count down automatically when no step is given and start > end
+        let step = start <= end ? 1 : -1;
+        if (node.step) {
+            step = this.evaluate(node.step);
+            this.checkNumberOperand('step', step, node.line);
+            if (step === 0) {
+                throw new RuntimeError(ErrorMessages.ZERO_STEP(), node.line);
+            }
+        }
+
+        // Work out each value from the count, so a fractional step doesn't
+        // pile up rounding errors and miss the end
+        for (let iterations = 0; ; iterations++) {
+            const i = start + iterations * step;
+            if (step > 0 ? i > end : i < end) {
+                break;
+            }
+            this.checkIteration(iterations + 1, node);
+
+            // Fresh environment per iteration so closures see their own counter
+            const environment = new Environment(this.environment);
+            environment.define(node.variable, i);
+
+            if (!this.executeLoopBody(node.body, environment)) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute one loop iteration, handling break/continue
+     * @returns {boolean} False if the loop should stop
+     */
+    executeLoopBody(body, environment) {
+        try {
+            this.executeBlock(body, environment);
+        } catch (signal) {
+            if (signal instanceof BreakSignal) {
+                return false;
+            }
+            if (!(signal instanceof ContinueSignal)) {
+                throw signal;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Before each loop iteration: count a step (so even an empty body uses up
+     * the budget), and stop if the run was cancelled or the optional
+     * per-loop iteration cap is used up
+     */
+    checkIteration(iterations, node) {
+        this.tick(node);
+        this.checkCancelled(node.line);
+
+        if (this.maxLoopIterations !== null && iterations > this.maxLoopIterations) {
+            throw new RuntimeError(
+                ErrorMessages.LOOP_LIMIT_EXCEEDED(this.maxLoopIterations),
+                node.line
+            );
+        }
+    }
+
+    /**
+     * Execute a function declaration
+     */
+    executeFunctionDeclaration(node) {
+        const func = new MasalaFunction(node, this.environment, this.file);
+        this.environment.define(node.name, func);
+        return func;
+    }
+
+    /**
+     * Execute a return statement
+     */
+    executeReturnStatement(node) {
+        let value = null;
+        if (node.value) {
+            value = this.evaluate(node.value);
+        }
+        throw new ReturnValue(value);
+    }
+
+    /**
+     * Execute an import statement - runs the module once, then binds its exports
+     */
+    executeImportStatement(node) {
+        if (!this.loader) {
+            throw new RuntimeError(ErrorMessages.NO_MODULE_RESOLVER(), node.line);
+        }
+
+        const module = this.loader.load(node.source, this.file, node.line);
+        const values = this.loader.instantiate(module, this);
+
+        for (const name of node.names) {
+            if (!values.has(name)) {
+                throw new RuntimeError(
+                    ErrorMessages.NOT_EXPORTED(name, module.id),
+                    node.line
+                );
+            }
+            this.environment.define(name, values.get(name));
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a try statement
+     * Only MasalaErrors are caught, and not limit or cancellation errors,
+     * which must stop the program; return/break/continue unwind through
+     * untouched, but the finally block still runs on the way out.
+     */
+    executeTryStatement(node) {
+        try {
+            this.executeBlock(node.block, new Environment(this.environment));
+        } catch (error) {
+            if (!(error instanceof MasalaError) || !this.isCatchable(error) || !node.handler) {
+                throw error;
+            }
+
+            const environment = new Environment(this.environment);
+            if (node.param) {
+                environment.define(node.param, this.errorToValue(error));
+            }
+            this.executeBlock(node.handler, environment);
+        } finally {
+            if (node.finalizer) {
+                this.executeBlock(node.finalizer, new Environment(this.environment));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether 'koshish karo' may catch an error
+     */
+    isCatchable(error) {
+        return !(error instanceof LimitError || error instanceof CancelledError);
+    }
+
+    /**
+     * Execute a throw statement
+     */
+    executeThrowStatement(node) {
+        const value = this.evaluate(node.value);
+        throw new ThrowError(this.stringify(value), node.line, value);
+    }
+
+    /**
+     * Convert a caught error into a dict the program can inspect
+     */
+    errorToValue(error) {
+        return new Map([
+            ['message', error.message],
+            ['line', error.line],
+            ['type', error.type],
+            ['name', error.name],
+            ['value', error instanceof ThrowError ? error.value : null],
+        ]);
+    }
+
+    /**
+     * Execute an expression statement
+     */
+    executeExpressionStatement(node) {
+        return this.evaluate(node.expression);
+    }
+
+    /**
+     * Execute a block of statements
+     */
+    executeBlock(node, environment) {
+        const previous = this.environment;
+        try {
+            this.environment = environment;
+
+            for (const stmt of node.statements) {
+                this.executeStatement(stmt);
+            }
+        } finally {
+            this.environment = previous;
+        }
+
+        return null;
+    }
+
+    /**
+     * Evaluate an expression
+     */
+    evaluate(node) {
+        if (!node) return null;
+        this.tick(node);
+
+        switch (node.type) {
+            case NodeType.LITERAL:
+                return node.value;
+
+            case NodeType.INTERPOLATED_STRING:
+                return node.parts.map(part =>
+                    typeof part === 'string' ? part : this.stringify(this.evaluate(part))
+                ).join('');
+
+            case NodeType.IDENTIFIER:
+                return this.environment.get(node.name, node.line);
+
+            case NodeType.GROUPING:
+                return this.evaluate(node.expression);
+
+            case NodeType.UNARY_EXPRESSION:
+                return this.evaluateUnary(node);
+
+            case NodeType.BINARY_EXPRESSION:
+                return this.evaluateBinary(node);
+
+            case NodeType.CALL_EXPRESSION:
+                return this.evaluateCall(node);
+
+            case NodeType.FUNCTION_EXPRESSION:
+                return new MasalaFunction(node, this.environment, this.file);
+
+            case NodeType.ASSIGNMENT:
+                return this.executeAssignment(node);
+
+            case NodeType.ARRAY_LITERAL:
+                return node.elements.map(element => this.evaluate(element));
+
+            case NodeType.INDEX_EXPRESSION:
+                return this.evaluateIndex(node);
+
+            case NodeType.INDEX_ASSIGNMENT:
+                return this.executeIndexAssignment(node);
+
+            case NodeType.DICT_LITERAL:
+                return new Map(node.entries.map(entry => [entry.key, this.evaluate(entry.value)]));
+
+            case NodeType.MEMBER_EXPRESSION:
+                return this.evaluateMember(node);
+
+            case NodeType.MEMBER_ASSIGNMENT:
+                return this.executeMemberAssignment(node);
+
+            default:
+                throw new RuntimeError(
+                    `Unknown expression type: ${node.type}`,
+                    node.line
+                );
+        }
+    }
+
+    /**
+     * Evaluate a unary expression
+     */
+    evaluateUnary(node) {
+        const operand = this.evaluate(node.operand);
+
+        switch (node.operator) {
+            case '-':
+                this.checkNumberOperand(node.operator, operand, node.line);
+                return -operand;
+            case '!':
+                return !this.isTruthy(operand);
+            default:
+                throw new RuntimeError(
+                    ErrorMessages.INVALID_OPERAND(node.operator),
+                    node.line
+                );
+        }
+    }
+
+    /**
+     * Evaluate a binary expression
+     */
+    evaluateBinary(node) {
+        if (node.operator === '&&' || node.operator === '||') {
+            return this.evaluateLogical(node);
+        }
+
+        const left = this.evaluate(node.left);
+        const right = this.evaluate(node.right);
+
+        switch (node.operator) {
+            // Arithmetic
+            case '+':
+                if (typeof left === 'number' && typeof right === 'number') {
+                    return left + right;
+                }
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return this.stringify(left) + this.stringify(right);
+                }
+                throw new RuntimeError(
+                    ErrorMessages.INVALID_OPERAND('+'),
+                    node.line
+                );
+
+            case '-':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left - right;
+
+            case '*':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left * right;
+
+            case '/':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                if (right === 0) {
+                    throw new RuntimeError(
+                        ErrorMessages.DIVISION_BY_ZERO(),
+                        node.line
+                    );
+                }
+                return left / right;
+
+            case '%':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                if (right === 0) {
+                    throw new RuntimeError(
+                        ErrorMessages.DIVISION_BY_ZERO(),
+                        node.line
+                    );
+                }
+                return left % right;
+
+            // Comparison
+            case '<':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left < right;
+
+            case '>':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left > right;
+
+            case '<=':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left <= right;
+
+            case '>=':
+                this.checkNumberOperands(node.operator, left, right, node.line);
+                return left >= right;
+
+            // Equality
+            case '==':
+                return this.isEqual(left, right);
+
+            case '!=':
+                return !this.isEqual(left, right);
+
+            default:
+                throw new RuntimeError(
+                    ErrorMessages.INVALID_OPERAND(node.operator),
+                    node.line
+                );
+        }
+    }
+
+    /**
+     * Evaluate '&&' / '||' - the right side only runs when it decides the result.
+     * Always returns a boolean (sach/galat), never an operand.
+     */
+    evaluateLogical(node) {
+        const left = this.isTruthy(this.evaluate(node.left));
+
+        if (node.operator === '&&' ? !left : left) {
+            return left;
+        }
+
+        return this.isTruthy(this.evaluate(node.right));
+    }
+
+    /**
+     * Evaluate a function call
+     */
+    evaluateCall(node) {
+        // Get the callee - any expression that evaluates to a function
+        let callee;
+        if (node.callee.type === NodeType.IDENTIFIER) {
+            try {
+                callee = this.environment.get(node.callee.name, node.line);
+            } catch (e) {
+                throw new RuntimeError(
+                    ErrorMessages.UNDEFINED_FUNCTION(node.callee.name),
+                    node.line
+                );
+            }
+        } else {
+            callee = this.evaluate(node.callee);
+        }
+
+        // Evaluate arguments
+        const args = node.arguments.map(arg => this.evaluate(arg));
+
+        // Check if it's callable
+        if (!this.isCallable(callee)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_A_FUNCTION(this.calleeName(node.callee, callee)),
+                node.line
+            );
+        }
+
+        this.checkArgumentCount(callee, this.calleeName(node.callee, callee), args.length, node.line);
+
+        // Native functions get no frame - their errors point at the call itself
+        const frame = callee instanceof MasalaFunction
+            ? {
+                name: callee.name || this.calleeName(node.callee, callee),
+                line: node.line,
+                column: node.column ?? null,
+                file: this.file
+            }
+            : null;
+
+        this.checkCancelled(node.line);
+
+        if (frame) {
+            this.callStack.push(frame);
+        }
+        try {
+            return callee.call(this, args);
+        } catch (error) {
+            // Native functions and the call depth limit don't know where the call was made
+            if (error instanceof MasalaError && error.line === null) {
+                error.line = node.line;
+            }
+            this.recordCallStack(error);
+            throw error;
+        } finally {
+            if (frame) {
+                this.callStack.pop();
+            }
+        }
+    }
+
+    /**
+     * Error for calls nested deeper than maxCallDepth. The line is filled in
+     * by evaluateCall, which knows where the call was made.
+     */
+    callDepthError() {
+        return new RuntimeError(ErrorMessages.CALL_DEPTH_EXCEEDED(this.callDepth), null);
+    }
+
+    /**
+     * Give an error the call stack at the point it was raised. The innermost
+     * call sees the error first, so later (shallower) calls leave it alone.
+     */
+    recordCallStack(error) {
+        if (error instanceof MasalaError && error.callStack.length === 0) {
+            error.callStack = this.callStack.slice();
+        }
+    }
+
+    /**
+     * Check that a call passes as many arguments as the function takes
+     * (natives with a null arity accept any number)
+     */
+    checkArgumentCount(callee, name, count, line) {
+        if (callee.arity !== null && count !== callee.arity) {
+            throw new RuntimeError(
+                ErrorMessages.WRONG_ARG_COUNT(name, callee.arity, count),
+                line
+            );
+        }
+    }
+
+    /**
+     * Find a global function defined by an earlier run (for calls from the host)
+     * @param {string} name - Function name
+     * @returns {MasalaFunction|NativeFunction}
+     */
+    getFunction(name) {
+        let callee;
+        try {
+            callee = this.globals.get(name);
+        } catch (e) {
+            throw new RuntimeError(ErrorMessages.UNDEFINED_FUNCTION(name), null);
+        }
+
+        if (!this.isCallable(callee)) {
+            throw new RuntimeError(ErrorMessages.NOT_A_FUNCTION(name), null);
+        }
+
+        return callee;
+    }
+
+    /**
+     * Call a function value from the host with MasalaScript arguments
+     * @param {MasalaFunction|NativeFunction} callee - Function to call
+     * @param {Array} args - Arguments, already converted to MasalaScript values
+     * @returns {*} The function's return value
+     */
+    callFunction(callee, args) {
+        this.checkArgumentCount(callee, callee.name || '<anonymous>', args.length, null);
+
+        const frame = callee instanceof MasalaFunction
+            ? { name: callee.name, line: null, column: null, file: null }
+            : null;
+
+        if (frame) {
+            this.callStack.push(frame);
+        }
+        try {
+            return this.withBudget(() => callee.call(this, args));
+        } catch (error) {
+            this.attributeError(error);
+            this.recordCallStack(error);
+            throw error;
+        } finally {
+            if (frame) {
+                this.callStack.pop();
+            }
+        }
+    }
+
+    /**
+     * Evaluate an index read (xs[i])
+     */
+    evaluateIndex(node) {
+        const object = this.evaluate(node.object);
+        const index = this.evaluate(node.index);
+
+        if (object instanceof Map) {
+            return this.getDictValue(object, index, node.line);
+        }
+
+        if (!Array.isArray(object) && typeof object !== 'string') {
+            throw new RuntimeError(
+                ErrorMessages.NOT_INDEXABLE(this.typeName(object)),
+                node.line
+            );
+        }
+
+        this.checkIndex(object, index, node.line);
+        return object[index];
+    }
+
+    /**
+     * Execute an index assignment (xs[i] = value)
+     */
+    executeIndexAssignment(node) {
+        const object = this.evaluate(node.object);
+        const index = this.evaluate(node.index);
+
+        if (object instanceof Map) {
+            this.checkKey(index, node.line);
+            const value = this.evaluate(node.value);
+            object.set(index, value);
+            return value;
+        }
+
+        if (typeof object === 'string') {
+            throw new RuntimeError(ErrorMessages.STRING_IMMUTABLE(), node.line);
+        }
+        if (!Array.isArray(object)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_INDEXABLE(this.typeName(object)),
+                node.line
+            );
+        }
+
+        this.checkIndex(object, index, node.line);
+
+        const value = this.evaluate(node.value);
+        object[index] = value;
+        return value;
+    }
+
+    /**
+     * Evaluate a key read (obj.key)
+     */
+    evaluateMember(node) {
+        const object = this.evaluate(node.object);
+
+        if (!(object instanceof Map)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_A_DICT(this.typeName(object)),
+                node.line
+            );
+        }
+
+        return this.getDictValue(object, node.property, node.line);
+    }
+
+    /**
+     * Execute a key assignment (obj.key = value)
+     */
+    executeMemberAssignment(node) {
+        const object = this.evaluate(node.object);
+
+        if (!(object instanceof Map)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_A_DICT(this.typeName(object)),
+                node.line
+            );
+        }
+
+        const value = this.evaluate(node.value);
+        object.set(node.property, value);
+        return value;
+    }
+
+    /**
+     * Read a key from a dict - missing keys are an error, not khaali
+     */
+    getDictValue(dict, key, line) {
+        this.checkKey(key, line);
+
+        if (!dict.has(key)) {
+            throw new RuntimeError(
+                ErrorMessages.KEY_NOT_FOUND(key),
+                line
+            );
+        }
+
+        return dict.get(key);
+    }
+
+    /**
+     * Describe a callee for error messages
+     */
+    calleeName(node, value = undefined) {
+        if (node.type === NodeType.IDENTIFIER) {
+            return node.name;
+        }
+        if (node.type === NodeType.MEMBER_EXPRESSION) {
+            return `${this.calleeName(node.object)}.${node.property}`;
+        }
+        if (this.isCallable(value)) {
+            return value.name || '<anonymous>';
+        }
+        return value === undefined ? '<expr>' : this.stringify(value);
+    }
+
+    // ==================== Helper Methods ====================
+
+    /**
+     * Check if a value can be called (user-defined or native function)
+     */
+    isCallable(value) {
+        return value instanceof MasalaFunction || value instanceof NativeFunction;
+    }
+
+    /**
+     * Check if a value is truthy
+     */
+    isTruthy(value) {
+        if (value === null) return false;
+        if (typeof value === 'boolean') return value;
+        return true;
+    }
+
+    /**
+     * Check if two values are equal
+     * @param {Map} comparing - Pairs of containers being compared further up
+     *   (a → Set of b); a pair met again inside itself is a cycle, and counts
+     *   as equal so far
+     */
+    isEqual(a, b, comparing = new Map()) {
+        if (a === null && b === null) return true;
+        if (a === null) return false;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            if (a.length !== b.length) return false;
+            return this.compareContainers(a, b, comparing, () =>
+                a.every((item, i) => this.isEqual(item, b[i], comparing)));
+        }
+        if (a instanceof Map && b instanceof Map) {
+            if (a.size !== b.size) return false;
+            return this.compareContainers(a, b, comparing, () =>
+                [...a].every(([key, value]) => b.has(key) && this.isEqual(value, b.get(key), comparing)));
+        }
+        return a === b;
+    }
+
+    /**
+     * Run the comparison of two containers unless the same pair is already
+     * being compared further up
+     */
+    compareContainers(a, b, comparing, compare) {
+        if (comparing.get(a)?.has(b)) {
+            return true;
+        }
+        if (!comparing.has(a)) {
+            comparing.set(a, new Set());
+        }
+
+        comparing.get(a).add(b);
+        try {
+            return compare();
+        } finally {
+            comparing.get(a).delete(b);
+        }
+    }
+
+    /**
+     * Check that a dict key is a string
+     */
+    checkKey(key, line) {
+        if (typeof key !== 'string') {
+            throw new RuntimeError(
+                ErrorMessages.INVALID_KEY(this.stringify(key)),
+                line
+            );
+        }
+    }
+
+    /**
+     * Check that an index is a whole number inside the list/string
+     */
+    checkIndex(object, index, line) {
+        if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
+            throw new RuntimeError(
+                ErrorMessages.INVALID_INDEX(this.stringify(index)),
+                line
+            );
+        }
+        if (index >= object.length) {
+            throw new RuntimeError(
+                ErrorMessages.INDEX_OUT_OF_RANGE(index, object.length),
+                line
+            );
+        }
+    }
+
+    /**
+     * Get the MasalaScript type name of a value
+     */
+    typeName(value) {
+        if (value === null) return 'khaali';
+        if (Array.isArray(value)) return 'list';
+        if (value instanceof Map) return 'dict';
+        if (this.isCallable(value)) return 'function';
+        return typeof value;
+    }
+
+    /**
+     * Check that operand is a number
+     */
+    checkNumberOperand(operator, operand, line) {
+        if (typeof operand === 'number') return;
+        throw new RuntimeError(
+            ErrorMessages.NOT_A_NUMBER(operator),
+            line
+        );
+    }
+
+    /**
+     * Check that both operands are numbers
+     */
+    checkNumberOperands(operator, left, right, line) {
+        if (typeof left === 'number' && typeof right === 'number') return;
+        throw new RuntimeError(
+            ErrorMessages.NOT_A_NUMBER(operator),
+            line
+        );
+    }
+
+    /**
+     * Convert value to string for output
+     * @param {Set} inside - Containers being converted further up; one that
+     *   contains itself is shown as [...] or {...} there
+     */
+    stringify(value, inside = new Set()) {
+        if (value === null) return 'khaali';
+        if (value === true) return 'sach';
+        if (value === false) return 'galat';
+        if (typeof value === 'number') {
+            // Handle integer vs float display
+            if (Number.isInteger(value)) {
+                return value.toString();
+            }
+            return value.toString();
+        }
+        if (this.isCallable(value)) {
+            return value.toString();
+        }
+        if (Array.isArray(value)) {
+            if (inside.has(value)) return '[...]';
+            inside.add(value);
+            const items = value.map(item => this.stringifyItem(item, inside));
+            inside.delete(value);
+            return `[${items.join(', ')}]`;
+        }
+        if (value instanceof Map) {
+            if (inside.has(value)) return '{...}';
+            inside.add(value);
+            const entries = [...value].map(([key, item]) => `${key}: ${this.stringifyItem(item, inside)}`);
+            inside.delete(value);
+            return `{${entries.join(', ')}}`;
+        }
+        return String(value);
+    }
+
+    /**
+     * Convert a list item or dict value to string, quoting strings
+     */
+    stringifyItem(value, inside = new Set()) {
+        return typeof value === 'string' ? JSON.stringify(value) : this.stringify(value, inside);
+    }
+}
+
+/**
+ * Convenience function to execute an AST
+ */
+function execute(ast, options = {}) {
+    const interpreter = new Interpreter(options);
+    return interpreter.execute(ast, options);
+}
+
+return { DEFAULT_MAX_STEPS, DEFAULT_MAX_CALL_DEPTH, NativeFunction, Interpreter, execute };
+    })();
+
+    // ==================== modules.js ====================
+
+    bundledModules['modules.js'] = (function () {
+/**
+ * MasalaScript Module Loader
+ * Resolves, compiles and runs imported .ms files ('le aao ... se ...')
+ */
+
+const { Lexer } = bundledModules['lexer.js'];
+const { Parser } = bundledModules['parser.js'];
+const { Analyzer } = bundledModules['analyzer.js'];
+const { NodeType } = bundledModules['ast.js'];
+const { MasalaError, SemanticError, ErrorMessages } = bundledModules['errors.js'];
+
+/**
+ * ModuleLoader compiles each module once and runs it at most once per run.
+ *
+ * A resolver is any object with:
+ *   resolve(specifier, importer) → module id (importer is null for the main file)
+ *   load(id) → source code, or null if the module does not exist
+ */
+class ModuleLoader {
+    /**
+     * @param {Object} resolver - Finds and reads module sources
+     * @param {Object} options
+     * @param {Map} options.host - Host-defined names, shared with each module's analyzer
+     * @param {string|Object} options.dialect - Keyword dialect (name or mapping) modules are written in
+     */
+    constructor(resolver, options = {}) {
+        this.resolver = resolver;
+        this.host = options.host || new Map();
+        this.dialect = options.dialect || 'default';
+        this.modules = new Map();   // id → module record
+        this.sources = new Map();   // id → source, kept even if compiling fails
+        this.loading = [];          // ids currently being compiled (cycle detection)
+    }
+
+    /**
+     * Forget all compiled and executed modules
+     */
+    reset() {
+        this.modules = new Map();
+        this.sources = new Map();
+        this.loading = [];
+    }
+
+    /**
+     * Compile a module (and, through the analyzer, everything it imports)
+     * @param {string} specifier - Path as written in the import statement
+     * @param {string|null} importer - Id of the importing file
+     * @param {number} line - Line of the import statement
+     * @param {number|null} column - Column of the import statement
+     * @returns {Object} Module record
+     */
+    load(specifier, importer, line, column = null) {
+        const id = this.resolver.resolve(specifier, importer);
+
+        if (this.loading.includes(id)) {
+            const chain = this.loading.slice(this.loading.indexOf(id));
+            throw new SemanticError(
+                ErrorMessages.IMPORT_CYCLE([...chain, id]),
+                line,
+                column
+            );
+        }
+
+        if (this.modules.has(id)) {
+            return this.modules.get(id);
+        }
+
+        const source = this.resolver.load(id);
+        if (source === null || source === undefined) {
+            throw new SemanticError(
+                ErrorMessages.MODULE_NOT_FOUND(specifier),
+                line,
+                column
+            );
         }
 
-        toString() {
-            let location = '';
-            if (this.line !== null) {
-                location = ` (Line ${this.line}`;
-                if (this.column !== null) {
-                    location += `, Column ${this.column}`;
+        this.sources.set(id, source);
+        this.loading.push(id);
+        let ast;
+        let stage = null;
+        try {
+            stage = new Lexer(source, { dialect: this.dialect });
+            const tokens = stage.tokenize();
+            stage = new Parser(tokens);
+            ast = stage.parse();
+            stage = new Analyzer({ loader: this, file: id, host: this.host });
+            stage.analyze(ast);
+        } catch (error) {
+            if (!(error instanceof MasalaError)) {
+                throw error;
+            }
+            // Each stage throws only its first error; hand on all of them
+            const errors = stage.errors.length > 0 ? stage.errors : [error];
+            for (const each of errors) {
+                if (each.file === null) {
+                    each.file = id;
                 }
-                location += ')';
             }
-            return `${this.type}${location}: ${this.message}`;
+            errors[0].moduleErrors = errors;
+            throw errors[0];
+        } finally {
+            this.loading.pop();
         }
+
+        const record = {
+            id,
+            source,
+            ast,
+            exports: this.collectExports(ast),
+            values: null        // Filled in once the module has run
+        };
+        this.modules.set(id, record);
+        return record;
     }
 
-    class LexerError extends MasalaError {
-        constructor(message, line, column) {
-            super(message, line, column, 'Galti ho gayi! Lexer Error');
-            this.name = 'LexerError';
+    /**
+     * Run a compiled module once and return its exported values
+     * @param {Object} record - Module record from load()
+     * @param {Interpreter} interpreter - Interpreter to run the module with
+     * @returns {Map} Exported name → value
+     */
+    instantiate(record, interpreter) {
+        if (record.values === null) {
+            const environment = interpreter.executeModule(record.ast, record.id);
+
+            record.values = new Map();
+            for (const name of record.exports.keys()) {
+                record.values.set(name, environment.get(name));
+            }
         }
+
+        return record.values;
     }
 
-    class ParserError extends MasalaError {
-        constructor(message, line, column) {
-            super(message, line, column, 'Arrey bhai! Parser Error');
-            this.name = 'ParserError';
-        }
+    /**
+     * Get the source of a loaded module (for error context)
+     */
+    sourceOf(id) {
+        return this.sources.has(id) ? this.sources.get(id) : null;
     }
 
-    class SemanticError extends MasalaError {
-        constructor(message, line, column) {
-            super(message, line, column, 'Kya kar rahe ho! Semantic Error');
-            this.name = 'SemanticError';
+    /**
+     * Collect the 'bahar bhejo' functions of a module
+     * @returns {Map} Exported name → { paramCount }
+     */
+    collectExports(ast) {
+        const exports = new Map();
+
+        for (const stmt of ast.body) {
+            if (stmt.type === NodeType.FUNCTION_DECLARATION && stmt.exported) {
+                exports.set(stmt.name, { paramCount: stmt.params.length });
+            }
         }
+
+        return exports;
     }
+}
 
-    class RuntimeError extends MasalaError {
-        constructor(message, line = null) {
-            super(message, line, null, 'Dhoom machale! Runtime Error');
-            this.name = 'RuntimeError';
-        }
+/**
+ * Create a resolver that serves modules from an in-memory map of files.
+ * Used by the browser playground and the embedding API.
+ * @param {Object} files - Map of path → source, e.g. { 'utils.ms': '...' }
+ */
+function createMemoryResolver(files) {
+    const sources = new Map();
+    for (const [path, source] of Object.entries(files)) {
+        sources.set(normalizePath(path), source);
     }
 
-    const ErrorMessages = {
-        UNEXPECTED_CHARACTER: (char) => `Yeh character kya hai bhai? '${char}' samajh nahi aaya`,
-        UNTERMINATED_STRING: () => `String khatam nahi hui - closing quote lagao!`,
-        INVALID_NUMBER: (num) => `Yeh number galat hai: '${num}'`,
-        EXPECTED_ACTION: () => `Program start karo 'Chal bhai suru kar' se - yeh toh basic hai!`,
-        EXPECTED_PAISA_VASOOL: () => `Program end karo 'bas khatam karo' se - ending toh chahiye!`,
-        EXPECTED_IDENTIFIER: () => `Yahan variable ka naam chahiye`,
-        EXPECTED_EXPRESSION: () => `Yahan koi expression chahiye`,
-        EXPECTED_LPAREN: () => `'(' lagana bhool gaye kya?`,
-        EXPECTED_RPAREN: () => `')' lagana bhool gaye kya?`,
-        EXPECTED_LBRACE: () => `'{' lagana bhool gaye kya?`,
-        EXPECTED_RBRACE: () => `'}' lagana bhool gaye kya?`,
-        EXPECTED_EQUALS: () => `'=' lagana bhool gaye kya?`,
-        UNEXPECTED_TOKEN: (token) => `Yeh token yahan nahi aana chahiye: '${token}'`,
-        INVALID_ASSIGNMENT_TARGET: () => `Assignment ka target galat hai`,
-        UNDEFINED_VARIABLE: (name) => `Variable '${name}' define nahi hua hai - pehle 'maan lo' karo`,
-        UNDEFINED_FUNCTION: (name) => `Function '${name}' define nahi hua hai`,
-        ALREADY_DEFINED: (name) => `'${name}' toh pehle se define hai - duplicate mat karo!`,
-        WRONG_ARG_COUNT: (name, expected, got) => `Function '${name}' ko ${expected} arguments chahiye, tumne ${got} diye`,
-        RETURN_OUTSIDE_FUNCTION: () => `'dialogue wapas do' sirf function ke andar use karo`,
-        BREAK_OUTSIDE_LOOP: () => `'me bahar ja raha hu' sirf loop ke andar use karo`,
-        DIVISION_BY_ZERO: () => `Zero se divide? Yeh toh impossible hai bhai!`,
-        NOT_A_FUNCTION: (name) => `'${name}' function nahi hai`,
-        NOT_A_NUMBER: (op) => `'${op}' operation ke liye numbers chahiye`,
-        INVALID_OPERAND: (op) => `'${op}' ke saath yeh operands use nahi kar sakte`,
-    };
+    return {
+        resolve(specifier, importer) {
+            const base = importer ? dirname(importer) : '';
+            if (specifier.startsWith('/') || base === '') {
+                return normalizePath(specifier);
+            }
+            return normalizePath(`${base}/${specifier}`);
+        },
 
-    // ==================== TOKENS ====================
-
-    const TokenType = {
-        ACTION: 'ACTION',
-        PAISA_VASOOL: 'PAISA_VASOOL',
-        MAAN_LO: 'MAAN_LO',
-        AGAR_KISMAT_RAHI: 'AGAR_KISMAT_RAHI',
-        NAHI_TO: 'NAHI_TO',
-        WARNA: 'WARNA',
-        JAB_TAK_HAI_JAAN: 'JAB_TAK_HAI_JAAN',
-        BREAK: 'BREAK',
-        CLIMAX: 'CLIMAX',
-        DIALOGUE_WAPAS_DO: 'DIALOGUE_WAPAS_DO',
-        EK_BAAT_BATAUN: 'EK_BAAT_BATAUN',
-        NUMBER: 'NUMBER',
-        STRING: 'STRING',
-        SACH: 'SACH',
-        GALAT: 'GALAT',
-        KHAALI: 'KHAALI',
-        IDENTIFIER: 'IDENTIFIER',
-        PLUS: 'PLUS',
-        MINUS: 'MINUS',
-        STAR: 'STAR',
-        SLASH: 'SLASH',
-        PERCENT: 'PERCENT',
-        EQUAL_EQUAL: 'EQUAL_EQUAL',
-        BANG_EQUAL: 'BANG_EQUAL',
-        LESS: 'LESS',
-        GREATER: 'GREATER',
-        LESS_EQUAL: 'LESS_EQUAL',
-        GREATER_EQUAL: 'GREATER_EQUAL',
-        AND: 'AND',
-        OR: 'OR',
-        BANG: 'BANG',
-        EQUAL: 'EQUAL',
-        LPAREN: 'LPAREN',
-        RPAREN: 'RPAREN',
-        LBRACE: 'LBRACE',
-        RBRACE: 'RBRACE',
-        COMMA: 'COMMA',
-        COLON: 'COLON',
-        EOF: 'EOF',
+        load(id) {
+            return sources.has(id) ? sources.get(id) : null;
+        }
     };
+}
 
-    const Keywords = {
-        'Chal bhai suru kar': TokenType.ACTION,
-        'bas khatam karo': TokenType.PAISA_VASOOL,
-        'maan lo': TokenType.MAAN_LO,
-        'agar kismat rahi': TokenType.AGAR_KISMAT_RAHI,
-        'nahi to': TokenType.NAHI_TO,
-        'warna': TokenType.WARNA,
-        'jab tak hai jaan': TokenType.JAB_TAK_HAI_JAAN,
-        'me bahar ja raha hu': TokenType.BREAK,
-        'climax': TokenType.CLIMAX,
-        'dialogue wapas do': TokenType.DIALOGUE_WAPAS_DO,
-        'ek baat bataun:': TokenType.EK_BAAT_BATAUN,
-        'sach': TokenType.SACH,
-        'galat': TokenType.GALAT,
-        'khaali': TokenType.KHAALI,
-    };
+/**
+ * Get the directory part of a '/'-separated path
+ */
+function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
 
-    const SingleCharTokens = {
-        '+': TokenType.PLUS,
-        '-': TokenType.MINUS,
-        '*': TokenType.STAR,
-        '/': TokenType.SLASH,
-        '%': TokenType.PERCENT,
-        '(': TokenType.LPAREN,
-        ')': TokenType.RPAREN,
-        '{': TokenType.LBRACE,
-        '}': TokenType.RBRACE,
-        ',': TokenType.COMMA,
-        ':': TokenType.COLON,
-    };
+/**
+ * Collapse '.', '..' and duplicate slashes in a '/'-separated path
+ */
+function normalizePath(path) {
+    const parts = [];
+
+    for (const part of path.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+
+    return (path.startsWith('/') ? '/' : '') + parts.join('/');
+}
+
+return { ModuleLoader, createMemoryResolver };
+    })();
+
+    // ==================== host.js ====================
+
+    bundledModules['host.js'] = (function () {
+/**
+ * MasalaScript Host Interop
+ * Converts values between JavaScript and MasalaScript for the embedding API
+ */
+
+const { NativeFunction } = bundledModules['interpreter.js'];
+const { MasalaError, RuntimeError, ErrorMessages } = bundledModules['errors.js'];
+
+/**
+ * Convert a JavaScript value into a MasalaScript value
+ *   undefined/null → khaali, arrays → lists, objects and Maps → dicts,
+ *   functions → native functions; numbers, strings and booleans pass through
+ * Objects that contain themselves come out as lists/dicts that contain themselves.
+ * @param {*} value - JavaScript value
+ * @param {string} name - Name used if the value is a function
+ * @param {Map} converted - Containers converted so far → their copies
+ */
+function toMasala(value, name = 'host', converted = new Map()) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'bigint') {
+        return Number(value);
+    }
+    if (typeof value === 'function') {
+        return createHostFunction(name, null, value);
+    }
+    if (converted.has(value)) {
+        return converted.get(value);
+    }
 
-    class Token {
-        constructor(type, lexeme, literal, line, column) {
-            this.type = type;
-            this.lexeme = lexeme;
-            this.literal = literal;
-            this.line = line;
-            this.column = column;
+    // Register the copy before filling it, so a cycle finds it
+    if (Array.isArray(value)) {
+        const list = [];
+        converted.set(value, list);
+        for (const item of value) {
+            list.push(toMasala(item, name, converted));
         }
+        return list;
     }
 
-    // ==================== LEXER ====================
+    const dict = new Map();
+    converted.set(value, dict);
+    for (const [key, item] of value instanceof Map ? value : Object.entries(value)) {
+        dict.set(String(key), toMasala(item, `${name}.${key}`, converted));
+    }
+    return dict;
+}
 
-    class Lexer {
-        constructor(source) {
-            this.source = source;
-            this.tokens = [];
-            this.start = 0;
-            this.current = 0;
-            this.line = 1;
-            this.column = 1;
-            this.startColumn = 1;
+/**
+ * Convert a MasalaScript value into a JavaScript value
+ *   khaali → null, lists → arrays, dicts → plain objects,
+ *   functions → JS functions that call back into the interpreter
+ *   (with the same argument-count check as a call in a script)
+ * Lists and dicts that contain themselves come out as cyclic arrays/objects.
+ * @param {*} value - MasalaScript value
+ * @param {Interpreter} interpreter - Interpreter that owns the value
+ * @param {Map} converted - Containers converted so far → their copies
+ */
+function fromMasala(value, interpreter, converted = new Map()) {
+    if (converted.has(value)) {
+        return converted.get(value);
+    }
+    if (Array.isArray(value)) {
+        const array = [];
+        converted.set(value, array);
+        for (const item of value) {
+            array.push(fromMasala(item, interpreter, converted));
+        }
+        return array;
+    }
+    if (value instanceof Map) {
+        const object = {};
+        converted.set(value, object);
+        for (const [key, item] of value) {
+            object[key] = fromMasala(item, interpreter, converted);
         }
+        return object;
+    }
+    if (interpreter.isCallable(value)) {
+        return (...args) => fromMasala(
+            interpreter.callFunction(value, args.map(arg => toMasala(arg))),
+            interpreter
+        );
+    }
+    return value;
+}
 
-        tokenize() {
-            while (!this.isAtEnd()) {
-                this.start = this.current;
-                this.startColumn = this.column;
-                this.scanToken();
+/**
+ * Wrap a JavaScript function so scripts can call it.
+ * Arguments and the result are marshalled; a JavaScript exception comes
+ * back as a RuntimeError (the interpreter fills in the call's line).
+ * @param {string} name - Name the function is called by
+ * @param {number|null} arity - Number of arguments, or null for any number
+ * @param {Function} fn - The JavaScript function
+ */
+function createHostFunction(name, arity, fn) {
+    return new NativeFunction(name, arity, (interpreter, args) => {
+        let result;
+        try {
+            result = fn(...args.map(arg => fromMasala(arg, interpreter)));
+        } catch (error) {
+            if (error instanceof MasalaError) {
+                throw error;
             }
-            this.tokens.push(new Token(TokenType.EOF, '', null, this.line, this.column));
-            return this.tokens;
+            throw new RuntimeError(
+                ErrorMessages.HOST_ERROR(name, error instanceof Error ? error.message : String(error)),
+                null
+            );
         }
 
-        scanToken() {
-            if (this.skipWhitespaceAndComments()) return;
-            if (this.matchKeyword()) return;
+        if (result && typeof result.then === 'function') {
+            // Nobody will wait for it, so don't let a rejection go unhandled
+            result.catch?.(() => {});
+            throw new RuntimeError(ErrorMessages.HOST_ASYNC(name), null);
+        }
+        return toMasala(result, name);
+    });
+}
 
-            const char = this.advance();
+return { toMasala, fromMasala, createHostFunction };
+    })();
 
-            if (SingleCharTokens[char]) {
-                this.addToken(SingleCharTokens[char]);
-                return;
-            }
+    // ==================== migrate.js ====================
 
-            switch (char) {
-                case '=':
-                    this.addToken(this.match('=') ? TokenType.EQUAL_EQUAL : TokenType.EQUAL);
-                    return;
-                case '!':
-                    this.addToken(this.match('=') ? TokenType.BANG_EQUAL : TokenType.BANG);
-                    return;
-                case '<':
-                    this.addToken(this.match('=') ? TokenType.LESS_EQUAL : TokenType.LESS);
-                    return;
-                case '>':
-                    this.addToken(this.match('=') ? TokenType.GREATER_EQUAL : TokenType.GREATER);
-                    return;
-                case '&':
-                    if (this.match('&')) { this.addToken(TokenType.AND); return; }
-                    throw new LexerError(ErrorMessages.UNEXPECTED_CHARACTER(char), this.line, this.startColumn);
-                case '|':
-                    if (this.match('|')) { this.addToken(TokenType.OR); return; }
-                    throw new LexerError(ErrorMessages.UNEXPECTED_CHARACTER(char), this.line, this.startColumn);
-            }
-
-            if (char === '"') { this.string(); return; }
-            if (this.isDigit(char)) { this.number(); return; }
-            if (this.isAlpha(char)) { this.identifier(); return; }
-
-            throw new LexerError(ErrorMessages.UNEXPECTED_CHARACTER(char), this.line, this.startColumn);
-        }
-
-        skipWhitespaceAndComments() {
-            const startPos = this.current;
-            while (!this.isAtEnd()) {
-                const char = this.peek();
-                switch (char) {
-                    case ' ': case '\t': case '\r': this.advance(); break;
-                    case '\n': this.line++; this.column = 0; this.advance(); break;
-                    case '/':
-                        if (this.peekNext() === '/') {
-                            while (this.peek() !== '\n' && !this.isAtEnd()) this.advance();
-                        } else {
-                            return this.current !== startPos;
-                        }
-                        break;
-                    default: return this.current !== startPos;
-                }
-            }
-            return this.current !== startPos;
-        }
-
-        matchKeyword() {
-            const sortedKeywords = Object.keys(Keywords).sort((a, b) => b.length - a.length);
-            for (const keyword of sortedKeywords) {
-                const remaining = this.source.slice(this.current);
-                if (remaining.toLowerCase().startsWith(keyword.toLowerCase())) {
-                    const endPos = this.current + keyword.length;
-                    const nextChar = this.source[endPos];
-                    const endsWithSpecial = /[!:]$/.test(keyword);
-                    if (endsWithSpecial || !nextChar || !this.isAlphaNumeric(nextChar)) {
-                        for (let i = 0; i < keyword.length; i++) this.advance();
-                        this.addToken(Keywords[keyword]);
-                        return true;
-                    }
-                }
-            }
-            return false;
+    bundledModules['migrate.js'] = (function () {
+/**
+ * MasalaScript Migration
+ * Rewrites legacy 'action!' / 'paisa vasool' delimiters to the canonical spelling
+ */
+
+const { Lexer } = bundledModules['lexer.js'];
+const { TokenType } = bundledModules['tokens.js'];
+
+// Legacy spelling (lowercase) → canonical replacement
+const Replacements = {
+    'action!': 'Chal bhai suru kar',
+    'paisa vasool': 'bas khatam karo',
+};
+
+/**
+ * Rewrite legacy delimiters in a source file.
+ * Only real delimiter tokens are touched, so comments, strings, spacing
+ * and line endings stay exactly as they were.
+ * @param {string} source - Source code
+ * @returns {Object} { source, changes: [{ line, column, from, to }] }
+ */
+function migrateSource(source) {
+    const tokens = new Lexer(source).tokenize();
+
+    const changes = [];
+    for (const token of tokens) {
+        if (token.type !== TokenType.ACTION && token.type !== TokenType.PAISA_VASOOL) {
+            continue;
         }
 
-        string() {
-            const startLine = this.line;
-            const startCol = this.startColumn;
-            while (this.peek() !== '"' && !this.isAtEnd()) {
-                if (this.peek() === '\n') { this.line++; this.column = 0; }
-                if (this.peek() === '\\' && this.peekNext()) this.advance();
-                this.advance();
-            }
-            if (this.isAtEnd()) throw new LexerError(ErrorMessages.UNTERMINATED_STRING(), startLine, startCol);
-            this.advance();
-            let value = this.source.slice(this.start + 1, this.current - 1);
-            value = value.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\\r/g, '\r').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
-            this.addToken(TokenType.STRING, value);
+        const replacement = Replacements[token.lexeme.toLowerCase()];
+        if (replacement) {
+            changes.push({
+                line: token.line,
+                column: token.column,
+                offset: token.offset,
+                from: token.lexeme,
+                to: replacement,
+            });
         }
+    }
 
-        number() {
-            while (this.isDigit(this.peek())) this.advance();
-            if (this.peek() === '.' && this.isDigit(this.peekNext())) {
-                this.advance();
-                while (this.isDigit(this.peek())) this.advance();
-            }
-            const value = parseFloat(this.source.slice(this.start, this.current));
-            this.addToken(TokenType.NUMBER, value);
-        }
-
-        identifier() {
-            while (this.isAlphaNumeric(this.peek())) this.advance();
-            const text = this.source.slice(this.start, this.current);
-            const tokenType = Keywords[text.toLowerCase()] || TokenType.IDENTIFIER;
-            this.addToken(tokenType, tokenType === TokenType.IDENTIFIER ? text : null);
-        }
-
-        isAtEnd() { return this.current >= this.source.length; }
-        advance() { const char = this.source[this.current]; this.current++; this.column++; return char; }
-        peek() { return this.isAtEnd() ? '\0' : this.source[this.current]; }
-        peekNext() { return this.current + 1 >= this.source.length ? '\0' : this.source[this.current + 1]; }
-        match(expected) { if (this.isAtEnd() || this.source[this.current] !== expected) return false; this.current++; this.column++; return true; }
-        isDigit(char) { return char >= '0' && char <= '9'; }
-        isAlpha(char) { return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z') || char === '_'; }
-        isAlphaNumeric(char) { return this.isAlpha(char) || this.isDigit(char); }
-        addToken(type, literal = null) { this.tokens.push(new Token(type, this.source.slice(this.start, this.current), literal, this.line, this.startColumn)); }
-    }
-
-    // ==================== AST ====================
-
-    const NodeType = {
-        PROGRAM: 'Program',
-        VARIABLE_DECLARATION: 'VariableDeclaration',
-        ASSIGNMENT: 'Assignment',
-        PRINT_STATEMENT: 'PrintStatement',
-        IF_STATEMENT: 'IfStatement',
-        WHILE_STATEMENT: 'WhileStatement',
-        BREAK_STATEMENT: 'BreakStatement',
-        FUNCTION_DECLARATION: 'FunctionDeclaration',
-        RETURN_STATEMENT: 'ReturnStatement',
-        EXPRESSION_STATEMENT: 'ExpressionStatement',
-        BLOCK: 'Block',
-        BINARY_EXPRESSION: 'BinaryExpression',
-        UNARY_EXPRESSION: 'UnaryExpression',
-        CALL_EXPRESSION: 'CallExpression',
-        LITERAL: 'Literal',
-        IDENTIFIER: 'Identifier',
-        GROUPING: 'Grouping',
-    };
+    // Splice from the end so earlier offsets stay valid
+    let migrated = source;
+    for (const change of [...changes].reverse()) {
+        migrated = migrated.slice(0, change.offset)
+            + change.to
+            + migrated.slice(change.offset + change.from.length);
+    }
 
-    const AST = {
-        Program: (body) => ({ type: NodeType.PROGRAM, body }),
-        VariableDeclaration: (name, value, line) => ({ type: NodeType.VARIABLE_DECLARATION, name, value, line }),
-        Assignment: (name, value, line) => ({ type: NodeType.ASSIGNMENT, name, value, line }),
-        PrintStatement: (expressions, line) => ({ type: NodeType.PRINT_STATEMENT, expressions, line }),
-        IfStatement: (conditions, consequents, alternate, line) => ({ type: NodeType.IF_STATEMENT, conditions, consequents, alternate, line }),
-        WhileStatement: (condition, body, line) => ({ type: NodeType.WHILE_STATEMENT, condition, body, line }),
-        BreakStatement: (line) => ({ type: NodeType.BREAK_STATEMENT, line }),
-        FunctionDeclaration: (name, params, body, line) => ({ type: NodeType.FUNCTION_DECLARATION, name, params, body, line }),
-        ReturnStatement: (value, line) => ({ type: NodeType.RETURN_STATEMENT, value, line }),
-        ExpressionStatement: (expression, line) => ({ type: NodeType.EXPRESSION_STATEMENT, expression, line }),
-        Block: (statements) => ({ type: NodeType.BLOCK, statements }),
-        BinaryExpression: (operator, left, right, line) => ({ type: NodeType.BINARY_EXPRESSION, operator, left, right, line }),
-        UnaryExpression: (operator, operand, line) => ({ type: NodeType.UNARY_EXPRESSION, operator, operand, line }),
-        CallExpression: (callee, args, line) => ({ type: NodeType.CALL_EXPRESSION, callee, arguments: args, line }),
-        Literal: (value, line) => ({ type: NodeType.LITERAL, value, line }),
-        Identifier: (name, line) => ({ type: NodeType.IDENTIFIER, name, line }),
-        Grouping: (expression, line) => ({ type: NodeType.GROUPING, expression, line }),
+    return {
+        source: migrated,
+        changes: changes.map(({ line, column, from, to }) => ({ line, column, from, to })),
     };
+}
 
-    // ==================== PARSER ====================
+return { migrateSource };
+    })();
 
-    class Parser {
-        constructor(tokens) {
-            this.tokens = tokens;
-            this.current = 0;
-        }
+    // ==================== repl.js ====================
 
-        parse() { return this.program(); }
+    bundledModules['repl.js'] = (function () {
+/**
+ * MasalaScript REPL Session
+ * Runs statements one input at a time, keeping variables and functions between inputs
+ */
 
-        program() {
-            if (!this.check(TokenType.ACTION)) throw new ParserError(ErrorMessages.EXPECTED_ACTION(), this.peek().line, this.peek().column);
-            this.advance();
-            const statements = [];
-            while (!this.check(TokenType.PAISA_VASOOL) && !this.isAtEnd()) {
-                statements.push(this.declaration());
-            }
-            if (!this.check(TokenType.PAISA_VASOOL)) throw new ParserError(ErrorMessages.EXPECTED_PAISA_VASOOL(), this.peek().line, this.peek().column);
-            this.advance();
-            return AST.Program(statements);
+const { Lexer } = bundledModules['lexer.js'];
+const { Parser } = bundledModules['parser.js'];
+const { Analyzer } = bundledModules['analyzer.js'];
+const { Interpreter } = bundledModules['interpreter.js'];
+const { MasalaError, formatErrorWithContext } = bundledModules['errors.js'];
+const { resolveDialect } = bundledModules['dialects.js'];
+const { TokenType } = bundledModules['tokens.js'];
+
+/**
+ * A REPL session keeps one Analyzer scope and one Interpreter environment
+ * alive across inputs. Inputs are bare statements; a full program with
+ * the 'Chal bhai suru kar' / 'bas khatam karo' wrapper is accepted too.
+ */
+class ReplSession {
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Resolves 'le aao' imports
+     * @param {*} options.output - Where prints go (see createOutputSink)
+     * @param {Function} options.input - Answers 'poocho': (question) → string, or null when out of input
+     * @param {string|Object} options.dialect - Keyword dialect name or mapping
+     * @param {number} options.maxCallDepth - Deepest allowed nesting of function calls
+     * @param {number} options.maxSteps - Statements and expressions allowed per input
+     * @param {number|null} options.timeout - Milliseconds allowed per input
+     * @param {number|null} options.maxLoopIterations - Iterations allowed per loop
+     */
+    constructor(options = {}) {
+        this.loader = options.loader || null;
+        this.dialect = resolveDialect(options.dialect);
+        this.output = options.output;
+        this.input = options.input || null;
+        this.limits = {
+            maxCallDepth: options.maxCallDepth,
+            maxSteps: options.maxSteps,
+            timeout: options.timeout,
+            maxLoopIterations: options.maxLoopIterations
+        };
+        this.reset();
+    }
+
+    /**
+     * Forget all variables, functions and loaded modules
+     */
+    reset() {
+        const context = {
+            loader: this.loader,
+            file: null,
+            output: this.output,
+            input: this.input,
+            ...this.limits
+        };
+        this.analyzer = new Analyzer(context);
+        this.interpreter = new Interpreter(context);
+
+        if (this.loader) {
+            this.loader.reset();
         }
+    }
 
-        declaration() {
-            if (this.check(TokenType.CLIMAX)) return this.functionDeclaration();
-            if (this.check(TokenType.MAAN_LO)) return this.variableDeclaration();
-            return this.statement();
+    /**
+     * Check whether an input is ready to run, or still waits for more lines
+     * (open braces, brackets or parentheses, or a program without its closing line)
+     * @param {string} source - Input collected so far
+     * @returns {boolean}
+     */
+    isComplete(source) {
+        let tokens;
+        try {
+            tokens = new Lexer(source, { dialect: this.dialect }).tokenize();
+        } catch (error) {
+            return true; // Let evaluate() report the error
         }
 
-        functionDeclaration() {
-            const line = this.peek().line;
-            this.advance();
-            if (!this.check(TokenType.IDENTIFIER)) throw new ParserError(ErrorMessages.EXPECTED_IDENTIFIER(), this.peek().line, this.peek().column);
-            const name = this.advance().lexeme;
-            this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
-            const params = [];
-            if (!this.check(TokenType.RPAREN)) {
-                do {
-                    if (!this.check(TokenType.IDENTIFIER)) throw new ParserError(ErrorMessages.EXPECTED_IDENTIFIER(), this.peek().line, this.peek().column);
-                    params.push(this.advance().lexeme);
-                } while (this.match(TokenType.COMMA));
+        let depth = 0;
+        for (const token of tokens) {
+            switch (token.type) {
+                case TokenType.LBRACE:
+                case TokenType.LPAREN:
+                case TokenType.LBRACKET:
+                    depth++;
+                    break;
+                case TokenType.RBRACE:
+                case TokenType.RPAREN:
+                case TokenType.RBRACKET:
+                    depth--;
+                    break;
             }
-            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-            const body = this.block();
-            return AST.FunctionDeclaration(name, params, body, line);
         }
 
-        variableDeclaration() {
-            const line = this.peek().line;
-            this.advance();
-            if (!this.check(TokenType.IDENTIFIER)) throw new ParserError(ErrorMessages.EXPECTED_IDENTIFIER(), this.peek().line, this.peek().column);
-            const name = this.advance().lexeme;
-            this.consume(TokenType.EQUAL, ErrorMessages.EXPECTED_EQUALS());
-            const value = this.expression();
-            return AST.VariableDeclaration(name, value, line);
-        }
-
-        statement() {
-            if (this.check(TokenType.AGAR_KISMAT_RAHI)) return this.ifStatement();
-            if (this.check(TokenType.JAB_TAK_HAI_JAAN)) return this.whileStatement();
-            if (this.check(TokenType.BREAK)) return this.breakStatement();
-            if (this.check(TokenType.DIALOGUE_WAPAS_DO)) return this.returnStatement();
-            if (this.check(TokenType.EK_BAAT_BATAUN)) return this.printStatement();
-            if (this.check(TokenType.LBRACE)) { this.advance(); return this.block(); }
-            return this.expressionStatement();
-        }
-
-        ifStatement() {
-            const line = this.peek().line;
-            const conditions = [], consequents = [];
-            let alternate = null;
-            this.advance();
-            this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
-            conditions.push(this.expression());
-            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-            consequents.push(this.block());
-            while (this.check(TokenType.NAHI_TO)) {
-                this.advance();
-                this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
-                conditions.push(this.expression());
-                this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-                this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-                consequents.push(this.block());
+        if (depth > 0) {
+            return false;
+        }
+
+        const isProgram = tokens[0].type === TokenType.ACTION;
+        return !isProgram || tokens.some(token => token.type === TokenType.PAISA_VASOOL);
+    }
+
+    /**
+     * Tokenize and parse an input without running it
+     * @param {string} source - Statements, or a full program
+     * @returns {Object} { tokens, ast }
+     */
+    compile(source) {
+        const tokens = new Lexer(source, { dialect: this.dialect }).tokenize();
+        const parser = new Parser(tokens);
+        const ast = tokens[0].type === TokenType.ACTION
+            ? parser.parse()
+            : parser.parseStatements();
+
+        return { tokens, ast };
+    }
+
+    /**
+     * Run one input in the session
+     * @param {string} source - Statements, or a full program
+     * @param {string|null} file - File the input was loaded from (for imports and errors)
+     * @returns {Object} Result with output, and the value of a trailing expression
+     */
+    evaluate(source, file = null) {
+        let tokens = [];
+        let ast = null;
+
+        this.analyzer.file = file;
+        this.interpreter.mainFile = file;
+        this.interpreter.output = [];
+
+        try {
+            ({ tokens, ast } = this.compile(source));
+            const snapshot = this.analyzer.snapshot();
+            this.analyzer.analyzeIncremental(ast);
+
+            let value;
+            try {
+                value = this.interpreter.executeIncremental(ast);
+            } catch (error) {
+                // Keep the analyzer in step with what actually ran
+                this.analyzer.rollback(snapshot, name => this.interpreter.globals.values.has(name));
+                throw error;
             }
-            if (this.check(TokenType.WARNA)) {
-                this.advance();
-                this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-                alternate = this.block();
+
+            return {
+                success: true,
+                output: this.interpreter.output,
+                value,
+                display: value === undefined || value === null
+                    ? null
+                    : this.interpreter.stringify(value),
+                tokens,
+                ast
+            };
+
+        } catch (error) {
+            let errorMessage;
+            if (error instanceof MasalaError) {
+                errorMessage = formatErrorWithContext(error, this.sourceFor(error, source, file), 2, this.dialect);
+            } else {
+                errorMessage = `Unexpected Error: ${error.message}`;
             }
-            return AST.IfStatement(conditions, consequents, alternate, line);
+
+            return {
+                success: false,
+                output: this.interpreter.output,
+                error: errorMessage,
+                errorObject: error,
+                tokens,
+                ast
+            };
         }
+    }
 
-        whileStatement() {
-            const line = this.peek().line;
-            this.advance();
-            this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
-            const condition = this.expression();
-            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-            const body = this.block();
-            return AST.WhileStatement(condition, body, line);
+    /**
+     * Get the source code an error points into (the input or an imported module)
+     */
+    sourceFor(error, inputSource, inputFile) {
+        if (this.loader && error.file && error.file !== inputFile) {
+            return this.loader.sourceOf(error.file) ?? inputSource;
         }
+        return inputSource;
+    }
+}
 
-        breakStatement() {
-            const line = this.peek().line;
-            this.advance();
-            return AST.BreakStatement(line);
+return { ReplSession };
+    })();
+
+    // ==================== masalascript.js ====================
+
+    bundledModules['masalascript.js'] = (function () {
+/**
+ * MasalaScript - Main Compiler Class
+ * Orchestrates lexer, parser, analyzer, and interpreter
+ */
+
+const { Lexer, tokenize } = bundledModules['lexer.js'];
+const { Parser, parse } = bundledModules['parser.js'];
+const { Analyzer, analyze } = bundledModules['analyzer.js'];
+const { Interpreter, execute, DEFAULT_MAX_CALL_DEPTH, DEFAULT_MAX_STEPS } = bundledModules['interpreter.js'];
+const { ModuleLoader, createMemoryResolver } = bundledModules['modules.js'];
+const { toMasala, fromMasala, createHostFunction } = bundledModules['host.js'];
+const { resolveDialect } = bundledModules['dialects.js'];
+const { MasalaError, CancelledError, formatErrorWithContext } = bundledModules['errors.js'];
+const { printAST } = bundledModules['ast.js'];
+
+/**
+ * Main MasalaScript compiler/interpreter class
+ */
+class MasalaScript {
+    constructor(options = {}) {
+        this.options = {
+            debug: false,           // Print debug info
+            showTokens: false,      // Print token stream
+            showAST: false,         // Print AST
+            skipAnalysis: false,    // Skip semantic analysis
+            dialect: 'default',     // Keyword dialect: 'default', 'strict', 'legacy', 'english' or a mapping
+            filename: null,         // Name of the main file (for imports and errors)
+            resolver: null,         // Module resolver for 'le aao' imports
+            modules: null,          // In-memory modules: { 'utils.ms': source }
+            globals: null,          // Host values: { taxRate: 0.18 }
+            functions: null,        // Host functions: { getPrice: (item) => ... } or { getPrice: { arity: 1, fn } }
+            input: null,            // Answers for 'poocho': (question) => string, or an array
+            output: undefined,      // Where prints go: callback, stream, array collector, or null (silent)
+            maxCallDepth: DEFAULT_MAX_CALL_DEPTH, // Deepest allowed nesting of function calls
+            maxSteps: DEFAULT_MAX_STEPS, // Statements and expressions evaluated per run
+            timeout: null,          // Milliseconds per run, or null for no time limit
+            maxLoopIterations: null, // Iterations per loop, or null for no limit
+            ...options
+        };
+
+        // Names provided by the host: name → arity (null if unknown)
+        this.host = new Map();
+
+        // Module support: a custom resolver wins over in-memory files
+        let resolver = this.options.resolver;
+        if (!resolver && this.options.modules) {
+            resolver = createMemoryResolver(this.options.modules);
         }
+        this.loader = resolver
+            ? new ModuleLoader(resolver, { host: this.host, dialect: this.options.dialect })
+            : null;
 
-        returnStatement() {
-            const line = this.peek().line;
-            this.advance();
-            let value = null;
-            if (!this.check(TokenType.RBRACE) && !this.check(TokenType.PAISA_VASOOL) && !this.isAtEnd()) {
-                value = this.expression();
+        const context = {
+            loader: this.loader,
+            file: this.options.filename,
+            host: this.host,
+            output: this.options.output,
+            maxCallDepth: this.options.maxCallDepth,
+            maxSteps: this.options.maxSteps,
+            timeout: this.options.timeout,
+            maxLoopIterations: this.options.maxLoopIterations
+        };
+
+        this.lexer = null;
+        this.parser = null;
+        this.analyzer = new Analyzer(context);
+        this.interpreter = new Interpreter(context);
+
+        // Store compilation artifacts
+        this.tokens = [];
+        this.ast = null;
+        this.output = [];
+        this.errors = [];
+        this.answerIndex = 0; // Next answer from an input array
+
+        if (this.options.input) {
+            this.setInput(this.options.input);
+        }
+        for (const [name, value] of Object.entries(this.options.globals || {})) {
+            this.defineGlobal(name, value);
+        }
+        // Plain functions take any number of arguments (Function.length misses
+        // rest and default parameters); { arity, fn } opts in to the count check
+        for (const [name, entry] of Object.entries(this.options.functions || {})) {
+            if (typeof entry === 'function') {
+                this.defineFunction(name, null, entry);
+            } else {
+                this.defineFunction(name, entry?.arity ?? null, entry?.fn);
             }
-            return AST.ReturnStatement(value, line);
         }
+    }
 
-        printStatement() {
-            const line = this.peek().line;
-            this.advance();
-            const expressions = [this.expression()];
-            while (this.match(TokenType.COMMA)) expressions.push(this.expression());
-            return AST.PrintStatement(expressions, line);
-        }
+    /**
+     * Expose a JavaScript value to scripts as a read-only global.
+     * Arrays become lists, objects become dicts, null/undefined become khaali.
+     * @param {string} name - Name scripts use
+     * @param {*} value - JavaScript value
+     * @returns {MasalaScript} this, for chaining
+     */
+    defineGlobal(name, value) {
+        const converted = toMasala(value, name);
+        this.host.set(name, null);
+        this.interpreter.defineGlobal(name, converted);
+        return this;
+    }
 
-        block() {
-            const statements = [];
-            while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) statements.push(this.declaration());
-            this.consume(TokenType.RBRACE, ErrorMessages.EXPECTED_RBRACE());
-            return AST.Block(statements);
+    /**
+     * Expose a JavaScript function to scripts.
+     * Arguments and the result are converted like defineGlobal values;
+     * an exception becomes a RuntimeError at the line of the call.
+     * @param {string} name - Name scripts call it by
+     * @param {number|null} arity - Number of arguments, or null for any number
+     * @param {Function} fn - The JavaScript function (must be synchronous)
+     * @returns {MasalaScript} this, for chaining
+     */
+    defineFunction(name, arity, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`defineFunction('${name}') needs a function`);
         }
 
-        expressionStatement() {
-            const line = this.peek().line;
-            return AST.ExpressionStatement(this.expression(), line);
+        this.host.set(name, arity);
+        this.interpreter.defineGlobal(name, createHostFunction(name, arity, fn));
+        return this;
+    }
+
+    /**
+     * Run MasalaScript source code
+     * @param {string} source - The source code
+     * @param {Object} options
+     * @param {AbortSignal|Object} options.signal - Stops the run once signal.aborted
+     *   is true: an AbortSignal, or any token object with an 'aborted' flag. The run
+     *   is synchronous, so only a host function or another thread can abort it midway.
+     * @returns {Object} Result object with output and any errors; a stopped run
+     *   has cancelled: true and the output printed before it stopped
+     */
+    run(source, { signal = null } = {}) {
+        if (signal !== null && (typeof signal !== 'object' || !('aborted' in signal))) {
+            throw new TypeError('signal must be an AbortSignal or an object with an aborted flag');
         }
 
-        expression() { return this.assignment(); }
+        this.tokens = [];
+        this.ast = null;
+        this.output = [];
+        this.errors = [];
+        this.answerIndex = 0;
+        this.resetModules();
 
-        assignment() {
-            const expr = this.logicOr();
-            if (this.match(TokenType.EQUAL)) {
-                const value = this.assignment();
-                if (expr.type === NodeType.IDENTIFIER) return AST.Assignment(expr.name, value, expr.line);
-                throw new ParserError(ErrorMessages.INVALID_ASSIGNMENT_TARGET(), this.previous().line, this.previous().column);
+        try {
+            // Steps 1-3: Tokenize, parse and analyze
+            const errors = this.compileSource(source, {
+                analyze: !this.options.skipAnalysis,
+                verbose: true
+            });
+            if (errors.length > 0) {
+                return this.failure(errors, source);
             }
-            return expr;
-        }
 
-        logicOr() {
-            let expr = this.logicAnd();
-            while (this.match(TokenType.OR)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.logicAnd(), this.previous().line);
+            // Step 4: Execute
+            if (this.options.debug) {
+                console.log('🌶️ Executing...\n');
             }
-            return expr;
-        }
+            this.output = this.interpreter.execute(this.ast, { signal });
 
-        logicAnd() {
-            let expr = this.equality();
-            while (this.match(TokenType.AND)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.equality(), this.previous().line);
+            return {
+                success: true,
+                output: this.output,
+                tokens: this.tokens,
+                ast: this.ast
+            };
+
+        } catch (error) {
+            if (error instanceof CancelledError) {
+                return this.cancelled(error);
             }
-            return expr;
+            if (!(error instanceof MasalaError) && this.options.debug) {
+                console.error(error.stack);
+            }
+            return this.failure([error], source);
         }
+    }
 
-        equality() {
-            let expr = this.comparison();
-            while (this.match(TokenType.EQUAL_EQUAL, TokenType.BANG_EQUAL)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.comparison(), this.previous().line);
+    /**
+     * Compile source code (tokenize + parse + analyze).
+     * On failure, result.errors lists every error found, not just the first.
+     * @param {string} source - The source code
+     * @returns {Object} Compilation result
+     */
+    compile(source) {
+        this.tokens = [];
+        this.ast = null;
+        this.errors = [];
+        this.resetModules();
+
+        try {
+            const errors = this.compileSource(source);
+            if (errors.length > 0) {
+                return this.failure(errors, source);
             }
-            return expr;
+
+            return {
+                success: true,
+                tokens: this.tokens,
+                ast: this.ast
+            };
+
+        } catch (error) {
+            return this.failure([error], source);
         }
+    }
 
-        comparison() {
-            let expr = this.term();
-            while (this.match(TokenType.LESS, TokenType.GREATER, TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.term(), this.previous().line);
-            }
-            return expr;
+    /**
+     * Tokenize, parse and analyze, collecting every error instead of stopping
+     * at the first. Parsing goes on after lexer errors (leaving out parser
+     * errors on lines the lexer already reported); analysis only runs on a
+     * program that lexed and parsed cleanly.
+     * @param {string} source - The source code
+     * @param {Object} options
+     * @param {boolean} options.analyze - Run semantic analysis
+     * @param {boolean} options.verbose - Honour the debug/showTokens/showAST options
+     * @returns {MasalaError[]} Errors found
+     */
+    compileSource(source, { analyze = true, verbose = false } = {}) {
+        const { debug, showTokens, showAST } = verbose ? this.options : {};
+
+        // Tokenize
+        if (debug) {
+            console.log('🌶️ Tokenizing...');
         }
+        const lexerErrors = [];
+        this.lexer = new Lexer(source, { dialect: this.options.dialect });
+        this.tokens = runStage(() => this.lexer.tokenize(), this.lexer, lexerErrors) ?? this.lexer.tokens;
 
-        term() {
-            let expr = this.factor();
-            while (this.match(TokenType.PLUS, TokenType.MINUS)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.factor(), this.previous().line);
-            }
-            return expr;
+        if (showTokens) {
+            console.log('\n📝 Tokens:');
+            this.tokens.forEach(t => console.log('  ', t.toString()));
         }
 
-        factor() {
-            let expr = this.unary();
-            while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.PERCENT)) {
-                expr = AST.BinaryExpression(this.previous().lexeme, expr, this.unary(), this.previous().line);
-            }
-            return expr;
+        // Parse
+        if (debug) {
+            console.log('🌶️ Parsing...');
         }
+        const parserErrors = [];
+        this.parser = new Parser(this.tokens);
+        this.ast = runStage(() => this.parser.parse(), this.parser, parserErrors);
 
-        unary() {
-            if (this.match(TokenType.BANG, TokenType.MINUS)) {
-                return AST.UnaryExpression(this.previous().lexeme, this.unary(), this.previous().line);
-            }
-            return this.call();
+        // The rest of a line with a bad character is skipped, which usually breaks the
+        // statement too - don't report that again on the same line or the next token
+        const lexerLines = new Set(lexerErrors.map(error => error.line));
+        const afterGaps = new Set(lexerErrors.map(error => {
+            const next = this.tokens.find(token => token.line > error.line);
+            return next && `${next.line}:${next.column}`;
+        }));
+        const errors = [
+            ...lexerErrors,
+            ...parserErrors.filter(error =>
+                !lexerLines.has(error.line) && !afterGaps.has(`${error.line}:${error.column}`))
+        ].sort((a, b) => a.line - b.line || a.column - b.column);
+        for (const error of errors) {
+            error.file ??= this.options.filename;
+        }
+        if (errors.length > 0) {
+            return errors;
         }
 
-        call() {
-            let expr = this.primary();
-            while (this.match(TokenType.LPAREN)) {
-                const args = [];
-                if (!this.check(TokenType.RPAREN)) {
-                    do { args.push(this.expression()); } while (this.match(TokenType.COMMA));
-                }
-                const paren = this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-                expr = AST.CallExpression(expr.name || '<expr>', args, paren.line);
-            }
-            return expr;
+        if (showAST) {
+            console.log('\n🌳 AST:');
+            console.log(printAST(this.ast));
         }
 
-        primary() {
-            const line = this.peek().line;
-            if (this.match(TokenType.SACH)) return AST.Literal(true, line);
-            if (this.match(TokenType.GALAT)) return AST.Literal(false, line);
-            if (this.match(TokenType.KHAALI)) return AST.Literal(null, line);
-            if (this.match(TokenType.NUMBER)) return AST.Literal(this.previous().literal, line);
-            if (this.match(TokenType.STRING)) return AST.Literal(this.previous().literal, line);
-            if (this.match(TokenType.IDENTIFIER)) return AST.Identifier(this.previous().lexeme, line);
-            if (this.match(TokenType.LPAREN)) {
-                const expr = this.expression();
-                this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-                return AST.Grouping(expr, line);
+        // Analyze
+        if (analyze) {
+            if (debug) {
+                console.log('🌶️ Analyzing...');
             }
-            throw new ParserError(ErrorMessages.EXPECTED_EXPRESSION(), this.peek().line, this.peek().column);
+            runStage(() => this.analyzer.analyze(this.ast), this.analyzer, errors);
         }
 
-        isAtEnd() { return this.peek().type === TokenType.EOF; }
-        peek() { return this.tokens[this.current]; }
-        previous() { return this.tokens[this.current - 1]; }
-        advance() { if (!this.isAtEnd()) this.current++; return this.previous(); }
-        check(type) { return !this.isAtEnd() && this.peek().type === type; }
-        match(...types) { for (const type of types) { if (this.check(type)) { this.advance(); return true; } } return false; }
-        consume(type, errorMessage) { if (this.check(type)) return this.advance(); throw new ParserError(errorMessage, this.peek().line, this.peek().column); }
+        return errors;
     }
 
-    // ==================== ANALYZER ====================
+    /**
+     * Build the result of a failed run or compile: every error, formatted
+     * with its source context
+     * @param {Error[]} errors - Errors, first one first
+     * @param {string} source - Main source code
+     * @returns {Object} Failure result
+     */
+    failure(errors, source) {
+        this.errors = errors;
+        const dialect = this.keywordDialect();
 
-    class Analyzer {
-        constructor() {
-            this.scopes = [new Map()];
-            this.functions = new Map();
-            this.currentFunction = null;
-            this.loopDepth = 0;
-        }
+        const messages = errors.map(error => error instanceof MasalaError
+            ? formatErrorWithContext(error, this.sourceFor(error, source), 2, dialect)
+            : `Unexpected Error: ${error.message}`);
 
-        analyze(ast) {
-            this.scopes = [new Map()];
-            this.functions = new Map();
-            this.currentFunction = null;
-            this.loopDepth = 0;
-            for (const stmt of ast.body) {
-                if (stmt.type === NodeType.FUNCTION_DECLARATION) {
-                    if (this.functions.has(stmt.name)) throw new SemanticError(ErrorMessages.ALREADY_DEFINED(stmt.name), stmt.line, null);
-                    this.functions.set(stmt.name, { params: stmt.params, paramCount: stmt.params.length, line: stmt.line });
-                    this.scopes[0].set(stmt.name, { type: 'function', line: stmt.line });
-                }
-            }
-            for (const stmt of ast.body) this.visitStatement(stmt);
-            return ast;
-        }
+        return {
+            success: false,
+            error: messages.join('\n'),
+            errorObject: errors[0],
+            errors,
+            tokens: this.tokens,
+            ast: this.ast
+        };
+    }
 
-        visitStatement(node) {
-            switch (node.type) {
-                case NodeType.VARIABLE_DECLARATION:
-                    this.visitExpression(node.value);
-                    this.scopes[this.scopes.length - 1].set(node.name, { type: 'variable', line: node.line });
-                    break;
-                case NodeType.ASSIGNMENT:
-                    if (!this.lookupVariable(node.name)) throw new SemanticError(ErrorMessages.UNDEFINED_VARIABLE(node.name), node.line, null);
-                    this.visitExpression(node.value);
-                    break;
-                case NodeType.PRINT_STATEMENT:
-                    for (const expr of node.expressions) this.visitExpression(expr);
-                    break;
-                case NodeType.IF_STATEMENT:
-                    for (const cond of node.conditions) this.visitExpression(cond);
-                    for (const cons of node.consequents) { this.scopes.push(new Map()); for (const s of cons.statements) this.visitStatement(s); this.scopes.pop(); }
-                    if (node.alternate) { this.scopes.push(new Map()); for (const s of node.alternate.statements) this.visitStatement(s); this.scopes.pop(); }
-                    break;
-                case NodeType.WHILE_STATEMENT:
-                    this.visitExpression(node.condition);
-                    this.loopDepth++;
-                    this.scopes.push(new Map());
-                    for (const s of node.body.statements) this.visitStatement(s);
-                    this.scopes.pop();
-                    this.loopDepth--;
-                    break;
-                case NodeType.BREAK_STATEMENT:
-                    if (this.loopDepth === 0) throw new SemanticError(ErrorMessages.BREAK_OUTSIDE_LOOP(), node.line, null);
-                    break;
-                case NodeType.FUNCTION_DECLARATION:
-                    const prev = this.currentFunction;
-                    this.currentFunction = node.name;
-                    this.scopes.push(new Map());
-                    for (const param of node.params) this.scopes[this.scopes.length - 1].set(param, { type: 'parameter', line: node.line });
-                    for (const s of node.body.statements) this.visitStatement(s);
-                    this.scopes.pop();
-                    this.currentFunction = prev;
-                    break;
-                case NodeType.RETURN_STATEMENT:
-                    if (this.currentFunction === null) throw new SemanticError(ErrorMessages.RETURN_OUTSIDE_FUNCTION(), node.line, null);
-                    if (node.value) this.visitExpression(node.value);
-                    break;
-                case NodeType.EXPRESSION_STATEMENT:
-                    this.visitExpression(node.expression);
-                    break;
-                case NodeType.BLOCK:
-                    this.scopes.push(new Map());
-                    for (const s of node.statements) this.visitStatement(s);
-                    this.scopes.pop();
-                    break;
-            }
-        }
+    /**
+     * Build the result of a run stopped through its signal. This isn't a
+     * failure of the program, so there is no error report, just the message.
+     * @param {CancelledError} error - Where and why the run stopped
+     * @returns {Object} Cancelled result
+     */
+    cancelled(error) {
+        this.output = this.interpreter.output;
 
-        visitExpression(node) {
-            if (!node) return;
-            switch (node.type) {
-                case NodeType.BINARY_EXPRESSION:
-                    this.visitExpression(node.left);
-                    this.visitExpression(node.right);
-                    break;
-                case NodeType.UNARY_EXPRESSION:
-                    this.visitExpression(node.operand);
-                    break;
-                case NodeType.CALL_EXPRESSION:
-                    const funcInfo = this.functions.get(node.callee);
-                    if (!funcInfo && !this.lookupVariable(node.callee)) throw new SemanticError(ErrorMessages.UNDEFINED_FUNCTION(node.callee), node.line, null);
-                    if (funcInfo && node.arguments.length !== funcInfo.paramCount) throw new SemanticError(ErrorMessages.WRONG_ARG_COUNT(node.callee, funcInfo.paramCount, node.arguments.length), node.line, null);
-                    for (const arg of node.arguments) this.visitExpression(arg);
-                    break;
-                case NodeType.IDENTIFIER:
-                    if (!this.lookupVariable(node.name) && !this.functions.has(node.name)) throw new SemanticError(ErrorMessages.UNDEFINED_VARIABLE(node.name), node.line, null);
-                    break;
-                case NodeType.GROUPING:
-                    this.visitExpression(node.expression);
-                    break;
-                case NodeType.ASSIGNMENT:
-                    if (!this.lookupVariable(node.name)) throw new SemanticError(ErrorMessages.UNDEFINED_VARIABLE(node.name), node.line, null);
-                    this.visitExpression(node.value);
-                    break;
-            }
-        }
+        return {
+            success: false,
+            cancelled: true,
+            error: error.message,
+            errorObject: error,
+            errors: [],
+            output: this.output,
+            tokens: this.tokens,
+            ast: this.ast
+        };
+    }
 
-        lookupVariable(name) {
-            for (let i = this.scopes.length - 1; i >= 0; i--) {
-                if (this.scopes[i].has(name)) return this.scopes[i].get(name);
-            }
-            return null;
+    /**
+     * Set where 'poocho' gets its answers from
+     * @param {Function|Array} input - (question) => string (null/undefined when
+     *   out of input), or an array of answers used up one by one
+     * @returns {MasalaScript} this, for chaining
+     */
+    setInput(input) {
+        if (Array.isArray(input)) {
+            // Read a copy by index, so the caller's array is left alone and
+            // every run() starts again from the first answer
+            const answers = [...input];
+            this.answerIndex = 0;
+            this.interpreter.input = () => answers[this.answerIndex++];
+        } else {
+            this.interpreter.input = input;
         }
+        return this;
     }
 
-    // ==================== INTERPRETER ====================
+    /**
+     * Set where 'ek baat bataun' output goes
+     * @param {Function|Object|Array|null} output - Callback (text, { text, line, file }),
+     *   stream with write(), array that collects { text, line, file }, or null for silent
+     * @returns {MasalaScript} this, for chaining
+     */
+    setOutput(output) {
+        this.interpreter.setOutput(output);
+        return this;
+    }
 
-    class Environment {
-        constructor(parent = null) { this.values = new Map(); this.parent = parent; }
-        define(name, value) { this.values.set(name, value); }
-        get(name, line = null) {
-            if (this.values.has(name)) return this.values.get(name);
-            if (this.parent) return this.parent.get(name, line);
-            throw new RuntimeError(ErrorMessages.UNDEFINED_VARIABLE(name), line);
-        }
-        assign(name, value, line = null) {
-            if (this.values.has(name)) { this.values.set(name, value); return; }
-            if (this.parent) { this.parent.assign(name, value, line); return; }
-            throw new RuntimeError(ErrorMessages.UNDEFINED_VARIABLE(name), line);
-        }
+    /**
+     * Call a function declared by a program that has already run.
+     * Arguments and the result are converted like host values.
+     * @param {string} name - Function name
+     * @param {Array} args - JavaScript arguments
+     * @returns {*} The function's return value as a JavaScript value
+     * @throws {MasalaError} If the function is missing, gets the wrong number
+     *   of arguments, or fails while running
+     */
+    call(name, args = []) {
+        return this.getFunction(name)(...args);
     }
 
-    class MasalaFunction {
-        constructor(declaration, closure) { this.declaration = declaration; this.closure = closure; }
-        call(interpreter, args) {
-            const environment = new Environment(this.closure);
-            for (let i = 0; i < this.declaration.params.length; i++) {
-                environment.define(this.declaration.params[i], args[i] !== undefined ? args[i] : null);
+    /**
+     * Get a JavaScript wrapper for a function declared by a program that
+     * has already run. The function is looked up once, now.
+     * @param {string} name - Function name
+     * @returns {Function} (...args) → JavaScript value; throws MasalaError on failure
+     */
+    getFunction(name) {
+        const callee = this.interpreter.getFunction(name);
+
+        return (...args) => {
+            // Keep prints from this call out of the last run's output; a call
+            // from a host function during a run prints into that run
+            if (!this.interpreter.budgetActive) {
+                this.interpreter.output = [];
             }
-            try { interpreter.executeBlock(this.declaration.body, environment); }
-            catch (returnValue) { if (returnValue instanceof ReturnValue) return returnValue.value; throw returnValue; }
+            const result = this.interpreter.callFunction(callee, args.map(arg => toMasala(arg)));
+            return fromMasala(result, this.interpreter);
+        };
+    }
+
+    /**
+     * The resolved keyword dialect for error messages (null if the option is invalid)
+     */
+    keywordDialect() {
+        try {
+            return resolveDialect(this.options.dialect);
+        } catch (error) {
             return null;
         }
     }
 
-    class ReturnValue { constructor(value) { this.value = value; } }
-    class BreakException { constructor() { } }
-
-    class Interpreter {
-        constructor() { this.globals = new Environment(); this.environment = this.globals; this.output = []; }
-
-        execute(ast) {
-            this.output = [];
-            this.environment = this.globals;
-            for (const stmt of ast.body) this.executeStatement(stmt);
-            return this.output;
+    /**
+     * Execute a pre-compiled AST
+     * @param {Object} ast - The program AST
+     * @returns {Object} Execution result
+     */
+    executeAST(ast) {
+        try {
+            this.output = this.interpreter.execute(ast);
+            return {
+                success: true,
+                output: this.output
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                errorObject: error
+            };
         }
+    }
 
-        executeStatement(node) {
-            switch (node.type) {
-                case NodeType.VARIABLE_DECLARATION:
-                    this.environment.define(node.name, this.evaluate(node.value));
-                    break;
-                case NodeType.ASSIGNMENT:
-                    this.environment.assign(node.name, this.evaluate(node.value), node.line);
-                    break;
-                case NodeType.PRINT_STATEMENT:
-                    const values = node.expressions.map(expr => this.evaluate(expr));
-                    this.output.push(values.map(v => this.stringify(v)).join(' '));
-                    break;
-                case NodeType.IF_STATEMENT:
-                    for (let i = 0; i < node.conditions.length; i++) {
-                        if (this.isTruthy(this.evaluate(node.conditions[i]))) {
-                            this.executeBlock(node.consequents[i], new Environment(this.environment));
-                            return;
-                        }
-                    }
-                    if (node.alternate) this.executeBlock(node.alternate, new Environment(this.environment));
-                    break;
-                case NodeType.WHILE_STATEMENT:
-                    let iterations = 0;
-                    try {
-                        while (this.isTruthy(this.evaluate(node.condition))) {
-                            if (++iterations > 100000) throw new RuntimeError('Loop limit exceeded!', node.line);
-                            this.executeBlock(node.body, new Environment(this.environment));
-                        }
-                    } catch (e) {
-                        if (!(e instanceof BreakException)) throw e;
-                    }
-                    break;
-                case NodeType.BREAK_STATEMENT:
-                    throw new BreakException();
-                case NodeType.FUNCTION_DECLARATION:
-                    this.environment.define(node.name, new MasalaFunction(node, this.environment));
-                    break;
-                case NodeType.RETURN_STATEMENT:
-                    throw new ReturnValue(node.value ? this.evaluate(node.value) : null);
-                case NodeType.EXPRESSION_STATEMENT:
-                    this.evaluate(node.expression);
-                    break;
-                case NodeType.BLOCK:
-                    this.executeBlock(node, new Environment(this.environment));
-                    break;
-            }
+    /**
+     * Forget modules loaded by a previous run so files are re-read and re-run
+     */
+    resetModules() {
+        if (this.loader) {
+            this.loader.reset();
         }
+    }
 
-        executeBlock(node, environment) {
-            const previous = this.environment;
-            try { this.environment = environment; for (const stmt of node.statements) this.executeStatement(stmt); }
-            finally { this.environment = previous; }
+    /**
+     * Get the source code an error points into (main file or an imported module)
+     */
+    sourceFor(error, mainSource) {
+        if (this.loader && error.file && error.file !== this.options.filename) {
+            return this.loader.sourceOf(error.file) ?? mainSource;
         }
+        return mainSource;
+    }
 
-        evaluate(node) {
-            if (!node) return null;
-            switch (node.type) {
-                case NodeType.LITERAL: return node.value;
-                case NodeType.IDENTIFIER: return this.environment.get(node.name, node.line);
-                case NodeType.GROUPING: return this.evaluate(node.expression);
-                case NodeType.UNARY_EXPRESSION:
-                    const operand = this.evaluate(node.operand);
-                    if (node.operator === '-') return -operand;
-                    if (node.operator === '!') return !this.isTruthy(operand);
-                    break;
-                case NodeType.BINARY_EXPRESSION:
-                    const left = this.evaluate(node.left);
-                    const right = this.evaluate(node.right);
-                    switch (node.operator) {
-                        case '+': return (typeof left === 'string' || typeof right === 'string') ? this.stringify(left) + this.stringify(right) : left + right;
-                        case '-': return left - right;
-                        case '*': return left * right;
-                        case '/': if (right === 0) throw new RuntimeError(ErrorMessages.DIVISION_BY_ZERO(), node.line); return left / right;
-                        case '%': if (right === 0) throw new RuntimeError(ErrorMessages.DIVISION_BY_ZERO(), node.line); return left % right;
-                        case '<': return left < right;
-                        case '>': return left > right;
-                        case '<=': return left <= right;
-                        case '>=': return left >= right;
-                        case '==': return left === right;
-                        case '!=': return left !== right;
-                        case '&&': return this.isTruthy(left) && this.isTruthy(right);
-                        case '||': return this.isTruthy(left) || this.isTruthy(right);
-                    }
-                    break;
-                case NodeType.CALL_EXPRESSION:
-                    const callee = this.environment.get(node.callee, node.line);
-                    const args = node.arguments.map(arg => this.evaluate(arg));
-                    if (!(callee instanceof MasalaFunction)) throw new RuntimeError(ErrorMessages.NOT_A_FUNCTION(node.callee), node.line);
-                    return callee.call(this, args);
-                case NodeType.ASSIGNMENT:
-                    const value = this.evaluate(node.value);
-                    this.environment.assign(node.name, value, node.line);
-                    return value;
-            }
-        }
+    /**
+     * Get the version string
+     */
+    static get version() {
+        return '1.0.0';
+    }
+
+    /**
+     * Get language info
+     */
+    static get info() {
+        return {
+            name: 'MasalaScript',
+            version: MasalaScript.version,
+            fileExtension: '.ms',
+            description: 'A Hinglish-inspired programming language'
+        };
+    }
+}
 
-        isTruthy(value) { if (value === null) return false; if (typeof value === 'boolean') return value; return true; }
-        stringify(value) {
-            if (value === null) return 'khaali';
-            if (value === true) return 'sach';
-            if (value === false) return 'galat';
-            if (value instanceof MasalaFunction) return `<function ${value.declaration.name}>`;
-            return String(value);
+/**
+ * Run one compiler stage. If it fails, all of the stage's errors are added
+ * to the list (the stage throws only the first).
+ * @param {Function} stage - Runs the stage
+ * @param {Object} collector - Lexer, Parser or Analyzer, with an errors array
+ * @param {Error[]} errors - List to add errors to
+ * @returns {*} The stage's result, or null if it failed
+ */
+function runStage(stage, collector, errors) {
+    try {
+        return stage();
+    } catch (error) {
+        if (!(error instanceof MasalaError)) {
+            throw error;
         }
+        errors.push(...(collector.errors.length > 0 ? collector.errors : [error]));
+        return null;
     }
+}
 
-    // ==================== MASALASCRIPT CLASS ====================
+// Export convenience functions
 
-    class MasalaScript {
-        constructor() {
-            this.analyzer = new Analyzer();
-            this.interpreter = new Interpreter();
-        }
+// Export module support
 
-        run(source) {
-            try {
-                const lexer = new Lexer(source);
-                const tokens = lexer.tokenize();
-                const parser = new Parser(tokens);
-                const ast = parser.parse();
-                this.analyzer.analyze(ast);
-                const output = this.interpreter.execute(ast);
-                return { success: true, output: output };
-            } catch (error) {
-                return { success: false, error: error.toString() };
-            }
-        }
+// Export host interop helpers
 
-        static get version() { return '1.0.0'; }
-    }
+// Export the legacy delimiter migration
+
+// Export keyword dialect resolution
+
+// Export the REPL session
+
+// Export error classes
+
+// Export AST utilities
+
+// Export token types
+
+// Default export
+
+return { MasalaScript, tokenize, parse, analyze, execute, ModuleLoader: bundledModules['modules.js'].ModuleLoader, createMemoryResolver: bundledModules['modules.js'].createMemoryResolver, toMasala: bundledModules['host.js'].toMasala, fromMasala: bundledModules['host.js'].fromMasala, migrateSource: bundledModules['migrate.js'].migrateSource, resolveDialect: bundledModules['dialects.js'].resolveDialect, ReplSession: bundledModules['repl.js'].ReplSession, MasalaError: bundledModules['errors.js'].MasalaError, CancelledError: bundledModules['errors.js'].CancelledError, formatErrorWithContext: bundledModules['errors.js'].formatErrorWithContext, printAST: bundledModules['ast.js'].printAST, NodeType: bundledModules['ast.js'].NodeType, TokenType: bundledModules['tokens.js'].TokenType, Dialects: bundledModules['tokens.js'].Dialects, default: MasalaScript };
+    })();
 
     // Export to global scope
-    global.MasalaScript = MasalaScript;
+    global.MasalaScript = bundledModules['masalascript.js'].default;
 
-})(typeof window !== 'undefined' ? window : global);
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,169 @@
+/**
+ * MasalaScript Built-in Functions
+ * Native functions available in every program without 'maan lo' or 'le aao'
+ */
+
+import { RuntimeError, ErrorMessages } from './errors.js';
+
+/**
+ * Built-in function table: name → { arity, call(interpreter, args) }.
+ * The Analyzer reads the arity for its checks; the Interpreter wraps each
+ * entry in a NativeFunction.
+ */
+export const Builtins = {
+    // Length of a string, list or dict
+    lambai: {
+        arity: 1,
+        call(interpreter, [value]) {
+            if (typeof value === 'string' || Array.isArray(value)) {
+                return value.length;
+            }
+            if (value instanceof Map) {
+                return value.size;
+            }
+            throw argumentError(interpreter, 'lambai', 'string, list ya dict', value);
+        }
+    },
+
+    // Round to the nearest whole number
+    gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'gol', value);
+            return Math.round(value);
+        }
+    },
+
+    // Round down
+    neeche_gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'neeche_gol', value);
+            return Math.floor(value);
+        }
+    },
+
+    // Round up
+    upar_gol: {
+        arity: 1,
+        call(interpreter, [value]) {
+            expectNumber(interpreter, 'upar_gol', value);
+            return Math.ceil(value);
+        }
+    },
+
+    // Turn a string like "42" or "3.5" into a number
+    number_banao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            if (typeof value === 'number') {
+                return value;
+            }
+            if (typeof value !== 'string') {
+                throw argumentError(interpreter, 'number_banao', 'string ya number', value);
+            }
+
+            const number = Number(value.trim());
+            if (value.trim() === '' || Number.isNaN(number)) {
+                throw new RuntimeError(ErrorMessages.NOT_NUMERIC(value), null);
+            }
+            return number;
+        }
+    },
+
+    // Turn any value into its printed text
+    text_banao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            return interpreter.stringify(value);
+        }
+    },
+
+    // Name of a value's type: number, string, boolean, khaali, list, dict or function
+    type_batao: {
+        arity: 1,
+        call(interpreter, [value]) {
+            return interpreter.typeName(value);
+        }
+    },
+
+    // Ask the user for a line of input (always gives back a string)
+    poocho: {
+        arity: 1,
+        call(interpreter, [question]) {
+            return interpreter.readInput(interpreter.stringify(question));
+        }
+    },
+
+    // Add an item to the end of a list
+    jodo: {
+        arity: 2,
+        call(interpreter, [list, item]) {
+            expectList(interpreter, 'jodo', list);
+            list.push(item);
+            return null;
+        }
+    },
+
+    // Remove and return the last item of a list
+    nikalo: {
+        arity: 1,
+        call(interpreter, [list]) {
+            expectList(interpreter, 'nikalo', list);
+            if (list.length === 0) {
+                throw new RuntimeError(ErrorMessages.EMPTY_LIST('nikalo'), null);
+            }
+            return list.pop();
+        }
+    },
+
+    // List of a dict's keys
+    chaabiyan: {
+        arity: 1,
+        call(interpreter, [dict]) {
+            expectDict(interpreter, 'chaabiyan', dict);
+            return [...dict.keys()];
+        }
+    },
+
+    // Check whether a dict has a key
+    hai_kya: {
+        arity: 2,
+        call(interpreter, [dict, key]) {
+            expectDict(interpreter, 'hai_kya', dict);
+            return dict.has(key);
+        }
+    },
+};
+
+/**
+ * Check whether a name is a built-in function
+ */
+export function isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(Builtins, name);
+}
+
+function argumentError(interpreter, name, expected, value) {
+    return new RuntimeError(
+        ErrorMessages.WRONG_ARG_TYPE(name, expected, interpreter.typeName(value)),
+        null
+    );
+}
+
+function expectNumber(interpreter, name, value) {
+    if (typeof value !== 'number') {
+        throw argumentError(interpreter, name, 'number', value);
+    }
+}
+
+function expectList(interpreter, name, value) {
+    if (!Array.isArray(value)) {
+        throw argumentError(interpreter, name, 'list', value);
+    }
+}
+
+function expectDict(interpreter, name, value) {
+    if (!(value instanceof Map)) {
+        throw argumentError(interpreter, name, 'dict', value);
+    }
+}
@@ -5,9 +5,20 @@
  * Command-line interface for running .ms files
  */
 
-import { readFileSync, existsSync } from 'fs';
-import { resolve, extname } from 'path';
+import { readFileSync, readSync, writeFileSync, existsSync } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { resolve, extname, dirname, relative } from 'path';
+import { createInterface } from 'readline';
 import { MasalaScript } from './masalascript.js';
+import { ReplSession } from './repl.js';
+import { ModuleLoader } from './modules.js';
+import { printAST } from './ast.js';
+import { migrateSource } from './migrate.js';
+import { DEFAULT_MAX_CALL_DEPTH, DEFAULT_MAX_STEPS } from './interpreter.js';
+import { resolveDialect } from './dialects.js';
+
+// Project config file, looked up from the working directory upwards
+const CONFIG_FILE = 'masala.config.json';
 
 // ANSI color codes
 const colors = {
@@ -48,6 +59,8 @@ function printUsage() {
     console.log(`
 ${colors.bright}Usage:${colors.reset}
   masalascript <file.ms> [options]
+  masalascript                  Start the interactive REPL
+  masalascript migrate <file.ms...> [--check]
   node cli.js <file.ms> [options]
 
 ${colors.bright}Options:${colors.reset}
@@ -56,20 +69,34 @@ ${colors.bright}Options:${colors.reset}
   --debug, -d       Enable debug mode (show tokens and AST)
   --tokens          Show token stream
   --ast             Show Abstract Syntax Tree
+  --check           With migrate: only list files that need migrating
+  --dialect <name>  Keyword dialect: default, strict, legacy, english,
+                    or a .json file with your own keyword mapping
+  --max-call-depth <n>
+                    Deepest allowed nesting of function calls (default ${DEFAULT_MAX_CALL_DEPTH})
+  --max-steps <n>   Stop after n statements and expressions (default ${DEFAULT_MAX_STEPS})
+  --timeout <ms>    Stop a program that runs longer than this many milliseconds
 
 ${colors.bright}Examples:${colors.reset}
   masalascript hello.ms
   masalascript examples/factorial.ms --debug
+  masalascript migrate old.ms      Rewrite action!/paisa vasool to the new form
+  masalascript hello.ms --dialect english
+  masalascript game.ms --timeout 2000
   node src/cli.js examples/grade-checker.ms
 
 ${colors.bright}File Extension:${colors.reset}
   MasalaScript files use the .ms extension
 
+${colors.bright}Project Config:${colors.reset}
+  A ${CONFIG_FILE} in the project sets the default dialect:
+    { "dialect": "english" }
+
 ${colors.bright}Quick Start:${colors.reset}
   Create a file 'hello.ms' with:
-    action!
+    Chal bhai suru kar
     ek baat bataun: "Namaste, duniya!"
-    paisa vasool
+    bas khatam karo
 
   Then run:
     masalascript hello.ms
@@ -88,15 +115,24 @@ function printVersion() {
  */
 function parseArgs(args) {
     const options = {
+        command: null,
         file: null,
+        files: [],
+        check: false,
         help: false,
         version: false,
         debug: false,
         showTokens: false,
         showAST: false,
+        dialect: null,
+        maxCallDepth: undefined,
+        maxSteps: undefined,
+        timeout: undefined,
     };
 
-    for (const arg of args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
         if (arg === '--help' || arg === '-h') {
             options.help = true;
         } else if (arg === '--version' || arg === '-v') {
@@ -109,14 +145,185 @@ function parseArgs(args) {
             options.showTokens = true;
         } else if (arg === '--ast') {
             options.showAST = true;
+        } else if (arg === '--check') {
+            options.check = true;
+        } else if (arg === '--dialect') {
+            options.dialect = args[++i] ?? '';
+        } else if (arg.startsWith('--dialect=')) {
+            options.dialect = arg.slice('--dialect='.length);
+        } else if (arg === '--max-call-depth') {
+            options.maxCallDepth = parseLimit(arg, args[++i]);
+        } else if (arg.startsWith('--max-call-depth=')) {
+            options.maxCallDepth = parseLimit('--max-call-depth', arg.slice('--max-call-depth='.length));
+        } else if (arg === '--max-steps') {
+            options.maxSteps = parseLimit(arg, args[++i]);
+        } else if (arg.startsWith('--max-steps=')) {
+            options.maxSteps = parseLimit('--max-steps', arg.slice('--max-steps='.length));
+        } else if (arg === '--timeout') {
+            options.timeout = parseLimit(arg, args[++i]);
+        } else if (arg.startsWith('--timeout=')) {
+            options.timeout = parseLimit('--timeout', arg.slice('--timeout='.length));
+        } else if (arg === 'migrate' && options.command === null && options.file === null) {
+            options.command = 'migrate';
         } else if (!arg.startsWith('-')) {
-            options.file = arg;
+            options.file = options.file ?? arg;
+            options.files.push(arg);
         }
     }
 
     return options;
 }
 
+/**
+ * Parse the value of a numeric limit flag, exiting with an error if it isn't a positive integer
+ */
+function parseLimit(flag, value) {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        print(colors.red, `❌ ${flag} needs a positive whole number, got '${value ?? ''}'`);
+        process.exit(1);
+    }
+    return limit;
+}
+
+/**
+ * Find the project config file in the working directory or a parent
+ * @returns {Object|null} { path, config }
+ */
+function findProjectConfig() {
+    let dir = process.cwd();
+
+    while (true) {
+        const path = resolve(dir, CONFIG_FILE);
+        if (existsSync(path)) {
+            return { path, config: JSON.parse(readFileSync(path, 'utf-8')) };
+        }
+
+        const parent = dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Work out the keyword dialect: --dialect wins over the project config.
+ * A name ending in .json is a keyword mapping file, relative to the
+ * working directory (for --dialect) or to the config file.
+ * Exits with an error if the dialect can't be loaded.
+ * @returns {string|Object} Dialect name or mapping
+ */
+function loadDialect(options) {
+    try {
+        let dialect = options.dialect;
+        let base = process.cwd();
+
+        if (dialect === null) {
+            const project = findProjectConfig();
+            dialect = project?.config.dialect ?? 'default';
+            base = project ? dirname(project.path) : base;
+        }
+
+        if (typeof dialect === 'string' && dialect.endsWith('.json')) {
+            dialect = JSON.parse(readFileSync(resolve(base, dialect), 'utf-8'));
+        }
+
+        resolveDialect(dialect);
+        return dialect;
+    } catch (error) {
+        print(colors.red, `❌ Dialect load nahi hua: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Create a module resolver that reads imports from disk.
+ * Paths are resolved relative to the importing file; module ids are
+ * kept relative to the working directory so errors stay readable.
+ */
+function createFileResolver() {
+    return {
+        resolve(specifier, importer) {
+            const base = importer ? dirname(resolve(importer)) : process.cwd();
+            return relative(process.cwd(), resolve(base, specifier));
+        },
+
+        load(id) {
+            const fullPath = resolve(id);
+            return existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null;
+        }
+    };
+}
+
+/**
+ * Create an input provider that answers 'poocho' with lines from stdin.
+ * Reads synchronously because the interpreter runs synchronously.
+ */
+function createStdinInput() {
+    const chunk = Buffer.alloc(4096);
+    const waiter = new Int32Array(new SharedArrayBuffer(4));
+    const decoder = new StringDecoder('utf-8');
+    let buffered = '';
+    let ended = false;
+
+    return (question) => {
+        process.stdout.write(`${question} `);
+
+        while (!buffered.includes('\n') && !ended) {
+            let bytesRead;
+            try {
+                bytesRead = readSync(0, chunk, 0, chunk.length, null);
+            } catch (error) {
+                if (error.code === 'EAGAIN') {
+                    // Non-blocking stdin with nothing typed yet: wait a little, don't spin
+                    Atomics.wait(waiter, 0, 0, 10);
+                    continue;
+                }
+                if (error.code === 'EOF') bytesRead = 0;
+                else throw error;
+            }
+
+            if (bytesRead === 0) {
+                ended = true;
+                buffered += decoder.end();
+            } else {
+                buffered += decoder.write(chunk.subarray(0, bytesRead));
+            }
+        }
+
+        if (buffered === '' && ended) {
+            return null;
+        }
+
+        const newline = buffered.indexOf('\n');
+        const line = newline === -1 ? buffered : buffered.slice(0, newline);
+        buffered = newline === -1 ? '' : buffered.slice(newline + 1);
+        return line.replace(/\r$/, '');
+    };
+}
+
+/**
+ * Create the input provider for the REPL. readline keeps the terminal in
+ * raw mode, so switch back to line mode while 'poocho' waits for an answer.
+ * Each question gets a fresh reader, so Ctrl+D only ends that one answer.
+ */
+function createReplInput() {
+    return (question) => {
+        const raw = process.stdin.isTTY && process.stdin.isRaw;
+        if (raw) {
+            process.stdin.setRawMode(false);
+        }
+        try {
+            return createStdinInput()(question);
+        } finally {
+            if (raw) {
+                process.stdin.setRawMode(true);
+            }
+        }
+    };
+}
+
 /**
  * Run a MasalaScript file
  */
@@ -150,6 +357,14 @@ function runFile(filePath, options) {
         debug: options.debug,
         showTokens: options.showTokens,
         showAST: options.showAST,
+        dialect: loadDialect(options),
+        maxCallDepth: options.maxCallDepth,
+        maxSteps: options.maxSteps,
+        timeout: options.timeout,
+        filename: relative(process.cwd(), fullPath),
+        resolver: createFileResolver(),
+        input: createStdinInput(),
+        output: process.stdout,
     });
 
     // Run the code
@@ -158,21 +373,224 @@ function runFile(filePath, options) {
     const result = masala.run(source);
 
     if (!result.success) {
+        const count = result.errors.length;
         print(colors.red, '\n❌ Execution failed:');
         console.log(result.error);
+        print(colors.red, `❌ ${count} ${count === 1 ? 'problem' : 'problems'} found`);
         process.exit(1);
     }
 
     print(colors.green, '\n✅ Paisa vasool! Program completed successfully.');
 }
 
+/**
+ * Print REPL help
+ */
+function printREPLHelp() {
+    console.log(`
+${colors.bright}REPL Commands:${colors.reset}
+  .help             Show this help message
+  .tokens [code]    Show tokens for code (or the last input)
+  .ast [code]       Show the AST for code (or the last input)
+  .load <file.ms>   Run a file inside this session
+  .reset            Forget all variables and functions
+  .break            Discard a half-typed multi-line input
+  .exit             Leave the REPL
+
+Type statements without 'Chal bhai suru kar' / 'bas khatam karo'.
+Lines with open braces continue on the next line.
+`);
+}
+
+/**
+ * Handle a REPL dot-command
+ * @returns {boolean} false if the REPL should close
+ */
+function runREPLCommand(session, line, lastInput) {
+    const command = line.split(/\s+/)[0];
+    const argument = line.slice(command.length).trim();
+
+    switch (command) {
+        case '.help':
+            printREPLHelp();
+            break;
+
+        case '.tokens':
+        case '.ast': {
+            const code = argument || lastInput;
+            if (!code) {
+                print(colors.yellow, 'Abhi tak kuch likha hi nahi!');
+                break;
+            }
+            try {
+                const { tokens, ast } = session.compile(code);
+                if (command === '.tokens') {
+                    tokens.forEach(t => console.log('  ', t.toString()));
+                } else {
+                    console.log(printAST(ast));
+                }
+            } catch (error) {
+                print(colors.red, error.toString());
+            }
+            break;
+        }
+
+        case '.load': {
+            if (!argument) {
+                print(colors.yellow, 'Usage: .load <file.ms>');
+                break;
+            }
+            const fullPath = resolve(argument);
+            if (!existsSync(fullPath)) {
+                print(colors.red, `❌ File not found: ${argument}`);
+                break;
+            }
+            const result = session.evaluate(
+                readFileSync(fullPath, 'utf-8'),
+                relative(process.cwd(), fullPath)
+            );
+            printREPLResult(result);
+            break;
+        }
+
+        case '.reset':
+            session.reset();
+            print(colors.green, 'Sab saaf! Session reset ho gaya.');
+            break;
+
+        case '.exit':
+            return false;
+
+        default:
+            print(colors.yellow, `Unknown command '${command}' - try .help`);
+    }
+
+    return true;
+}
+
+/**
+ * Print the outcome of one REPL input (program output is already printed)
+ */
+function printREPLResult(result) {
+    if (!result.success) {
+        print(colors.red, result.error);
+    } else if (result.display !== null) {
+        print(colors.magenta, result.display);
+    }
+}
+
+/**
+ * Rewrite old 'action!' / 'paisa vasool' files to the canonical delimiters
+ */
+function migrateFiles(files, options) {
+    if (files.length === 0) {
+        print(colors.red, '❌ Usage: masalascript migrate <file.ms...> [--check]');
+        process.exit(1);
+    }
+
+    let pending = 0;
+    let failed = false;
+
+    for (const file of files) {
+        const fullPath = resolve(file);
+        if (!existsSync(fullPath)) {
+            print(colors.red, `❌ File not found: ${file}`);
+            failed = true;
+            continue;
+        }
+
+        let result;
+        try {
+            result = migrateSource(readFileSync(fullPath, 'utf-8'));
+        } catch (error) {
+            print(colors.red, `❌ ${file}: ${error.toString()}`);
+            failed = true;
+            continue;
+        }
+
+        if (result.changes.length === 0) {
+            print(colors.green, `✅ ${file}: already up to date`);
+            continue;
+        }
+
+        pending++;
+        for (const change of result.changes) {
+            console.log(`   ${file}:${change.line}:${change.column}  ${change.from} → ${change.to}`);
+        }
+
+        if (options.check) {
+            print(colors.yellow, `⚠️  ${file}: needs migration`);
+        } else {
+            writeFileSync(fullPath, result.source);
+            print(colors.green, `✅ ${file}: migrated`);
+        }
+    }
+
+    if (failed || (options.check && pending > 0)) {
+        process.exit(1);
+    }
+}
+
 /**
  * Start REPL mode (interactive)
  */
-function startREPL() {
+function startREPL(options) {
+    const dialect = loadDialect(options);
+
     printBanner();
-    print(colors.yellow, 'Interactive mode coming soon! Use file execution for now.\n');
-    printUsage();
+    print(colors.yellow, 'Type .help for commands, .exit to leave.\n');
+
+    const session = new ReplSession({
+        loader: new ModuleLoader(createFileResolver(), { dialect }),
+        output: process.stdout,
+        input: createReplInput(),
+        dialect,
+        maxCallDepth: options.maxCallDepth,
+        maxSteps: options.maxSteps,
+        timeout: options.timeout,
+    });
+    const rl = createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: 'masala> ',
+    });
+
+    let buffer = '';
+    let lastInput = '';
+
+    rl.on('line', (line) => {
+        const trimmed = line.trim();
+
+        if (buffer === '' && trimmed.startsWith('.')) {
+            if (!runREPLCommand(session, trimmed, lastInput)) {
+                rl.close();
+                return;
+            }
+        } else if (trimmed === '.break') {
+            buffer = '';
+        } else if (buffer !== '' || trimmed !== '') {
+            buffer += line + '\n';
+
+            if (!session.isComplete(buffer)) {
+                rl.setPrompt('...     ');
+                rl.prompt();
+                return;
+            }
+
+            lastInput = buffer.slice(0, -1); // Drop the final newline
+            buffer = '';
+            printREPLResult(session.evaluate(lastInput));
+        }
+
+        rl.setPrompt('masala> ');
+        rl.prompt();
+    });
+
+    rl.on('close', () => {
+        print(colors.cyan, '\nPhir milenge! 👋');
+    });
+
+    rl.prompt();
 }
 
 /**
@@ -195,11 +613,16 @@ function main() {
         process.exit(0);
     }
 
+    if (options.command === 'migrate') {
+        migrateFiles(options.files, options);
+        return;
+    }
+
     // Run file or start REPL
     if (options.file) {
         runFile(options.file, options);
     } else {
-        startREPL();
+        startREPL(options);
     }
 }
 
@@ -0,0 +1,67 @@
+/**
+ * MasalaScript Keyword Dialects
+ * Turns a dialect name or a user-supplied keyword mapping into the
+ * spelling → token type table the Lexer uses
+ */
+
+import { Dialects } from './tokens.js';
+import { LexerError, ErrorMessages } from './errors.js';
+
+// Token types a keyword spelling may map to
+const KeywordTypes = new Set(Object.values(Dialects.default));
+
+/**
+ * Resolve a dialect.
+ *
+ * Accepts a built-in dialect name ('default', 'strict', 'legacy', 'english')
+ * or a mapping object such as:
+ *
+ *   {
+ *     "name": "meri-boli",
+ *     "extends": "default",
+ *     "keywords": { "bolo:": "EK_BAAT_BATAUN", "jab tak": "JAB_TAK_HAI_JAAN" }
+ *   }
+ *
+ * Without "extends" the mapping must list every keyword the programs use.
+ * Spellings from the mapping come first, so error messages use them.
+ *
+ * @param {string|Object} dialect - Dialect name or mapping ('default' if not given)
+ * @returns {Object} { name, keywords: { spelling: TokenType } }
+ */
+export function resolveDialect(dialect = 'default') {
+    if (dialect === null || dialect === undefined) {
+        dialect = 'default';
+    }
+
+    if (typeof dialect === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(Dialects, dialect)) {
+            throw new LexerError(ErrorMessages.UNKNOWN_DIALECT(dialect, Object.keys(Dialects)), null, null);
+        }
+        return { name: dialect, keywords: Dialects[dialect] };
+    }
+
+    if (typeof dialect !== 'object' || typeof dialect.keywords !== 'object' || dialect.keywords === null) {
+        throw new LexerError(ErrorMessages.INVALID_DIALECT(), null, null);
+    }
+
+    const keywords = {};
+    for (const [spelling, type] of Object.entries(dialect.keywords)) {
+        if (!spelling || spelling !== spelling.trim() || spelling.includes('\n')) {
+            throw new LexerError(ErrorMessages.INVALID_KEYWORD_SPELLING(spelling), null, null);
+        }
+        if (!KeywordTypes.has(type)) {
+            throw new LexerError(ErrorMessages.UNKNOWN_KEYWORD_TYPE(spelling, type), null, null);
+        }
+        keywords[spelling] = type;
+    }
+
+    if (dialect.extends) {
+        for (const [spelling, type] of Object.entries(resolveDialect(dialect.extends).keywords)) {
+            if (!(spelling in keywords)) {
+                keywords[spelling] = type;
+            }
+        }
+    }
+
+    return { name: dialect.name || 'custom', keywords };
+}
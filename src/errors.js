@@ -3,6 +3,8 @@
  * Custom error types with Hinglish-style error messages
  */
 
+import { TokenType, Keywords } from './tokens.js';
+
 // Base error class for all MasalaScript errors
 export class MasalaError extends Error {
     constructor(message, line = null, column = null, type = 'Error') {
@@ -11,17 +13,23 @@ export class MasalaError extends Error {
         this.line = line;
         this.column = column;
         this.type = type;
+        this.file = null; // Set when the error comes from a named file/module
+        this.callStack = []; // Runtime only: calls that led here, oldest first (see Interpreter)
     }
 
     toString() {
-        let location = '';
+        const parts = [];
+        if (this.file) {
+            parts.push(this.file);
+        }
         if (this.line !== null) {
-            location = ` (Line ${this.line}`;
+            let location = `Line ${this.line}`;
             if (this.column !== null) {
                 location += `, Column ${this.column}`;
             }
-            location += ')';
+            parts.push(location);
         }
+        const location = parts.length > 0 ? ` (${parts.join(', ')})` : '';
         return `${this.type}${location}: ${this.message}`;
     }
 }
@@ -58,12 +66,47 @@ export class RuntimeError extends MasalaError {
     }
 }
 
+// Limit errors - the program used up its step or time budget.
+// 'koshish karo' can't catch these, so a runaway program can't swallow them and carry on
+export class LimitError extends RuntimeError {
+    constructor(message, line = null) {
+        super(message, line);
+        this.name = 'LimitError';
+    }
+}
+
+// Cancellation - the host stopped the run through its AbortSignal. Not a bug in
+// the program, and like LimitError it can't be caught with 'koshish karo'
+export class CancelledError extends MasalaError {
+    constructor(message, line = null) {
+        super(message, line, null, 'Bas! Program roka gaya');
+        this.name = 'CancelledError';
+    }
+}
+
+// Thrown errors - raised by the program itself with 'fenk do'
+export class ThrowError extends MasalaError {
+    constructor(message, line = null, value = null) {
+        super(message, line, null, 'Bawaal ho gaya! Thrown Error');
+        this.name = 'ThrowError';
+        this.value = value;
+    }
+}
+
 // Error messages in Hinglish style
 export const ErrorMessages = {
     // Lexer errors
     UNEXPECTED_CHARACTER: (char) => `Yeh character kya hai bhai? '${char}' samajh nahi aaya`,
     UNTERMINATED_STRING: () => `String khatam nahi hui - closing quote lagao!`,
     INVALID_NUMBER: (num) => `Yeh number galat hai: '${num}'`,
+    UNTERMINATED_INTERPOLATION: () => `String ke andar '{' khula hai - closing '}' lagao!`,
+    EMPTY_INTERPOLATION: () => `'{ }' khaali hai - andar koi expression likho`,
+
+    // Dialect errors
+    UNKNOWN_DIALECT: (name, known) => `Dialect '${name}' nahi pata - inme se chuno: ${known.join(', ')} (ya apni keyword mapping do)`,
+    INVALID_DIALECT: () => `Dialect mapping mein 'keywords' object chahiye, jaise { "keywords": { "maanlo": "MAAN_LO" } }`,
+    INVALID_KEYWORD_SPELLING: (spelling) => `Keyword '${spelling}' nahi chalega - khaali ya space se shuru/khatam nahi ho sakta`,
+    UNKNOWN_KEYWORD_TYPE: (spelling, type) => `Keyword '${spelling}' ke liye '${type}' koi keyword token nahi hai`,
 
     // Parser errors
     EXPECTED_ACTION: () => `Program start karo 'Chal bhai suru kar' se - yeh toh basic hai!`,
@@ -74,9 +117,15 @@ export const ErrorMessages = {
     EXPECTED_RPAREN: () => `')' lagana bhool gaye kya?`,
     EXPECTED_LBRACE: () => `'{' lagana bhool gaye kya?`,
     EXPECTED_RBRACE: () => `'}' lagana bhool gaye kya?`,
+    EXPECTED_RBRACKET: () => `']' lagana bhool gaye kya?`,
+    EXPECTED_COLON: () => `':' lagana bhool gaye kya?`,
+    EXPECTED_KEY: () => `Yahan dict ki key ka naam chahiye`,
+    EXPECTED_MODULE_PATH: () => `'le aao' ke baad module ka path string mein likho, jaise "./utils.ms"`,
+    EXPECTED_CATCH_OR_FINALLY: () => `'koshish karo' ke baad 'pakda gaya' ya 'aakhir mein' chahiye`,
     EXPECTED_EQUALS: () => `'=' lagana bhool gaye kya?`,
+    EXPECTED_KEYWORD: (keyword) => `Yahan '${keyword}' likhna bhool gaye kya?`,
     UNEXPECTED_TOKEN: (token) => `Yeh token yahan nahi aana chahiye: '${token}'`,
-    INVALID_ASSIGNMENT_TARGET: () => `Assignment ka target galat hai - sirf variables mein assign kar sakte ho`,
+    INVALID_ASSIGNMENT_TARGET: () => `Assignment ka target galat hai - sirf variables, list items ya dict keys mein assign kar sakte ho`,
 
     // Semantic errors
     UNDEFINED_VARIABLE: (name) => `Variable '${name}' define nahi hua hai - pehle 'maan lo' karo`,
@@ -84,7 +133,16 @@ export const ErrorMessages = {
     ALREADY_DEFINED: (name) => `'${name}' toh pehle se define hai - duplicate mat karo!`,
     WRONG_ARG_COUNT: (name, expected, got) =>
         `Function '${name}' ko ${expected} arguments chahiye, tumne ${got} diye`,
+    IMPORT_NOT_TOP_LEVEL: () => `'le aao' sirf program ke top level pe use karo`,
+    EXPORT_NOT_TOP_LEVEL: () => `'bahar bhejo' sirf top level 'climax' functions pe laga sakte ho`,
+    MODULE_NOT_FOUND: (path) => `Module '${path}' nahi mila - path check karo`,
+    IMPORT_CYCLE: (chain) => `Modules gol gol ek dusre ko import kar rahe hain: ${chain.join(' -> ')}`,
+    NOT_EXPORTED: (name, file) => `'${name}' module '${file}' se export nahi hua - 'bahar bhejo' lagao`,
+    NO_MODULE_RESOLVER: () => `Modules load karne ka koi resolver set nahi hai`,
+    BUILTIN_ASSIGNMENT: (name) => `'${name}' built-in hai - isko badal nahi sakte, 'maan lo' se naya naam banao`,
     RETURN_OUTSIDE_FUNCTION: () => `'dialogue wapas do' sirf function ke andar use karo`,
+    BREAK_OUTSIDE_LOOP: () => `'me bahar ja raha hu' sirf loop ke andar use karo`,
+    CONTINUE_OUTSIDE_LOOP: () => `'agla dekho' sirf loop ke andar use karo`,
 
     // Runtime errors
     DIVISION_BY_ZERO: () => `Zero se divide? Yeh toh impossible hai bhai!`,
@@ -92,12 +150,134 @@ export const ErrorMessages = {
     NOT_A_NUMBER: (op) => `'${op}' operation ke liye numbers chahiye`,
     TYPE_ERROR: (expected, got) => `${expected} chahiye tha, ${got} mil gaya`,
     INVALID_OPERAND: (op) => `'${op}' ke saath yeh operands use nahi kar sakte`,
+    NOT_INDEXABLE: (type) => `${type} mein [index] nahi laga sakte - sirf list, dict ya string mein`,
+    STRING_IMMUTABLE: () => `String ke andar kuch badal nahi sakte - naya string banao`,
+    INVALID_INDEX: (index) => `Index ${index} galat hai - 0 ya usse bada poora number chahiye`,
+    INDEX_OUT_OF_RANGE: (index, length) =>
+        `Index ${index} list ke bahar hai - list mein sirf ${length} items hain`,
+    NOT_A_DICT: (type) => `${type} mein '.' se key nahi nikal sakte - sirf dict mein`,
+    INVALID_KEY: (key) => `Dict ki key string honi chahiye, ${key} nahi chalega`,
+    KEY_NOT_FOUND: (key) => `Key '${key}' dict mein hai hi nahi`,
+    WRONG_ARG_TYPE: (name, expected, got) => `'${name}' ko ${expected} chahiye, ${got} mil gaya`,
+    NOT_NUMERIC: (value) => `"${value}" ko number nahi bana sakte`,
+    EMPTY_LIST: (name) => `Khaali list pe '${name}' nahi chala sakte`,
+    HOST_ERROR: (name, message) => `Host function '${name}' fail ho gaya: ${message}`,
+    HOST_ASYNC: (name) => `Host function '${name}' ne Promise diya - sirf sync functions chalte hain`,
+    NO_INPUT: () => `'poocho' ke liye koi input source set nahi hai`,
+    INPUT_EXHAUSTED: () => `Input khatam ho gaya - 'poocho' ko jawab nahi mila`,
+    ZERO_STEP: () => `Loop ka step zero nahi ho sakta - loop kabhi khatam nahi hoga!`,
+    LOOP_LIMIT_EXCEEDED: (limit) => `Loop limit exceeded - ${limit} baar chal chuka, possible infinite loop detected!`,
+    STEP_LIMIT_EXCEEDED: (limit) => `Program ${limit} steps ke baad bhi khatam nahi hua - kahin infinite loop toh nahi?`,
+    TIMEOUT_EXCEEDED: (ms) => `Time khatam! Program ${ms}ms se zyada chal gaya - kahin infinite loop toh nahi?`,
+    PROGRAM_CANCELLED: (reason) => reason
+        ? `Program roka gaya: ${reason}`
+        : `Program roka gaya - run beech mein hi cancel kar diya`,
+    CALL_DEPTH_EXCEEDED: (depth) => `Function calls ${depth} level gehre chale gaye - recursion ka base case bhool gaye kya?`,
 };
 
+/**
+ * Rewrite the keywords quoted in an error message the way the active
+ * dialect spells them, e.g. 'maan lo' → 'let' in the English dialect.
+ * Messages are written with the canonical spellings; program delimiters
+ * list every accepted spelling since old files often use the legacy ones.
+ * @param {string} message - Error message
+ * @param {Object} dialect - Resolved dialect ({ name, keywords })
+ * @returns {string}
+ */
+export function localizeMessage(message, dialect) {
+    const spellings = {};
+    for (const [spelling, type] of Object.entries(dialect.keywords)) {
+        (spellings[type] = spellings[type] || []).push(spelling);
+    }
+
+    return message.replace(/'([^'\n]+)'/g, (quoted, text) => {
+        const type = Keywords[text];
+        if (!type || !spellings[type]) {
+            return quoted;
+        }
+
+        const delimiter = type === TokenType.ACTION || type === TokenType.PAISA_VASOOL;
+        const shown = delimiter ? spellings[type] : spellings[type].slice(0, 1);
+        return shown.map(spelling => `'${spelling}'`).join(' ya ');
+    });
+}
+
+/**
+ * Whitespace that lines a caret up under the given column (counted in
+ * characters, as the lexer does). Tabs are kept, and combining marks such
+ * as Devanagari vowel signs take no space since they join the letter before.
+ */
+function caretPadding(line, column) {
+    return Array.from(line)
+        .slice(0, column - 1)
+        .map(char => char === '\t' ? '\t' : /^[\p{Mn}\p{Me}\p{Cf}]$/u.test(char) ? '' : ' ')
+        .join('');
+}
+
+// Tracebacks longer than this keep only their newest and oldest lines
+const MAX_TRACE_LINES = 20;
+
+/**
+ * Format a runtime error's call stack as a traceback, newest call first:
+ * where the error happened, then every call site that led there.
+ * Repeats (as in deep recursion) are folded into one line.
+ */
+function formatCallStack(error) {
+    const frames = error.callStack;
+    const mainFile = frames[0].file;
+    const functionName = (frame) => `'${frame.name || '<anonymous>'}'`;
+    const place = (file, line, column) => [
+        file && file !== mainFile ? file : null,
+        `line ${line}`,
+        column !== null ? `column ${column}` : null
+    ].filter(Boolean).join(', ');
+
+    const entries = [
+        `${functionName(frames[frames.length - 1])} ke andar, ${place(error.file, error.line, error.column)} - yahan gadbad hui`
+    ];
+    for (let i = frames.length - 1; i >= 0; i--) {
+        const frame = frames[i];
+        if (frame.line === null) {
+            entries.push(`JavaScript ne ${functionName(frame)} ko bulaya`);
+            continue;
+        }
+        const caller = i > 0 ? `${functionName(frames[i - 1])} ke andar` : 'main program mein';
+        entries.push(`${caller}, ${place(frame.file, frame.line, frame.column)} - yahan se ${functionName(frame)} ko bulaya`);
+    }
+
+    // Fold repeated lines
+    const folded = [];
+    for (let i = 0; i < entries.length; i++) {
+        let repeats = 0;
+        while (entries[i + 1] === entries[i]) {
+            repeats++;
+            i++;
+        }
+        folded.push(entries[i]);
+        if (repeats > 0) {
+            folded.push(`... upar wali line ${repeats} baar aur`);
+        }
+    }
+
+    let shown = folded;
+    if (folded.length > MAX_TRACE_LINES) {
+        const half = MAX_TRACE_LINES / 2;
+        shown = [
+            ...folded.slice(0, half),
+            `... ${folded.length - MAX_TRACE_LINES} lines chhod di`,
+            ...folded.slice(-half)
+        ];
+    }
+
+    return '🎞️  Flashback - kisne kisko bulaya (sabse naya upar):\n'
+        + shown.map(entry => `    ${entry}\n`).join('');
+}
+
 // Format error with source code context
-export function formatErrorWithContext(error, sourceCode, contextLines = 2) {
+export function formatErrorWithContext(error, sourceCode, contextLines = 2, dialect = null) {
     const lines = sourceCode.split('\n');
-    let output = error.toString() + '\n\n';
+    const header = error.toString();
+    let output = (dialect ? localizeMessage(header, dialect) : header) + '\n\n';
 
     if (error.line !== null && error.line <= lines.length) {
         const startLine = Math.max(1, error.line - contextLines);
@@ -110,11 +290,15 @@ export function formatErrorWithContext(error, sourceCode, contextLines = 2) {
 
             // Add column pointer
             if (i === error.line && error.column !== null) {
-                const pointer = ' '.repeat(4 + 4 + error.column - 1) + '^';
+                const pointer = ' '.repeat(4 + 4) + caretPadding(lines[i - 1], error.column) + '^';
                 output += pointer + '\n';
             }
         }
     }
 
+    if (error.callStack.length > 0) {
+        output += '\n' + formatCallStack(error);
+    }
+
     return output;
 }
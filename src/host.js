@@ -0,0 +1,122 @@
+/**
+ * MasalaScript Host Interop
+ * Converts values between JavaScript and MasalaScript for the embedding API
+ */
+
+import { NativeFunction } from './interpreter.js';
+import { MasalaError, RuntimeError, ErrorMessages } from './errors.js';
+
+/**
+ * Convert a JavaScript value into a MasalaScript value
+ *   undefined/null → khaali, arrays → lists, objects and Maps → dicts,
+ *   functions → native functions; numbers, strings and booleans pass through
+ * Objects that contain themselves come out as lists/dicts that contain themselves.
+ * @param {*} value - JavaScript value
+ * @param {string} name - Name used if the value is a function
+ * @param {Map} converted - Containers converted so far → their copies
+ */
+export function toMasala(value, name = 'host', converted = new Map()) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'bigint') {
+        return Number(value);
+    }
+    if (typeof value === 'function') {
+        return createHostFunction(name, null, value);
+    }
+    if (converted.has(value)) {
+        return converted.get(value);
+    }
+
+    // Register the copy before filling it, so a cycle finds it
+    if (Array.isArray(value)) {
+        const list = [];
+        converted.set(value, list);
+        for (const item of value) {
+            list.push(toMasala(item, name, converted));
+        }
+        return list;
+    }
+
+    const dict = new Map();
+    converted.set(value, dict);
+    for (const [key, item] of value instanceof Map ? value : Object.entries(value)) {
+        dict.set(String(key), toMasala(item, `${name}.${key}`, converted));
+    }
+    return dict;
+}
+
+/**
+ * Convert a MasalaScript value into a JavaScript value
+ *   khaali → null, lists → arrays, dicts → plain objects,
+ *   functions → JS functions that call back into the interpreter
+ *   (with the same argument-count check as a call in a script)
+ * Lists and dicts that contain themselves come out as cyclic arrays/objects.
+ * @param {*} value - MasalaScript value
+ * @param {Interpreter} interpreter - Interpreter that owns the value
+ * @param {Map} converted - Containers converted so far → their copies
+ */
+export function fromMasala(value, interpreter, converted = new Map()) {
+    if (converted.has(value)) {
+        return converted.get(value);
+    }
+    if (Array.isArray(value)) {
+        const array = [];
+        converted.set(value, array);
+        for (const item of value) {
+            array.push(fromMasala(item, interpreter, converted));
+        }
+        return array;
+    }
+    if (value instanceof Map) {
+        const object = {};
+        converted.set(value, object);
+        for (const [key, item] of value) {
+            object[key] = fromMasala(item, interpreter, converted);
+        }
+        return object;
+    }
+    if (interpreter.isCallable(value)) {
+        return (...args) => fromMasala(
+            interpreter.callFunction(value, args.map(arg => toMasala(arg))),
+            interpreter
+        );
+    }
+    return value;
+}
+
+/**
+ * Wrap a JavaScript function so scripts can call it.
+ * Arguments and the result are marshalled; a JavaScript exception comes
+ * back as a RuntimeError (the interpreter fills in the call's line).
+ * @param {string} name - Name the function is called by
+ * @param {number|null} arity - Number of arguments, or null for any number
+ * @param {Function} fn - The JavaScript function
+ */
+export function createHostFunction(name, arity, fn) {
+    return new NativeFunction(name, arity, (interpreter, args) => {
+        let result;
+        try {
+            result = fn(...args.map(arg => fromMasala(arg, interpreter)));
+        } catch (error) {
+            if (error instanceof MasalaError) {
+                throw error;
+            }
+            throw new RuntimeError(
+                ErrorMessages.HOST_ERROR(name, error instanceof Error ? error.message : String(error)),
+                null
+            );
+        }
+
+        if (result && typeof result.then === 'function') {
+            // Nobody will wait for it, so don't let a rejection go unhandled
+            result.catch?.(() => {});
+            throw new RuntimeError(ErrorMessages.HOST_ASYNC(name), null);
+        }
+        return toMasala(result, name);
+    });
+}
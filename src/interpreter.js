@@ -4,7 +4,38 @@
  */
 
 import { NodeType } from './ast.js';
-import { RuntimeError, ErrorMessages } from './errors.js';
+import { MasalaError, RuntimeError, LimitError, CancelledError, ThrowError, ErrorMessages } from './errors.js';
+import { Builtins } from './builtins.js';
+import { createOutputSink } from './output.js';
+
+// Default number of statements and expressions a program may evaluate per run
+export const DEFAULT_MAX_STEPS = 10000000;
+
+// Reading the clock on every step is slow; check the deadline this often instead
+const DEADLINE_CHECK_INTERVAL = 1000;
+
+// Default limit on nested function calls. With Node's default stack the JavaScript
+// stack usually runs out first (at roughly 800 calls), which gives the same error.
+export const DEFAULT_MAX_CALL_DEPTH = 1000;
+
+/**
+ * Check whether a JavaScript error means the engine's own stack ran out
+ * (RangeError in V8 and JavaScriptCore, InternalError in SpiderMonkey)
+ */
+function isStackOverflow(error) {
+    // Plain string checks - a regex may not even compile with the stack this low
+    return (error instanceof RangeError && error.message.includes('call stack'))
+        || (error?.name === 'InternalError' && error.message.includes('recursion'));
+}
+
+/**
+ * Reject limit options that aren't a positive integer (or Infinity)
+ */
+function checkLimit(name, value) {
+    if (!(Number.isInteger(value) || value === Infinity) || value < 1) {
+        throw new TypeError(`${name} must be a positive integer (or Infinity)`);
+    }
+}
 
 /**
  * Environment class for managing variable scopes
@@ -65,12 +96,40 @@ class Environment {
  * MasalaFunction class for user-defined functions
  */
 class MasalaFunction {
-    constructor(declaration, closure) {
+    constructor(declaration, closure, file = null) {
         this.declaration = declaration;
         this.closure = closure;
+        this.file = file; // File/module the function was defined in
     }
 
     call(interpreter, args) {
+        if (interpreter.callDepth >= interpreter.maxCallDepth) {
+            // Point at the call that crossed the limit, not inside the function
+            const error = interpreter.callDepthError();
+            error.callStack = interpreter.callStack.slice(0, -1);
+            throw error;
+        }
+
+        const previousFile = interpreter.file;
+        interpreter.file = this.file;
+        interpreter.callDepth++;
+
+        try {
+            return this.invoke(interpreter, args);
+        } catch (error) {
+            // Deeply nested code can exhaust the JavaScript stack before the limit
+            if (isStackOverflow(error)) {
+                error = interpreter.callDepthError();
+            }
+            interpreter.attributeError(error);
+            throw error;
+        } finally {
+            interpreter.callDepth--;
+            interpreter.file = previousFile;
+        }
+    }
+
+    invoke(interpreter, args) {
         // Create new environment for function execution
         const environment = new Environment(this.closure);
 
@@ -94,9 +153,53 @@ class MasalaFunction {
         return null;
     }
 
+    get name() {
+        return this.declaration.name;
+    }
+
+    get arity() {
+        return this.declaration.params.length;
+    }
+
+    toString() {
+        return `<function ${this.declaration.name || 'anonymous'}>`;
+    }
+}
+
+/**
+ * NativeFunction class for built-in functions written in JavaScript.
+ * Shares the callable protocol of MasalaFunction: name, arity and call().
+ */
+export class NativeFunction {
+    /**
+     * @param {string} name - Name the function is called by
+     * @param {number|null} arity - Number of arguments, or null for any number
+     * @param {Function} implementation - (interpreter, args) → value
+     */
+    constructor(name, arity, implementation) {
+        this.name = name;
+        this.arity = arity;
+        this.implementation = implementation;
+    }
+
+    call(interpreter, args) {
+        return this.implementation(interpreter, args);
+    }
+
     toString() {
-        return `<function ${this.declaration.name}>`;
+        return `<native function ${this.name}>`;
+    }
+}
+
+/**
+ * Create the environment holding the built-in functions
+ */
+function createBuiltinEnvironment() {
+    const environment = new Environment();
+    for (const [name, builtin] of Object.entries(Builtins)) {
+        environment.define(name, new NativeFunction(name, builtin.arity, builtin.call));
     }
+    return environment;
 }
 
 /**
@@ -108,30 +211,261 @@ class ReturnValue {
     }
 }
 
+/**
+ * BreakSignal class for leaving a loop early
+ */
+class BreakSignal {
+    constructor(line) {
+        this.line = line;
+    }
+}
+
+/**
+ * ContinueSignal class for skipping to the next loop iteration
+ */
+class ContinueSignal {
+    constructor(line) {
+        this.line = line;
+    }
+}
+
 /**
  * Main Interpreter class
  */
 export class Interpreter {
-    constructor() {
-        this.globals = new Environment();
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Runs 'le aao' imports
+     * @param {string} options.file - Id of the main program file
+     * @param {Function} options.input - Answers 'poocho': (question) → string, or null when out of input
+     * @param {*} options.output - Where prints go (see createOutputSink); console by default
+     * @param {number} options.maxCallDepth - Deepest allowed nesting of function calls
+     * @param {number} options.maxSteps - Statements and expressions allowed per run
+     * @param {number|null} options.timeout - Milliseconds allowed per run (null for no limit)
+     * @param {number|null} options.maxLoopIterations - Iterations allowed per loop (null for no limit)
+     */
+    constructor(options = {}) {
+        this.builtins = createBuiltinEnvironment();
+        this.globals = new Environment(this.builtins);
         this.environment = this.globals;
         this.output = [];
+        this.loader = options.loader || null;
+        this.mainFile = options.file || null;
+        this.file = this.mainFile; // File whose code is currently running
+        this.input = options.input || null;
+        this.sink = createOutputSink(options.output);
+        // MasalaScript functions being run, oldest call first: { name, line, column, file }
+        // of each call site (line is null for calls made from JavaScript)
+        this.callStack = [];
+        this.callDepth = 0;
+        this.maxCallDepth = options.maxCallDepth ?? DEFAULT_MAX_CALL_DEPTH;
+
+        // Execution budget, renewed for every program, REPL input or call from JavaScript
+        this.maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+        this.timeout = options.timeout ?? null;
+        this.maxLoopIterations = options.maxLoopIterations ?? null;
+        this.steps = 0;
+        this.deadline = null;
+        this.budgetActive = false;
+        // AbortSignal (or { aborted } token) of the current run, checked at loop iterations and calls
+        this.signal = null;
+
+        checkLimit('maxCallDepth', this.maxCallDepth);
+        checkLimit('maxSteps', this.maxSteps);
+        if (this.timeout !== null) checkLimit('timeout', this.timeout);
+        if (this.maxLoopIterations !== null) checkLimit('maxLoopIterations', this.maxLoopIterations);
+    }
+
+    /**
+     * Change where prints go
+     * @param {*} target - Function, stream, array collector, or null for silent
+     */
+    setOutput(target) {
+        this.sink = createOutputSink(target);
+    }
+
+    /**
+     * Define a name visible to every program and module run by this interpreter
+     * (used for values and functions provided by the host)
+     */
+    defineGlobal(name, value) {
+        this.builtins.define(name, value);
+    }
+
+    /**
+     * Read one answer for 'poocho' from the input provider
+     * @param {string} question - Text shown to the user
+     * @returns {string}
+     */
+    readInput(question) {
+        if (!this.input) {
+            throw new RuntimeError(ErrorMessages.NO_INPUT(), null);
+        }
+
+        // Time spent waiting for an answer doesn't count against the timeout
+        const waitStarted = Date.now();
+        let answer;
+        try {
+            answer = this.input(question);
+        } finally {
+            if (this.deadline !== null) {
+                this.deadline += Date.now() - waitStarted;
+            }
+        }
+        if (answer === null || answer === undefined) {
+            throw new RuntimeError(ErrorMessages.INPUT_EXHAUSTED(), null);
+        }
+
+        return String(answer);
     }
 
     /**
      * Execute the program AST
      * @param {Object} ast - The program AST
+     * @param {Object} options
+     * @param {AbortSignal|Object} options.signal - Stops the run once signal.aborted is true
      * @returns {Array} Array of output strings
      */
-    execute(ast) {
+    execute(ast, { signal = null } = {}) {
         this.output = [];
         this.environment = this.globals;
+        this.file = this.mainFile;
+        this.signal = signal;
 
-        this.visitProgram(ast);
+        try {
+            this.checkCancelled(null);
+            this.withBudget(() => this.visitProgram(ast));
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        } finally {
+            this.signal = null;
+        }
 
         return this.output;
     }
 
+    /**
+     * Execute REPL input in the global environment left by earlier inputs
+     * @param {Object} ast - Program AST of the new input
+     * @returns {*} Value of the last statement if it is a plain expression, else undefined
+     */
+    executeIncremental(ast) {
+        this.output = [];
+        this.environment = this.globals;
+        this.file = this.mainFile;
+
+        let value;
+        try {
+            this.withBudget(() => {
+                for (const stmt of ast.body) {
+                    const result = this.executeStatement(stmt);
+                    value = this.isEchoable(stmt) ? result : undefined;
+                }
+            });
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether the REPL should echo a statement's value
+     * (expressions, but not assignments)
+     */
+    isEchoable(stmt) {
+        if (stmt.type !== NodeType.EXPRESSION_STATEMENT) {
+            return false;
+        }
+
+        return ![
+            NodeType.ASSIGNMENT,
+            NodeType.INDEX_ASSIGNMENT,
+            NodeType.MEMBER_ASSIGNMENT
+        ].includes(stmt.expression.type);
+    }
+
+    /**
+     * Execute an imported module in its own top-level environment
+     * @param {Object} ast - The module's program AST
+     * @param {string} file - Module id
+     * @returns {Environment} The module's environment
+     */
+    executeModule(ast, file) {
+        const environment = new Environment(this.builtins);
+        const previousEnvironment = this.environment;
+        const previousFile = this.file;
+
+        try {
+            this.environment = environment;
+            this.file = file;
+            this.visitProgram(ast);
+        } catch (error) {
+            this.attributeError(error);
+            throw error;
+        } finally {
+            this.environment = previousEnvironment;
+            this.file = previousFile;
+        }
+
+        return environment;
+    }
+
+    /**
+     * Run top-level work (a program, a REPL input or a call from JavaScript)
+     * with a fresh step and time budget. Work started while another run is
+     * going on, such as a host function calling back in, shares its budget.
+     */
+    withBudget(work) {
+        if (this.budgetActive) {
+            return work();
+        }
+
+        this.steps = 0;
+        this.deadline = this.timeout === null ? null : Date.now() + this.timeout;
+        this.budgetActive = true;
+        try {
+            return work();
+        } finally {
+            this.budgetActive = false;
+        }
+    }
+
+    /**
+     * Count one step of the budget, stopping the program once it runs out
+     */
+    tick(node) {
+        this.steps++;
+
+        if (this.steps > this.maxSteps) {
+            throw new LimitError(ErrorMessages.STEP_LIMIT_EXCEEDED(this.maxSteps), node.line ?? null);
+        }
+        if (this.deadline !== null && this.steps % DEADLINE_CHECK_INTERVAL === 0 && Date.now() > this.deadline) {
+            throw new LimitError(ErrorMessages.TIMEOUT_EXCEEDED(this.timeout), node.line ?? null);
+        }
+    }
+
+    /**
+     * Stop the run if its signal has been aborted
+     */
+    checkCancelled(line) {
+        if (this.signal && this.signal.aborted) {
+            const reason = typeof this.signal.reason === 'string' ? this.signal.reason : null;
+            throw new CancelledError(ErrorMessages.PROGRAM_CANCELLED(reason), line);
+        }
+    }
+
+    /**
+     * Record which file a runtime error happened in, if not yet known
+     */
+    attributeError(error) {
+        if (error instanceof MasalaError && error.file === null) {
+            error.file = this.file;
+        }
+    }
+
     /**
      * Visit a program node
      */
@@ -145,6 +479,8 @@ export class Interpreter {
      * Execute a statement
      */
     executeStatement(node) {
+        this.tick(node);
+
         switch (node.type) {
             case NodeType.VARIABLE_DECLARATION:
                 return this.executeVariableDeclaration(node);
@@ -156,10 +492,22 @@ export class Interpreter {
                 return this.executeIfStatement(node);
             case NodeType.WHILE_STATEMENT:
                 return this.executeWhileStatement(node);
+            case NodeType.FOR_STATEMENT:
+                return this.executeForStatement(node);
+            case NodeType.BREAK_STATEMENT:
+                throw new BreakSignal(node.line);
+            case NodeType.CONTINUE_STATEMENT:
+                throw new ContinueSignal(node.line);
             case NodeType.FUNCTION_DECLARATION:
                 return this.executeFunctionDeclaration(node);
             case NodeType.RETURN_STATEMENT:
                 return this.executeReturnStatement(node);
+            case NodeType.TRY_STATEMENT:
+                return this.executeTryStatement(node);
+            case NodeType.IMPORT_STATEMENT:
+                return this.executeImportStatement(node);
+            case NodeType.THROW_STATEMENT:
+                return this.executeThrowStatement(node);
             case NodeType.EXPRESSION_STATEMENT:
                 return this.executeExpressionStatement(node);
             case NodeType.BLOCK:
@@ -197,7 +545,7 @@ export class Interpreter {
         const values = node.expressions.map(expr => this.evaluate(expr));
         const output = values.map(v => this.stringify(v)).join(' ');
         this.output.push(output);
-        console.log(output);
+        this.sink(output, node.line, this.file);
         return null;
     }
 
@@ -231,28 +579,98 @@ export class Interpreter {
      */
     executeWhileStatement(node) {
         let iterations = 0;
-        const maxIterations = 100000; // Prevent infinite loops
 
         while (this.isTruthy(this.evaluate(node.condition))) {
             iterations++;
-            if (iterations > maxIterations) {
-                throw new RuntimeError(
-                    'Loop limit exceeded - possible infinite loop detected!',
-                    node.line
-                );
+            this.checkIteration(iterations, node);
+
+            if (!this.executeLoopBody(node.body, new Environment(this.environment))) {
+                break;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a counted loop (both bounds inclusive)
+     */
+    executeForStatement(node) {
+        const start = this.evaluate(node.start);
+        const end = this.evaluate(node.end);
+        this.checkNumberOperands('har', start, end, node.line);
+
+        // Count down automatically when no step is given and start > end
+        let step = start <= end ? 1 : -1;
+        if (node.step) {
+            step = this.evaluate(node.step);
+            this.checkNumberOperand('step', step, node.line);
+            if (step === 0) {
+                throw new RuntimeError(ErrorMessages.ZERO_STEP(), node.line);
+            }
+        }
+
+        // Work out each value from the count, so a fractional step doesn't
+        // pile up rounding errors and miss the end
+        for (let iterations = 0; ; iterations++) {
+            const i = start + iterations * step;
+            if (step > 0 ? i > end : i < end) {
+                break;
             }
+            this.checkIteration(iterations + 1, node);
+
+            // Fresh environment per iteration so closures see their own counter
+            const environment = new Environment(this.environment);
+            environment.define(node.variable, i);
 
-            this.executeBlock(node.body, new Environment(this.environment));
+            if (!this.executeLoopBody(node.body, environment)) {
+                break;
+            }
         }
 
         return null;
     }
 
+    /**
+     * Execute one loop iteration, handling break/continue
+     * @returns {boolean} False if the loop should stop
+     */
+    executeLoopBody(body, environment) {
+        try {
+            this.executeBlock(body, environment);
+        } catch (signal) {
+            if (signal instanceof BreakSignal) {
+                return false;
+            }
+            if (!(signal instanceof ContinueSignal)) {
+                throw signal;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Before each loop iteration: count a step (so even an empty body uses up
+     * the budget), and stop if the run was cancelled or the optional
+     * per-loop iteration cap is used up
+     */
+    checkIteration(iterations, node) {
+        this.tick(node);
+        this.checkCancelled(node.line);
+
+        if (this.maxLoopIterations !== null && iterations > this.maxLoopIterations) {
+            throw new RuntimeError(
+                ErrorMessages.LOOP_LIMIT_EXCEEDED(this.maxLoopIterations),
+                node.line
+            );
+        }
+    }
+
     /**
      * Execute a function declaration
      */
     executeFunctionDeclaration(node) {
-        const func = new MasalaFunction(node, this.environment);
+        const func = new MasalaFunction(node, this.environment, this.file);
         this.environment.define(node.name, func);
         return func;
     }
@@ -268,6 +686,86 @@ export class Interpreter {
         throw new ReturnValue(value);
     }
 
+    /**
+     * Execute an import statement - runs the module once, then binds its exports
+     */
+    executeImportStatement(node) {
+        if (!this.loader) {
+            throw new RuntimeError(ErrorMessages.NO_MODULE_RESOLVER(), node.line);
+        }
+
+        const module = this.loader.load(node.source, this.file, node.line);
+        const values = this.loader.instantiate(module, this);
+
+        for (const name of node.names) {
+            if (!values.has(name)) {
+                throw new RuntimeError(
+                    ErrorMessages.NOT_EXPORTED(name, module.id),
+                    node.line
+                );
+            }
+            this.environment.define(name, values.get(name));
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a try statement
+     * Only MasalaErrors are caught, and not limit or cancellation errors,
+     * which must stop the program; return/break/continue unwind through
+     * untouched, but the finally block still runs on the way out.
+     */
+    executeTryStatement(node) {
+        try {
+            this.executeBlock(node.block, new Environment(this.environment));
+        } catch (error) {
+            if (!(error instanceof MasalaError) || !this.isCatchable(error) || !node.handler) {
+                throw error;
+            }
+
+            const environment = new Environment(this.environment);
+            if (node.param) {
+                environment.define(node.param, this.errorToValue(error));
+            }
+            this.executeBlock(node.handler, environment);
+        } finally {
+            if (node.finalizer) {
+                this.executeBlock(node.finalizer, new Environment(this.environment));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether 'koshish karo' may catch an error
+     */
+    isCatchable(error) {
+        return !(error instanceof LimitError || error instanceof CancelledError);
+    }
+
+    /**
+     * Execute a throw statement
+     */
+    executeThrowStatement(node) {
+        const value = this.evaluate(node.value);
+        throw new ThrowError(this.stringify(value), node.line, value);
+    }
+
+    /**
+     * Convert a caught error into a dict the program can inspect
+     */
+    errorToValue(error) {
+        return new Map([
+            ['message', error.message],
+            ['line', error.line],
+            ['type', error.type],
+            ['name', error.name],
+            ['value', error instanceof ThrowError ? error.value : null],
+        ]);
+    }
+
     /**
      * Execute an expression statement
      */
@@ -298,11 +796,17 @@ export class Interpreter {
      */
     evaluate(node) {
         if (!node) return null;
+        this.tick(node);
 
         switch (node.type) {
             case NodeType.LITERAL:
                 return node.value;
 
+            case NodeType.INTERPOLATED_STRING:
+                return node.parts.map(part =>
+                    typeof part === 'string' ? part : this.stringify(this.evaluate(part))
+                ).join('');
+
             case NodeType.IDENTIFIER:
                 return this.environment.get(node.name, node.line);
 
@@ -318,9 +822,30 @@ export class Interpreter {
             case NodeType.CALL_EXPRESSION:
                 return this.evaluateCall(node);
 
+            case NodeType.FUNCTION_EXPRESSION:
+                return new MasalaFunction(node, this.environment, this.file);
+
             case NodeType.ASSIGNMENT:
                 return this.executeAssignment(node);
 
+            case NodeType.ARRAY_LITERAL:
+                return node.elements.map(element => this.evaluate(element));
+
+            case NodeType.INDEX_EXPRESSION:
+                return this.evaluateIndex(node);
+
+            case NodeType.INDEX_ASSIGNMENT:
+                return this.executeIndexAssignment(node);
+
+            case NodeType.DICT_LITERAL:
+                return new Map(node.entries.map(entry => [entry.key, this.evaluate(entry.value)]));
+
+            case NodeType.MEMBER_EXPRESSION:
+                return this.evaluateMember(node);
+
+            case NodeType.MEMBER_ASSIGNMENT:
+                return this.executeMemberAssignment(node);
+
             default:
                 throw new RuntimeError(
                     `Unknown expression type: ${node.type}`,
@@ -353,6 +878,10 @@ export class Interpreter {
      * Evaluate a binary expression
      */
     evaluateBinary(node) {
+        if (node.operator === '&&' || node.operator === '||') {
+            return this.evaluateLogical(node);
+        }
+
         const left = this.evaluate(node.left);
         const right = this.evaluate(node.right);
 
@@ -422,13 +951,6 @@ export class Interpreter {
             case '!=':
                 return !this.isEqual(left, right);
 
-            // Logical
-            case '&&':
-                return this.isTruthy(left) && this.isTruthy(right);
-
-            case '||':
-                return this.isTruthy(left) || this.isTruthy(right);
-
             default:
                 throw new RuntimeError(
                     ErrorMessages.INVALID_OPERAND(node.operator),
@@ -437,49 +959,291 @@ export class Interpreter {
         }
     }
 
+    /**
+     * Evaluate '&&' / '||' - the right side only runs when it decides the result.
+     * Always returns a boolean (sach/galat), never an operand.
+     */
+    evaluateLogical(node) {
+        const left = this.isTruthy(this.evaluate(node.left));
+
+        if (node.operator === '&&' ? !left : left) {
+            return left;
+        }
+
+        return this.isTruthy(this.evaluate(node.right));
+    }
+
     /**
      * Evaluate a function call
      */
     evaluateCall(node) {
-        // Get the callee
+        // Get the callee - any expression that evaluates to a function
+        let callee;
+        if (node.callee.type === NodeType.IDENTIFIER) {
+            try {
+                callee = this.environment.get(node.callee.name, node.line);
+            } catch (e) {
+                throw new RuntimeError(
+                    ErrorMessages.UNDEFINED_FUNCTION(node.callee.name),
+                    node.line
+                );
+            }
+        } else {
+            callee = this.evaluate(node.callee);
+        }
+
+        // Evaluate arguments
+        const args = node.arguments.map(arg => this.evaluate(arg));
+
+        // Check if it's callable
+        if (!this.isCallable(callee)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_A_FUNCTION(this.calleeName(node.callee, callee)),
+                node.line
+            );
+        }
+
+        this.checkArgumentCount(callee, this.calleeName(node.callee, callee), args.length, node.line);
+
+        // Native functions get no frame - their errors point at the call itself
+        const frame = callee instanceof MasalaFunction
+            ? {
+                name: callee.name || this.calleeName(node.callee, callee),
+                line: node.line,
+                column: node.column ?? null,
+                file: this.file
+            }
+            : null;
+
+        this.checkCancelled(node.line);
+
+        if (frame) {
+            this.callStack.push(frame);
+        }
+        try {
+            return callee.call(this, args);
+        } catch (error) {
+            // Native functions and the call depth limit don't know where the call was made
+            if (error instanceof MasalaError && error.line === null) {
+                error.line = node.line;
+            }
+            this.recordCallStack(error);
+            throw error;
+        } finally {
+            if (frame) {
+                this.callStack.pop();
+            }
+        }
+    }
+
+    /**
+     * Error for calls nested deeper than maxCallDepth. The line is filled in
+     * by evaluateCall, which knows where the call was made.
+     */
+    callDepthError() {
+        return new RuntimeError(ErrorMessages.CALL_DEPTH_EXCEEDED(this.callDepth), null);
+    }
+
+    /**
+     * Give an error the call stack at the point it was raised. The innermost
+     * call sees the error first, so later (shallower) calls leave it alone.
+     */
+    recordCallStack(error) {
+        if (error instanceof MasalaError && error.callStack.length === 0) {
+            error.callStack = this.callStack.slice();
+        }
+    }
+
+    /**
+     * Check that a call passes as many arguments as the function takes
+     * (natives with a null arity accept any number)
+     */
+    checkArgumentCount(callee, name, count, line) {
+        if (callee.arity !== null && count !== callee.arity) {
+            throw new RuntimeError(
+                ErrorMessages.WRONG_ARG_COUNT(name, callee.arity, count),
+                line
+            );
+        }
+    }
+
+    /**
+     * Find a global function defined by an earlier run (for calls from the host)
+     * @param {string} name - Function name
+     * @returns {MasalaFunction|NativeFunction}
+     */
+    getFunction(name) {
         let callee;
         try {
-            callee = this.environment.get(node.callee, node.line);
+            callee = this.globals.get(name);
         } catch (e) {
+            throw new RuntimeError(ErrorMessages.UNDEFINED_FUNCTION(name), null);
+        }
+
+        if (!this.isCallable(callee)) {
+            throw new RuntimeError(ErrorMessages.NOT_A_FUNCTION(name), null);
+        }
+
+        return callee;
+    }
+
+    /**
+     * Call a function value from the host with MasalaScript arguments
+     * @param {MasalaFunction|NativeFunction} callee - Function to call
+     * @param {Array} args - Arguments, already converted to MasalaScript values
+     * @returns {*} The function's return value
+     */
+    callFunction(callee, args) {
+        this.checkArgumentCount(callee, callee.name || '<anonymous>', args.length, null);
+
+        const frame = callee instanceof MasalaFunction
+            ? { name: callee.name, line: null, column: null, file: null }
+            : null;
+
+        if (frame) {
+            this.callStack.push(frame);
+        }
+        try {
+            return this.withBudget(() => callee.call(this, args));
+        } catch (error) {
+            this.attributeError(error);
+            this.recordCallStack(error);
+            throw error;
+        } finally {
+            if (frame) {
+                this.callStack.pop();
+            }
+        }
+    }
+
+    /**
+     * Evaluate an index read (xs[i])
+     */
+    evaluateIndex(node) {
+        const object = this.evaluate(node.object);
+        const index = this.evaluate(node.index);
+
+        if (object instanceof Map) {
+            return this.getDictValue(object, index, node.line);
+        }
+
+        if (!Array.isArray(object) && typeof object !== 'string') {
             throw new RuntimeError(
-                ErrorMessages.UNDEFINED_FUNCTION(node.callee),
+                ErrorMessages.NOT_INDEXABLE(this.typeName(object)),
                 node.line
             );
         }
 
-        // Evaluate arguments
-        const args = node.arguments.map(arg => this.evaluate(arg));
+        this.checkIndex(object, index, node.line);
+        return object[index];
+    }
 
-        // Check if it's callable
-        if (!(callee instanceof MasalaFunction)) {
+    /**
+     * Execute an index assignment (xs[i] = value)
+     */
+    executeIndexAssignment(node) {
+        const object = this.evaluate(node.object);
+        const index = this.evaluate(node.index);
+
+        if (object instanceof Map) {
+            this.checkKey(index, node.line);
+            const value = this.evaluate(node.value);
+            object.set(index, value);
+            return value;
+        }
+
+        if (typeof object === 'string') {
+            throw new RuntimeError(ErrorMessages.STRING_IMMUTABLE(), node.line);
+        }
+        if (!Array.isArray(object)) {
+            throw new RuntimeError(
+                ErrorMessages.NOT_INDEXABLE(this.typeName(object)),
+                node.line
+            );
+        }
+
+        this.checkIndex(object, index, node.line);
+
+        const value = this.evaluate(node.value);
+        object[index] = value;
+        return value;
+    }
+
+    /**
+     * Evaluate a key read (obj.key)
+     */
+    evaluateMember(node) {
+        const object = this.evaluate(node.object);
+
+        if (!(object instanceof Map)) {
             throw new RuntimeError(
-                ErrorMessages.NOT_A_FUNCTION(node.callee),
+                ErrorMessages.NOT_A_DICT(this.typeName(object)),
                 node.line
             );
         }
 
-        // Check argument count
-        if (args.length !== callee.declaration.params.length) {
+        return this.getDictValue(object, node.property, node.line);
+    }
+
+    /**
+     * Execute a key assignment (obj.key = value)
+     */
+    executeMemberAssignment(node) {
+        const object = this.evaluate(node.object);
+
+        if (!(object instanceof Map)) {
             throw new RuntimeError(
-                ErrorMessages.WRONG_ARG_COUNT(
-                    node.callee,
-                    callee.declaration.params.length,
-                    args.length
-                ),
+                ErrorMessages.NOT_A_DICT(this.typeName(object)),
                 node.line
             );
         }
 
-        return callee.call(this, args);
+        const value = this.evaluate(node.value);
+        object.set(node.property, value);
+        return value;
+    }
+
+    /**
+     * Read a key from a dict - missing keys are an error, not khaali
+     */
+    getDictValue(dict, key, line) {
+        this.checkKey(key, line);
+
+        if (!dict.has(key)) {
+            throw new RuntimeError(
+                ErrorMessages.KEY_NOT_FOUND(key),
+                line
+            );
+        }
+
+        return dict.get(key);
+    }
+
+    /**
+     * Describe a callee for error messages
+     */
+    calleeName(node, value = undefined) {
+        if (node.type === NodeType.IDENTIFIER) {
+            return node.name;
+        }
+        if (node.type === NodeType.MEMBER_EXPRESSION) {
+            return `${this.calleeName(node.object)}.${node.property}`;
+        }
+        if (this.isCallable(value)) {
+            return value.name || '<anonymous>';
+        }
+        return value === undefined ? '<expr>' : this.stringify(value);
     }
 
     // ==================== Helper Methods ====================
 
+    /**
+     * Check if a value can be called (user-defined or native function)
+     */
+    isCallable(value) {
+        return value instanceof MasalaFunction || value instanceof NativeFunction;
+    }
+
     /**
      * Check if a value is truthy
      */
@@ -491,13 +1255,87 @@ export class Interpreter {
 
     /**
      * Check if two values are equal
+     * @param {Map} comparing - Pairs of containers being compared further up
+     *   (a → Set of b); a pair met again inside itself is a cycle, and counts
+     *   as equal so far
      */
-    isEqual(a, b) {
+    isEqual(a, b, comparing = new Map()) {
         if (a === null && b === null) return true;
         if (a === null) return false;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            if (a.length !== b.length) return false;
+            return this.compareContainers(a, b, comparing, () =>
+                a.every((item, i) => this.isEqual(item, b[i], comparing)));
+        }
+        if (a instanceof Map && b instanceof Map) {
+            if (a.size !== b.size) return false;
+            return this.compareContainers(a, b, comparing, () =>
+                [...a].every(([key, value]) => b.has(key) && this.isEqual(value, b.get(key), comparing)));
+        }
         return a === b;
     }
 
+    /**
+     * Run the comparison of two containers unless the same pair is already
+     * being compared further up
+     */
+    compareContainers(a, b, comparing, compare) {
+        if (comparing.get(a)?.has(b)) {
+            return true;
+        }
+        if (!comparing.has(a)) {
+            comparing.set(a, new Set());
+        }
+
+        comparing.get(a).add(b);
+        try {
+            return compare();
+        } finally {
+            comparing.get(a).delete(b);
+        }
+    }
+
+    /**
+     * Check that a dict key is a string
+     */
+    checkKey(key, line) {
+        if (typeof key !== 'string') {
+            throw new RuntimeError(
+                ErrorMessages.INVALID_KEY(this.stringify(key)),
+                line
+            );
+        }
+    }
+
+    /**
+     * Check that an index is a whole number inside the list/string
+     */
+    checkIndex(object, index, line) {
+        if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
+            throw new RuntimeError(
+                ErrorMessages.INVALID_INDEX(this.stringify(index)),
+                line
+            );
+        }
+        if (index >= object.length) {
+            throw new RuntimeError(
+                ErrorMessages.INDEX_OUT_OF_RANGE(index, object.length),
+                line
+            );
+        }
+    }
+
+    /**
+     * Get the MasalaScript type name of a value
+     */
+    typeName(value) {
+        if (value === null) return 'khaali';
+        if (Array.isArray(value)) return 'list';
+        if (value instanceof Map) return 'dict';
+        if (this.isCallable(value)) return 'function';
+        return typeof value;
+    }
+
     /**
      * Check that operand is a number
      */
@@ -522,8 +1360,10 @@ export class Interpreter {
 
     /**
      * Convert value to string for output
+     * @param {Set} inside - Containers being converted further up; one that
+     *   contains itself is shown as [...] or {...} there
      */
-    stringify(value) {
+    stringify(value, inside = new Set()) {
         if (value === null) return 'khaali';
         if (value === true) return 'sach';
         if (value === false) return 'galat';
@@ -534,17 +1374,38 @@ export class Interpreter {
             }
             return value.toString();
         }
-        if (value instanceof MasalaFunction) {
+        if (this.isCallable(value)) {
             return value.toString();
         }
+        if (Array.isArray(value)) {
+            if (inside.has(value)) return '[...]';
+            inside.add(value);
+            const items = value.map(item => this.stringifyItem(item, inside));
+            inside.delete(value);
+            return `[${items.join(', ')}]`;
+        }
+        if (value instanceof Map) {
+            if (inside.has(value)) return '{...}';
+            inside.add(value);
+            const entries = [...value].map(([key, item]) => `${key}: ${this.stringifyItem(item, inside)}`);
+            inside.delete(value);
+            return `{${entries.join(', ')}}`;
+        }
         return String(value);
     }
+
+    /**
+     * Convert a list item or dict value to string, quoting strings
+     */
+    stringifyItem(value, inside = new Set()) {
+        return typeof value === 'string' ? JSON.stringify(value) : this.stringify(value, inside);
+    }
 }
 
 /**
  * Convenience function to execute an AST
  */
-export function execute(ast) {
-    const interpreter = new Interpreter();
-    return interpreter.execute(ast);
+export function execute(ast, options = {}) {
+    const interpreter = new Interpreter(options);
+    return interpreter.execute(ast, options);
 }
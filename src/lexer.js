@@ -3,35 +3,76 @@
  * Converts source code into a stream of tokens
  */
 
-import { Token, TokenType, Keywords, SingleCharTokens } from './tokens.js';
+import { Token, TokenType, SingleCharTokens, ContextualKeywords } from './tokens.js';
 import { LexerError, ErrorMessages } from './errors.js';
+import { resolveDialect } from './dialects.js';
 
 export class Lexer {
-    constructor(source) {
+    /**
+     * @param {string} source - Source code
+     * @param {Object} options
+     * @param {string|Object} options.dialect - Dialect name or keyword mapping ('default' if not given)
+     */
+    constructor(source, options = {}) {
         this.source = source;
+        this.dialect = resolveDialect(options.dialect);
+        // Keywords are case-insensitive, so look them up in lowercase
+        this.keywords = {};
+        for (const [spelling, type] of Object.entries(this.dialect.keywords)) {
+            this.keywords[spelling.toLowerCase()] = type;
+        }
+        // Longest first, so keywords match greedily
+        this.sortedKeywords = Object.keys(this.keywords).sort((a, b) => b.length - a.length);
         this.tokens = [];
+        this.errors = []; // Every error found, in source order
         this.start = 0;
         this.current = 0;
         this.line = 1;
         this.column = 1;
         this.startColumn = 1;
+        this.offset = 0; // Where this.source starts in the file (for interpolations)
     }
 
     /**
-     * Tokenize the entire source code
+     * Tokenize the entire source code.
+     * After an error the rest of that line is skipped and scanning goes on,
+     * so this.errors holds every error; the first one is thrown at the end.
      * @returns {Token[]} Array of tokens
      */
     tokenize() {
         while (!this.isAtEnd()) {
             this.start = this.current;
             this.startColumn = this.column;
-            this.scanToken();
+
+            try {
+                this.scanToken();
+            } catch (error) {
+                if (!(error instanceof LexerError)) {
+                    throw error;
+                }
+                this.errors.push(error);
+                this.skipRestOfLine();
+            }
         }
 
-        this.tokens.push(new Token(TokenType.EOF, '', null, this.line, this.column));
+        this.tokens.push(new Token(TokenType.EOF, '', null, this.line, this.column, this.offset + this.current));
+
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
         return this.tokens;
     }
 
+    /**
+     * Skip to the end of the current line (the newline itself is left for
+     * the whitespace scanner, which keeps the line count)
+     */
+    skipRestOfLine() {
+        while (this.peek() !== '\n' && !this.isAtEnd()) {
+            this.advance();
+        }
+    }
+
     /**
      * Scan a single token
      */
@@ -177,16 +218,13 @@ export class Lexer {
      * @returns {boolean} True if a keyword was matched
      */
     matchKeyword() {
-        // Sort keywords by length (longest first) to match greedily
-        const sortedKeywords = Object.keys(Keywords).sort((a, b) => b.length - a.length);
-
-        for (const keyword of sortedKeywords) {
+        for (const keyword of this.sortedKeywords) {
             const remaining = this.source.slice(this.current);
 
             if (remaining.toLowerCase().startsWith(keyword.toLowerCase())) {
                 // Check if it's a complete word (not part of a larger identifier)
                 const endPos = this.current + keyword.length;
-                const nextChar = this.source[endPos];
+                const nextChar = endPos < this.source.length ? this.charAt(endPos) : null;
 
                 // For keywords ending with special chars like 'action!' or 'ek baat bataun:'
                 // we don't need to check for word boundary
@@ -194,10 +232,10 @@ export class Lexer {
 
                 if (endsWithSpecial || !nextChar || !this.isAlphaNumeric(nextChar)) {
                     // Consume the keyword
-                    for (let i = 0; i < keyword.length; i++) {
+                    while (this.current < endPos) {
                         this.advance();
                     }
-                    this.addToken(Keywords[keyword]);
+                    this.addKeyword(this.keywords[keyword]);
                     return true;
                 }
             }
@@ -208,21 +246,40 @@ export class Lexer {
 
     /**
      * Parse a string literal
+     * "{expr}" inside the string is interpolated; "\{" gives a literal brace
      */
     string() {
         const startLine = this.line;
         const startCol = this.startColumn;
+        const parts = [];
+        let text = '';
 
         while (this.peek() !== '"' && !this.isAtEnd()) {
+            // Keep escape sequences raw until the chunk is complete
+            if (this.peek() === '\\' && this.peekNext() !== '\0') {
+                text += this.advance(); // backslash
+                if (this.peek() === '\n') {
+                    this.line++;
+                    this.column = 0;
+                }
+                text += this.advance();
+                continue;
+            }
+
+            if (this.peek() === '{') {
+                if (text) {
+                    parts.push(this.unescape(text));
+                    text = '';
+                }
+                parts.push(this.interpolation());
+                continue;
+            }
+
             if (this.peek() === '\n') {
                 this.line++;
                 this.column = 0;
             }
-            // Handle escape sequences
-            if (this.peek() === '\\' && this.peekNext() !== undefined) {
-                this.advance(); // skip backslash
-            }
-            this.advance();
+            text += this.advance();
         }
 
         if (this.isAtEnd()) {
@@ -236,18 +293,110 @@ export class Lexer {
         // Consume closing quote
         this.advance();
 
-        // Extract string value (without quotes)
-        let value = this.source.slice(this.start + 1, this.current - 1);
+        if (parts.length === 0) {
+            this.addToken(TokenType.STRING, this.unescape(text));
+            return;
+        }
+
+        if (text) {
+            parts.push(this.unescape(text));
+        }
+        this.addToken(TokenType.INTERPOLATED_STRING, parts);
+    }
+
+    /**
+     * Scan an embedded "{expr}" and tokenize the expression inside it
+     * @returns {Object} { tokens, line, column } of the embedded expression
+     */
+    interpolation() {
+        const braceLine = this.line;
+        const braceColumn = this.column;
+        this.advance(); // consume '{'
+
+        const exprStart = this.current;
+        const exprLine = this.line;
+        const exprColumn = this.column;
+        let depth = 0;
+
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+
+            if (char === '}' && depth === 0) {
+                break;
+            }
+
+            if (char === '"') {
+                this.skipNestedString();
+                continue;
+            }
+
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            if (char === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            this.advance();
+        }
+
+        if (this.isAtEnd()) {
+            throw new LexerError(
+                ErrorMessages.UNTERMINATED_INTERPOLATION(),
+                braceLine,
+                braceColumn
+            );
+        }
+
+        const source = this.source.slice(exprStart, this.current);
+        this.advance(); // consume '}'
+
+        if (source.trim() === '') {
+            throw new LexerError(
+                ErrorMessages.EMPTY_INTERPOLATION(),
+                braceLine,
+                braceColumn
+            );
+        }
 
-        // Process escape sequences
-        value = value
-            .replace(/\\n/g, '\n')
-            .replace(/\\t/g, '\t')
-            .replace(/\\r/g, '\r')
-            .replace(/\\"/g, '"')
-            .replace(/\\\\/g, '\\');
+        // Tokenize the expression with positions relative to the whole file
+        const lexer = new Lexer(source, { dialect: this.dialect });
+        lexer.line = exprLine;
+        lexer.column = exprColumn;
+        lexer.offset = this.offset + exprStart;
 
-        this.addToken(TokenType.STRING, value);
+        return { tokens: lexer.tokenize(), line: exprLine, column: exprColumn };
+    }
+
+    /**
+     * Skip over a string literal nested inside an interpolation
+     */
+    skipNestedString() {
+        this.advance(); // consume opening quote
+
+        while (this.peek() !== '"' && !this.isAtEnd()) {
+            if (this.peek() === '\\' && this.peekNext() !== '\0') {
+                this.advance();
+            }
+            if (this.peek() === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            this.advance();
+        }
+
+        if (!this.isAtEnd()) {
+            this.advance(); // consume closing quote
+        }
+    }
+
+    /**
+     * Process escape sequences in a chunk of string text
+     */
+    unescape(text) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '{': '{', '}': '}' };
+        return text.replace(/\\([\s\S])/g, (sequence, char) =>
+            char in escapes ? escapes[char] : sequence
+        );
     }
 
     /**
@@ -292,8 +441,12 @@ export class Lexer {
         const text = this.source.slice(this.start, this.current);
 
         // Check if it's a single-word keyword
-        const tokenType = Keywords[text.toLowerCase()] || TokenType.IDENTIFIER;
-        this.addToken(tokenType, tokenType === TokenType.IDENTIFIER ? text : null);
+        const tokenType = this.keywords[text.toLowerCase()];
+        if (tokenType) {
+            this.addKeyword(tokenType);
+        } else {
+            this.addToken(TokenType.IDENTIFIER, text);
+        }
     }
 
     /**
@@ -303,12 +456,20 @@ export class Lexer {
         return this.current >= this.source.length;
     }
 
+    /**
+     * Get the whole character (code point) starting at a source index.
+     * Characters outside the BMP take two string indexes but one column.
+     */
+    charAt(index) {
+        return String.fromCodePoint(this.source.codePointAt(index));
+    }
+
     /**
      * Advance to next character
      */
     advance() {
-        const char = this.source[this.current];
-        this.current++;
+        const char = this.charAt(this.current);
+        this.current += char.length;
         this.column++;
         return char;
     }
@@ -318,15 +479,16 @@ export class Lexer {
      */
     peek() {
         if (this.isAtEnd()) return '\0';
-        return this.source[this.current];
+        return this.charAt(this.current);
     }
 
     /**
      * Peek at next character
      */
     peekNext() {
-        if (this.current + 1 >= this.source.length) return '\0';
-        return this.source[this.current + 1];
+        const next = this.current + this.peek().length;
+        if (next >= this.source.length) return '\0';
+        return this.charAt(next);
     }
 
     /**
@@ -349,19 +511,19 @@ export class Lexer {
     }
 
     /**
-     * Check if character is alphabetic or underscore
+     * Check if character can start an identifier: any Unicode letter
+     * (ID_Start, so Devanagari and other scripts work) or underscore
      */
     isAlpha(char) {
-        return (char >= 'a' && char <= 'z') ||
-            (char >= 'A' && char <= 'Z') ||
-            char === '_';
+        return char === '_' || /^\p{ID_Start}$/u.test(char);
     }
 
     /**
-     * Check if character is alphanumeric
+     * Check if character can continue an identifier (ID_Continue adds
+     * digits and combining marks such as Devanagari vowel signs)
      */
     isAlphaNumeric(char) {
-        return this.isAlpha(char) || this.isDigit(char);
+        return char === '_' || /^\p{ID_Continue}$/u.test(char);
     }
 
     /**
@@ -369,14 +531,29 @@ export class Lexer {
      */
     addToken(type, literal = null) {
         const lexeme = this.source.slice(this.start, this.current);
-        this.tokens.push(new Token(type, lexeme, literal, this.line, this.startColumn));
+        this.tokens.push(new Token(type, lexeme, literal, this.line, this.startColumn, this.offset + this.start));
+    }
+
+    /**
+     * Add a keyword token. A one-word contextual keyword ('har', 'se', 'tak', 'step')
+     * becomes an identifier that remembers which keyword it spells; the
+     * parser treats it as the keyword only where that keyword can go.
+     */
+    addKeyword(type) {
+        const text = this.source.slice(this.start, this.current);
+        if (ContextualKeywords.has(type) && !/\s/.test(text)) {
+            this.addToken(TokenType.IDENTIFIER, text);
+            this.tokens[this.tokens.length - 1].keyword = type;
+        } else {
+            this.addToken(type);
+        }
     }
 }
 
 /**
  * Convenience function to tokenize source code
  */
-export function tokenize(source) {
-    const lexer = new Lexer(source);
+export function tokenize(source, options = {}) {
+    const lexer = new Lexer(source, options);
     return lexer.tokenize();
 }
@@ -6,8 +6,11 @@
 import { Lexer, tokenize } from './lexer.js';
 import { Parser, parse } from './parser.js';
 import { Analyzer, analyze } from './analyzer.js';
-import { Interpreter, execute } from './interpreter.js';
-import { MasalaError, formatErrorWithContext } from './errors.js';
+import { Interpreter, execute, DEFAULT_MAX_CALL_DEPTH, DEFAULT_MAX_STEPS } from './interpreter.js';
+import { ModuleLoader, createMemoryResolver } from './modules.js';
+import { toMasala, fromMasala, createHostFunction } from './host.js';
+import { resolveDialect } from './dialects.js';
+import { MasalaError, CancelledError, formatErrorWithContext } from './errors.js';
 import { printAST } from './ast.js';
 
 /**
@@ -20,70 +23,143 @@ export class MasalaScript {
             showTokens: false,      // Print token stream
             showAST: false,         // Print AST
             skipAnalysis: false,    // Skip semantic analysis
+            dialect: 'default',     // Keyword dialect: 'default', 'strict', 'legacy', 'english' or a mapping
+            filename: null,         // Name of the main file (for imports and errors)
+            resolver: null,         // Module resolver for 'le aao' imports
+            modules: null,          // In-memory modules: { 'utils.ms': source }
+            globals: null,          // Host values: { taxRate: 0.18 }
+            functions: null,        // Host functions: { getPrice: (item) => ... } or { getPrice: { arity: 1, fn } }
+            input: null,            // Answers for 'poocho': (question) => string, or an array
+            output: undefined,      // Where prints go: callback, stream, array collector, or null (silent)
+            maxCallDepth: DEFAULT_MAX_CALL_DEPTH, // Deepest allowed nesting of function calls
+            maxSteps: DEFAULT_MAX_STEPS, // Statements and expressions evaluated per run
+            timeout: null,          // Milliseconds per run, or null for no time limit
+            maxLoopIterations: null, // Iterations per loop, or null for no limit
             ...options
         };
 
+        // Names provided by the host: name → arity (null if unknown)
+        this.host = new Map();
+
+        // Module support: a custom resolver wins over in-memory files
+        let resolver = this.options.resolver;
+        if (!resolver && this.options.modules) {
+            resolver = createMemoryResolver(this.options.modules);
+        }
+        this.loader = resolver
+            ? new ModuleLoader(resolver, { host: this.host, dialect: this.options.dialect })
+            : null;
+
+        const context = {
+            loader: this.loader,
+            file: this.options.filename,
+            host: this.host,
+            output: this.options.output,
+            maxCallDepth: this.options.maxCallDepth,
+            maxSteps: this.options.maxSteps,
+            timeout: this.options.timeout,
+            maxLoopIterations: this.options.maxLoopIterations
+        };
+
         this.lexer = null;
         this.parser = null;
-        this.analyzer = new Analyzer();
-        this.interpreter = new Interpreter();
+        this.analyzer = new Analyzer(context);
+        this.interpreter = new Interpreter(context);
 
         // Store compilation artifacts
         this.tokens = [];
         this.ast = null;
         this.output = [];
         this.errors = [];
+        this.answerIndex = 0; // Next answer from an input array
+
+        if (this.options.input) {
+            this.setInput(this.options.input);
+        }
+        for (const [name, value] of Object.entries(this.options.globals || {})) {
+            this.defineGlobal(name, value);
+        }
+        // Plain functions take any number of arguments (Function.length misses
+        // rest and default parameters); { arity, fn } opts in to the count check
+        for (const [name, entry] of Object.entries(this.options.functions || {})) {
+            if (typeof entry === 'function') {
+                this.defineFunction(name, null, entry);
+            } else {
+                this.defineFunction(name, entry?.arity ?? null, entry?.fn);
+            }
+        }
+    }
+
+    /**
+     * Expose a JavaScript value to scripts as a read-only global.
+     * Arrays become lists, objects become dicts, null/undefined become khaali.
+     * @param {string} name - Name scripts use
+     * @param {*} value - JavaScript value
+     * @returns {MasalaScript} this, for chaining
+     */
+    defineGlobal(name, value) {
+        const converted = toMasala(value, name);
+        this.host.set(name, null);
+        this.interpreter.defineGlobal(name, converted);
+        return this;
+    }
+
+    /**
+     * Expose a JavaScript function to scripts.
+     * Arguments and the result are converted like defineGlobal values;
+     * an exception becomes a RuntimeError at the line of the call.
+     * @param {string} name - Name scripts call it by
+     * @param {number|null} arity - Number of arguments, or null for any number
+     * @param {Function} fn - The JavaScript function (must be synchronous)
+     * @returns {MasalaScript} this, for chaining
+     */
+    defineFunction(name, arity, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError(`defineFunction('${name}') needs a function`);
+        }
+
+        this.host.set(name, arity);
+        this.interpreter.defineGlobal(name, createHostFunction(name, arity, fn));
+        return this;
     }
 
     /**
      * Run MasalaScript source code
      * @param {string} source - The source code
-     * @returns {Object} Result object with output and any errors
+     * @param {Object} options
+     * @param {AbortSignal|Object} options.signal - Stops the run once signal.aborted
+     *   is true: an AbortSignal, or any token object with an 'aborted' flag. The run
+     *   is synchronous, so only a host function or another thread can abort it midway.
+     * @returns {Object} Result object with output and any errors; a stopped run
+     *   has cancelled: true and the output printed before it stopped
      */
-    run(source) {
+    run(source, { signal = null } = {}) {
+        if (signal !== null && (typeof signal !== 'object' || !('aborted' in signal))) {
+            throw new TypeError('signal must be an AbortSignal or an object with an aborted flag');
+        }
+
         this.tokens = [];
         this.ast = null;
         this.output = [];
         this.errors = [];
+        this.answerIndex = 0;
+        this.resetModules();
 
         try {
-            // Step 1: Tokenize
-            if (this.options.debug) {
-                console.log('🌶️ Tokenizing...');
-            }
-            this.lexer = new Lexer(source);
-            this.tokens = this.lexer.tokenize();
-
-            if (this.options.showTokens) {
-                console.log('\n📝 Tokens:');
-                this.tokens.forEach(t => console.log('  ', t.toString()));
-            }
-
-            // Step 2: Parse
-            if (this.options.debug) {
-                console.log('🌶️ Parsing...');
-            }
-            this.parser = new Parser(this.tokens);
-            this.ast = this.parser.parse();
-
-            if (this.options.showAST) {
-                console.log('\n🌳 AST:');
-                console.log(printAST(this.ast));
-            }
-
-            // Step 3: Semantic Analysis
-            if (!this.options.skipAnalysis) {
-                if (this.options.debug) {
-                    console.log('🌶️ Analyzing...');
-                }
-                this.analyzer.analyze(this.ast);
+            // Steps 1-3: Tokenize, parse and analyze
+            const errors = this.compileSource(source, {
+                analyze: !this.options.skipAnalysis,
+                verbose: true
+            });
+            if (errors.length > 0) {
+                return this.failure(errors, source);
             }
 
             // Step 4: Execute
             if (this.options.debug) {
                 console.log('🌶️ Executing...\n');
             }
-            this.output = this.interpreter.execute(this.ast);
+            this.output = this.interpreter.execute(this.ast, { signal });
 
             return {
                 success: true,
@@ -93,30 +169,19 @@ export class MasalaScript {
             };
 
         } catch (error) {
-            this.errors.push(error);
-
-            let errorMessage;
-            if (error instanceof MasalaError) {
-                errorMessage = formatErrorWithContext(error, source);
-            } else {
-                errorMessage = `Unexpected Error: ${error.message}`;
-                if (this.options.debug) {
-                    console.error(error.stack);
-                }
+            if (error instanceof CancelledError) {
+                return this.cancelled(error);
             }
-
-            return {
-                success: false,
-                error: errorMessage,
-                errorObject: error,
-                tokens: this.tokens,
-                ast: this.ast
-            };
+            if (!(error instanceof MasalaError) && this.options.debug) {
+                console.error(error.stack);
+            }
+            return this.failure([error], source);
         }
     }
 
     /**
-     * Compile source code (tokenize + parse + analyze)
+     * Compile source code (tokenize + parse + analyze).
+     * On failure, result.errors lists every error found, not just the first.
      * @param {string} source - The source code
      * @returns {Object} Compilation result
      */
@@ -124,18 +189,13 @@ export class MasalaScript {
         this.tokens = [];
         this.ast = null;
         this.errors = [];
+        this.resetModules();
 
         try {
-            // Tokenize
-            this.lexer = new Lexer(source);
-            this.tokens = this.lexer.tokenize();
-
-            // Parse
-            this.parser = new Parser(this.tokens);
-            this.ast = this.parser.parse();
-
-            // Analyze
-            this.analyzer.analyze(this.ast);
+            const errors = this.compileSource(source);
+            if (errors.length > 0) {
+                return this.failure(errors, source);
+            }
 
             return {
                 success: true,
@@ -144,22 +204,197 @@ export class MasalaScript {
             };
 
         } catch (error) {
-            this.errors.push(error);
+            return this.failure([error], source);
+        }
+    }
 
-            let errorMessage;
-            if (error instanceof MasalaError) {
-                errorMessage = formatErrorWithContext(error, source);
-            } else {
-                errorMessage = `Unexpected Error: ${error.message}`;
+    /**
+     * Tokenize, parse and analyze, collecting every error instead of stopping
+     * at the first. Parsing goes on after lexer errors (leaving out parser
+     * errors on lines the lexer already reported); analysis only runs on a
+     * program that lexed and parsed cleanly.
+     * @param {string} source - The source code
+     * @param {Object} options
+     * @param {boolean} options.analyze - Run semantic analysis
+     * @param {boolean} options.verbose - Honour the debug/showTokens/showAST options
+     * @returns {MasalaError[]} Errors found
+     */
+    compileSource(source, { analyze = true, verbose = false } = {}) {
+        const { debug, showTokens, showAST } = verbose ? this.options : {};
+
+        // Tokenize
+        if (debug) {
+            console.log('🌶️ Tokenizing...');
+        }
+        const lexerErrors = [];
+        this.lexer = new Lexer(source, { dialect: this.options.dialect });
+        this.tokens = runStage(() => this.lexer.tokenize(), this.lexer, lexerErrors) ?? this.lexer.tokens;
+
+        if (showTokens) {
+            console.log('\n📝 Tokens:');
+            this.tokens.forEach(t => console.log('  ', t.toString()));
+        }
+
+        // Parse
+        if (debug) {
+            console.log('🌶️ Parsing...');
+        }
+        const parserErrors = [];
+        this.parser = new Parser(this.tokens);
+        this.ast = runStage(() => this.parser.parse(), this.parser, parserErrors);
+
+        // The rest of a line with a bad character is skipped, which usually breaks the
+        // statement too - don't report that again on the same line or the next token
+        const lexerLines = new Set(lexerErrors.map(error => error.line));
+        const afterGaps = new Set(lexerErrors.map(error => {
+            const next = this.tokens.find(token => token.line > error.line);
+            return next && `${next.line}:${next.column}`;
+        }));
+        const errors = [
+            ...lexerErrors,
+            ...parserErrors.filter(error =>
+                !lexerLines.has(error.line) && !afterGaps.has(`${error.line}:${error.column}`))
+        ].sort((a, b) => a.line - b.line || a.column - b.column);
+        for (const error of errors) {
+            error.file ??= this.options.filename;
+        }
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        if (showAST) {
+            console.log('\n🌳 AST:');
+            console.log(printAST(this.ast));
+        }
+
+        // Analyze
+        if (analyze) {
+            if (debug) {
+                console.log('🌶️ Analyzing...');
             }
+            runStage(() => this.analyzer.analyze(this.ast), this.analyzer, errors);
+        }
 
-            return {
-                success: false,
-                error: errorMessage,
-                errorObject: error,
-                tokens: this.tokens,
-                ast: this.ast
-            };
+        return errors;
+    }
+
+    /**
+     * Build the result of a failed run or compile: every error, formatted
+     * with its source context
+     * @param {Error[]} errors - Errors, first one first
+     * @param {string} source - Main source code
+     * @returns {Object} Failure result
+     */
+    failure(errors, source) {
+        this.errors = errors;
+        const dialect = this.keywordDialect();
+
+        const messages = errors.map(error => error instanceof MasalaError
+            ? formatErrorWithContext(error, this.sourceFor(error, source), 2, dialect)
+            : `Unexpected Error: ${error.message}`);
+
+        return {
+            success: false,
+            error: messages.join('\n'),
+            errorObject: errors[0],
+            errors,
+            tokens: this.tokens,
+            ast: this.ast
+        };
+    }
+
+    /**
+     * Build the result of a run stopped through its signal. This isn't a
+     * failure of the program, so there is no error report, just the message.
+     * @param {CancelledError} error - Where and why the run stopped
+     * @returns {Object} Cancelled result
+     */
+    cancelled(error) {
+        this.output = this.interpreter.output;
+
+        return {
+            success: false,
+            cancelled: true,
+            error: error.message,
+            errorObject: error,
+            errors: [],
+            output: this.output,
+            tokens: this.tokens,
+            ast: this.ast
+        };
+    }
+
+    /**
+     * Set where 'poocho' gets its answers from
+     * @param {Function|Array} input - (question) => string (null/undefined when
+     *   out of input), or an array of answers used up one by one
+     * @returns {MasalaScript} this, for chaining
+     */
+    setInput(input) {
+        if (Array.isArray(input)) {
+            // Read a copy by index, so the caller's array is left alone and
+            // every run() starts again from the first answer
+            const answers = [...input];
+            this.answerIndex = 0;
+            this.interpreter.input = () => answers[this.answerIndex++];
+        } else {
+            this.interpreter.input = input;
+        }
+        return this;
+    }
+
+    /**
+     * Set where 'ek baat bataun' output goes
+     * @param {Function|Object|Array|null} output - Callback (text, { text, line, file }),
+     *   stream with write(), array that collects { text, line, file }, or null for silent
+     * @returns {MasalaScript} this, for chaining
+     */
+    setOutput(output) {
+        this.interpreter.setOutput(output);
+        return this;
+    }
+
+    /**
+     * Call a function declared by a program that has already run.
+     * Arguments and the result are converted like host values.
+     * @param {string} name - Function name
+     * @param {Array} args - JavaScript arguments
+     * @returns {*} The function's return value as a JavaScript value
+     * @throws {MasalaError} If the function is missing, gets the wrong number
+     *   of arguments, or fails while running
+     */
+    call(name, args = []) {
+        return this.getFunction(name)(...args);
+    }
+
+    /**
+     * Get a JavaScript wrapper for a function declared by a program that
+     * has already run. The function is looked up once, now.
+     * @param {string} name - Function name
+     * @returns {Function} (...args) → JavaScript value; throws MasalaError on failure
+     */
+    getFunction(name) {
+        const callee = this.interpreter.getFunction(name);
+
+        return (...args) => {
+            // Keep prints from this call out of the last run's output; a call
+            // from a host function during a run prints into that run
+            if (!this.interpreter.budgetActive) {
+                this.interpreter.output = [];
+            }
+            const result = this.interpreter.callFunction(callee, args.map(arg => toMasala(arg)));
+            return fromMasala(result, this.interpreter);
+        };
+    }
+
+    /**
+     * The resolved keyword dialect for error messages (null if the option is invalid)
+     */
+    keywordDialect() {
+        try {
+            return resolveDialect(this.options.dialect);
+        } catch (error) {
+            return null;
         }
     }
 
@@ -184,6 +419,25 @@ export class MasalaScript {
         }
     }
 
+    /**
+     * Forget modules loaded by a previous run so files are re-read and re-run
+     */
+    resetModules() {
+        if (this.loader) {
+            this.loader.reset();
+        }
+    }
+
+    /**
+     * Get the source code an error points into (main file or an imported module)
+     */
+    sourceFor(error, mainSource) {
+        if (this.loader && error.file && error.file !== this.options.filename) {
+            return this.loader.sourceOf(error.file) ?? mainSource;
+        }
+        return mainSource;
+    }
+
     /**
      * Get the version string
      */
@@ -204,17 +458,52 @@ export class MasalaScript {
     }
 }
 
+/**
+ * Run one compiler stage. If it fails, all of the stage's errors are added
+ * to the list (the stage throws only the first).
+ * @param {Function} stage - Runs the stage
+ * @param {Object} collector - Lexer, Parser or Analyzer, with an errors array
+ * @param {Error[]} errors - List to add errors to
+ * @returns {*} The stage's result, or null if it failed
+ */
+function runStage(stage, collector, errors) {
+    try {
+        return stage();
+    } catch (error) {
+        if (!(error instanceof MasalaError)) {
+            throw error;
+        }
+        errors.push(...(collector.errors.length > 0 ? collector.errors : [error]));
+        return null;
+    }
+}
+
 // Export convenience functions
 export { tokenize, parse, analyze, execute };
 
+// Export module support
+export { ModuleLoader, createMemoryResolver } from './modules.js';
+
+// Export host interop helpers
+export { toMasala, fromMasala } from './host.js';
+
+// Export the legacy delimiter migration
+export { migrateSource } from './migrate.js';
+
+// Export keyword dialect resolution
+export { resolveDialect } from './dialects.js';
+
+// Export the REPL session
+export { ReplSession } from './repl.js';
+
 // Export error classes
-export { MasalaError, formatErrorWithContext } from './errors.js';
+export { MasalaError, CancelledError, formatErrorWithContext } from './errors.js';
 
 // Export AST utilities
 export { printAST, NodeType } from './ast.js';
 
 // Export token types
-export { TokenType } from './tokens.js';
+export { TokenType, Dialects } from './tokens.js';
 
 // Default export
 export default MasalaScript;
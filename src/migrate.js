@@ -0,0 +1,55 @@
+/**
+ * MasalaScript Migration
+ * Rewrites legacy 'action!' / 'paisa vasool' delimiters to the canonical spelling
+ */
+
+import { Lexer } from './lexer.js';
+import { TokenType } from './tokens.js';
+
+// Legacy spelling (lowercase) → canonical replacement
+const Replacements = {
+    'action!': 'Chal bhai suru kar',
+    'paisa vasool': 'bas khatam karo',
+};
+
+/**
+ * Rewrite legacy delimiters in a source file.
+ * Only real delimiter tokens are touched, so comments, strings, spacing
+ * and line endings stay exactly as they were.
+ * @param {string} source - Source code
+ * @returns {Object} { source, changes: [{ line, column, from, to }] }
+ */
+export function migrateSource(source) {
+    const tokens = new Lexer(source).tokenize();
+
+    const changes = [];
+    for (const token of tokens) {
+        if (token.type !== TokenType.ACTION && token.type !== TokenType.PAISA_VASOOL) {
+            continue;
+        }
+
+        const replacement = Replacements[token.lexeme.toLowerCase()];
+        if (replacement) {
+            changes.push({
+                line: token.line,
+                column: token.column,
+                offset: token.offset,
+                from: token.lexeme,
+                to: replacement,
+            });
+        }
+    }
+
+    // Splice from the end so earlier offsets stay valid
+    let migrated = source;
+    for (const change of [...changes].reverse()) {
+        migrated = migrated.slice(0, change.offset)
+            + change.to
+            + migrated.slice(change.offset + change.from.length);
+    }
+
+    return {
+        source: migrated,
+        changes: changes.map(({ line, column, from, to }) => ({ line, column, from, to })),
+    };
+}
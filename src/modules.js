@@ -0,0 +1,209 @@
+/**
+ * MasalaScript Module Loader
+ * Resolves, compiles and runs imported .ms files ('le aao ... se ...')
+ */
+
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Analyzer } from './analyzer.js';
+import { NodeType } from './ast.js';
+import { MasalaError, SemanticError, ErrorMessages } from './errors.js';
+
+/**
+ * ModuleLoader compiles each module once and runs it at most once per run.
+ *
+ * A resolver is any object with:
+ *   resolve(specifier, importer) → module id (importer is null for the main file)
+ *   load(id) → source code, or null if the module does not exist
+ */
+export class ModuleLoader {
+    /**
+     * @param {Object} resolver - Finds and reads module sources
+     * @param {Object} options
+     * @param {Map} options.host - Host-defined names, shared with each module's analyzer
+     * @param {string|Object} options.dialect - Keyword dialect (name or mapping) modules are written in
+     */
+    constructor(resolver, options = {}) {
+        this.resolver = resolver;
+        this.host = options.host || new Map();
+        this.dialect = options.dialect || 'default';
+        this.modules = new Map();   // id → module record
+        this.sources = new Map();   // id → source, kept even if compiling fails
+        this.loading = [];          // ids currently being compiled (cycle detection)
+    }
+
+    /**
+     * Forget all compiled and executed modules
+     */
+    reset() {
+        this.modules = new Map();
+        this.sources = new Map();
+        this.loading = [];
+    }
+
+    /**
+     * Compile a module (and, through the analyzer, everything it imports)
+     * @param {string} specifier - Path as written in the import statement
+     * @param {string|null} importer - Id of the importing file
+     * @param {number} line - Line of the import statement
+     * @param {number|null} column - Column of the import statement
+     * @returns {Object} Module record
+     */
+    load(specifier, importer, line, column = null) {
+        const id = this.resolver.resolve(specifier, importer);
+
+        if (this.loading.includes(id)) {
+            const chain = this.loading.slice(this.loading.indexOf(id));
+            throw new SemanticError(
+                ErrorMessages.IMPORT_CYCLE([...chain, id]),
+                line,
+                column
+            );
+        }
+
+        if (this.modules.has(id)) {
+            return this.modules.get(id);
+        }
+
+        const source = this.resolver.load(id);
+        if (source === null || source === undefined) {
+            throw new SemanticError(
+                ErrorMessages.MODULE_NOT_FOUND(specifier),
+                line,
+                column
+            );
+        }
+
+        this.sources.set(id, source);
+        this.loading.push(id);
+        let ast;
+        let stage = null;
+        try {
+            stage = new Lexer(source, { dialect: this.dialect });
+            const tokens = stage.tokenize();
+            stage = new Parser(tokens);
+            ast = stage.parse();
+            stage = new Analyzer({ loader: this, file: id, host: this.host });
+            stage.analyze(ast);
+        } catch (error) {
+            if (!(error instanceof MasalaError)) {
+                throw error;
+            }
+            // Each stage throws only its first error; hand on all of them
+            const errors = stage.errors.length > 0 ? stage.errors : [error];
+            for (const each of errors) {
+                if (each.file === null) {
+                    each.file = id;
+                }
+            }
+            errors[0].moduleErrors = errors;
+            throw errors[0];
+        } finally {
+            this.loading.pop();
+        }
+
+        const record = {
+            id,
+            source,
+            ast,
+            exports: this.collectExports(ast),
+            values: null        // Filled in once the module has run
+        };
+        this.modules.set(id, record);
+        return record;
+    }
+
+    /**
+     * Run a compiled module once and return its exported values
+     * @param {Object} record - Module record from load()
+     * @param {Interpreter} interpreter - Interpreter to run the module with
+     * @returns {Map} Exported name → value
+     */
+    instantiate(record, interpreter) {
+        if (record.values === null) {
+            const environment = interpreter.executeModule(record.ast, record.id);
+
+            record.values = new Map();
+            for (const name of record.exports.keys()) {
+                record.values.set(name, environment.get(name));
+            }
+        }
+
+        return record.values;
+    }
+
+    /**
+     * Get the source of a loaded module (for error context)
+     */
+    sourceOf(id) {
+        return this.sources.has(id) ? this.sources.get(id) : null;
+    }
+
+    /**
+     * Collect the 'bahar bhejo' functions of a module
+     * @returns {Map} Exported name → { paramCount }
+     */
+    collectExports(ast) {
+        const exports = new Map();
+
+        for (const stmt of ast.body) {
+            if (stmt.type === NodeType.FUNCTION_DECLARATION && stmt.exported) {
+                exports.set(stmt.name, { paramCount: stmt.params.length });
+            }
+        }
+
+        return exports;
+    }
+}
+
+/**
+ * Create a resolver that serves modules from an in-memory map of files.
+ * Used by the browser playground and the embedding API.
+ * @param {Object} files - Map of path → source, e.g. { 'utils.ms': '...' }
+ */
+export function createMemoryResolver(files) {
+    const sources = new Map();
+    for (const [path, source] of Object.entries(files)) {
+        sources.set(normalizePath(path), source);
+    }
+
+    return {
+        resolve(specifier, importer) {
+            const base = importer ? dirname(importer) : '';
+            if (specifier.startsWith('/') || base === '') {
+                return normalizePath(specifier);
+            }
+            return normalizePath(`${base}/${specifier}`);
+        },
+
+        load(id) {
+            return sources.has(id) ? sources.get(id) : null;
+        }
+    };
+}
+
+/**
+ * Get the directory part of a '/'-separated path
+ */
+function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Collapse '.', '..' and duplicate slashes in a '/'-separated path
+ */
+function normalizePath(path) {
+    const parts = [];
+
+    for (const part of path.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+
+    return (path.startsWith('/') ? '/' : '') + parts.join('/');
+}
@@ -0,0 +1,37 @@
+/**
+ * MasalaScript Output Sinks
+ * Decides where 'ek baat bataun' output goes
+ */
+
+/**
+ * Turn an output target into a sink function (text, line, file) → void.
+ *
+ * Supported targets:
+ *   undefined       → console.log (the default)
+ *   null            → silent
+ *   function        → called as fn(text, { text, line, file })
+ *   stream          → anything with write(chunk), e.g. process.stdout; gets text + '\n'
+ *   array           → collector; each print is pushed as { text, line, file }
+ *
+ * @param {*} target - Where output should go
+ * @returns {Function} Sink
+ */
+export function createOutputSink(target) {
+    if (target === undefined) {
+        return (text) => console.log(text);
+    }
+    if (target === null) {
+        return () => {};
+    }
+    if (typeof target === 'function') {
+        return (text, line, file) => target(text, { text, line, file });
+    }
+    if (Array.isArray(target)) {
+        return (text, line, file) => target.push({ text, line, file });
+    }
+    if (typeof target.write === 'function') {
+        return (text) => target.write(`${text}\n`);
+    }
+
+    throw new TypeError('output must be a function, a stream with write(), an array or null');
+}
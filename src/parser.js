@@ -11,14 +11,21 @@ export class Parser {
     constructor(tokens) {
         this.tokens = tokens;
         this.current = 0;
+        this.errors = []; // Every syntax error found, in source order
     }
 
     /**
-     * Parse the token stream into an AST
+     * Parse the token stream into an AST.
+     * Parsing recovers from syntax errors so that all of them end up in
+     * this.errors; the first one is thrown once the whole input is parsed.
      * @returns {Object} Program AST node
      */
     parse() {
-        return this.program();
+        const program = this.program();
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+        return program;
     }
 
     /**
@@ -26,46 +33,121 @@ export class Parser {
      * program → "action!" statement* "paisa vasool"
      */
     program() {
-        // Expect 'action!' at the start
-        if (!this.check(TokenType.ACTION)) {
-            throw new ParserError(
+        // Expect 'action!' at the start (keep parsing without it to find more errors)
+        if (this.check(TokenType.ACTION)) {
+            this.advance(); // consume 'action!'
+        } else {
+            this.errors.push(new ParserError(
                 ErrorMessages.EXPECTED_ACTION(),
                 this.peek().line,
                 this.peek().column
-            );
+            ));
         }
-        this.advance(); // consume 'action!'
 
         const statements = [];
 
         // Parse statements until 'paisa vasool' or EOF
         while (!this.check(TokenType.PAISA_VASOOL) && !this.isAtEnd()) {
-            const stmt = this.declaration();
+            const stmt = this.topLevelDeclaration();
             if (stmt) {
                 statements.push(stmt);
             }
         }
 
         // Expect 'paisa vasool' at the end
-        if (!this.check(TokenType.PAISA_VASOOL)) {
-            throw new ParserError(
+        if (this.check(TokenType.PAISA_VASOOL)) {
+            this.advance(); // consume 'paisa vasool'
+        } else {
+            this.errors.push(new ParserError(
                 ErrorMessages.EXPECTED_PAISA_VASOOL(),
                 this.peek().line,
                 this.peek().column
-            );
+            ));
         }
-        this.advance(); // consume 'paisa vasool'
 
         return AST.Program(statements);
     }
 
+    /**
+     * Parse bare statements without the program wrapper (used by the REPL)
+     * statements → statement* EOF
+     */
+    parseStatements() {
+        const statements = [];
+
+        while (!this.isAtEnd()) {
+            const stmt = this.topLevelDeclaration();
+            if (stmt) {
+                statements.push(stmt);
+            }
+        }
+
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
+        return AST.Program(statements);
+    }
+
+    /**
+     * Parse a declaration that may only appear at the top level
+     * (imports and exported functions)
+     */
+    topLevelDeclaration() {
+        const start = this.current;
+
+        try {
+            if (this.check(TokenType.LE_AAO)) {
+                return this.importStatement();
+            }
+
+            if (this.check(TokenType.BAHAR_BHEJO)) {
+                this.advance(); // consume 'bahar bhejo'
+                if (!this.check(TokenType.CLIMAX) || this.peekNext().type !== TokenType.IDENTIFIER) {
+                    throw new ParserError(
+                        ErrorMessages.EXPORT_NOT_TOP_LEVEL(),
+                        this.previous().line,
+                        this.previous().column
+                    );
+                }
+                const func = this.functionDeclaration();
+                func.exported = true;
+                return func;
+            }
+        } catch (error) {
+            return this.recover(error, start);
+        }
+
+        return this.declaration();
+    }
+
+    /**
+     * Parse an import statement
+     * importStmt → "le aao" STRING "se" IDENTIFIER ("," IDENTIFIER)*
+     */
+    importStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'le aao'
+
+        const source = this.consume(TokenType.STRING, ErrorMessages.EXPECTED_MODULE_PATH()).literal;
+        this.consume(TokenType.SE, ErrorMessages.EXPECTED_KEYWORD('se'));
+
+        const names = [];
+        do {
+            names.push(this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_IDENTIFIER()).lexeme);
+        } while (this.match(TokenType.COMMA));
+
+        return AST.ImportStatement(source, names, line, column);
+    }
+
     /**
      * Parse a declaration (function or statement)
      */
     declaration() {
+        const start = this.current;
+
         try {
-            // Function declaration
-            if (this.check(TokenType.CLIMAX)) {
+            // Function declaration (anonymous 'climax (...)' is an expression)
+            if (this.check(TokenType.CLIMAX) && this.peekNext().type === TokenType.IDENTIFIER) {
                 return this.functionDeclaration();
             }
 
@@ -76,9 +158,7 @@ export class Parser {
 
             return this.statement();
         } catch (error) {
-            // Synchronize on error
-            this.synchronize();
-            throw error;
+            return this.recover(error, start);
         }
     }
 
@@ -87,7 +167,7 @@ export class Parser {
      * funcDecl → "climax" IDENTIFIER "(" params? ")" block
      */
     functionDeclaration() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         this.advance(); // consume 'climax'
 
         // Function name
@@ -101,6 +181,33 @@ export class Parser {
         const name = this.advance().lexeme;
 
         // Parameters
+        const params = this.parameters();
+
+        // Function body
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.FunctionDeclaration(name, params, body, line, column);
+    }
+
+    /**
+     * Parse an anonymous function (after 'climax')
+     * funcExpr → "climax" "(" params? ")" block
+     */
+    functionExpression(line, column) {
+        const params = this.parameters();
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.FunctionExpression(params, body, line, column);
+    }
+
+    /**
+     * Parse a parameter list
+     * params → "(" (IDENTIFIER ("," IDENTIFIER)*)? ")"
+     */
+    parameters() {
         this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
 
         const params = [];
@@ -118,12 +225,7 @@ export class Parser {
         }
 
         this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-
-        // Function body
-        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
-        const body = this.block();
-
-        return AST.FunctionDeclaration(name, params, body, line);
+        return params;
     }
 
     /**
@@ -131,7 +233,7 @@ export class Parser {
      * varDecl → "maan lo" IDENTIFIER "=" expression
      */
     variableDeclaration() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         this.advance(); // consume 'maan lo'
 
         // Variable name
@@ -148,7 +250,7 @@ export class Parser {
         this.consume(TokenType.EQUAL, ErrorMessages.EXPECTED_EQUALS());
         const value = this.expression();
 
-        return AST.VariableDeclaration(name, value, line);
+        return AST.VariableDeclaration(name, value, line, column);
     }
 
     /**
@@ -165,6 +267,48 @@ export class Parser {
             return this.whileStatement();
         }
 
+        // Counted loop; 'har' followed by anything but the loop variable is a name
+        if (this.check(TokenType.HAR)
+            && (this.peek().type === TokenType.HAR || this.peekNext().type === TokenType.IDENTIFIER)) {
+            return this.forStatement();
+        }
+
+        // Break statement
+        if (this.check(TokenType.BREAK)) {
+            return this.breakStatement();
+        }
+
+        // Continue statement
+        if (this.check(TokenType.CONTINUE)) {
+            return this.continueStatement();
+        }
+
+        // Imports and exports are only allowed at the top level
+        if (this.check(TokenType.LE_AAO)) {
+            throw new ParserError(
+                ErrorMessages.IMPORT_NOT_TOP_LEVEL(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        if (this.check(TokenType.BAHAR_BHEJO)) {
+            throw new ParserError(
+                ErrorMessages.EXPORT_NOT_TOP_LEVEL(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+
+        // Try/catch/finally
+        if (this.check(TokenType.KOSHISH_KARO)) {
+            return this.tryStatement();
+        }
+
+        // Throw statement
+        if (this.check(TokenType.FENK_DO)) {
+            return this.throwStatement();
+        }
+
         // Return statement
         if (this.check(TokenType.DIALOGUE_WAPAS_DO)) {
             return this.returnStatement();
@@ -192,7 +336,7 @@ export class Parser {
      *          ("warna" block)?
      */
     ifStatement() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         const conditions = [];
         const consequents = [];
         let alternate = null;
@@ -222,7 +366,7 @@ export class Parser {
             alternate = this.block();
         }
 
-        return AST.IfStatement(conditions, consequents, alternate, line);
+        return AST.IfStatement(conditions, consequents, alternate, line, column);
     }
 
     /**
@@ -230,7 +374,7 @@ export class Parser {
      * whileStmt → "jab tak hai jaan" "(" expression ")" block
      */
     whileStatement() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         this.advance(); // consume 'jab tak hai jaan'
 
         this.consume(TokenType.LPAREN, ErrorMessages.EXPECTED_LPAREN());
@@ -239,7 +383,124 @@ export class Parser {
         this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
         const body = this.block();
 
-        return AST.WhileStatement(condition, body, line);
+        return AST.WhileStatement(condition, body, line, column);
+    }
+
+    /**
+     * Parse a counted loop
+     * forStmt → "har" IDENTIFIER "ke liye" expression "se" expression "tak"
+     *           ("step" expression)? block
+     */
+    forStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'har'
+
+        // Loop variable
+        if (!this.check(TokenType.IDENTIFIER)) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_IDENTIFIER(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+        const variable = this.advance().lexeme;
+
+        this.consume(TokenType.KE_LIYE, ErrorMessages.EXPECTED_KEYWORD('ke liye'));
+        const start = this.expression();
+        this.consume(TokenType.SE, ErrorMessages.EXPECTED_KEYWORD('se'));
+        const end = this.expression();
+        this.consume(TokenType.TAK, ErrorMessages.EXPECTED_KEYWORD('tak'));
+
+        // Optional step, with or without parentheses: step 2 / (step 2)
+        let step = null;
+        if (this.check(TokenType.LPAREN) && isType(this.peekNext(), TokenType.STEP)) {
+            this.advance(); // consume '('
+            this.advance(); // consume 'step'
+            step = this.expression();
+            this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        } else if (this.match(TokenType.STEP)) {
+            step = this.expression();
+        }
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const body = this.block();
+
+        return AST.ForStatement(variable, start, end, step, body, line, column);
+    }
+
+    /**
+     * Parse a break statement
+     * breakStmt → "me bahar ja raha hu"
+     */
+    breakStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'me bahar ja raha hu'
+
+        return AST.BreakStatement(line, column);
+    }
+
+    /**
+     * Parse a continue statement
+     * continueStmt → "agla dekho"
+     */
+    continueStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'agla dekho'
+
+        return AST.ContinueStatement(line, column);
+    }
+
+    /**
+     * Parse a try statement
+     * tryStmt → "koshish karo" block
+     *           ("pakda gaya" ("(" IDENTIFIER ")")? block)?
+     *           ("aakhir mein" block)?
+     */
+    tryStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'koshish karo'
+
+        this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+        const block = this.block();
+
+        let param = null;
+        let handler = null;
+        if (this.match(TokenType.PAKDA_GAYA)) {
+            if (this.match(TokenType.LPAREN)) {
+                param = this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_IDENTIFIER()).lexeme;
+                this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+            }
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            handler = this.block();
+        }
+
+        let finalizer = null;
+        if (this.match(TokenType.AAKHIR_MEIN)) {
+            this.consume(TokenType.LBRACE, ErrorMessages.EXPECTED_LBRACE());
+            finalizer = this.block();
+        }
+
+        if (!handler && !finalizer) {
+            throw new ParserError(
+                ErrorMessages.EXPECTED_CATCH_OR_FINALLY(),
+                this.peek().line,
+                this.peek().column
+            );
+        }
+
+        return AST.TryStatement(block, param, handler, finalizer, line, column);
+    }
+
+    /**
+     * Parse a throw statement
+     * throwStmt → "fenk do" expression
+     */
+    throwStatement() {
+        const { line, column } = this.peek();
+        this.advance(); // consume 'fenk do'
+
+        const value = this.expression();
+        return AST.ThrowStatement(value, line, column);
     }
 
     /**
@@ -247,7 +508,7 @@ export class Parser {
      * returnStmt → "dialogue wapas do" expression?
      */
     returnStatement() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         this.advance(); // consume 'dialogue wapas do'
 
         let value = null;
@@ -258,7 +519,7 @@ export class Parser {
             value = this.expression();
         }
 
-        return AST.ReturnStatement(value, line);
+        return AST.ReturnStatement(value, line, column);
     }
 
     /**
@@ -266,7 +527,7 @@ export class Parser {
      * printStmt → "ek baat bataun:" expression ("," expression)*
      */
     printStatement() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         this.advance(); // consume 'ek baat bataun:'
 
         const expressions = [];
@@ -276,7 +537,7 @@ export class Parser {
             expressions.push(this.expression());
         }
 
-        return AST.PrintStatement(expressions, line);
+        return AST.PrintStatement(expressions, line, column);
     }
 
     /**
@@ -301,9 +562,9 @@ export class Parser {
      * Parse an expression statement
      */
     expressionStatement() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
         const expr = this.expression();
-        return AST.ExpressionStatement(expr, line);
+        return AST.ExpressionStatement(expr, line, column);
     }
 
     /**
@@ -316,7 +577,9 @@ export class Parser {
 
     /**
      * Parse an assignment
-     * assignment → IDENTIFIER "=" assignment | logicOr
+     * assignment → ( IDENTIFIER | call "[" expression "]" | call "." IDENTIFIER )
+     *              "=" assignment
+     *            | logicOr
      */
     assignment() {
         const expr = this.logicOr();
@@ -325,7 +588,15 @@ export class Parser {
             const value = this.assignment();
 
             if (expr.type === NodeType.IDENTIFIER) {
-                return AST.Assignment(expr.name, value, expr.line);
+                return AST.Assignment(expr.name, value, expr.line, expr.column);
+            }
+
+            if (expr.type === NodeType.INDEX_EXPRESSION) {
+                return AST.IndexAssignment(expr.object, expr.index, value, expr.line, expr.column);
+            }
+
+            if (expr.type === NodeType.MEMBER_EXPRESSION) {
+                return AST.MemberAssignment(expr.object, expr.property, value, expr.line, expr.column);
             }
 
             throw new ParserError(
@@ -348,7 +619,7 @@ export class Parser {
         while (this.match(TokenType.OR)) {
             const operator = this.previous().lexeme;
             const right = this.logicAnd();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -364,7 +635,7 @@ export class Parser {
         while (this.match(TokenType.AND)) {
             const operator = this.previous().lexeme;
             const right = this.equality();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -380,7 +651,7 @@ export class Parser {
         while (this.match(TokenType.EQUAL_EQUAL, TokenType.BANG_EQUAL)) {
             const operator = this.previous().lexeme;
             const right = this.comparison();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -397,7 +668,7 @@ export class Parser {
             TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL)) {
             const operator = this.previous().lexeme;
             const right = this.term();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -413,7 +684,7 @@ export class Parser {
         while (this.match(TokenType.PLUS, TokenType.MINUS)) {
             const operator = this.previous().lexeme;
             const right = this.factor();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -429,7 +700,7 @@ export class Parser {
         while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.PERCENT)) {
             const operator = this.previous().lexeme;
             const right = this.unary();
-            expr = AST.BinaryExpression(operator, expr, right, this.previous().line);
+            expr = AST.BinaryExpression(operator, expr, right, expr.line, expr.column);
         }
 
         return expr;
@@ -441,24 +712,32 @@ export class Parser {
      */
     unary() {
         if (this.match(TokenType.BANG, TokenType.MINUS)) {
-            const operator = this.previous().lexeme;
+            const { lexeme: operator, line, column } = this.previous();
             const operand = this.unary();
-            return AST.UnaryExpression(operator, operand, this.previous().line);
+            return AST.UnaryExpression(operator, operand, line, column);
         }
 
         return this.call();
     }
 
     /**
-     * Parse function calls
-     * call → primary ("(" arguments? ")")*
+     * Parse function calls and indexing
+     * call → primary ("(" arguments? ")" | "[" expression "]" | "." IDENTIFIER)*
      */
     call() {
+        const start = this.peek();
         let expr = this.primary();
 
         while (true) {
             if (this.match(TokenType.LPAREN)) {
-                expr = this.finishCall(expr);
+                expr = this.finishCall(expr, start);
+            } else if (this.match(TokenType.LBRACKET)) {
+                const index = this.expression();
+                this.consume(TokenType.RBRACKET, ErrorMessages.EXPECTED_RBRACKET());
+                expr = AST.IndexExpression(expr, index, start.line, start.column);
+            } else if (this.match(TokenType.DOT)) {
+                const name = this.consume(TokenType.IDENTIFIER, ErrorMessages.EXPECTED_KEY());
+                expr = AST.MemberExpression(expr, name.lexeme, start.line, start.column);
             } else {
                 break;
             }
@@ -469,8 +748,10 @@ export class Parser {
 
     /**
      * Finish parsing a function call
+     * @param {Object} callee - Callee expression
+     * @param {Token} start - First token of the call expression
      */
-    finishCall(callee) {
+    finishCall(callee, start) {
         const args = [];
 
         if (!this.check(TokenType.RPAREN)) {
@@ -479,56 +760,75 @@ export class Parser {
             } while (this.match(TokenType.COMMA));
         }
 
-        const paren = this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
+        this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
 
-        // Get callee name if it's an identifier
-        const calleeName = callee.type === NodeType.IDENTIFIER ? callee.name : '<expr>';
-        return AST.CallExpression(calleeName, args, paren.line);
+        return AST.CallExpression(callee, args, start.line, start.column);
     }
 
     /**
      * Parse primary expressions
-     * primary → NUMBER | STRING | "sach" | "galat" | "khaali" 
-     *         | IDENTIFIER | "(" expression ")"
+     * primary → NUMBER | STRING | INTERPOLATED_STRING | "sach" | "galat" | "khaali" 
+     *         | IDENTIFIER | "(" expression ")" | "[" elements? "]"
+     *         | "{" entries? "}" | funcExpr
      */
     primary() {
-        const line = this.peek().line;
+        const { line, column } = this.peek();
 
         // Boolean true
         if (this.match(TokenType.SACH)) {
-            return AST.Literal(true, line);
+            return AST.Literal(true, line, column);
         }
 
         // Boolean false
         if (this.match(TokenType.GALAT)) {
-            return AST.Literal(false, line);
+            return AST.Literal(false, line, column);
         }
 
         // Null
         if (this.match(TokenType.KHAALI)) {
-            return AST.Literal(null, line);
+            return AST.Literal(null, line, column);
         }
 
         // Number
         if (this.match(TokenType.NUMBER)) {
-            return AST.Literal(this.previous().literal, line);
+            return AST.Literal(this.previous().literal, line, column);
         }
 
         // String
         if (this.match(TokenType.STRING)) {
-            return AST.Literal(this.previous().literal, line);
+            return AST.Literal(this.previous().literal, line, column);
+        }
+
+        // String with embedded {expressions}
+        if (this.match(TokenType.INTERPOLATED_STRING)) {
+            return this.interpolatedString(this.previous().literal, line, column);
         }
 
         // Identifier
         if (this.match(TokenType.IDENTIFIER)) {
-            return AST.Identifier(this.previous().lexeme, line);
+            return AST.Identifier(this.previous().lexeme, line, column);
         }
 
         // Grouping
         if (this.match(TokenType.LPAREN)) {
             const expr = this.expression();
             this.consume(TokenType.RPAREN, ErrorMessages.EXPECTED_RPAREN());
-            return AST.Grouping(expr, line);
+            return AST.Grouping(expr, line, column);
+        }
+
+        // List literal
+        if (this.match(TokenType.LBRACKET)) {
+            return this.arrayLiteral(line, column);
+        }
+
+        // Dict literal
+        if (this.match(TokenType.LBRACE)) {
+            return this.dictLiteral(line, column);
+        }
+
+        // Anonymous function
+        if (this.match(TokenType.CLIMAX)) {
+            return this.functionExpression(line, column);
         }
 
         throw new ParserError(
@@ -538,6 +838,83 @@ export class Parser {
         );
     }
 
+    /**
+     * Parse the embedded expressions of an interpolated string
+     */
+    interpolatedString(parts, line, column) {
+        const nodes = parts.map(part => {
+            if (typeof part === 'string') {
+                return part;
+            }
+
+            // Each embedded expression was tokenized on its own by the lexer
+            const parser = new Parser(part.tokens);
+            const expr = parser.expression();
+            if (!parser.isAtEnd()) {
+                const token = parser.peek();
+                throw new ParserError(
+                    ErrorMessages.UNEXPECTED_TOKEN(token.lexeme),
+                    token.line,
+                    token.column
+                );
+            }
+            return expr;
+        });
+
+        return AST.InterpolatedString(nodes, line, column);
+    }
+
+    /**
+     * Finish parsing a list literal
+     * elements → expression ("," expression)* ","?
+     */
+    arrayLiteral(line, column) {
+        const elements = [];
+
+        while (!this.check(TokenType.RBRACKET) && !this.isAtEnd()) {
+            elements.push(this.expression());
+            if (!this.match(TokenType.COMMA)) {
+                break;
+            }
+        }
+
+        this.consume(TokenType.RBRACKET, ErrorMessages.EXPECTED_RBRACKET());
+        return AST.ArrayLiteral(elements, line, column);
+    }
+
+    /**
+     * Finish parsing a dict literal
+     * entries → (IDENTIFIER | STRING) ":" expression ("," ...)* ","?
+     */
+    dictLiteral(line, column) {
+        const entries = [];
+
+        while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
+            let key;
+            if (this.match(TokenType.IDENTIFIER)) {
+                key = this.previous().lexeme;
+            } else if (this.match(TokenType.STRING)) {
+                key = this.previous().literal;
+            } else {
+                throw new ParserError(
+                    ErrorMessages.EXPECTED_KEY(),
+                    this.peek().line,
+                    this.peek().column
+                );
+            }
+
+            this.consume(TokenType.COLON, ErrorMessages.EXPECTED_COLON());
+            entries.push({ key, value: this.expression() });
+
+            if (!this.match(TokenType.COMMA)) {
+                break;
+            }
+        }
+
+        this.consume(TokenType.RBRACE, ErrorMessages.EXPECTED_RBRACE());
+        return AST.DictLiteral(entries, line, column);
+    }
+
     // ==================== Helper Methods ====================
 
     /**
@@ -554,6 +931,14 @@ export class Parser {
         return this.tokens[this.current];
     }
 
+    /**
+     * Get the token after the current one without consuming
+     */
+    peekNext() {
+        if (this.isAtEnd()) return this.peek();
+        return this.tokens[this.current + 1];
+    }
+
     /**
      * Get previous token
      */
@@ -576,7 +961,7 @@ export class Parser {
      */
     check(type) {
         if (this.isAtEnd()) return false;
-        return this.peek().type === type;
+        return isType(this.peek(), type);
     }
 
     /**
@@ -608,22 +993,77 @@ export class Parser {
     }
 
     /**
-     * Synchronize parser state after an error
+     * Record a syntax error and skip to the next statement, so parsing can
+     * go on and report the errors after it too
+     * @param {Error} error - The error thrown while parsing a statement
+     * @param {number} start - Index of the statement's first token
+     * @returns {null}
+     */
+    recover(error, start) {
+        if (!(error instanceof ParserError)) {
+            throw error;
+        }
+
+        this.errors.push(error);
+        this.synchronize(start);
+        return null;
+    }
+
+    /**
+     * Synchronize parser state after an error: skip tokens until a statement
+     * keyword, a new line outside brackets, or a '}' that may close the
+     * enclosing block. Skipped '{ ... }' blocks are skipped as a whole.
+     * @param {number} start - Index of the failed statement's first token
      */
-    synchronize() {
-        this.advance();
+    synchronize(start) {
+        const errorLine = this.peek().line;
+        let depth = 0;
+
+        // Always make progress, even if the statement failed on its first token
+        if (this.current === start) {
+            this.advance();
+        }
 
         while (!this.isAtEnd()) {
-            // Synchronize at statement boundaries
-            switch (this.peek().type) {
-                case TokenType.MAAN_LO:
-                case TokenType.CLIMAX:
-                case TokenType.AGAR_KISMAT_RAHI:
-                case TokenType.JAB_TAK_HAI_JAAN:
-                case TokenType.EK_BAAT_BATAUN:
-                case TokenType.DIALOGUE_WAPAS_DO:
-                case TokenType.PAISA_VASOOL:
+            const token = this.peek();
+
+            if (depth === 0) {
+                // Synchronize at statement boundaries
+                switch (token.type) {
+                    case TokenType.MAAN_LO:
+                    case TokenType.CLIMAX:
+                    case TokenType.LE_AAO:
+                    case TokenType.BAHAR_BHEJO:
+                    case TokenType.AGAR_KISMAT_RAHI:
+                    case TokenType.JAB_TAK_HAI_JAAN:
+                    case TokenType.HAR:
+                    case TokenType.BREAK:
+                    case TokenType.CONTINUE:
+                    case TokenType.EK_BAAT_BATAUN:
+                    case TokenType.KOSHISH_KARO:
+                    case TokenType.FENK_DO:
+                    case TokenType.DIALOGUE_WAPAS_DO:
+                    case TokenType.PAISA_VASOOL:
+                    case TokenType.RBRACE:
+                        return;
+                }
+
+                if (token.line > errorLine) {
                     return;
+                }
+            }
+
+            switch (token.type) {
+                case TokenType.LPAREN:
+                case TokenType.LBRACKET:
+                case TokenType.LBRACE:
+                    depth++;
+                    break;
+                case TokenType.RPAREN:
+                case TokenType.RBRACKET:
+                case TokenType.RBRACE:
+                    depth = Math.max(0, depth - 1);
+                    break;
             }
 
             this.advance();
@@ -631,6 +1071,15 @@ export class Parser {
     }
 }
 
+/**
+ * Check a token's type. An identifier spelled like a contextual keyword
+ * ('har', 'se', 'tak', 'step') also counts as that keyword.
+ */
+function isType(token, type) {
+    return token.type === type
+        || (token.type === TokenType.IDENTIFIER && token.keyword === type);
+}
+
 /**
  * Convenience function to parse tokens
  */
@@ -0,0 +1,72 @@
+/**
+ * MasalaScript Playground Worker
+ * Runs playground code off the page's main thread, so a long or endless
+ * program can't freeze the page and the Stop button can simply end the worker.
+ * Loaded as a classic worker script next to browser-bundle.js.
+ *
+ * Messages in:  { code, answers, skip }
+ * Messages out: { type: 'print', lines }
+ *               { type: 'input', question }
+ *               { type: 'done', success, error }
+ *
+ * A worker can't wait for the page to answer 'poocho', so a run that needs an
+ * answer it wasn't given stops and sends 'input'. The page asks the user and
+ * starts the program again with every answer so far; skip is the number of
+ * prints it already shows, which the replay doesn't send again.
+ */
+
+/* global importScripts, MasalaScript */
+importScripts('browser-bundle.js');
+
+// Send prints in batches, so a print in a tight loop doesn't flood the page
+const FLUSH_INTERVAL_MS = 50;
+
+self.onmessage = (event) => {
+    const { code, answers = [], skip = 0 } = event.data;
+    let pending = [];
+    let printed = 0;
+    let lastFlush = Date.now();
+    let answered = 0;
+    let question = null;
+
+    const flush = () => {
+        if (pending.length > 0) {
+            self.postMessage({ type: 'print', lines: pending });
+            pending = [];
+        }
+        lastFlush = Date.now();
+    };
+
+    const masala = new MasalaScript({
+        input: (text) => {
+            if (answered < answers.length) {
+                return answers[answered++];
+            }
+            // Not a MasalaError, so 'koshish karo' can't catch it and the run ends here
+            question = text;
+            throw new Error('Answer needed');
+        },
+        output: (text) => {
+            // 'aakhir mein' blocks still run while the run unwinds; the replay prints for real
+            if (question !== null) {
+                return;
+            }
+            printed++;
+            if (printed > skip) {
+                pending.push(text);
+            }
+            if (Date.now() - lastFlush >= FLUSH_INTERVAL_MS) {
+                flush();
+            }
+        }
+    });
+
+    const result = masala.run(code);
+    flush();
+
+    if (question !== null) {
+        self.postMessage({ type: 'input', question });
+    } else {
+        self.postMessage({ type: 'done', success: result.success, error: result.error || null });
+    }
+};
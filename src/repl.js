@@ -0,0 +1,184 @@
+/**
+ * MasalaScript REPL Session
+ * Runs statements one input at a time, keeping variables and functions between inputs
+ */
+
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Analyzer } from './analyzer.js';
+import { Interpreter } from './interpreter.js';
+import { MasalaError, formatErrorWithContext } from './errors.js';
+import { resolveDialect } from './dialects.js';
+import { TokenType } from './tokens.js';
+
+/**
+ * A REPL session keeps one Analyzer scope and one Interpreter environment
+ * alive across inputs. Inputs are bare statements; a full program with
+ * the 'Chal bhai suru kar' / 'bas khatam karo' wrapper is accepted too.
+ */
+export class ReplSession {
+    /**
+     * @param {Object} options
+     * @param {ModuleLoader} options.loader - Resolves 'le aao' imports
+     * @param {*} options.output - Where prints go (see createOutputSink)
+     * @param {Function} options.input - Answers 'poocho': (question) → string, or null when out of input
+     * @param {string|Object} options.dialect - Keyword dialect name or mapping
+     * @param {number} options.maxCallDepth - Deepest allowed nesting of function calls
+     * @param {number} options.maxSteps - Statements and expressions allowed per input
+     * @param {number|null} options.timeout - Milliseconds allowed per input
+     * @param {number|null} options.maxLoopIterations - Iterations allowed per loop
+     */
+    constructor(options = {}) {
+        this.loader = options.loader || null;
+        this.dialect = resolveDialect(options.dialect);
+        this.output = options.output;
+        this.input = options.input || null;
+        this.limits = {
+            maxCallDepth: options.maxCallDepth,
+            maxSteps: options.maxSteps,
+            timeout: options.timeout,
+            maxLoopIterations: options.maxLoopIterations
+        };
+        this.reset();
+    }
+
+    /**
+     * Forget all variables, functions and loaded modules
+     */
+    reset() {
+        const context = {
+            loader: this.loader,
+            file: null,
+            output: this.output,
+            input: this.input,
+            ...this.limits
+        };
+        this.analyzer = new Analyzer(context);
+        this.interpreter = new Interpreter(context);
+
+        if (this.loader) {
+            this.loader.reset();
+        }
+    }
+
+    /**
+     * Check whether an input is ready to run, or still waits for more lines
+     * (open braces, brackets or parentheses, or a program without its closing line)
+     * @param {string} source - Input collected so far
+     * @returns {boolean}
+     */
+    isComplete(source) {
+        let tokens;
+        try {
+            tokens = new Lexer(source, { dialect: this.dialect }).tokenize();
+        } catch (error) {
+            return true; // Let evaluate() report the error
+        }
+
+        let depth = 0;
+        for (const token of tokens) {
+            switch (token.type) {
+                case TokenType.LBRACE:
+                case TokenType.LPAREN:
+                case TokenType.LBRACKET:
+                    depth++;
+                    break;
+                case TokenType.RBRACE:
+                case TokenType.RPAREN:
+                case TokenType.RBRACKET:
+                    depth--;
+                    break;
+            }
+        }
+
+        if (depth > 0) {
+            return false;
+        }
+
+        const isProgram = tokens[0].type === TokenType.ACTION;
+        return !isProgram || tokens.some(token => token.type === TokenType.PAISA_VASOOL);
+    }
+
+    /**
+     * Tokenize and parse an input without running it
+     * @param {string} source - Statements, or a full program
+     * @returns {Object} { tokens, ast }
+     */
+    compile(source) {
+        const tokens = new Lexer(source, { dialect: this.dialect }).tokenize();
+        const parser = new Parser(tokens);
+        const ast = tokens[0].type === TokenType.ACTION
+            ? parser.parse()
+            : parser.parseStatements();
+
+        return { tokens, ast };
+    }
+
+    /**
+     * Run one input in the session
+     * @param {string} source - Statements, or a full program
+     * @param {string|null} file - File the input was loaded from (for imports and errors)
+     * @returns {Object} Result with output, and the value of a trailing expression
+     */
+    evaluate(source, file = null) {
+        let tokens = [];
+        let ast = null;
+
+        this.analyzer.file = file;
+        this.interpreter.mainFile = file;
+        this.interpreter.output = [];
+
+        try {
+            ({ tokens, ast } = this.compile(source));
+            const snapshot = this.analyzer.snapshot();
+            this.analyzer.analyzeIncremental(ast);
+
+            let value;
+            try {
+                value = this.interpreter.executeIncremental(ast);
+            } catch (error) {
+                // Keep the analyzer in step with what actually ran
+                this.analyzer.rollback(snapshot, name => this.interpreter.globals.values.has(name));
+                throw error;
+            }
+
+            return {
+                success: true,
+                output: this.interpreter.output,
+                value,
+                display: value === undefined || value === null
+                    ? null
+                    : this.interpreter.stringify(value),
+                tokens,
+                ast
+            };
+
+        } catch (error) {
+            let errorMessage;
+            if (error instanceof MasalaError) {
+                errorMessage = formatErrorWithContext(error, this.sourceFor(error, source, file), 2, this.dialect);
+            } else {
+                errorMessage = `Unexpected Error: ${error.message}`;
+            }
+
+            return {
+                success: false,
+                output: this.interpreter.output,
+                error: errorMessage,
+                errorObject: error,
+                tokens,
+                ast
+            };
+        }
+    }
+
+    /**
+     * Get the source code an error points into (the input or an imported module)
+     */
+    sourceFor(error, inputSource, inputFile) {
+        if (this.loader && error.file && error.file !== inputFile) {
+            return this.loader.sourceOf(error.file) ?? inputSource;
+        }
+        return inputSource;
+    }
+}
@@ -19,17 +19,34 @@ export const TokenType = {
     // Control flow - loops
     JAB_TAK_HAI_JAAN: 'JAB_TAK_HAI_JAAN', // jab tak hai jaan
     BREAK: 'BREAK',                       // me bahar ja raha hu
+    CONTINUE: 'CONTINUE',                 // agla dekho
+    HAR: 'HAR',                           // har (contextual)
+    KE_LIYE: 'KE_LIYE',                   // ke liye
+    SE: 'SE',                             // se (contextual)
+    TAK: 'TAK',                           // tak (contextual)
+    STEP: 'STEP',                         // step (contextual)
+
+    // Error handling
+    KOSHISH_KARO: 'KOSHISH_KARO',         // koshish karo
+    PAKDA_GAYA: 'PAKDA_GAYA',             // pakda gaya
+    AAKHIR_MEIN: 'AAKHIR_MEIN',           // aakhir mein
+    FENK_DO: 'FENK_DO',                   // fenk do
 
     // Functions
     CLIMAX: 'CLIMAX',                     // climax
     DIALOGUE_WAPAS_DO: 'DIALOGUE_WAPAS_DO', // dialogue wapas do
 
+    // Modules
+    LE_AAO: 'LE_AAO',                     // le aao
+    BAHAR_BHEJO: 'BAHAR_BHEJO',           // bahar bhejo
+
     // I/O
     EK_BAAT_BATAUN: 'EK_BAAT_BATAUN',     // ek baat bataun:
 
     // Literals
     NUMBER: 'NUMBER',                     // 10, 3.14
     STRING: 'STRING',                     // "hello"
+    INTERPOLATED_STRING: 'INTERPOLATED_STRING', // "Naam: {name}"
     SACH: 'SACH',                         // true
     GALAT: 'GALAT',                       // false
     KHAALI: 'KHAALI',                     // null
@@ -65,8 +82,11 @@ export const TokenType = {
     RPAREN: 'RPAREN',                     // )
     LBRACE: 'LBRACE',                     // {
     RBRACE: 'RBRACE',                     // }
+    LBRACKET: 'LBRACKET',                 // [
+    RBRACKET: 'RBRACKET',                 // ]
     COMMA: 'COMMA',                       // ,
     COLON: 'COLON',                       // :
+    DOT: 'DOT',                           // .
 
     // Special
     EOF: 'EOF',                           // End of file
@@ -83,14 +103,123 @@ export const Keywords = {
     'warna': TokenType.WARNA,
     'jab tak hai jaan': TokenType.JAB_TAK_HAI_JAAN,
     'me bahar ja raha hu': TokenType.BREAK,
+    'agla dekho': TokenType.CONTINUE,
+    'har': TokenType.HAR,
+    'ke liye': TokenType.KE_LIYE,
+    'se': TokenType.SE,
+    'tak': TokenType.TAK,
+    'step': TokenType.STEP,
+    'koshish karo': TokenType.KOSHISH_KARO,
+    'pakda gaya': TokenType.PAKDA_GAYA,
+    'aakhir mein': TokenType.AAKHIR_MEIN,
+    'fenk do': TokenType.FENK_DO,
     'climax': TokenType.CLIMAX,
     'dialogue wapas do': TokenType.DIALOGUE_WAPAS_DO,
+    'le aao': TokenType.LE_AAO,
+    'bahar bhejo': TokenType.BAHAR_BHEJO,
     'ek baat bataun:': TokenType.EK_BAAT_BATAUN,
     'sach': TokenType.SACH,
     'galat': TokenType.GALAT,
     'khaali': TokenType.KHAALI,
 };
 
+// Program delimiters from the first release, still accepted by default
+export const LegacyDelimiters = {
+    'action!': TokenType.ACTION,
+    'paisa vasool': TokenType.PAISA_VASOOL,
+};
+
+// Other common spellings of the same keywords, accepted by default
+export const KeywordAliases = {
+    'maanlo': TokenType.MAAN_LO,
+    'man lo': TokenType.MAAN_LO,
+    'agar': TokenType.AGAR_KISMAT_RAHI,
+    'nahi toh': TokenType.NAHI_TO,
+};
+
+// The same keywords written in Devanagari
+export const DevanagariKeywords = {
+    'चल भाई शुरू कर': TokenType.ACTION,
+    'बस खतम करो': TokenType.PAISA_VASOOL,
+    'मान लो': TokenType.MAAN_LO,
+    'अगर किस्मत रही': TokenType.AGAR_KISMAT_RAHI,
+    'नहीं तो': TokenType.NAHI_TO,
+    'वरना': TokenType.WARNA,
+    'जब तक है जान': TokenType.JAB_TAK_HAI_JAAN,
+    'मैं बाहर जा रहा हूँ': TokenType.BREAK,
+    'अगला देखो': TokenType.CONTINUE,
+    'हर': TokenType.HAR,
+    'के लिए': TokenType.KE_LIYE,
+    'से': TokenType.SE,
+    'तक': TokenType.TAK,
+    'स्टेप': TokenType.STEP,
+    'कोशिश करो': TokenType.KOSHISH_KARO,
+    'पकड़ा गया': TokenType.PAKDA_GAYA,
+    'आखिर में': TokenType.AAKHIR_MEIN,
+    'फेंक दो': TokenType.FENK_DO,
+    'क्लाइमेक्स': TokenType.CLIMAX,
+    'डायलॉग वापस दो': TokenType.DIALOGUE_WAPAS_DO,
+    'ले आओ': TokenType.LE_AAO,
+    'बाहर भेजो': TokenType.BAHAR_BHEJO,
+    'एक बात बताऊँ:': TokenType.EK_BAAT_BATAUN,
+    'सच': TokenType.SACH,
+    'गलत': TokenType.GALAT,
+    'खाली': TokenType.KHAALI,
+    'अगर': TokenType.AGAR_KISMAT_RAHI,
+};
+
+// Built-in keyword dialects - spelling → token type.
+// The first spelling of a token type is the one error messages use.
+export const Dialects = {
+    // Canonical keywords, the legacy delimiters, the common aliases and Devanagari
+    default: { ...Keywords, ...LegacyDelimiters, ...KeywordAliases, ...DevanagariKeywords },
+    // Only the canonical spellings
+    strict: Keywords,
+    // Only 'action!' / 'paisa vasool' as delimiters
+    legacy: {
+        ...LegacyDelimiters,
+        ...Object.fromEntries(Object.entries(Keywords).filter(
+            ([, type]) => type !== TokenType.ACTION && type !== TokenType.PAISA_VASOOL
+        )),
+    },
+    // Only the Devanagari keywords
+    devanagari: DevanagariKeywords,
+    // English keywords for people who don't speak Hinglish (yet)
+    english: {
+        'begin': TokenType.ACTION,
+        'end': TokenType.PAISA_VASOOL,
+        'let': TokenType.MAAN_LO,
+        'if': TokenType.AGAR_KISMAT_RAHI,
+        'else if': TokenType.NAHI_TO,
+        'else': TokenType.WARNA,
+        'while': TokenType.JAB_TAK_HAI_JAAN,
+        'break': TokenType.BREAK,
+        'continue': TokenType.CONTINUE,
+        'for': TokenType.HAR,
+        'in': TokenType.KE_LIYE,
+        'to': TokenType.SE,
+        'do': TokenType.TAK,
+        'step': TokenType.STEP,
+        'try': TokenType.KOSHISH_KARO,
+        'catch': TokenType.PAKDA_GAYA,
+        'finally': TokenType.AAKHIR_MEIN,
+        'throw': TokenType.FENK_DO,
+        'function': TokenType.CLIMAX,
+        'return': TokenType.DIALOGUE_WAPAS_DO,
+        'from': TokenType.LE_AAO,
+        'import': TokenType.SE,
+        'export': TokenType.BAHAR_BHEJO,
+        'print': TokenType.EK_BAAT_BATAUN,
+        'true': TokenType.SACH,
+        'false': TokenType.GALAT,
+        'null': TokenType.KHAALI,
+    },
+};
+
+// Keywords that only mean something where a loop or import needs them.
+// Elsewhere they are plain identifiers, so 'maan lo step = 1' still works.
+export const ContextualKeywords = new Set([TokenType.HAR, TokenType.SE, TokenType.TAK, TokenType.STEP]);
+
 // Single character operators
 export const SingleCharTokens = {
     '+': TokenType.PLUS,
@@ -102,18 +231,23 @@ export const SingleCharTokens = {
     ')': TokenType.RPAREN,
     '{': TokenType.LBRACE,
     '}': TokenType.RBRACE,
+    '[': TokenType.LBRACKET,
+    ']': TokenType.RBRACKET,
     ',': TokenType.COMMA,
     ':': TokenType.COLON,
+    '.': TokenType.DOT,
 };
 
 // Token class
 export class Token {
-    constructor(type, lexeme, literal, line, column) {
+    constructor(type, lexeme, literal, line, column, offset = null) {
         this.type = type;
         this.lexeme = lexeme;
         this.literal = literal;
         this.line = line;
-        this.column = column;
+        this.column = column;   // In characters (code points)
+        this.offset = offset;   // Index into the source string (UTF-16 code units)
+        this.keyword = null; // For an identifier spelled like a contextual keyword
     }
 
     toString() {
@@ -3,7 +3,10 @@
  * Comprehensive tests for all compiler components
  */
 
-import { MasalaScript } from '../src/masalascript.js';
+import { readFileSync, readdirSync } from 'fs';
+import { runInNewContext, runInContext, createContext } from 'vm';
+import { MasalaScript, ReplSession, migrateSource, tokenize, parse } from '../src/masalascript.js';
+import { buildBrowserBundle } from '../scripts/build-browser.js';
 
 // Test counter
 let passed = 0;
@@ -85,6 +88,65 @@ test('Missing paisa vasool throws error', () => {
     assertTrue(result.error.includes('paisa vasool'));
 });
 
+test('Both delimiter spellings are accepted by default', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: "naya"
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['naya']);
+});
+
+test('Strict dialect rejects the legacy delimiters', () => {
+    const strict = new MasalaScript({ dialect: 'strict' });
+    assertTrue(strict.run('Chal bhai suru kar\nbas khatam karo').success);
+    const result = strict.run('action!\npaisa vasool');
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'ParserError');
+});
+
+test('Legacy dialect rejects the canonical delimiters', () => {
+    const legacy = new MasalaScript({ dialect: 'legacy' });
+    assertTrue(legacy.run('action!\nmaan lo x = 1\npaisa vasool').success);
+    assertFalse(legacy.run('Chal bhai suru kar\nbas khatam karo').success);
+});
+
+test('Unknown dialect throws error', () => {
+    const result = new MasalaScript({ dialect: 'klingon' }).run('Chal bhai suru kar\nbas khatam karo');
+    assertFalse(result.success);
+    assertTrue(result.error.includes('klingon'));
+});
+
+test('migrateSource rewrites only the delimiters', () => {
+    const source = [
+        '// action! is the old start',
+        'ACTION!   // keep this comment',
+        'ek baat bataun: "paisa vasool"',
+        '    paisa vasool',
+        ''
+    ].join('\r\n');
+    const result = migrateSource(source);
+    assertEqual(result.source, [
+        '// action! is the old start',
+        'Chal bhai suru kar   // keep this comment',
+        'ek baat bataun: "paisa vasool"',
+        '    bas khatam karo',
+        ''
+    ].join('\r\n'));
+    assertEqual(result.changes.map(change => [change.line, change.column, change.from]), [
+        [2, 1, 'ACTION!'],
+        [4, 5, 'paisa vasool']
+    ]);
+    assertEqual(migrateSource(result.source).changes, []);
+});
+
+test('migrateSource handles emoji before a delimiter', () => {
+    const result = migrateSource('action!\nek baat bataun: "🎬🍿" paisa vasool');
+    assertEqual(result.source, 'Chal bhai suru kar\nek baat bataun: "🎬🍿" bas khatam karo');
+    assertEqual(result.changes[1].column, 22);
+});
+
 // ---------- Variables ----------
 console.log('\n📝 Variable Tests:');
 
@@ -375,6 +437,58 @@ test('Logical NOT', () => {
     assertEqual(result.output, ['galat']);
 });
 
+test('&& skips the right side when the left is falsy', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax check(x) {
+            ek baat bataun: "check called"
+            dialogue wapas do x > 0
+        }
+        maan lo x = khaali
+        ek baat bataun: x != khaali && check(x)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['galat']);
+});
+
+test('|| skips the right side when the left is truthy', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax expensive() {
+            ek baat bataun: "expensive called"
+            dialogue wapas do sach
+        }
+        ek baat bataun: sach || expensive()
+        ek baat bataun: galat || expensive()
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['sach', 'expensive called', 'sach']);
+});
+
+test('Logical operators return booleans, not operands', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: 5 && "hello", khaali || galat, khaali || 0
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['sach galat sach']);
+});
+
+test('Short-circuit avoids runtime errors on the right side', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo list = [1, 2]
+        maan lo i = 5
+        ek baat bataun: i < 2 && list[i] == 1
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['galat']);
+});
+
 // ---------- String Operations ----------
 console.log('\n📜 String Tests:');
 
@@ -408,6 +522,68 @@ test('Escape sequences in strings', () => {
     assertEqual(result.output, ['Line1\nLine2']);
 });
 
+test('String interpolation', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo name = "Aman"
+        maan lo marks = 82
+        ek baat bataun: "Naam: {name}, marks: {marks + 5}"
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Naam: Aman, marks: 87']);
+});
+
+test('String interpolation with calls, lists and nested strings', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax double(n) {
+            dialogue wapas do n * 2
+        }
+        maan lo student = { naam: "Riya", marks: [70, 90] }
+        ek baat bataun: "{student.naam}: {double(student.marks[1])} {"(" + sach + ")"}"
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Riya: 180 (sach)']);
+});
+
+test('Escaped braces are not interpolated', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo x = 1
+        ek baat bataun: "\\{x\\} = {x}"
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['{x} = 1']);
+});
+
+test('Undefined variable inside interpolation throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: "Hello {missing}"
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'SemanticError');
+    assertTrue(result.error.includes('missing'));
+});
+
+test('Lexer error inside interpolation points at the right column', () => {
+    const result = runCode('Chal bhai suru kar\nek baat bataun: "ab {1 # 2}"\nbas khatam karo');
+    assertFalse(result.success);
+    assertEqual(result.errorObject.line, 2);
+    assertEqual(result.errorObject.column, 24);
+});
+
+test('Unclosed interpolation brace throws error', () => {
+    const result = runCode('Chal bhai suru kar\nek baat bataun: "ab {x"\nbas khatam karo');
+    assertFalse(result.success);
+    assertEqual(result.errorObject.line, 2);
+    assertEqual(result.errorObject.column, 21);
+});
+
 // ---------- Conditionals ----------
 console.log('\n🔀 Conditional Tests:');
 
@@ -519,6 +695,230 @@ test('Nested loops', () => {
     assertEqual(result.output, ['1', '2', '2', '4']);
 });
 
+test('Break exits the loop early', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo i = 1
+        jab tak hai jaan (sach) {
+            agar kismat rahi (i > 3) {
+                me bahar ja raha hu
+            }
+            ek baat bataun: i
+            i = i + 1
+        }
+        ek baat bataun: "done"
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '2', '3', 'done']);
+});
+
+test('Continue skips to the next iteration', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo i = 0
+        jab tak hai jaan (i < 5) {
+            i = i + 1
+            agar kismat rahi (i % 2 == 0) {
+                agla dekho
+            }
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '3', '5']);
+});
+
+test('Break only exits the innermost loop', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo outer = 1
+        jab tak hai jaan (outer <= 2) {
+            maan lo inner = 1
+            jab tak hai jaan (sach) {
+                me bahar ja raha hu
+            }
+            ek baat bataun: outer
+            outer = outer + 1
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '2']);
+});
+
+test('Break outside loop throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        me bahar ja raha hu
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('loop'));
+});
+
+test('Continue inside function body (outside loop) throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo i = 0
+        jab tak hai jaan (i < 1) {
+            climax skip() {
+                agla dekho
+            }
+            i = i + 1
+        }
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('agla dekho'));
+});
+
+test('Counted loop (har ... ke liye)', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 1 se 5 tak {
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '2', '3', '4', '5']);
+});
+
+test('Counted loop with step', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 1 se 10 tak (step 3) {
+            ek baat bataun: i
+        }
+        har j ke liye 10 se 1 tak step -4 {
+            ek baat bataun: j
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '4', '7', '10', '10', '6', '2']);
+});
+
+test('Counted loop with a fractional step reaches the end', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 0 se 1 tak step 0.1 {
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output.length, 11);
+    assertEqual(result.output[8], '0.8');
+    assertEqual(result.output[10], '1');
+});
+
+test('har, se, tak and step still work as names', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo har = 3
+        ek baat bataun: har
+        maan lo step = 2
+        maan lo se = 1
+        maan lo tak = 5
+        har i ke liye se se tak tak step step {
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['3', '1', '3', '5']);
+
+    const english = new MasalaScript({ dialect: 'english' }).run('begin\nlet to = 1\nlet do = 2\nprint to + do\nend');
+    assertEqual(english.output, ['3']);
+});
+
+test('Counted loop counts down when start > end', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 3 se 1 tak {
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['3', '2', '1']);
+});
+
+test('Counted loop variable is scoped to the loop', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 1 se 2 tak {
+            ek baat bataun: i
+        }
+        ek baat bataun: i
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes("'i'"));
+});
+
+test('Counted loop supports break and continue', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 1 se 10 tak {
+            agar kismat rahi (i == 2) {
+                agla dekho
+            }
+            agar kismat rahi (i == 4) {
+                me bahar ja raha hu
+            }
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1', '3']);
+});
+
+test('Counted loop with zero step throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        har i ke liye 1 se 5 tak step 0 {
+            ek baat bataun: i
+        }
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('step'));
+});
+
+test('Counted loop respects the loop limit', () => {
+    const result = new MasalaScript({ output: null, maxLoopIterations: 100000 }).run(`
+        Chal bhai suru kar
+        maan lo total = 0
+        har i ke liye 1 se 200000 tak {
+            total = total + 1
+        }
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('Loop limit'));
+    assertEqual(result.errorObject.line, 4);
+});
+
+test('Long loops run without a loop limit', () => {
+    const output = [];
+    const result = new MasalaScript({ output }).run(`
+        Chal bhai suru kar
+        maan lo total = 0
+        har i ke liye 1 se 200000 tak {
+            total = total + 1
+        }
+        ek baat bataun: total
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(output.map(entry => entry.text), ['200000']);
+});
+
 // ---------- Functions ----------
 console.log('\n⚡ Function Tests:');
 
@@ -642,88 +1042,2217 @@ test('Return outside function throws error', () => {
     assertTrue(result.error.includes('function'));
 });
 
-// ---------- Print Statement ----------
-console.log('\n📢 Print Tests:');
-
-test('Print multiple values', () => {
+test('Anonymous function stored in a variable', () => {
     const result = runCode(`
-        action!
-        ek baat bataun: "Name:", "Aman", "Age:", 25
-        paisa vasool
+        Chal bhai suru kar
+        maan lo square = climax (n) {
+            dialogue wapas do n * n
+        }
+        ek baat bataun: square(7)
+        ek baat bataun: square
+        bas khatam karo
     `);
     assertTrue(result.success);
-    assertEqual(result.output, ['Name: Aman Age: 25']);
+    assertEqual(result.output, ['49', '<function anonymous>']);
 });
 
-test('Print expressions', () => {
+test('Closures and calling a returned function', () => {
     const result = runCode(`
-        action!
-        ek baat bataun: 2 + 2, "equals", 4
-        paisa vasool
+        Chal bhai suru kar
+        climax makeAdder(x) {
+            dialogue wapas do climax (y) {
+                dialogue wapas do x + y
+            }
+        }
+        maan lo addTwo = makeAdder(2)
+        ek baat bataun: makeAdder(2)(3), addTwo(10)
+        bas khatam karo
     `);
     assertTrue(result.success);
-    assertEqual(result.output, ['4 equals 4']);
+    assertEqual(result.output, ['5 12']);
 });
 
-// ---------- Comments ----------
-console.log('\n💬 Comment Tests:');
-
-test('Single line comments', () => {
+test('Closures keep their own state', () => {
     const result = runCode(`
-        action!
-        // This is a comment
-        maan lo x = 10 // Another comment
-        ek baat bataun: x
-        paisa vasool
+        Chal bhai suru kar
+        climax makeCounter() {
+            maan lo count = 0
+            dialogue wapas do climax () {
+                count = count + 1
+                dialogue wapas do count
+            }
+        }
+        maan lo a = makeCounter()
+        maan lo b = makeCounter()
+        a()
+        a()
+        ek baat bataun: a(), b()
+        bas khatam karo
     `);
     assertTrue(result.success);
-    assertEqual(result.output, ['10']);
+    assertEqual(result.output, ['3 1']);
 });
 
-// ---------- Complex Programs ----------
-console.log('\n🎯 Integration Tests:');
-
-test('Fibonacci sequence', () => {
+test('Functions passed as arguments and stored in lists/dicts', () => {
     const result = runCode(`
-        action!
-        maan lo a = 0
-        maan lo b = 1
-        maan lo i = 0
-        jab tak hai jaan (i < 8) {
-            ek baat bataun: a
-            maan lo temp = a + b
-            a = b
-            b = temp
-            i = i + 1
+        Chal bhai suru kar
+        climax apply(f, value) {
+            dialogue wapas do f(value)
         }
-        paisa vasool
+        maan lo ops = [climax (n) { dialogue wapas do n + 1 }]
+        maan lo calc = { double: climax (n) { dialogue wapas do n * 2 } }
+        ek baat bataun: apply(ops[0], 1), calc.double(4), (climax (n) { dialogue wapas do -n })(3)
+        bas khatam karo
     `);
     assertTrue(result.success);
-    assertEqual(result.output, ['0', '1', '1', '2', '3', '5', '8', '13']);
+    assertEqual(result.output, ['2 8 -3']);
 });
 
-test('FizzBuzz variant', () => {
+test('Nested named functions can be called', () => {
     const result = runCode(`
-        action!
-        maan lo i = 1
-        jab tak hai jaan (i <= 15) {
-            agar kismat rahi (i % 15 == 0) {
-                ek baat bataun: "FizzBuzz"
-            } nahi to (i % 3 == 0) {
-                ek baat bataun: "Fizz"
-            } nahi to (i % 5 == 0) {
-                ek baat bataun: "Buzz"
-            } warna {
-                ek baat bataun: i
+        Chal bhai suru kar
+        climax outer() {
+            climax inner(n) {
+                dialogue wapas do n * 10
             }
-            i = i + 1
+            dialogue wapas do inner(4)
         }
-        paisa vasool
+        ek baat bataun: outer()
+        bas khatam karo
     `);
     assertTrue(result.success);
-    assertEqual(result.output, [
-        '1', '2', 'Fizz', '4', 'Buzz', 'Fizz', '7', '8',
-        'Fizz', 'Buzz', '11', 'Fizz', '13', '14', 'FizzBuzz'
+    assertEqual(result.output, ['40']);
+});
+
+test('Wrong argument count for anonymous function variable is caught before running', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: "start"
+        maan lo add = climax (a, b) {
+            dialogue wapas do a + b
+        }
+        add(1)
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'SemanticError');
+    assertTrue(result.error.includes('argument'));
+});
+
+test('A function variable reassigned in a later function keeps no fixed argument count', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo f = climax (a) {
+            dialogue wapas do a
+        }
+        climax chalao() {
+            dialogue wapas do f(1, 2)
+        }
+        climax setF() {
+            f = climax (a, b) {
+                dialogue wapas do a + b
+            }
+        }
+        setF()
+        ek baat bataun: chalao()
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['3']);
+});
+
+test('A declared function reassigned elsewhere keeps no fixed argument count', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax badlo() {
+            jod = climax (a, b, c) { dialogue wapas do a + b + c }
+        }
+        climax jod(a, b) {
+            dialogue wapas do a + b
+        }
+        badlo()
+        ek baat bataun: jod(1, 2, 3)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['6']);
+});
+
+test('Calling a non-function value throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [1, 2]
+        marks[0](5)
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('function nahi hai'));
+});
+
+// ---------- Lists ----------
+console.log('\n📚 List Tests:');
+
+test('List literal', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [82, 75, 91]
+        ek baat bataun: marks
+        ek baat bataun: []
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['[82, 75, 91]', '[]']);
+});
+
+test('List with mixed values', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: ["Aman", 1, sach, khaali, [2, 3]]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['["Aman", 1, sach, khaali, [2, 3]]']);
+});
+
+test('List indexing', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [82, 75, 91]
+        maan lo i = 2
+        ek baat bataun: marks[0], marks[i], marks[i - 1]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['82 91 75']);
+});
+
+test('Nested list indexing', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo grid = [[1, 2], [3, 4]]
+        ek baat bataun: grid[1][0]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['3']);
+});
+
+test('List index assignment', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [82, 75, 91]
+        marks[1] = 80
+        maan lo grid = [[1, 2], [3, 4]]
+        grid[0][1] = 9
+        ek baat bataun: marks
+        ek baat bataun: grid
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['[82, 80, 91]', '[[1, 9], [3, 4]]']);
+});
+
+test('String indexing', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: "Masala"[0]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['M']);
+});
+
+test('Assigning to a string index says strings cannot change', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo naam = "Masala"
+        naam[0] = "P"
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.line, 4);
+    assertTrue(result.errorObject.message.includes('String ke andar kuch badal nahi sakte'));
+});
+
+test('List equality compares items', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: [1, 2] == [1, 2], [1, 2] == [2, 1]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['sach galat']);
+});
+
+test('Out of range index throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [82, 75, 91]
+        ek baat bataun: marks[3]
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('Index 3'));
+});
+
+test('Non-integer index throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [82, 75, 91]
+        marks[1.5] = 0
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('1.5'));
+});
+
+test('Indexing a number throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo x = 5
+        ek baat bataun: x[0]
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('number'));
+});
+
+test('A list that contains itself prints as [...] there', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo xs = [1, 2]
+        xs[0] = xs
+        ek baat bataun: xs
+        ek baat bataun: [xs]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['[[...], 2]', '[[[...], 2]]']);
+});
+
+test('A list shared but not cyclic prints in full', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo xs = [1]
+        ek baat bataun: [xs, xs]
+        bas khatam karo
+    `);
+    assertEqual(result.output, ['[[1], [1]]']);
+});
+
+test('Comparing self-referencing lists does not overflow', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo xs = [1]
+        xs[0] = xs
+        maan lo ys = [1]
+        ys[0] = ys
+        ek baat bataun: xs == xs, xs == ys, xs == [xs], xs == [1]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['sach sach sach galat']);
+});
+
+// ---------- Dicts ----------
+console.log('\n🗂️ Dict Tests:');
+
+test('Dict literal', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo student = { naam: "Aman", marks: 82 }
+        ek baat bataun: student
+        ek baat bataun: {}
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['{naam: "Aman", marks: 82}', '{}']);
+});
+
+test('Dict key access with dot and brackets', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo student = { naam: "Aman", "marks": 82 }
+        maan lo key = "marks"
+        ek baat bataun: student.naam, student["marks"], student[key]
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Aman 82 82']);
+});
+
+test('Dict key assignment', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo student = { naam: "Aman", marks: 82 }
+        student.marks = 90
+        student["city"] = "Delhi"
+        ek baat bataun: student
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['{naam: "Aman", marks: 90, city: "Delhi"}']);
+});
+
+test('Nested dicts and lists', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo school = {
+            students: [{ naam: "Aman" }, { naam: "Riya" }],
+        }
+        school.students[1].naam = "Priya"
+        ek baat bataun: school.students[1].naam
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Priya']);
+});
+
+test('Dict equality compares entries', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: { a: 1, b: [2] } == { b: [2], a: 1 }, { a: 1 } == { a: 2 }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['sach galat']);
+});
+
+test('Missing dict key throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo student = { naam: "Aman" }
+        ek baat bataun: student.marks
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes("'marks'"));
+});
+
+test('Dot access on a list throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo marks = [1, 2]
+        ek baat bataun: marks.naam
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('list'));
+});
+
+test('Decimal numbers still lex with the dot token', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo point = { x: 1.5 }
+        ek baat bataun: point.x + 0.25
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['1.75']);
+});
+
+test('A dict that contains itself prints and compares without overflowing', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo d = {naam: "Raju"}
+        d.khud = d
+        maan lo e = {naam: "Raju"}
+        e.khud = e
+        ek baat bataun: d
+        ek baat bataun: d == e, d == {naam: "Raju", khud: d}, d == {naam: "Raju"}
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['{naam: "Raju", khud: {...}}', 'sach sach galat']);
+});
+
+// ---------- Error Handling ----------
+console.log('\n🛡️ Error Handling Tests:');
+
+test('Catch a runtime error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            ek baat bataun: 10 / 0
+            ek baat bataun: "not reached"
+        } pakda gaya (e) {
+            ek baat bataun: e.name, e.line
+            ek baat bataun: e.message
+        }
+        ek baat bataun: "program chalta raha"
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, [
+        'RuntimeError 4',
+        'Zero se divide? Yeh toh impossible hai bhai!',
+        'program chalta raha'
+    ]);
+});
+
+test('Throw and catch a custom value', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax check(marks) {
+            agar kismat rahi (marks < 0) {
+                fenk do { code: 42 }
+            }
+            dialogue wapas do marks
+        }
+        koshish karo {
+            check(-1)
+        } pakda gaya (e) {
+            ek baat bataun: e.name, e.value.code, e.type
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['ThrowError 42 Bawaal ho gaya! Thrown Error']);
+});
+
+test('Finally runs after success and after catch', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            ek baat bataun: "try"
+        } aakhir mein {
+            ek baat bataun: "finally 1"
+        }
+        koshish karo {
+            fenk do "oops"
+        } pakda gaya {
+            ek baat bataun: "caught"
+        } aakhir mein {
+            ek baat bataun: "finally 2"
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['try', 'finally 1', 'caught', 'finally 2']);
+});
+
+test('Return and break pass through finally', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        climax early() {
+            koshish karo {
+                dialogue wapas do "returned"
+            } aakhir mein {
+                ek baat bataun: "cleanup"
+            }
+            dialogue wapas do "not reached"
+        }
+        ek baat bataun: early()
+        har i ke liye 1 se 3 tak {
+            koshish karo {
+                me bahar ja raha hu
+            } pakda gaya (e) {
+                ek baat bataun: "break is not an error"
+            } aakhir mein {
+                ek baat bataun: "loop cleanup", i
+            }
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['cleanup', 'returned', 'loop cleanup 1']);
+});
+
+test('Uncaught throw stops the program with its message', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            fenk do "andar se"
+        } aakhir mein {
+            ek baat bataun: "cleanup"
+        }
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'ThrowError');
+    assertTrue(result.error.includes('andar se'));
+});
+
+test('Try without catch or finally throws error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            ek baat bataun: 1
+        }
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('pakda gaya'));
+});
+
+test('Caught error variable is scoped to the handler', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            fenk do "x"
+        } pakda gaya (e) {
+        }
+        ek baat bataun: e
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'SemanticError');
+});
+
+// ---------- Built-in Functions ----------
+console.log('\n🧰 Built-in Function Tests:');
+
+test('lambai gives the length of strings, lists and dicts', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: lambai("masala"), lambai([1, 2, 3]), lambai({a: 1})
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['6 3 1']);
+});
+
+test('Rounding with gol, neeche_gol and upar_gol', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: gol(2.5), neeche_gol(2.9), upar_gol(2.1)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['3 2 3']);
+});
+
+test('number_banao, text_banao and type_batao convert values', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        ek baat bataun: number_banao("41") + 1, text_banao(4) + text_banao(2)
+        ek baat bataun: type_batao(1), type_batao("a"), type_batao(sach), type_batao(khaali)
+        ek baat bataun: type_batao([]), type_batao({}), type_batao(gol)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, [
+        '42 42',
+        'number string boolean khaali',
+        'list dict function'
+    ]);
+});
+
+test('List and dict helpers', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo xs = [1]
+        jodo(xs, 2)
+        ek baat bataun: nikalo(xs), xs
+        maan lo d = {naam: "Raju", umar: 30}
+        ek baat bataun: chaabiyan(d), hai_kya(d, "naam"), hai_kya(d, "city")
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['2 [1]', '["naam", "umar"] sach galat']);
+});
+
+test('Built-in arity is checked by the analyzer', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        lambai("a", "b")
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'SemanticError');
+});
+
+test('Built-in type errors report the calling line', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maan lo x = 5
+        ek baat bataun: lambai(x)
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertEqual(result.errorObject.line, 4);
+});
+
+test('Invalid number_banao input can be caught', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        koshish karo {
+            number_banao("das")
+        } pakda gaya (e) {
+            ek baat bataun: e.message
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['"das" ko number nahi bana sakte']);
+});
+
+test('Built-ins can be passed around and shadowed but not reassigned', () => {
+    const passed = runCode(`
+        Chal bhai suru kar
+        maan lo f = lambai
+        ek baat bataun: f("abc"), lambai
+        bas khatam karo
+    `);
+    assertTrue(passed.success);
+    assertEqual(passed.output, ['3 <native function lambai>']);
+
+    const shadowed = new MasalaScript().run(`
+        Chal bhai suru kar
+        climax gol(x) {
+            dialogue wapas do "mera gol"
+        }
+        ek baat bataun: gol(1)
+        bas khatam karo
+    `);
+    assertTrue(shadowed.success);
+    assertEqual(shadowed.output, ['mera gol']);
+
+    const reassigned = runCode(`
+        Chal bhai suru kar
+        gol = 5
+        bas khatam karo
+    `);
+    assertFalse(reassigned.success);
+});
+
+// ---------- Host Embedding ----------
+console.log('\n🔌 Host Embedding Tests:');
+
+test('Host functions can be called from scripts', () => {
+    const prices = { chai: 10, samosa: 15 };
+    const host = new MasalaScript();
+    host.defineFunction('getPrice', 1, (item) => prices[item]);
+    const result = host.run(`
+        Chal bhai suru kar
+        ek baat bataun: getPrice("chai") + getPrice("samosa")
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['25']);
+});
+
+test('Host globals are marshalled into lists and dicts', () => {
+    const host = new MasalaScript({
+        globals: { menu: ['chai', 'samosa'], shop: { naam: 'Raju', khula: true }, kuchNahi: undefined }
+    });
+    const result = host.run(`
+        Chal bhai suru kar
+        ek baat bataun: menu[1], lambai(menu), shop.naam, shop["khula"], kuchNahi
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['samosa 2 Raju sach khaali']);
+});
+
+test('Self-referencing values keep their cycles when marshalled', () => {
+    const shop = { naam: 'Raju', items: [] };
+    shop.self = shop;
+    shop.items.push(shop.items);
+    let received;
+    const host = new MasalaScript({
+        output: null,
+        globals: { shop },
+        functions: { save: (value) => { received = value; } }
+    });
+    const result = host.run(`
+        Chal bhai suru kar
+        ek baat bataun: shop.self.naam, shop.items
+        maan lo d = {naam: "Simran"}
+        d.khud = d
+        save(d)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Raju [[...]]']);
+    assertTrue(received.khud === received);
+    assertEqual(received.naam, 'Simran');
+});
+
+test('Script values are marshalled into JavaScript values', () => {
+    let received;
+    const host = new MasalaScript({
+        functions: { save: (value) => { received = value; } }
+    });
+    const result = host.run(`
+        Chal bhai suru kar
+        save({naam: "Raju", marks: [90, khaali], pass: sach})
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(JSON.stringify(received), '{"naam":"Raju","marks":[90,null],"pass":true}');
+});
+
+test('Host functions receive script functions as callbacks', () => {
+    const host = new MasalaScript();
+    host.defineFunction('twice', 2, (fn, x) => fn(fn(x)));
+    const result = host.run(`
+        Chal bhai suru kar
+        ek baat bataun: twice(climax (n) { dialogue wapas do n * 3 }, 2)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['18']);
+});
+
+test('Host function exceptions become runtime errors at the call line', () => {
+    const host = new MasalaScript();
+    host.defineFunction('getPrice', 1, (item) => {
+        throw new Error(`no price for ${item}`);
+    });
+    const result = host.run(`
+        Chal bhai suru kar
+        maan lo item = "vada"
+        ek baat bataun: getPrice(item)
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertEqual(result.errorObject.line, 4);
+    assertTrue(result.error.includes('no price for vada'));
+});
+
+test('A rejected promise from a host function is not left unhandled', () => {
+    const promise = Promise.reject(new Error('boom'));
+    let handled = false;
+    const then = promise.then.bind(promise);
+    promise.then = (onFulfilled, onRejected) => {
+        handled = handled || typeof onRejected === 'function';
+        return then(onFulfilled, onRejected);
+    };
+    const host = new MasalaScript({ output: null, functions: { f: () => promise } });
+    const result = host.run('Chal bhai suru kar\nf()\nbas khatam karo');
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertTrue(handled);
+});
+
+test('Analyzer checks host function arity and allows any count for null arity', () => {
+    const host = new MasalaScript();
+    host.defineFunction('getPrice', 1, () => 0);
+    host.defineFunction('sum', null, (...xs) => xs.reduce((a, b) => a + b, 0));
+    const wrong = host.run('Chal bhai suru kar\ngetPrice()\nbas khatam karo');
+    assertFalse(wrong.success);
+    assertEqual(wrong.errorObject.name, 'SemanticError');
+    const result = host.run('Chal bhai suru kar\nek baat bataun: sum(1, 2, 3), sum()\nbas khatam karo');
+    assertTrue(result.success);
+    assertEqual(result.output, ['6 0']);
+});
+
+test('Functions given as options accept any argument count unless an arity is given', () => {
+    const host = new MasalaScript({
+        output: null,
+        functions: {
+            logAll: (...items) => items.length,
+            greet: (name, greeting = 'Namaste') => `${greeting} ${name}`,
+            getPrice: { arity: 1, fn: () => 10 }
+        }
+    });
+    const result = host.run('Chal bhai suru kar\nek baat bataun: logAll(1, 2, 3), greet("Raju")\nbas khatam karo');
+    assertTrue(result.success);
+    assertEqual(result.output, ['3 Namaste Raju']);
+    const wrong = host.run('Chal bhai suru kar\ngetPrice(1, 2)\nbas khatam karo');
+    assertEqual(wrong.errorObject.name, 'SemanticError');
+});
+
+test('Host names are visible in imported modules', () => {
+    const host = new MasalaScript({
+        modules: {
+            'shop.ms': 'Chal bhai suru kar\nbahar bhejo climax total() {\n    dialogue wapas do getPrice("chai") * 2\n}\nbas khatam karo'
+        }
+    });
+    host.defineFunction('getPrice', 1, () => 10);
+    const result = host.run(`
+        Chal bhai suru kar
+        le aao "shop.ms" se total
+        ek baat bataun: total()
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['20']);
+});
+
+test('A call back into the script during a run keeps the run output', () => {
+    const m = new MasalaScript({ output: null });
+    m.defineFunction('cb', 0, () => m.call('g'));
+    const result = m.run([
+        'Chal bhai suru kar',
+        'climax g() {',
+        '    ek baat bataun: "in g"',
+        '}',
+        'ek baat bataun: "first"',
+        'cb()',
+        'ek baat bataun: "last"',
+        'bas khatam karo'
+    ].join('\n'));
+    assertTrue(result.success);
+    assertEqual(result.output, ['first', 'in g', 'last']);
+});
+
+test('Host can call script functions after a run', () => {
+    const host = new MasalaScript();
+    const result = host.run(`
+        Chal bhai suru kar
+        climax add(a, b) {
+            dialogue wapas do a + b
+        }
+        climax discount(order) {
+            agar kismat rahi (order.total > 100) {
+                dialogue wapas do {rate: 10, items: order.items}
+            }
+            dialogue wapas do khaali
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(host.call('add', [2, 3]), 5);
+    assertEqual(JSON.stringify(host.call('discount', [{ total: 150, items: ['chai'] }])), '{"rate":10,"items":["chai"]}');
+    assertEqual(host.call('discount', [{ total: 50 }]), null);
+
+    const add = host.getFunction('add');
+    assertEqual(add('chai', '!'), 'chai!');
+});
+
+test('Calling script functions from the host validates the call', () => {
+    const host = new MasalaScript();
+    host.run(`
+        Chal bhai suru kar
+        climax add(a, b) {
+            dialogue wapas do a + b
+        }
+        climax half(n) {
+            dialogue wapas do n / 0
+        }
+        maan lo notAFunction = 5
+        bas khatam karo
+    `);
+
+    const errorOf = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+
+    const wrongCount = errorOf(() => host.call('add', [1]));
+    assertEqual(wrongCount.name, 'RuntimeError');
+    assertTrue(wrongCount.message.includes('2 arguments chahiye'));
+    assertTrue(errorOf(() => host.call('missing')).message.includes("'missing' define nahi"));
+    assertTrue(errorOf(() => host.getFunction('notAFunction')).message.includes('function nahi hai'));
+
+    const failed = errorOf(() => host.call('half', [4]));
+    assertEqual(failed.name, 'RuntimeError');
+    assertEqual(failed.line, 7);
+});
+
+// ---------- Input ----------
+console.log('\n🎤 Input Tests:');
+
+test('poocho reads answers from a queued array', () => {
+    const host = new MasalaScript({ input: ['Raju', '29'] });
+    const result = host.run(`
+        Chal bhai suru kar
+        maan lo naam = poocho("Naam kya hai?")
+        maan lo umar = number_banao(poocho("Umar?"))
+        ek baat bataun: naam, umar + 1
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Raju 30']);
+});
+
+test('An answer array is left alone and replayed on every run', () => {
+    const answers = ['Raju'];
+    const host = new MasalaScript({ input: answers });
+    const source = 'Chal bhai suru kar\nek baat bataun: poocho("Naam?")\nbas khatam karo';
+    assertEqual(host.run(source).output, ['Raju']);
+    assertEqual(host.run(source).output, ['Raju']);
+    assertEqual(answers, ['Raju']);
+});
+
+test('poocho passes the question to an input provider function', () => {
+    const questions = [];
+    const host = new MasalaScript();
+    host.setInput((question) => {
+        questions.push(question);
+        return 42;
+    });
+    const result = host.run(`
+        Chal bhai suru kar
+        maan lo jawab = poocho("Sawal " + text_banao(1))
+        ek baat bataun: jawab, type_batao(jawab)
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(questions, ['Sawal 1']);
+    assertEqual(result.output, ['42 string']);
+});
+
+test('REPL sessions take an input provider for poocho', () => {
+    const questions = [];
+    const session = new ReplSession({ output: null, input: (question) => {
+        questions.push(question);
+        return 'Raju';
+    } });
+    assertTrue(session.evaluate('maan lo naam = poocho("Naam?")').success);
+    assertEqual(session.evaluate('naam').display, 'Raju');
+    assertEqual(questions, ['Naam?']);
+});
+
+test('Running out of input is a runtime error at the poocho line', () => {
+    const host = new MasalaScript({ input: ['sirf ek'] });
+    const result = host.run(`
+        Chal bhai suru kar
+        poocho("Pehla?")
+        poocho("Doosra?")
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertEqual(result.errorObject.line, 4);
+    assertTrue(result.error.includes('Input khatam'));
+});
+
+test('poocho without an input source is a runtime error', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        poocho("Koi hai?")
+        bas khatam karo
+    `);
+    assertFalse(result.success);
+    assertTrue(result.error.includes('input source'));
+});
+
+// ---------- Output ----------
+console.log('\n📣 Output Sink Tests:');
+
+const printTwice = `
+Chal bhai suru kar
+ek baat bataun: "pehla"
+ek baat bataun: "doosra", 2
+bas khatam karo
+`;
+
+test('Output callback receives each print with its line', () => {
+    const calls = [];
+    const host = new MasalaScript({ output: (text, event) => calls.push([text, event.line]) });
+    const result = host.run(printTwice);
+    assertTrue(result.success);
+    assertEqual(calls, [['pehla', 3], ['doosra 2', 4]]);
+});
+
+test('Output can go to a stream', () => {
+    let written = '';
+    const host = new MasalaScript({ output: { write: (chunk) => { written += chunk; } } });
+    host.run(printTwice);
+    assertEqual(written, 'pehla\ndoosra 2\n');
+});
+
+test('Output collector records the file of each print', () => {
+    const events = [];
+    const host = new MasalaScript({
+        filename: 'main.ms',
+        output: events,
+        modules: {
+            'greet.ms': 'Chal bhai suru kar\nbahar bhejo climax greet() {\n    ek baat bataun: "module se"\n}\nbas khatam karo'
+        }
+    });
+    host.run(`Chal bhai suru kar
+le aao "greet.ms" se greet
+ek baat bataun: "main se"
+greet()
+bas khatam karo`);
+    assertEqual(events, [
+        { text: 'main se', line: 3, file: 'main.ms' },
+        { text: 'module se', line: 3, file: 'greet.ms' }
+    ]);
+});
+
+test('Null output is silent but result.output is still filled', () => {
+    let printed = false;
+    const host = new MasalaScript({ output: null });
+    const original = console.log;
+    console.log = () => { printed = true; };
+    let result;
+    try {
+        result = host.run(printTwice);
+    } finally {
+        console.log = original;
+    }
+    assertFalse(printed);
+    assertEqual(result.output, ['pehla', 'doosra 2']);
+});
+
+test('setOutput redirects later runs', () => {
+    const events = [];
+    const host = new MasalaScript({ output: null }).setOutput(events);
+    host.run(printTwice);
+    assertEqual(events.map(event => event.text), ['pehla', 'doosra 2']);
+});
+
+// ---------- Modules ----------
+console.log('\n📦 Module Tests:');
+
+const utilsModule = `
+Chal bhai suru kar
+ek baat bataun: "utils loaded"
+bahar bhejo climax add(a, b) {
+    dialogue wapas do a + b
+}
+bahar bhejo climax multiply(a, b) {
+    dialogue wapas do a * b
+}
+climax secret() {
+    dialogue wapas do 42
+}
+bas khatam karo
+`;
+
+function runWithModules(code, modules) {
+    return new MasalaScript({ filename: 'main.ms', modules }).run(code);
+}
+
+test('Import functions from another module', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./utils.ms" se add, multiply
+        ek baat bataun: add(2, 3), multiply(2, 3)
+        bas khatam karo
+    `, { 'utils.ms': utilsModule });
+    assertTrue(result.success);
+    assertEqual(result.output, ['utils loaded', '5 6']);
+});
+
+test('Modules run once and resolve paths relative to the importer', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "lib/math.ms" se square
+        le aao "./utils.ms" se add
+        ek baat bataun: square(add(1, 2))
+        bas khatam karo
+    `, {
+        'utils.ms': utilsModule,
+        'lib/math.ms': `
+            Chal bhai suru kar
+            le aao "../utils.ms" se multiply
+            bahar bhejo climax square(n) {
+                dialogue wapas do multiply(n, n)
+            }
+            bas khatam karo
+        `
+    });
+    assertTrue(result.success);
+    assertEqual(result.output, ['utils loaded', '9']);
+});
+
+test('Importing a non-exported function throws error', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./utils.ms" se secret
+        bas khatam karo
+    `, { 'utils.ms': utilsModule });
+    assertFalse(result.success);
+    assertTrue(result.error.includes('bahar bhejo'));
+});
+
+test('Imported function arity is checked', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./utils.ms" se add
+        add(1)
+        bas khatam karo
+    `, { 'utils.ms': utilsModule });
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'SemanticError');
+});
+
+test('Missing module throws error', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./nahi-hai.ms" se add
+        bas khatam karo
+    `, {});
+    assertFalse(result.success);
+    assertTrue(result.error.includes('nahi-hai.ms'));
+});
+
+test('Import cycles are detected', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./a.ms" se fromA
+        bas khatam karo
+    `, {
+        'a.ms': 'Chal bhai suru kar\nle aao "./b.ms" se fromB\nbahar bhejo climax fromA() {}\nbas khatam karo',
+        'b.ms': 'Chal bhai suru kar\nle aao "./a.ms" se fromA\nbahar bhejo climax fromB() {}\nbas khatam karo'
+    });
+    assertFalse(result.success);
+    assertTrue(result.error.includes('a.ms -> b.ms -> a.ms'));
+});
+
+test('Errors in a module name the module file', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./broken.ms" se f
+        bas khatam karo
+    `, { 'broken.ms': 'Chal bhai suru kar\nbahar bhejo climax f() {\n    ek baat bataun: missing\n}\nbas khatam karo' });
+    assertFalse(result.success);
+    assertEqual(result.errorObject.file, 'broken.ms');
+    assertEqual(result.errorObject.line, 3);
+    assertTrue(result.error.includes('(broken.ms, Line 3, Column 21)'));
+    assertTrue(result.error.includes('ek baat bataun: missing'));
+});
+
+test('Every error in a module is reported', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./broken.ms" se f
+        bas khatam karo
+    `, { 'broken.ms': 'Chal bhai suru kar\nmaan lo a = b\nbahar bhejo climax f() {\n    ek baat bataun: c\n}\nbas khatam karo' });
+    assertEqual(result.errors.map(error => [error.file, error.line, error.column]), [
+        ['broken.ms', 2, 13],
+        ['broken.ms', 4, 21]
+    ]);
+});
+
+test('A failed import still declares its names', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        le aao "./nahi-hai.ms" se f
+        ek baat bataun: f(1)
+        bas khatam karo
+    `, {});
+    assertEqual(result.errors.length, 1);
+    assertTrue(result.error.includes('nahi-hai.ms'));
+});
+
+test('Import is only allowed at the top level', () => {
+    const result = runWithModules(`
+        Chal bhai suru kar
+        agar kismat rahi (sach) {
+            le aao "./utils.ms" se add
+        }
+        bas khatam karo
+    `, { 'utils.ms': utilsModule });
+    assertFalse(result.success);
+    assertTrue(result.error.includes('top level'));
+});
+
+// ---------- REPL ----------
+console.log('\n🗣️ Dialect Tests:');
+
+test('Default dialect accepts common keyword aliases', () => {
+    const result = runCode(`
+        Chal bhai suru kar
+        maanlo a = 1
+        man lo b = 2
+        agar (a < b) {
+            ek baat bataun: "chhota"
+        } nahi toh (a == b) {
+            ek baat bataun: "barabar"
+        }
+        bas khatam karo
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['chhota']);
+});
+
+test('Strict dialect rejects aliases', () => {
+    const result = new MasalaScript({ dialect: 'strict' }).run('Chal bhai suru kar\nmaanlo a = 1\nbas khatam karo');
+    assertFalse(result.success);
+});
+
+test('English dialect runs a program', () => {
+    const english = new MasalaScript({ dialect: 'english', output: null });
+    const result = english.run(`
+        begin
+        function square(n) {
+            return n * n
+        }
+        let total = 0
+        for i in 1 to 3 do {
+            total = total + square(i)
+        }
+        if (total > 10) {
+            print "big {total}"
+        } else {
+            print "small"
+        }
+        end
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['big 14']);
+});
+
+test('English dialect imports with from/import', () => {
+    const english = new MasalaScript({
+        dialect: 'english',
+        output: null,
+        modules: { 'math.ms': 'begin\nexport function double(n) {\n    return n * 2\n}\nend' }
+    });
+    const result = english.run('begin\nfrom "./math.ms" import double\nprint double(21)\nend');
+    assertTrue(result.success);
+    assertEqual(result.output, ['42']);
+});
+
+test('Custom keyword mapping extends a dialect', () => {
+    const masala = new MasalaScript({
+        output: null,
+        dialect: { extends: 'default', keywords: { 'bolo:': 'EK_BAAT_BATAUN' } }
+    });
+    const result = masala.run('Chal bhai suru kar\nbolo: "hi"\nek baat bataun: "hello"\nbas khatam karo');
+    assertTrue(result.success);
+    assertEqual(result.output, ['hi', 'hello']);
+});
+
+test('Custom keyword mapping without extends stands alone', () => {
+    const masala = new MasalaScript({
+        output: null,
+        dialect: { keywords: { shuru: 'ACTION', khatam: 'PAISA_VASOOL', dikhao: 'EK_BAAT_BATAUN' } }
+    });
+    assertEqual(masala.run('shuru\ndikhao "ok"\nkhatam').output, ['ok']);
+    assertFalse(masala.run('Chal bhai suru kar\nbas khatam karo').success);
+});
+
+test('Custom keyword mapping rejects unknown token types', () => {
+    const masala = new MasalaScript({ dialect: { keywords: { bolo: 'SHOUT' } } });
+    const result = masala.run('Chal bhai suru kar\nbas khatam karo');
+    assertFalse(result.success);
+    assertTrue(result.error.includes('SHOUT'));
+});
+
+test('Errors mention keywords as spelled in the dialect', () => {
+    const english = new MasalaScript({ dialect: 'english' });
+    const missingStart = english.run('let x = 1\nend');
+    assertTrue(missingStart.error.includes("'begin'"));
+    assertFalse(missingStart.error.includes('Chal bhai suru kar'));
+
+    const undefinedVar = english.run('begin\nprint y\nend');
+    assertTrue(undefinedVar.error.includes("pehle 'let' karo"));
+
+    const strayReturn = english.run('begin\nreturn 1\nend');
+    assertTrue(strayReturn.error.includes("'return' sirf function"));
+});
+
+test('Error messages use custom spellings first', () => {
+    const masala = new MasalaScript({ dialect: { extends: 'default', keywords: { maanlo: 'MAAN_LO' } } });
+    const result = masala.run('Chal bhai suru kar\nek baat bataun: y\nbas khatam karo');
+    assertTrue(result.error.includes("pehle 'maanlo' karo"));
+});
+
+test('REPL uses the session dialect', () => {
+    const session = new ReplSession({ dialect: 'english', output: null });
+    assertEqual(session.evaluate('let x = 2').success, true);
+    assertEqual(session.evaluate('x * 21').display, '42');
+    assertTrue(session.evaluate('print z').error.includes("'let'"));
+});
+
+console.log('\n🔤 Unicode Tests:');
+
+test('Devanagari keywords and identifiers', () => {
+    const result = runCode(`
+        चल भाई शुरू कर
+        मान लो नाम = "अमन"
+        मान लो उम्र = 20
+        अगर किस्मत रही (उम्र >= 18) {
+            एक बात बताऊँ: "नमस्ते {नाम}"
+        } वरना {
+            एक बात बताऊँ: "छोटे हो"
+        }
+        बस खतम करो
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['नमस्ते अमन']);
+});
+
+test('Devanagari keywords mix with Latin ones', () => {
+    const result = runCode('Chal bhai suru kar\nमान लो गिनती = 0\nहर i के लिए 1 से 3 तक {\n    गिनती = गिनती + i\n}\nek baat bataun: गिनती\nbas khatam karo');
+    assertTrue(result.success);
+    assertEqual(result.output, ['6']);
+});
+
+test('Keywords need a word boundary in Devanagari too', () => {
+    const result = runCode('चल भाई शुरू कर\nमान लो सचिन = "batsman"\nएक बात बताऊँ: सचिन, सच\nबस खतम करो');
+    assertTrue(result.success);
+    assertEqual(result.output, ['batsman sach']);
+});
+
+test('Identifiers from other scripts and outside the BMP', () => {
+    const result = runCode('Chal bhai suru kar\nmaan lo café = 2\nmaan lo 𝑥 = 3\nek baat bataun: café * 𝑥\nbas khatam karo');
+    assertTrue(result.success);
+    assertEqual(result.output, ['6']);
+});
+
+test('Columns count characters, not UTF-16 code units', () => {
+    const tokens = new MasalaScript().run('Chal bhai suru kar\nmaan lo 𝑥𝑦 = नाम\nbas khatam karo').tokens;
+    const columns = tokens.filter(t => t.line === 2).map(t => [t.lexeme, t.column]);
+    assertEqual(columns, [['maan lo', 1], ['𝑥𝑦', 9], ['=', 12], ['नाम', 14]]);
+});
+
+test('Unexpected non-BMP character is reported whole', () => {
+    const result = runCode('Chal bhai suru kar\nmaan lo x = 😀\nbas khatam karo');
+    assertFalse(result.success);
+    assertTrue(result.error.includes("'😀'"));
+    assertEqual(result.errorObject.column, 13);
+});
+
+test('Error caret lines up after Devanagari text', () => {
+    const result = runCode('Chal bhai suru kar\nmaan lo नाम = "क्या" + @\nbas khatam karo');
+    const lines = result.error.split('\n');
+    const caret = lines[lines.findIndex(line => line.includes('>>')) + 1];
+    // "क्या" is 4 characters; the virama (्) has no width of its own
+    assertEqual(caret, ' '.repeat(8) + 'maan lo नाम = "क्या" + '.replace('्', '').replace(/./gu, ' ') + '^');
+});
+
+test('Devanagari dialect errors use Devanagari keywords', () => {
+    const result = new MasalaScript({ dialect: 'devanagari' }).run('एक बात बताऊँ: x\nबस खतम करो');
+    assertFalse(result.success);
+    assertTrue(result.error.includes("'चल भाई शुरू कर'"));
+});
+
+console.log('\n🩺 Diagnostics Tests:');
+
+function diagnostics(result) {
+    return result.errors.map(error => [error.name, error.line, error.column]);
+}
+
+test('compile() reports every syntax error with line and column', () => {
+    const result = new MasalaScript().compile([
+        'Chal bhai suru kar',
+        'maan lo x = = 5',
+        'maan lo y = 2',
+        'ek baat bataun: (y + ',
+        'maan lo z = [1, 2',
+        'bas khatam karo'
+    ].join('\n'));
+    assertFalse(result.success);
+    assertEqual(diagnostics(result), [
+        ['ParserError', 2, 13],
+        ['ParserError', 5, 1],
+        ['ParserError', 6, 1]
+    ]);
+});
+
+test('Lexer errors are all reported, without a parser error on the same line', () => {
+    const result = new MasalaScript().compile('Chal bhai suru kar\nmaan lo a = 1 @ 2\nmaan lo b = #\nmaan lo c = = 1\nbas khatam karo');
+    assertEqual(diagnostics(result), [
+        ['LexerError', 2, 15],
+        ['LexerError', 3, 13],
+        ['ParserError', 4, 13]
+    ]);
+});
+
+test('Parser recovers inside blocks and skips a broken block whole', () => {
+    const result = new MasalaScript().compile([
+        'Chal bhai suru kar',
+        'climax f(a) {',
+        '    dialogue wapas do a *',
+        '    ek baat bataun: a',
+        '}',
+        'agar kismat rahi (a > ) {',
+        '    ek baat bataun: a',
+        '}',
+        'maan lo ok = sach',
+        'ek baat bataun: )',
+        'bas khatam karo'
+    ].join('\n'));
+    assertEqual(diagnostics(result), [
+        ['ParserError', 4, 5],
+        ['ParserError', 6, 23],
+        ['ParserError', 10, 17]
+    ]);
+});
+
+test('Missing program delimiters are reported along with other errors', () => {
+    const result = new MasalaScript().compile('maan lo x = = 1');
+    assertEqual(result.errors.map(error => error.message.split(' ')[0]), ['Program', 'Yahan', 'Program']);
+});
+
+test('Analyzer reports every semantic error', () => {
+    const result = new MasalaScript().compile([
+        'Chal bhai suru kar',
+        'maan lo x = kuchNahi',
+        'ek baat bataun: x, y',
+        'me bahar ja raha hu',
+        'climax g(a) {',
+        '    dialogue wapas do b',
+        '}',
+        'g(1, 2)',
+        'bas khatam karo'
+    ].join('\n'));
+    assertEqual(diagnostics(result), [
+        ['SemanticError', 2, 13],
+        ['SemanticError', 3, 20],
+        ['SemanticError', 4, 1],
+        ['SemanticError', 6, 23],
+        ['SemanticError', 8, 1]
+    ]);
+    assertTrue(result.errors[0].message.includes('kuchNahi'));
+    assertTrue(result.errors[1].message.includes("'y'"));
+});
+
+test('Lexer and parser errors name the main file', () => {
+    const result = new MasalaScript({ filename: 'game.ms' }).compile('Chal bhai suru kar\nmaan lo a = @\nmaan lo = 1\nbas khatam karo');
+    assertEqual(result.errors.map(error => [error.name, error.file]), [
+        ['LexerError', 'game.ms'],
+        ['ParserError', 'game.ms']
+    ]);
+    assertTrue(result.error.includes('(game.ms, Line 2, Column 13)'));
+});
+
+test('run() reports all errors and runs nothing', () => {
+    const printed = [];
+    const result = new MasalaScript({ output: printed })
+        .run('Chal bhai suru kar\nek baat bataun: "pehle"\nmaan lo a = b\nmaan lo c = d\nbas khatam karo');
+    assertFalse(result.success);
+    assertEqual(printed, []);
+    assertEqual(result.errors.length, 2);
+    assertTrue(result.error.includes("'b'") && result.error.includes("'d'"));
+    assertEqual(result.errorObject, result.errors[0]);
+});
+
+test('tokenize() and parse() still throw the first error', () => {
+    let lexerError = null;
+    try {
+        tokenize('maan lo a = @\nmaan lo b = #');
+    } catch (error) {
+        lexerError = error;
+    }
+    assertTrue(lexerError.message.includes("'@'"));
+
+    let parserError = null;
+    try {
+        parse(tokenize('Chal bhai suru kar\nmaan lo = 1\nmaan lo = 2\nbas khatam karo'));
+    } catch (error) {
+        parserError = error;
+    }
+    assertEqual(parserError.line, 2);
+});
+
+console.log('\n🎞️ Stack Trace Tests:');
+
+test('Runtime errors carry the call stack', () => {
+    const result = runCode([
+        'Chal bhai suru kar',
+        'climax andar(x) {',
+        '    dialogue wapas do x / 0 + lambai(5)',
+        '}',
+        'climax bahar(x) {',
+        '    dialogue wapas do andar(x)',
+        '}',
+        'maan lo y = bahar(1)',
+        'bas khatam karo'
+    ].join('\n'));
+    assertFalse(result.success);
+    assertEqual(result.errorObject.line, 3);
+    assertEqual(result.errorObject.callStack, [
+        { name: 'bahar', line: 8, column: 13, file: null },
+        { name: 'andar', line: 6, column: 23, file: null }
+    ]);
+});
+
+test('Traceback lists the calls, newest first', () => {
+    const result = runCode([
+        'Chal bhai suru kar',
+        'climax andar(x) {',
+        '    fenk do "gadbad"',
+        '}',
+        'climax bahar(x) {',
+        '    dialogue wapas do andar(x)',
+        '}',
+        'bahar(1)',
+        'bas khatam karo'
+    ].join('\n'));
+    const trace = result.error.slice(result.error.indexOf('Flashback')).split('\n').slice(1, 4).map(line => line.trim());
+    assertEqual(trace, [
+        "'andar' ke andar, line 3 - yahan gadbad hui",
+        "'bahar' ke andar, line 6, column 23 - yahan se 'andar' ko bulaya",
+        "main program mein, line 8, column 1 - yahan se 'bahar' ko bulaya"
+    ]);
+});
+
+test('Recursive calls are folded in the traceback', () => {
+    const result = runCode([
+        'Chal bhai suru kar',
+        'climax ulta(n) {',
+        '    agar kismat rahi (n == 0) {',
+        '        dialogue wapas do khaali + 1',
+        '    }',
+        '    dialogue wapas do ulta(n - 1)',
+        '}',
+        'ulta(50)',
+        'bas khatam karo'
+    ].join('\n'));
+    assertEqual(result.errorObject.callStack.length, 51);
+    assertTrue(result.error.includes('upar wali line 49 baar aur'));
+});
+
+test('Long tracebacks keep the newest and oldest calls', () => {
+    const result = runCode([
+        'Chal bhai suru kar',
+        'climax ping(n) {',
+        '    agar kismat rahi (n == 0) {',
+        '        fenk do "thak gaya"',
+        '    }',
+        '    dialogue wapas do pong(n - 1)',
+        '}',
+        'climax pong(n) {',
+        '    dialogue wapas do ping(n)',
+        '}',
+        'ping(15)',
+        'bas khatam karo'
+    ].join('\n'));
+    assertTrue(result.error.includes('lines chhod di'));
+    assertTrue(result.error.includes("main program mein, line 11, column 1 - yahan se 'ping' ko bulaya"));
+});
+
+test('Top-level errors have no traceback', () => {
+    const result = runCode('Chal bhai suru kar\nmaan lo x = 1 / 0\nbas khatam karo');
+    assertEqual(result.errorObject.callStack, []);
+    assertFalse(result.error.includes('Flashback'));
+});
+
+test('Built-in functions get no frame of their own', () => {
+    const result = runCode('Chal bhai suru kar\nclimax f(x) {\n    dialogue wapas do gol(x)\n}\nf("abc")\nbas khatam karo');
+    assertEqual(result.errorObject.line, 3);
+    assertEqual(result.errorObject.callStack.map(frame => frame.name), ['f']);
+});
+
+test('Function values are named after the call in the traceback', () => {
+    const result = runCode('Chal bhai suru kar\nmaan lo kaam = climax (x) { fenk do "nahi" }\nkaam(1)\nbas khatam karo');
+    assertEqual(result.errorObject.callStack.map(frame => frame.name), ['kaam']);
+});
+
+test('Caught errors leave the call stack balanced', () => {
+    const masala = new MasalaScript({ output: null });
+    const result = masala.run([
+        'Chal bhai suru kar',
+        'climax fail() {',
+        '    fenk do "pehla"',
+        '}',
+        'climax safe() {',
+        '    koshish karo {',
+        '        fail()',
+        '    } pakda gaya (e) {',
+        '    }',
+        '}',
+        'safe()',
+        'climax later() {',
+        '    fenk do "doosra"',
+        '}',
+        'later()',
+        'bas khatam karo'
+    ].join('\n'));
+    assertEqual(result.errorObject.callStack.map(frame => frame.name), ['later']);
+    assertEqual(masala.interpreter.callStack, []);
+});
+
+test('Calls from JavaScript show up in the traceback', () => {
+    const masala = new MasalaScript({ output: null });
+    masala.run('Chal bhai suru kar\nclimax check(x) {\n    dialogue wapas do x / 0\n}\nbas khatam karo');
+    let error = null;
+    try {
+        masala.call('check', [1]);
+    } catch (e) {
+        error = e;
+    }
+    assertEqual(error.callStack, [{ name: 'check', line: null, column: null, file: null }]);
+});
+
+console.log('\n🧗 Call Depth Tests:');
+
+const countdown = (n) => [
+    'Chal bhai suru kar',
+    'climax neeche(n) {',
+    '    agar kismat rahi (n == 0) {',
+    '        dialogue wapas do 0',
+    '    }',
+    '    dialogue wapas do neeche(n - 1)',
+    '}',
+    `ek baat bataun: neeche(${n})`,
+    'bas khatam karo'
+].join('\n');
+
+test('Recursion within the default call depth works', () => {
+    const output = [];
+    const result = new MasalaScript({ output }).run(countdown(600));
+    assertTrue(result.success);
+    assertEqual(output.map(entry => entry.text), ['0']);
+});
+
+test('Runaway recursion is a RuntimeError at the recursive call', () => {
+    const result = new MasalaScript({ output: null, maxCallDepth: 500 }).run(countdown(100000));
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertTrue(result.errorObject.message.includes('500 level gehre chale gaye'));
+    assertEqual(result.errorObject.line, 6);
+    assertEqual(result.errorObject.callStack.length, 500);
+    assertTrue(result.error.includes("... upar wali line 498 baar aur"));
+});
+
+test('Runaway recursion with the default limit is still a call depth error', () => {
+    const result = new MasalaScript({ output: null }).run(countdown(100000));
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertTrue(result.errorObject.message.includes('level gehre chale gaye'));
+    assertEqual(result.errorObject.line, 6);
+});
+
+test('maxCallDepth option changes the limit', () => {
+    const masala = new MasalaScript({ output: null, maxCallDepth: 10 });
+    assertTrue(masala.run(countdown(9)).success);
+    const result = masala.run(countdown(10));
+    assertFalse(result.success);
+    assertTrue(result.errorObject.message.includes('10 level gehre chale gaye'));
+    assertEqual(masala.interpreter.callDepth, 0);
+});
+
+test('Call depth error can be caught with koshish karo', () => {
+    const output = [];
+    const result = new MasalaScript({ output, maxCallDepth: 5 }).run([
+        'Chal bhai suru kar',
+        'climax hamesha() {',
+        '    dialogue wapas do hamesha()',
+        '}',
+        'koshish karo {',
+        '    hamesha()',
+        '} pakda gaya (e) {',
+        '    ek baat bataun: "bach gaye"',
+        '}',
+        'bas khatam karo'
+    ].join('\n'));
+    assertTrue(result.success);
+    assertEqual(output.map(entry => entry.text), ['bach gaye']);
+});
+
+test('JavaScript stack overflow is reported as a call depth error', () => {
+    const result = new MasalaScript({ output: null, maxCallDepth: Infinity }).run(countdown(1000000));
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'RuntimeError');
+    assertTrue(result.errorObject.message.includes('level gehre chale gaye'));
+    assertEqual(result.errorObject.line, 6);
+});
+
+test('Invalid maxCallDepth is rejected', () => {
+    for (const maxCallDepth of [0, -1, 2.5, '10']) {
+        let threw = false;
+        try {
+            new MasalaScript({ maxCallDepth });
+        } catch (e) {
+            threw = e instanceof TypeError;
+        }
+        assertTrue(threw);
+    }
+});
+
+test('REPL uses the maxCallDepth option', () => {
+    const session = new ReplSession({ maxCallDepth: 3 });
+    assertTrue(session.evaluate('climax f(n) { agar kismat rahi (n == 0) { dialogue wapas do 0 } dialogue wapas do f(n - 1) }').success);
+    assertTrue(session.evaluate('f(2)').success);
+    const result = session.evaluate('f(3)');
+    assertFalse(result.success);
+    assertTrue(result.error.includes('3 level gehre chale gaye'));
+});
+
+console.log('\n⏱️  Execution Budget Tests:');
+
+const forever = [
+    'Chal bhai suru kar',
+    'maan lo i = 0',
+    'jab tak hai jaan (sach) {',
+    '    i = i + 1',
+    '}',
+    'bas khatam karo'
+].join('\n');
+
+test('Step budget stops a runaway loop', () => {
+    const result = new MasalaScript({ output: null, maxSteps: 1000 }).run(forever);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'LimitError');
+    assertTrue(result.errorObject.message.includes('1000 steps'));
+    assertTrue(result.errorObject.line >= 3 && result.errorObject.line <= 4);
+});
+
+test('Step budget covers nested loops and recursion', () => {
+    const result = new MasalaScript({ output: null, maxSteps: 5000 }).run([
+        'Chal bhai suru kar',
+        'climax ghoomo(n) {',
+        '    har i ke liye 1 se 100 tak {',
+        '        har j ke liye 1 se 100 tak {',
+        '        }',
+        '    }',
+        '    dialogue wapas do ghoomo(n + 1)',
+        '}',
+        'ghoomo(0)',
+        'bas khatam karo'
+    ].join('\n'));
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'LimitError');
+});
+
+test('Step budget is renewed for every run', () => {
+    const masala = new MasalaScript({ output: null, maxSteps: 200 });
+    const program = 'Chal bhai suru kar\nhar i ke liye 1 se 20 tak {\n    maan lo x = i * 2\n}\nbas khatam karo';
+    assertTrue(masala.run(program).success);
+    assertTrue(masala.run(program).success);
+});
+
+test('Timeout stops a program that runs too long', () => {
+    const started = Date.now();
+    const result = new MasalaScript({ output: null, maxSteps: Infinity, timeout: 50 }).run(forever);
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'LimitError');
+    assertTrue(result.errorObject.message.includes('50ms'));
+    assertTrue(Date.now() - started < 5000);
+});
+
+test('A loop with an empty body still uses up the budget', () => {
+    const emptyLoop = 'Chal bhai suru kar\nhar i ke liye 1 se 1000000000000 tak {\n}\nbas khatam karo';
+    const bySteps = new MasalaScript({ output: null, maxSteps: 1000 }).run(emptyLoop);
+    assertEqual(bySteps.errorObject.name, 'LimitError');
+    assertTrue(bySteps.errorObject.message.includes('1000 steps'));
+
+    const started = Date.now();
+    const byTime = new MasalaScript({ output: null, maxSteps: Infinity, timeout: 50 }).run(emptyLoop);
+    assertEqual(byTime.errorObject.name, 'LimitError');
+    assertTrue(Date.now() - started < 5000);
+});
+
+test('Waiting for poocho does not count against the timeout', () => {
+    const input = () => {
+        const until = Date.now() + 150;
+        while (Date.now() < until) {
+            // The user takes a while to type
+        }
+        return 'haan';
+    };
+    const result = new MasalaScript({ output: null, timeout: 100, input }).run([
+        'Chal bhai suru kar',
+        'maan lo jawab = poocho("Ready?")',
+        'har i ke liye 1 se 5000 tak {',
+        '}',
+        'ek baat bataun: jawab',
+        'bas khatam karo'
+    ].join('\n'));
+    assertTrue(result.success);
+    assertEqual(result.output, ['haan']);
+});
+
+test('koshish karo cannot catch a budget error', () => {
+    const output = [];
+    const result = new MasalaScript({ output, maxSteps: 500 }).run([
+        'Chal bhai suru kar',
+        'koshish karo {',
+        '    jab tak hai jaan (sach) {',
+        '    }',
+        '} pakda gaya (e) {',
+        '    ek baat bataun: "pakad liya"',
+        '}',
+        'bas khatam karo'
+    ].join('\n'));
+    assertFalse(result.success);
+    assertEqual(result.errorObject.name, 'LimitError');
+    assertEqual(output, []);
+});
+
+test('Calls from JavaScript get their own budget', () => {
+    const masala = new MasalaScript({ output: null, maxSteps: 100 });
+    masala.run('Chal bhai suru kar\nclimax ghoomo() {\n    jab tak hai jaan (sach) {\n    }\n}\nbas khatam karo');
+    let error = null;
+    try {
+        masala.call('ghoomo', []);
+    } catch (e) {
+        error = e;
+    }
+    assertEqual(error.name, 'LimitError');
+});
+
+test('Invalid budget options are rejected', () => {
+    for (const options of [{ maxSteps: 0 }, { timeout: -5 }, { maxLoopIterations: 1.5 }]) {
+        let threw = false;
+        try {
+            new MasalaScript(options);
+        } catch (e) {
+            threw = e instanceof TypeError;
+        }
+        assertTrue(threw);
+    }
+});
+
+test('REPL applies the budget to each input', () => {
+    const session = new ReplSession({ maxSteps: 100 });
+    assertTrue(session.evaluate('maan lo x = 1').success);
+    const result = session.evaluate('jab tak hai jaan (sach) { x = x + 1 }');
+    assertFalse(result.success);
+    assertTrue(result.error.includes('100 steps'));
+    assertTrue(session.evaluate('x').success);
+});
+
+console.log('\n🛑 Cancellation Tests:');
+
+const cancellable = (signal, stopAfter) => {
+    let ticks = 0;
+    return new MasalaScript({
+        output: null,
+        functions: {
+            tick: () => {
+                if (++ticks === stopAfter) {
+                    signal();
+                }
+            }
+        }
+    });
+};
+
+test('Aborting the signal stops the run and keeps the output so far', () => {
+    const controller = new AbortController();
+    const result = cancellable(() => controller.abort(), 3).run([
+        'Chal bhai suru kar',
+        'maan lo i = 0',
+        'jab tak hai jaan (sach) {',
+        '    i = i + 1',
+        '    ek baat bataun: i',
+        '    tick()',
+        '}',
+        'bas khatam karo'
+    ].join('\n'), { signal: controller.signal });
+    assertFalse(result.success);
+    assertTrue(result.cancelled);
+    assertEqual(result.output, ['1', '2', '3']);
+    assertEqual(result.errors, []);
+    assertEqual(result.errorObject.name, 'CancelledError');
+    assertEqual(result.errorObject.line, 3);
+    assertTrue(result.error.startsWith('Program roka gaya'));
+});
+
+test('A string abort reason ends up in the message', () => {
+    const controller = new AbortController();
+    const result = cancellable(() => controller.abort('Stop dabaya'), 1).run(
+        'Chal bhai suru kar\nhar i ke liye 1 se 10 tak {\n    tick()\n}\nbas khatam karo',
+        { signal: controller.signal }
+    );
+    assertTrue(result.cancelled);
+    assertEqual(result.error, 'Program roka gaya: Stop dabaya');
+});
+
+test('A plain cancellation token works too', () => {
+    const token = { aborted: false };
+    const result = cancellable(() => { token.aborted = true; }, 2).run([
+        'Chal bhai suru kar',
+        'climax ginti(n) {',
+        '    tick()',
+        '    dialogue wapas do ginti(n + 1)',
+        '}',
+        'ginti(0)',
+        'bas khatam karo'
+    ].join('\n'), { signal: token });
+    assertTrue(result.cancelled);
+    assertEqual(result.errorObject.line, 4);
+});
+
+test('An already aborted signal runs nothing', () => {
+    const output = [];
+    const result = new MasalaScript({ output }).run(
+        'Chal bhai suru kar\nek baat bataun: "shuru"\nbas khatam karo',
+        { signal: AbortSignal.abort() }
+    );
+    assertTrue(result.cancelled);
+    assertEqual(output, []);
+});
+
+test('koshish karo cannot catch a cancellation', () => {
+    const controller = new AbortController();
+    const result = cancellable(() => controller.abort(), 1).run([
+        'Chal bhai suru kar',
+        'koshish karo {',
+        '    jab tak hai jaan (sach) {',
+        '        tick()',
+        '    }',
+        '} pakda gaya (e) {',
+        '    ek baat bataun: "pakad liya"',
+        '}',
+        'bas khatam karo'
+    ].join('\n'), { signal: controller.signal });
+    assertTrue(result.cancelled);
+    assertEqual(result.output, []);
+});
+
+test('The signal only applies to its own run', () => {
+    const controller = new AbortController();
+    const masala = new MasalaScript({ output: null });
+    assertTrue(masala.run('Chal bhai suru kar\nclimax f() { dialogue wapas do 1 }\nbas khatam karo', { signal: controller.signal }).success);
+    controller.abort();
+    assertEqual(masala.call('f'), 1);
+    assertTrue(masala.run('Chal bhai suru kar\nek baat bataun: 1\nbas khatam karo').success);
+});
+
+test('Errors and compile failures are not reported as cancelled', () => {
+    const masala = new MasalaScript({ output: null });
+    const signal = new AbortController().signal;
+    assertEqual(masala.run('Chal bhai suru kar\nek baat bataun: 1 / 0\nbas khatam karo', { signal }).cancelled, undefined);
+    assertEqual(masala.run('Chal bhai suru kar\nmaan lo = 5\nbas khatam karo', { signal }).cancelled, undefined);
+});
+
+test('Invalid signal is rejected', () => {
+    let threw = false;
+    try {
+        new MasalaScript().run('Chal bhai suru kar\nbas khatam karo', { signal: true });
+    } catch (e) {
+        threw = e instanceof TypeError;
+    }
+    assertTrue(threw);
+});
+
+console.log('\n💬 REPL Tests:');
+
+test('REPL keeps variables and functions between inputs', () => {
+    const session = new ReplSession();
+    assertTrue(session.evaluate('maan lo x = 5').success);
+    assertTrue(session.evaluate('climax double(n) { dialogue wapas do n * 2 }').success);
+    const result = session.evaluate('double(x)');
+    assertTrue(result.success);
+    assertEqual(result.display, '10');
+});
+
+test('REPL echoes expressions but not statements or assignments', () => {
+    const session = new ReplSession();
+    assertEqual(session.evaluate('maan lo list = [1, 2]').display, null);
+    assertEqual(session.evaluate('list[0] = 9').display, null);
+    assertEqual(session.evaluate('list').display, '[9, 2]');
+    assertEqual(session.evaluate('"text"').display, 'text');
+});
+
+test('REPL collects print output per input', () => {
+    const session = new ReplSession();
+    const result = session.evaluate('ek baat bataun: "namaste"\nek baat bataun: 1 + 1');
+    assertTrue(result.success);
+    assertEqual(result.output, ['namaste', '2']);
+    assertEqual(session.evaluate('1').output, []);
+});
+
+test('REPL waits for more lines while braces are open', () => {
+    const session = new ReplSession();
+    assertFalse(session.isComplete('agar kismat rahi (sach) {'));
+    assertFalse(session.isComplete('maan lo list = [1,\n2'));
+    assertTrue(session.isComplete('agar kismat rahi (sach) {\n ek baat bataun: 1\n}'));
+    assertFalse(session.isComplete('Chal bhai suru kar\nmaan lo x = 1'));
+    assertTrue(session.isComplete('Chal bhai suru kar\nmaan lo x = 1\nbas khatam karo'));
+});
+
+test('REPL discards declarations from a failed input', () => {
+    const session = new ReplSession();
+    const failed = session.evaluate('maan lo a = 1\nek baat bataun: missing');
+    assertFalse(failed.success);
+    assertEqual(failed.errorObject.name, 'SemanticError');
+    assertTrue(session.evaluate('maan lo a = 2').success);
+    assertEqual(session.evaluate('a').display, '2');
+});
+
+test('REPL lets a name be declared again after a runtime failure', () => {
+    const session = new ReplSession();
+    const failed = session.evaluate('maan lo a = 1 / 0');
+    assertFalse(failed.success);
+    assertEqual(failed.errorObject.name, 'RuntimeError');
+    assertTrue(session.evaluate('maan lo a = 2').success);
+    assertEqual(session.evaluate('a').display, '2');
+
+    // Declarations the failed input did run are kept
+    assertFalse(session.evaluate('maan lo b = 1\nmaan lo c = b / 0').success);
+    assertEqual(session.evaluate('b').display, '1');
+    assertTrue(session.evaluate('maan lo c = b').success);
+    assertEqual(session.evaluate('c').display, '1');
+});
+
+test('REPL stops trusting an arity changed by a failed input', () => {
+    const session = new ReplSession();
+    assertTrue(session.evaluate('maan lo f = climax (x) { dialogue wapas do x }').success);
+    assertFalse(session.evaluate('f = climax (x, y) { dialogue wapas do y }\nek baat bataun: 1 / 0').success);
+    assertEqual(session.evaluate('f(1, 2)').display, '2');
+});
+
+test('REPL accepts full programs and reset clears the session', () => {
+    const session = new ReplSession();
+    const result = session.evaluate('Chal bhai suru kar\nmaan lo y = 3\nbas khatam karo', 'lib.ms');
+    assertTrue(result.success);
+    assertEqual(session.evaluate('y + 1').display, '4');
+    session.reset();
+    assertFalse(session.evaluate('y').success);
+});
+
+// ---------- Print Statement ----------
+console.log('\n📢 Print Tests:');
+
+test('Print multiple values', () => {
+    const result = runCode(`
+        action!
+        ek baat bataun: "Name:", "Aman", "Age:", 25
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['Name: Aman Age: 25']);
+});
+
+test('Print expressions', () => {
+    const result = runCode(`
+        action!
+        ek baat bataun: 2 + 2, "equals", 4
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['4 equals 4']);
+});
+
+// ---------- Comments ----------
+console.log('\n💬 Comment Tests:');
+
+test('Single line comments', () => {
+    const result = runCode(`
+        action!
+        // This is a comment
+        maan lo x = 10 // Another comment
+        ek baat bataun: x
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['10']);
+});
+
+// ---------- Complex Programs ----------
+console.log('\n🎯 Integration Tests:');
+
+test('Fibonacci sequence', () => {
+    const result = runCode(`
+        action!
+        maan lo a = 0
+        maan lo b = 1
+        maan lo i = 0
+        jab tak hai jaan (i < 8) {
+            ek baat bataun: a
+            maan lo temp = a + b
+            a = b
+            b = temp
+            i = i + 1
+        }
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, ['0', '1', '1', '2', '3', '5', '8', '13']);
+});
+
+test('FizzBuzz variant', () => {
+    const result = runCode(`
+        action!
+        maan lo i = 1
+        jab tak hai jaan (i <= 15) {
+            agar kismat rahi (i % 15 == 0) {
+                ek baat bataun: "FizzBuzz"
+            } nahi to (i % 3 == 0) {
+                ek baat bataun: "Fizz"
+            } nahi to (i % 5 == 0) {
+                ek baat bataun: "Buzz"
+            } warna {
+                ek baat bataun: i
+            }
+            i = i + 1
+        }
+        paisa vasool
+    `);
+    assertTrue(result.success);
+    assertEqual(result.output, [
+        '1', '2', 'Fizz', '4', 'Buzz', 'Fizz', '7', '8',
+        'Fizz', 'Buzz', '11', 'Fizz', '13', '14', 'FizzBuzz'
+    ]);
+});
+
+// ---------- Browser Bundle ----------
+console.log('\n🌐 Browser Bundle Parity Tests:');
+
+const bundleSource = readFileSync(new URL('../src/browser-bundle.js', import.meta.url), 'utf-8');
+const browserWindow = {};
+runInNewContext(bundleSource, { window: browserWindow, console });
+const BrowserMasalaScript = browserWindow.MasalaScript;
+
+test('Browser bundle is up to date with the sources', () => {
+    assertTrue(bundleSource === buildBrowserBundle(), 'Run `npm run build:browser`');
+});
+
+const examplesDir = new URL('../examples/', import.meta.url);
+for (const file of readdirSync(examplesDir).filter(name => name.endsWith('.ms')).sort()) {
+    test(`Same result in Node and browser: examples/${file}`, () => {
+        const source = readFileSync(new URL(file, examplesDir), 'utf-8');
+        const node = new MasalaScript({ output: null, input: [] }).run(source);
+        const browser = new BrowserMasalaScript({ output: null, input: [] }).run(source);
+        assertEqual(browser.success, node.success);
+        assertEqual(browser.output, node.output);
+        assertEqual(browser.error, node.error);
+    });
+}
+
+test('Same error messages in Node and browser', () => {
+    const programs = [
+        'Chal bhai suru kar\nek baat bataun: 1 / 0\nbas khatam karo',
+        'Chal bhai suru kar\nek baat bataun: "a" - 1\nbas khatam karo',
+        'Chal bhai suru kar\nek baat bataun: missing\nbas khatam karo',
+        'Chal bhai suru kar\njab tak hai jaan (sach) {}\nbas khatam karo',
+        'Chal bhai suru kar\nmaan lo x = \nbas khatam karo',
+    ];
+    for (const source of programs) {
+        const node = new MasalaScript({ output: null }).run(source);
+        const browser = new BrowserMasalaScript({ output: null }).run(source);
+        assertFalse(node.success);
+        assertEqual(browser.error, node.error);
+    }
+});
+
+/**
+ * Load the playground worker in a sandbox and send it one message
+ * @returns {Array} Messages the worker posted back
+ */
+function runPlaygroundWorker(data) {
+    const posted = [];
+    const sandbox = {
+        self: { postMessage: (message) => posted.push(message) },
+        importScripts: () => runInContext(bundleSource, sandbox),
+        console
+    };
+    createContext(sandbox);
+    runInContext(readFileSync(new URL('../src/playground-worker.js', import.meta.url), 'utf-8'), sandbox);
+    sandbox.self.onmessage({ data });
+    return posted;
+}
+
+test('Playground worker streams prints and reports the result', () => {
+    const messages = runPlaygroundWorker({
+        code: 'Chal bhai suru kar\nek baat bataun: "ek"\nek baat bataun: "do"\nek baat bataun: 1 / 0\nbas khatam karo'
+    });
+    const prints = messages.filter(message => message.type === 'print').flatMap(message => message.lines);
+    assertEqual(prints, ['ek', 'do']);
+    const done = messages[messages.length - 1];
+    assertEqual(done.type, 'done');
+    assertFalse(done.success);
+    assertEqual(done.error, new MasalaScript({ output: null }).run('Chal bhai suru kar\nek baat bataun: "ek"\nek baat bataun: "do"\nek baat bataun: 1 / 0\nbas khatam karo').error);
+});
+
+test('Playground worker asks for poocho answers and replays without repeating prints', () => {
+    const code = [
+        'Chal bhai suru kar',
+        'ek baat bataun: "Namaste"',
+        'maan lo naam = poocho("Naam?")',
+        'ek baat bataun: "Hello", naam',
+        'bas khatam karo'
+    ].join('\n');
+
+    const first = runPlaygroundWorker({ code, answers: [], skip: 0 });
+    assertEqual(first, [
+        { type: 'print', lines: ['Namaste'] },
+        { type: 'input', question: 'Naam?' }
+    ]);
+
+    const second = runPlaygroundWorker({ code, answers: ['Aman'], skip: 1 });
+    assertEqual(second, [
+        { type: 'print', lines: ['Hello Aman'] },
+        { type: 'done', success: true, error: null }
     ]);
 });
 